@@ -1,7 +1,7 @@
 // ============================================================
 // Biblical Genealogy Interactive Tree (Auto-Nesting + Cache)
 // - Builds a nested hierarchy from the flat JSON (ignores "metadata")
-// - Caches the nested structure in localStorage (one-time build)
+// - Caches the nested structure in IndexedDB, keyed by a hash of the JSON
 // - Preserves ALL existing UI features & CSS classes
 // - Backward-compatible with descendants as IDs or objects
 // ============================================================
@@ -9,10 +9,11 @@
 /*
   Overview of key globals:
 
-  - flatGenealogyData: raw JSON loaded from biblical_genealogy.json (flat, by id)
-  - peopleById: a normalized flat lookup map { id -> personObject }
+  - core: the loaded files and their queries (genealogy-core.js)
+  - peopleById: a normalized flat lookup map { id -> personObject } (core.people)
   - nestedRoots: array of nested root nodes (objects with descendants as objects)
   - genealogyData: kept as the flat lookup (for backward-compat with any logic that expects a map)
+  - parentsById: child -> parents index derived from every descendants list (core.parentsById)
 
   Rendering works with BOTH styles:
   - If a person.descendants is an array of IDs -> we resolve children from peopleById
@@ -22,34 +23,23 @@
 let peopleById = {};      // flat lookup by id (kept for search and compatibility)
 let nestedRoots = [];     // array of nested root nodes
 let genealogyData = {};   // flat lookup exposed under the legacy name for compatibility
+let parentsById = {};     // reverse index { childId -> [parentId, ...] } built once per load
+let genealogySource = null; // { data, text } exactly as fetched, for the validator
 
-let currentPath = [];
+let focusedPersonId = null; // person the breadcrumb traces back to its root
 let expandedNodes = new Set();
 
 // ---------- Utilities ----------
-function prettifyKey(k) {
-  return String(k).replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
-}
-
 function isPersonObject(v) {
   return v && typeof v === 'object' && (
     'descendants' in v || 'bio' in v || 'scripture' in v || 'name' in v || 'id' in v
   );
 }
 
-// Normalize text for tolerant search
-function normalizeText(str) {
-  return String(str || "")
-    .toLowerCase()
-    .replace(/[\p{P}\p{S}]+/gu, "") // remove punctuation/symbols
-    .replace(/\s+/g, " ")           // collapse spaces
-    .trim();
-}
-
 function isScriptureQuery(q) {
-  // e.g., "Genesis 5", "1 Samuel 17", "Matt 1", "Rom 11:17"
-  const re = /^\s*(?:[1-3]\s*)?[A-Za-z.]+(?:\s+[A-Za-z.]+)?\s+\d+(?::\d+(-\d+)?)?\s*$/;
-  return re.test(q);
+  // e.g., "Genesis 5", "1 Samuel 17", "Matt 1", "Rom 11:17", "1 Kings 17-19"
+  // Same parser as the Scripture index, so anything accepted here can be looked up
+  return Scripture.isReference(q);
 }
 
 // ---------- Core: Builder (Auto-Nesting) ----------
@@ -104,68 +94,249 @@ function buildNestedTree(data) {
 
 // ---------- Cache Wrapper ----------
 /*
-  One-time caching of the nested tree.
-  We never cache the flat lookup so you can keep editing the JSON safely;
-  the nested form is just a derived view for rendering performance.
+  The nested tree is cached in IndexedDB under a key made from the builder
+  version and a hash of the exact JSON text that was loaded. Editing
+  biblical_genealogy.json (or changing how the tree is built) produces a new
+  key, so the tree is rebuilt automatically and older entries are dropped.
+  We never cache the flat lookup; the nested form is just a derived view for
+  rendering performance. Without IndexedDB the tree is simply rebuilt.
 */
-function getNestedWithCache(flatData) {
-  const cached = localStorage.getItem("nestedGenealogy");
-  if (cached) {
+const NESTED_BUILDER_VERSION = 3;   // bump when buildNestedTree or the core's normalizePerson change shape
+const CACHE_DB_NAME = 'biblical-genealogy-cache';
+const CACHE_STORE = 'datasets';
+const LEGACY_CACHE_KEY = 'nestedGenealogy'; // old permanent localStorage entry
+
+// FNV-1a (32-bit) over the text, plus its length; plenty to notice an edit
+function contentHash(text) {
+  let h = 0x811c9dc5;
+  const str = String(text || '');
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return `${str.length.toString(36)}-${h.toString(16).padStart(8, '0')}`;
+}
+
+let cacheDbPromise = null;
+
+function openCacheDb() {
+  if (cacheDbPromise) return cacheDbPromise;
+  cacheDbPromise = new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') return resolve(null);
+    let req;
     try {
-      const parsed = JSON.parse(cached);
-      if (Array.isArray(parsed)) return parsed;
+      req = indexedDB.open(CACHE_DB_NAME, 1);
     } catch (_) {
-      // fall through to rebuild
+      return resolve(null); // e.g. disabled in private browsing
     }
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+      store.createIndex('dataset', 'dataset');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+    req.onblocked = () => resolve(null);
+  });
+  return cacheDbPromise;
+}
+
+// Runs fn(store) in one transaction; resolves with the request's result (or null without IndexedDB)
+async function withCacheStore(mode, fn) {
+  const db = await openCacheDb();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CACHE_STORE, mode);
+    const req = fn(tx.objectStore(CACHE_STORE));
+    tx.oncomplete = () => resolve(req ? req.result : null);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function listCachedDatasets() {
+  return withCacheStore('readonly', store => store.getAll()).then(rows => rows || []);
+}
+
+function purgeCachedDataset(key) {
+  return withCacheStore('readwrite', store => store.delete(key));
+}
+
+function purgeAllCachedDatasets() {
+  return withCacheStore('readwrite', store => store.clear());
+}
+
+/*
+  getNestedWithCache(people, source)
+  - people: the linked flat lookup the tree is built from
+  - source: { data, text } as fetched; its text is hashed for the cache key
+*/
+async function getNestedWithCache(people, source) {
+  try { localStorage.removeItem(LEGACY_CACHE_KEY); } catch (_) { /* storage disabled */ }
+
+  const hash = contentHash(source && source.text);
+  const key = `genealogy-nested:v${NESTED_BUILDER_VERSION}:${hash}`;
+
+  try {
+    const cached = await withCacheStore('readonly', store => store.get(key));
+    if (cached && Array.isArray(cached.value)) return cached.value;
+  } catch (err) {
+    console.warn('Tree cache unavailable, rebuilding:', err);
   }
-  const built = buildNestedTree(flatData);
+
+  const built = buildNestedTree(people);
   try {
-    localStorage.setItem("nestedGenealogy", JSON.stringify(built));
+    const stale = (await listCachedDatasets()).filter(r => r.dataset === 'genealogy-nested' && r.key !== key);
+    await withCacheStore('readwrite', store => {
+      stale.forEach(r => store.delete(r.key));
+      return store.put({
+        key,
+        dataset: 'genealogy-nested',
+        hash,
+        builderVersion: NESTED_BUILDER_VERSION,
+        dataVersion: source && source.data && source.data.metadata ? source.data.metadata.version || null : null,
+        people: Object.keys(people).length,
+        sourceBytes: source && source.text ? source.text.length : 0,
+        builtAt: new Date().toISOString(),
+        value: built
+      });
+    });
   } catch (_) {
     // storage might be full or disabled — continue gracefully
   }
   return built;
 }
 
+async function showCacheManager() {
+  const modal = document.getElementById("infoModal");
+  const content = document.getElementById("person-info");
+  modal.style.display = "block";
+  recordModal(null);
+
+  const rows = await listCachedDatasets().catch(() => []);
+  const currentKey = `genealogy-nested:v${NESTED_BUILDER_VERSION}:${contentHash(genealogySource && genealogySource.text)}`;
+  const kb = n => `${(n / 1024).toFixed(1)} KB`;
+
+  content.innerHTML = `
+    <h2>Cached Datasets</h2>
+    ${typeof indexedDB === 'undefined' ? '<p>This browser has no IndexedDB; the tree is rebuilt on every load.</p>' : ''}
+    ${rows.length ? `
+      <table class="cache-table">
+        <thead><tr><th>Dataset</th><th>Data version</th><th>Content hash</th><th>People</th><th>Source</th><th>Built</th><th></th></tr></thead>
+        <tbody>
+          ${rows.map(r => `
+            <tr>
+              <td>${r.dataset}${r.key === currentKey ? ' <span class="result-kind">in use</span>' : ''}</td>
+              <td>${r.dataVersion || '—'}</td>
+              <td><code>${r.hash}</code></td>
+              <td>${r.people}</td>
+              <td>${kb(r.sourceBytes)}</td>
+              <td>${new Date(r.builtAt).toLocaleString()}</td>
+              <td><button class="pill-btn" data-purge="${r.key}">Purge</button></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <div class="report-actions"><button class="pill-btn" id="purge-all-cache">Purge all</button></div>
+    ` : '<p>Nothing is cached.</p>'}
+  `;
+
+  content.querySelectorAll('[data-purge]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await purgeCachedDataset(btn.dataset.purge);
+      showCacheManager();
+    });
+  });
+  const purgeAll = content.querySelector('#purge-all-cache');
+  if (purgeAll) purgeAll.addEventListener('click', async () => {
+    await purgeAllCachedDatasets();
+    showCacheManager();
+  });
+}
+
+// ---------- Genealogy Core ----------
+/*
+  The data model and every query that does not touch the page live in
+  genealogy-core.js, which also runs as a command-line tool. `core` holds
+  the loaded files; after each load peopleById / parentsById /
+  biblicalFigures point at its current lookups. The wrappers below keep the
+  names the rest of this file uses. The person schema is documented there.
+*/
+const core = GenealogyCore.createGenealogy();
+const ALIAS_LABELS = { variant: 'also called', kjv: 'KJV spelling', greek: 'Greek form', hebrew: 'Hebrew form' };
+
+function prettifyKey(k) { return GenealogyCore.prettifyKey(k); }
+function normalizeText(str) { return GenealogyCore.normalizeText(str); }
+function editDistance(a, b) { return GenealogyCore.editDistance(a, b); }
+function entityAliases(entity) { return GenealogyCore.entityAliases(entity); }
+function personSex(person) { return GenealogyCore.personSex(person); }
+
+// Links and labels
+function parentLink(childId, parentId) { return core.parentLink(childId, parentId); }
+function parentRoleLabel(childId, parentId) { return core.parentRoleLabel(childId, parentId); }
+function childLabel(childId, parentId) { return core.childLabel(childId, parentId); }
+function spouseLabel(link) { return core.spouseLabel(link); }
+
+// Lookup (both datasets)
+function figureAsResult(id, figure) { return core.figureAsResult(id, figure); }
+function entityName(id) { return core.entityName(id); }
+function entityExists(id) { return core.entityExists(id); }
+function allEntities() { return core.allEntities(); }
+function aliasesOf(entity) { return core.aliasesOf(entity); }
+function findPerson(idOrName) { return core.findPerson(idOrName); }
+function findFigure(idOrName) { return core.findFigure(idOrName); }
+function fuzzyFind(nameLike) { return core.fuzzyFind(nameLike); }
+function fuzzyFindFigures(nameLike) { return core.fuzzyFindFigures(nameLike); }
+function matchRank(entity, query) { return core.matchRank(entity, query); }
+function searchAll(query) { return core.searchAll(query); }
+function suggestNames(query, limit) { return core.suggestNames(query, limit); }
+
+// Lineage, kinship, connections, scripture
+function getParents(id) { return core.getParents(id); }
+function ancestorGenerations(id) { return core.ancestorGenerations(id); }
+function getAncestors(id) { return core.getAncestors(id); }
+function getDescendants(id) { return core.getDescendants(id); }
+function lineagePaths(id, limit) { return core.lineagePaths(id, limit); }
+function findRelationship(idA, idB) { return core.findRelationship(idA, idB); }
+function findConnection(fromId, toId) { return core.findConnection(fromId, toId); }
+function getScriptureIndex() { return core.getScriptureIndex(); }
+function annoMundi(text) { return core.annoMundi(text); }
+function contemporaries(id, text) { return core.contemporaries(id, text); }
+function reignTimeline() { return core.reignTimeline(); }
+function activeInYear(year) { return core.activeInYear(year); }
+function relatedNetwork() { return core.relatedNetwork(); }
+function neighborhood(ids, hops) { return core.neighborhood(ids, hops); }
+function figureFacets() { return core.figureFacets(); }
+
 // ---------- Load Data ----------
 async function loadGenealogyData() {
   try {
     const res = await fetch('./biblical_genealogy.json', { cache: 'no-store' });
     if (!res.ok) throw new Error(`Failed to fetch JSON: ${res.status} ${res.statusText}`);
-    const raw = await res.json();
-
-    // Your file may be either { genealogy: {...} } or a flat object. Support both.
-    const flatGenealogyData = raw && raw.genealogy ? raw.genealogy : raw;
-
-    // Build flat lookup (peopleById) WITHOUT altering your original JSON shape.
-    peopleById = {};
-    for (const key in flatGenealogyData) {
-      if (!Object.prototype.hasOwnProperty.call(flatGenealogyData, key)) continue;
-      if (key === "metadata") continue;
-      const v = flatGenealogyData[key];
-      if (!v || typeof v !== 'object') continue;
-
-      // ensure id + defaults; keep descendants as-is (array of IDs in your data)
-      const id = key;
-      peopleById[id] = {
-        id,
-        name: v.name || prettifyKey(id),
-        bio: v.bio || '',
-        scripture: v.scripture || '',
-        descendants: Array.isArray(v.descendants) ? v.descendants.slice() : []
-      };
-    }
+    const text = await res.text();
+    const raw = JSON.parse(text);
+    genealogySource = { data: raw, text };
 
-    // Build nested hierarchy with caching
-    nestedRoots = getNestedWithCache(flatGenealogyData);
+    // Flat lookup (either { genealogy: {...} } or a flat object), linked both ways
+    core.loadGenealogy(raw);
+    peopleById = core.people;
+    parentsById = core.parentsById;
+
+    // Build nested hierarchy with caching (from the linked lookup, so parents
+    // declared only on the child still appear under that parent)
+    nestedRoots = await getNestedWithCache(peopleById, genealogySource);
 
     // Expose flat lookup under legacy name for compatibility with existing logic
     genealogyData = peopleById;
+    invalidateDerivedIndexes();
+    await loadLineages();
 
     // Initialize UI from the TRUE root (prefer nested Adam)
     initializeTree();
     setupEventListeners();
+    renderLineagePanel();
     updateStats();
+    await initEditor();
+    startRouter();
 
     console.info('Genealogy loaded — people:', Object.keys(peopleById).length, 'roots:', nestedRoots.length);
   } catch (err) {
@@ -195,45 +366,6 @@ function getChildrenArray(person) {
   return out;
 }
 
-function findPerson(idOrName) {
-  if (!idOrName) return null;
-  const raw = String(idOrName).trim();
-
-  // direct id lookup
-  if (peopleById[raw]) return peopleById[raw];
-
-  const q = normalizeText(raw);
-  for (const p of Object.values(peopleById)) {
-    if (!p) continue;
-    if (normalizeText(p.id) === q) return p;
-    if (normalizeText(p.name) === q) return p;
-  }
-  return null;
-}
-
-function fuzzyFind(nameLike) {
-  if (!nameLike) return [];
-  const q = normalizeText(nameLike);
-
-  const persons = Object.values(peopleById).filter(Boolean);
-  const starts = [];
-  const includes = [];
-  const seen = new Set();
-
-  for (const p of persons) {
-    const nid = normalizeText(p.id);
-    const nname = normalizeText(p.name);
-    const nbio = normalizeText(p.bio || "");
-
-    const isStart = nid.startsWith(q) || nname.startsWith(q);
-    const isIncl = (!isStart) && (nid.includes(q) || nname.includes(q) || nbio.includes(q));
-
-    if (isStart && !seen.has(p.id)) { starts.push(p); seen.add(p.id); }
-    else if (isIncl && !seen.has(p.id)) { includes.push(p); seen.add(p.id); }
-  }
-  return [...starts, ...includes];
-}
-
 // ---------- Tree ----------
 function pickRootForUI() {
   // Prefer nested Adam if available, else fall back to flat lookup
@@ -262,14 +394,22 @@ function initializeTree() {
   const rootNode = createNode(rootPerson);
   rootEl.innerHTML = '';
   rootEl.appendChild(rootNode);
-  currentPath = [rootPerson.name || rootPerson.id || 'Root'];
-  updateBreadcrumb(currentPath);
+  focusPerson(rootPerson.id);
+  treeRootId = rootPerson.id;
+  setChartRoot(rootPerson.id);
 }
 
-function createNode(personData) {
+/*
+  createNode(personData, parentId)
+  - parentId (optional): the branch this node is drawn under; non-biological
+    links to it (legal, adoptive, levirate) are tagged on the node
+*/
+function createNode(personData, parentId) {
   const div = document.createElement("div");
   div.className = "node-box";
   div.dataset.personId = personData.id;
+  const record = peopleById[personData.id] || personData;
+  const link = parentId ? parentLink(personData.id, parentId) : null;
   
   const fullName = personData.name || personData.id || 'Unknown';
   const children = getChildrenArray(personData);
@@ -284,18 +424,35 @@ function createNode(personData) {
   
   // Create innerHTML with optional child count badge
   let innerHTML = `<span class="node-name">${fullName}</span>`;
+
+  innerHTML += tribeBadge(personData.id);
+
+  if (link && link.type !== 'biological') {
+    div.classList.add(`node-link-${link.type}`);
+    innerHTML += `<span class="link-type-badge" title="${link.type} ${link.role || 'parent'}">${link.type}</span>`;
+  }
+
+  const spouses = (record.spouses || []).filter(l => peopleById[l.id]);
+  if (spouses.length) {
+    const names = spouses.map(l => `${peopleById[l.id].name} (${spouseLabel(l)})`).join(', ');
+    innerHTML += `<span class="spouse-badge" title="Spouses: ${names}">⚭${spouses.length}</span>`;
+  }
   
   if (hasDescendants) {
     innerHTML += `<span class="child-count">${childCount}</span>`;
     innerHTML += `<span class="expand-indicator">▼</span>`;
   }
+
+  if (editMode) innerHTML += `<span class="node-edit-btn" title="Edit ${fullName}">✏️</span>`;
   
   div.innerHTML = innerHTML;
+  decorateLineageNode(div, personData.id);
 
   // Single click expands
   div.addEventListener("click", e => {
     e.stopPropagation();
     if (hasDescendants) toggleBranch(div, personData);
+    else focusPerson(personData.id);
   });
 
   // Double click opens modal
@@ -314,6 +471,8 @@ function createNode(personData) {
     div.addEventListener(evt, () => clearTimeout(touchTimer))
   );
 
+  if (editMode) bindNodeEditing(div, personData.id);
+
   return div;
 }
 
@@ -333,6 +492,7 @@ function toggleBranch(container, personData) {
       const indicator = container.querySelector('.expand-indicator');
       if (indicator) indicator.textContent = '▲';
     }
+    scheduleRouteSync();
     return;
   }
 
@@ -344,7 +504,7 @@ function toggleBranch(container, personData) {
   branch.dataset.parentId = personId;
 
   children.forEach(childObj => {
-    if (childObj) branch.appendChild(createNode(childObj));
+    if (childObj) branch.appendChild(createNode(childObj, personId));
   });
 
   container.insertAdjacentElement("afterend", branch);
@@ -352,319 +512,1855 @@ function toggleBranch(container, personData) {
   const indicator = container.querySelector('.expand-indicator');
   if (indicator) indicator.textContent = '▲';
 
-  if (!currentPath.length || currentPath[currentPath.length - 1] !== (personData.name || personData.id)) {
-    currentPath.push(personData.name || personData.id);
-    updateBreadcrumb(currentPath);
-  }
+  focusPerson(personId);
+  scheduleRouteSync();
 }
 
-// ---------- Modal ----------
-function openModal(personData) {
-  const modal = document.getElementById("infoModal");
-  const modalContent = document.getElementById("person-info");
+// ---------- Chart View ----------
+/*
+  Alternative rendering of the tree as an SVG genealogical chart.
+  - Lays out whatever is expanded below the current root, top-down
+    ("vertical") or left-to-right ("horizontal"); parents sit centred over
+    their children and every parent-child link gets an elbow connector
+  - Click a person to expand/collapse, double-click (or long-press) for the bio
+  - Drag to pan, wheel or pinch to zoom; the controls fit or re-centre
+*/
+const CHART_NODE = { width: 160, height: 40, gapBreadth: 18, gapDepth: 64 };
+const CHART_ZOOM = { min: 0.2, max: 3, step: 1.25 };
 
-  const name = personData.name || personData.id || 'Unknown';
-  const bio = personData.bio || 'No biography available.';
-  const scripture = personData.scripture || 'No scripture refs.';
-  const descendantsCount = getChildrenArray(personData).length;
+let treeView = 'list';     // 'list' | 'chart'
+let treeRootId = null;     // person the list and chart are currently rooted at
+const chartState = {
+  rootId: null,
+  orientation: 'vertical',
+  expanded: new Set(),
+  selectedId: null,
+  layout: null,
+  transform: { x: 0, y: 0, k: 1 }
+};
 
-  modal.style.display = "block";
-  modalContent.innerHTML = `
-    <h2>${name}</h2>
-    <div class="bio-section">
-      <h3>Biography</h3>
-      <p>${bio}</p>
-    </div>
-    <div class="scripture-section">
-      <h3>📖 Scripture References</h3>
-      <p class="scripture-refs">${scripture}</p>
-    </div>
-    <div class="descendants-section">
-      <h3>Descendants</h3>
-      <p>${descendantsCount} direct descendant(s) recorded</p>
-    </div>
-  `;
+/*
+  layoutChart(root, isExpanded, orientation, options) -> { nodes, links, bounds }
+  - isExpanded(id, depth): whether a node's branch is drawn
+  - options.childrenOf(person): next generation (default: descendants;
+    printable ancestor charts pass parents instead)
+  - options.linkType(fromId, toId): connector style (default: parent link type)
+  Each node gets a leaf "slot" across the breadth of the chart; a parent's
+  slot is the midpoint of its first and last child. A person already on the
+  path from the root is not repeated, so bad data cannot loop forever.
+*/
+function layoutChart(root, isExpanded, orientation, options = {}) {
+  const childrenOf = options.childrenOf || getChildrenArray;
+  const linkType = options.linkType || ((fromId, toId) => {
+    const link = parentLink(toId, fromId);
+    return link ? link.type : 'biological';
+  });
+  const nodes = [];
+  const links = [];
+  let nextSlot = 0;
+
+  const place = (person, depth, parentId, lineage) => {
+    const children = childrenOf(person);
+    const expanded = children.length > 0 && isExpanded(person.id, depth);
+    const node = { id: person.id, person, parentId, depth, childCount: children.length, expanded };
+    nodes.push(node);
+
+    const below = new Set(lineage).add(person.id);
+    const placed = expanded
+      ? children.filter(c => !below.has(c.id)).map(c => place(c, depth + 1, person.id, below))
+      : [];
+    if (placed.length) {
+      node.slot = (placed[0].slot + placed[placed.length - 1].slot) / 2;
+      placed.forEach(child => links.push({ from: node, to: child, type: linkType(person.id, child.id) }));
+    } else {
+      node.slot = nextSlot++;
+    }
+    return node;
+  };
+  place(root, 0, null, new Set());
+
+  const vertical = orientation !== 'horizontal';
+  const breadthStep = vertical ? CHART_NODE.width + CHART_NODE.gapBreadth : CHART_NODE.height + CHART_NODE.gapBreadth;
+  const depthStep = vertical ? CHART_NODE.height + CHART_NODE.gapDepth : CHART_NODE.width + CHART_NODE.gapDepth;
+  for (const n of nodes) {
+    const breadth = n.slot * breadthStep;
+    const depth = n.depth * depthStep;
+    n.x = vertical ? breadth : depth;
+    n.y = vertical ? depth : breadth;
+  }
+
+  return { nodes, links, bounds: chartBounds(nodes), orientation: vertical ? 'vertical' : 'horizontal' };
 }
 
-// ---------- Autocomplete ----------
-function setupAutocomplete(inputElement, onSelect) {
-  if (!inputElement) return;
-  
-  // Create dropdown container
-  const dropdown = document.createElement('div');
-  dropdown.className = 'autocomplete-dropdown';
-  dropdown.style.cssText = `
-    position: absolute;
-    background: #1a2332;
-    border: 2px solid #3a4a7d;
-    border-radius: 8px;
-    max-height: 300px;
-    overflow-y: auto;
-    z-index: 1000;
-    display: none;
-    box-shadow: 0 4px 12px rgba(0,0,0,0.5);
-  `;
-  
-  // Position dropdown below input
-  const positionDropdown = () => {
-    const rect = inputElement.getBoundingClientRect();
-    dropdown.style.left = rect.left + 'px';
-    dropdown.style.top = (rect.bottom + 5) + 'px';
-    dropdown.style.width = rect.width + 'px';
+function chartBounds(nodes) {
+  const halfW = CHART_NODE.width / 2;
+  const halfH = CHART_NODE.height / 2;
+  return {
+    minX: Math.min(...nodes.map(n => n.x)) - halfW,
+    maxX: Math.max(...nodes.map(n => n.x)) + halfW,
+    minY: Math.min(...nodes.map(n => n.y)) - halfH,
+    maxY: Math.max(...nodes.map(n => n.y)) + halfH
   };
-  
-  document.body.appendChild(dropdown);
-  
-  // Show suggestions
-  inputElement.addEventListener('input', (e) => {
-    const value = e.target.value.trim();
-    
-    if (value.length < 2) {
-      dropdown.style.display = 'none';
-      return;
-    }
-    
-    const matches = fuzzyFind(value).slice(0, 10);
-    
-    if (matches.length === 0) {
-      dropdown.style.display = 'none';
-      return;
-    }
-    
-    dropdown.innerHTML = matches.map(p => `
-      <div class="autocomplete-item" data-id="${p.id}" style="
-        padding: 10px;
-        cursor: pointer;
-        border-bottom: 1px solid #2a3a5d;
-        color: #fff;
-        transition: background 0.2s;
-      ">
-        <div style="font-weight: 500;">${p.name}</div>
-        <div style="font-size: 0.85rem; color: #9dd3ff;">${(p.bio || '').substring(0, 80)}${p.bio && p.bio.length > 80 ? '...' : ''}</div>
-      </div>
-    `).join('');
-    
-    // Add hover effects and click handlers
-    dropdown.querySelectorAll('.autocomplete-item').forEach(item => {
-      item.addEventListener('mouseenter', () => {
-        item.style.background = '#3a4a7d';
-      });
-      item.addEventListener('mouseleave', () => {
-        item.style.background = 'transparent';
-      });
-      item.addEventListener('click', () => {
-        const person = peopleById[item.dataset.id];
-        if (person) {
-          inputElement.value = person.name;
-          dropdown.style.display = 'none';
-          if (onSelect) onSelect(person);
-        }
-      });
-    });
-    
-    positionDropdown();
-    dropdown.style.display = 'block';
-  });
-  
-  // Close dropdown on outside click
-  document.addEventListener('click', (e) => {
-    if (e.target !== inputElement && !dropdown.contains(e.target)) {
-      dropdown.style.display = 'none';
-    }
-  });
-  
-  // Reposition on scroll/resize
-  window.addEventListener('scroll', positionDropdown);
-  window.addEventListener('resize', positionDropdown);
 }
 
-// ---------- Global UI / Events ----------
-function setupEventListeners() {
-  // Modal close
-  const modal = document.getElementById("infoModal");
-  const closeBtn = document.querySelector(".close");
-  if (closeBtn) closeBtn.onclick = () => (modal.style.display = "none");
-  window.onclick = e => { if (e.target === modal) modal.style.display = "none"; };
+function chartConnector(link, orientation) {
+  return ChartExport.elbowPath(link.from, link.to, orientation, CHART_NODE);
+}
 
-  // Search with autocomplete
-  const searchBtn = document.getElementById("search-btn");
-  const searchInput = document.getElementById("search-input");
-  if (searchBtn && searchInput) {
-    setupAutocomplete(searchInput, (person) => {
-      openModal(person);
-    });
-    searchBtn.addEventListener('click', () => smartSearch(searchInput.value));
-    searchInput.addEventListener('keypress', (e) => { if (e.key === 'Enter') smartSearch(searchInput.value); });
-  }
+function chartLabel(name) {
+  return name.length > 20 ? `${name.slice(0, 19)}…` : name;
+}
 
-  // Lineage tools with autocomplete
-  const linInput = document.getElementById('lin-person');
-  if (linInput) {
-    setupAutocomplete(linInput);
-  }
+function renderChart() {
+  const host = document.getElementById('tree-chart');
+  const root = peopleById[chartState.rootId] || pickRootForUI();
+  if (!host || !root) return;
+  chartState.rootId = root.id;
 
-  // Compare fields with autocomplete
-  const cmpAInput = document.getElementById('cmp-a');
-  const cmpBInput = document.getElementById('cmp-b');
-  if (cmpAInput) setupAutocomplete(cmpAInput);
-  if (cmpBInput) setupAutocomplete(cmpBInput);
+  const layout = layoutChart(root, id => chartState.expanded.has(id), chartState.orientation);
+  chartState.layout = layout;
+  const halfW = CHART_NODE.width / 2;
+  const halfH = CHART_NODE.height / 2;
 
-  // Quick navigation buttons (Jump To)
-  document.querySelectorAll('.nav-btn').forEach(btn => {
-    btn.addEventListener('click', () => jumpToPerson(btn.dataset.person));
-  });
+  const links = layout.links.map(l =>
+    `<path class="chart-link chart-link-${l.type}" d="${chartConnector(l, layout.orientation)}"></path>`
+  ).join('');
 
-  // Lineage tools
-  const btnAnc = document.getElementById('btn-ancestors');
-  const btnDesc = document.getElementById('btn-descendants');
+  const nodes = layout.nodes.map(n => {
+    const name = n.person.name || n.id;
+    const link = n.parentId ? parentLink(n.id, n.parentId) : null;
+    const classes = ['chart-node'];
+    if (n.expanded) classes.push('expanded');
+    if (n.id === chartState.selectedId) classes.push('selected');
+    if (link && link.type !== 'biological') classes.push(`node-link-${link.type}`);
+    // active lineage overlays: outline in the first line's colour, a bar per line along the bottom
+    const colors = lineageColorsFor(n.id);
+    const bar = CHART_NODE.width / Math.max(1, colors.length);
+    if (colors.length) classes.push('lineage-highlight');
+    return `
+      <g class="${classes.join(' ')}" data-person-id="${n.id}" transform="translate(${n.x - halfW},${n.y - halfH})">
+        <title>${name}${link && link.type !== 'biological' ? ` (${link.type} ${link.role || 'parent'})` : ''}</title>
+        <rect width="${CHART_NODE.width}" height="${CHART_NODE.height}" rx="8"${colors.length ? ` style="stroke:${colors[0]}"` : ''}></rect>
+        ${colors.map((c, i) => `<rect class="chart-node-lineage" x="${i * bar}" y="${CHART_NODE.height - 5}" width="${bar}" height="5" style="fill:${c}"></rect>`).join('')}
+        <text class="chart-node-name" x="12" y="${halfH + 5}">${chartLabel(name)}</text>
+        ${n.childCount ? `<text class="chart-node-count" x="${CHART_NODE.width - 10}" y="${halfH + 4}" text-anchor="end">${n.expanded ? '▲' : n.childCount}</text>` : ''}
+      </g>
+    `;
+  }).join('');
 
-  if (btnAnc) btnAnc.addEventListener('click', () => {
-    const id = (document.getElementById('lin-person') || {}).value?.trim();
-    if (!id) return alert('Enter a person id or name');
-    const person = findPerson(id) || (fuzzyFind(id)[0] || null);
-    if (!person) return alert('Person not found');
-    const list = getAncestors(person.id);
-    displayResults(`Ancestors of ${person.name}`, list);
-  });
+  host.innerHTML = `
+    <svg class="chart-svg" xmlns="http://www.w3.org/2000/svg" width="100%" height="100%">
+      <g class="chart-viewport">${links}${nodes}</g>
+    </svg>
+  `;
+  applyChartTransform();
+}
 
-  if (btnDesc) btnDesc.addEventListener('click', () => {
-    const id = (document.getElementById('lin-person') || {}).value?.trim();
-    if (!id) return alert('Enter a person id or name');
-    const person = findPerson(id) || (fuzzyFind(id)[0] || null);
-    if (!person) return alert('Person not found');
-    const list = getDescendants(person.id);
-    displayResults(`Descendants of ${person.name}`, list);
-  });
+function applyChartTransform() {
+  const viewport = document.querySelector('#tree-chart .chart-viewport');
+  const { x, y, k } = chartState.transform;
+  if (viewport) viewport.setAttribute('transform', `translate(${x},${y}) scale(${k})`);
+}
 
-  // Compare
-  const btnCmp = document.getElementById('btn-compare');
-  if (btnCmp) btnCmp.addEventListener('click', () => {
-    const a = (document.getElementById('cmp-a') || {}).value?.trim();
-    const b = (document.getElementById('cmp-b') || {}).value?.trim();
-    if (!a || !b) return alert('Enter both people to compare');
-    const p1 = findPerson(a) || (fuzzyFind(a)[0] || null);
-    const p2 = findPerson(b) || (fuzzyFind(b)[0] || null);
-    if (!p1 || !p2) return alert('One or both people not found');
-    comparePeople(p1.id, p2.id);
-  });
+function chartViewportSize() {
+  const host = document.getElementById('tree-chart');
+  const rect = host ? host.getBoundingClientRect() : { width: 0, height: 0 };
+  return { width: rect.width || 800, height: rect.height || 600 };
+}
 
-  // Chronology
-  const btnChron = document.getElementById('btn-chronology');
-  if (btnChron) btnChron.addEventListener('click', listChronologically);
+// Zoom by `factor` keeping the chart point under (px, py) fixed on screen
+function zoomChartAt(px, py, factor) {
+  const t = chartState.transform;
+  const k = Math.min(CHART_ZOOM.max, Math.max(CHART_ZOOM.min, t.k * factor));
+  t.x = px - (px - t.x) * (k / t.k);
+  t.y = py - (py - t.y) * (k / t.k);
+  t.k = k;
+  applyChartTransform();
 }
 
-// ---------- Search ----------
-function smartSearch(q) {
-  const query = (q || '').trim();
-  if (!query) return;
-  if (isScriptureQuery(query)) return searchByScripture(query);
+function centerChartOn(personId) {
+  const node = chartState.layout && chartState.layout.nodes.find(n => n.id === personId);
+  if (!node) return;
+  const { width, height } = chartViewportSize();
+  const t = chartState.transform;
+  t.x = width / 2 - node.x * t.k;
+  t.y = height / 2 - node.y * t.k;
+  chartState.selectedId = personId;
+  renderChart();
+}
 
-  // name-based search
-  const exact = findPerson(query);
-  if (exact) return openModal(exact);
+function fitChart() {
+  if (!chartState.layout) return;
+  const { minX, maxX, minY, maxY } = chartState.layout.bounds;
+  const { width, height } = chartViewportSize();
+  const pad = 24;
+  const k = Math.min(CHART_ZOOM.max, Math.max(CHART_ZOOM.min,
+    Math.min((width - pad * 2) / (maxX - minX), (height - pad * 2) / (maxY - minY), 1.5)));
+  chartState.transform = {
+    k,
+    x: (width - (maxX - minX) * k) / 2 - minX * k,
+    y: (height - (maxY - minY) * k) / 2 - minY * k
+  };
+  applyChartTransform();
+}
 
-  const results = fuzzyFind(query).slice(0, 25);
-  if (results.length === 0) return alert('No matches found for: ' + query);
-  displayResults(`Matches for "${query}"`, results);
+// Root at the top-centre (vertical) or middle-left (horizontal), at 100%
+function resetChartView() {
+  const root = chartState.layout && chartState.layout.nodes[0];
+  if (!root) return;
+  const { width, height } = chartViewportSize();
+  chartState.transform = chartState.orientation === 'horizontal'
+    ? { k: 1, x: CHART_NODE.width / 2 + 24, y: height / 2 - root.y }
+    : { k: 1, x: width / 2 - root.x, y: CHART_NODE.height / 2 + 24 };
+  applyChartTransform();
 }
 
-function searchByScripture(ref) {
-  const results = Object.values(peopleById).filter(p =>
-    p.scripture && p.scripture.toLowerCase().includes(ref.toLowerCase())
-  );
-  displayResults(`People connected to ${ref}`, results);
+// Re-root the chart (used by the Jump To buttons, search and the view toggle)
+function setChartRoot(personId) {
+  chartState.rootId = personId;
+  chartState.selectedId = personId;
+  chartState.expanded = new Set([personId]);
+  if (treeView !== 'chart') return;
+  renderChart();
+  resetChartView();
 }
 
-// ---------- Lineage helpers ----------
-function getAncestors(id, seen = new Set()) {
-  const ancestors = [];
-  for (const person of Object.values(peopleById)) {
-    if (!person || !Array.isArray(person.descendants)) continue;
-    if (person.descendants.includes(id) && !seen.has(person.id)) {
-      ancestors.push(person);
-      seen.add(person.id);
-      ancestors.push(...getAncestors(person.id, seen));
-    }
-  }
-  // dedupe while preserving order
-  const uniq = [];
-  const seenIds = new Set();
-  for (const p of ancestors) { if (p && !seenIds.has(p.id)) { uniq.push(p); seenIds.add(p.id); } }
-  return uniq;
-}
-
-function getDescendants(id, seen = new Set()) {
-  const person = peopleById[id];
-  if (!person || !Array.isArray(person.descendants)) return [];
-  const out = [];
-  for (const childId of person.descendants) {
-    const child = peopleById[childId] || null;
-    if (child && !seen.has(child.id)) {
-      out.push(child);
-      seen.add(child.id);
-      out.push(...getDescendants(child.id, seen));
-    }
+function toggleChartNode(personId) {
+  const before = chartState.layout && chartState.layout.nodes.find(n => n.id === personId);
+  const person = peopleById[personId];
+  focusPerson(personId);
+  if (!person || !getChildrenArray(person).length) {
+    chartState.selectedId = personId;
+    renderChart();
+    return;
   }
-  // dedupe
-  const uniq = [];
-  const ids = new Set();
-  for (const p of out) { if (p && !ids.has(p.id)) { uniq.push(p); ids.add(p.id); } }
-  return uniq;
-}
 
-// ---------- Themes / Filters (Messianic line kept intact in case you highlight later) ----------
-const messianicLine = [
-  "adam","seth","enos","enosh","kenan","mahalalel","jared","enoch","methuselah","lamach","lamech","noah",
-  "shem","arapachshad","arphaxad","shelah","heber","peleg","reu","serug","nahor","terah","abraham",
-  "isaac","jacob","judah","pharez","perez","hezron","ram","amminadab","nahshon","salmon","boaz",
-  "obed","jesse","david","solomon","rehoboam","abijah","asa","jehoshaphat","joram","uzziah","jotham",
-  "ahaz","hezekiah","manasseh","amon","josiah","jeconiah","jehoiachin","shealtiel","zerubbabel",
-  "abiud","eliakim","azor","zadok","achim","eliud","eleazar","matthan","jacob","joseph","jesus"
-].map(s => s.toLowerCase());
+  if (chartState.expanded.has(personId)) chartState.expanded.delete(personId);
+  else chartState.expanded.add(personId);
+  chartState.selectedId = personId;
+  renderChart();
 
-function highlightMessianicLine() {
-  document.querySelectorAll('.highlight-messianic').forEach(n => n.classList.remove('highlight-messianic'));
-  messianicLine.forEach(id => {
-    const match = Object.values(peopleById).find(p => p.id && p.id.toLowerCase() === id);
-    if (!match) return;
-    const el = document.querySelector(`[data-person-id="${match.id}"]`);
-    if (el) el.classList.add("highlight-messianic");
-  });
+  // keep the clicked person where it was on screen
+  const after = chartState.layout.nodes.find(n => n.id === personId);
+  if (before && after) {
+    chartState.transform.x -= (after.x - before.x) * chartState.transform.k;
+    chartState.transform.y -= (after.y - before.y) * chartState.transform.k;
+    applyChartTransform();
+  }
+  scheduleRouteSync();
 }
 
-function listChronologically() {
-  const ordered = Object.values(peopleById)
-    .filter(p => p && typeof p.scripture === 'string' && p.scripture.trim().length)
-    .sort((a, b) => a.scripture.localeCompare(b.scripture));
-  displayResults("Biblical Figures (Approximate Order)", ordered.slice(0, 250)); // cap to keep UI snappy
+function setTreeView(view) {
+  treeView = view === 'chart' ? 'chart' : 'list';
+  const isChart = treeView === 'chart';
+  document.getElementById('tree-root')?.classList.toggle('hidden', isChart);
+  document.getElementById('tree-chart')?.classList.toggle('hidden', !isChart);
+  document.querySelector('.chart-controls')?.classList.toggle('hidden', !isChart);
+  document.querySelectorAll('.view-btn').forEach(btn => btn.classList.toggle('accent', btn.dataset.view === treeView));
+  scheduleRouteSync();
+  if (!isChart) return;
+
+  // carry the list's expanded branches over to the chart
+  chartState.rootId = treeRootId || chartState.rootId;
+  chartState.expanded = new Set([chartState.rootId, ...expandedNodes]);
+  renderChart();
+  resetChartView();
 }
 
-// ---------- Compare ----------
-function comparePeople(id1, id2) {
-  const p1 = peopleById[id1];
-  const p2 = peopleById[id2];
+/*
+  Pointer handling lives on the #tree-chart container so it survives
+  re-renders. One pointer pans; two pointers pinch-zoom. A press that moved
+  more than a few pixels is a drag and does not count as a click.
+*/
+function setupChartInteractions() {
+  const host = document.getElementById('tree-chart');
+  if (!host) return;
+
+  const pointers = new Map();
+  let moved = false;
+  let pinchDistance = 0;
+  let pressTimer = null;
+  let longPressed = false;
+
+  const local = e => {
+    const rect = host.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+  const spread = () => {
+    const [a, b] = [...pointers.values()];
+    return { distance: Math.hypot(a.x - b.x, a.y - b.y), mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } };
+  };
+
+  host.addEventListener('pointerdown', e => {
+    pointers.set(e.pointerId, local(e));
+    moved = false;
+    longPressed = false;
+    if (pointers.size === 2) pinchDistance = spread().distance;
+
+    const nodeEl = e.target.closest && e.target.closest('.chart-node');
+    clearTimeout(pressTimer);
+    if (nodeEl && e.pointerType === 'touch') {
+      pressTimer = setTimeout(() => {
+        longPressed = true;
+        openModal(peopleById[nodeEl.dataset.personId]);
+      }, 600);
+    }
+  });
+
+  host.addEventListener('pointermove', e => {
+    if (!pointers.has(e.pointerId)) return;
+    const prev = pointers.get(e.pointerId);
+    const point = local(e);
+    pointers.set(e.pointerId, point);
+
+    if (pointers.size === 2) {
+      const { distance, mid } = spread();
+      if (pinchDistance) zoomChartAt(mid.x, mid.y, distance / pinchDistance);
+      pinchDistance = distance;
+      moved = true;
+      clearTimeout(pressTimer);
+      return;
+    }
+    const dx = point.x - prev.x;
+    const dy = point.y - prev.y;
+    if (!moved && Math.abs(dx) + Math.abs(dy) < 4) {
+      pointers.set(e.pointerId, prev); // still a click until it travels a little
+      return;
+    }
+    moved = true;
+    clearTimeout(pressTimer);
+    chartState.transform.x += dx;
+    chartState.transform.y += dy;
+    applyChartTransform();
+  });
+
+  const release = e => {
+    pointers.delete(e.pointerId);
+    if (pointers.size < 2) pinchDistance = 0;
+    clearTimeout(pressTimer);
+  };
+  ['pointerup', 'pointercancel', 'pointerleave'].forEach(evt => host.addEventListener(evt, release));
+
+  host.addEventListener('wheel', e => {
+    e.preventDefault();
+    const { x, y } = local(e);
+    zoomChartAt(x, y, Math.exp(-e.deltaY * 0.0015));
+  }, { passive: false });
+
+  host.addEventListener('click', e => {
+    const nodeEl = e.target.closest && e.target.closest('.chart-node');
+    if (!nodeEl || moved || longPressed) return;
+    toggleChartNode(nodeEl.dataset.personId);
+  });
+
+  host.addEventListener('dblclick', e => {
+    const nodeEl = e.target.closest && e.target.closest('.chart-node');
+    if (nodeEl && peopleById[nodeEl.dataset.personId]) openModal(peopleById[nodeEl.dataset.personId]);
+  });
+}
+
+function setupTreeViewControls() {
+  document.querySelectorAll('.view-btn').forEach(btn => {
+    btn.addEventListener('click', () => setTreeView(btn.dataset.view));
+  });
+
+  const orientation = document.getElementById('chart-orientation');
+  if (orientation) orientation.addEventListener('change', () => {
+    chartState.orientation = orientation.value;
+    renderChart();
+    resetChartView();
+    scheduleRouteSync();
+  });
+
+  document.querySelectorAll('.chart-controls [data-zoom]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const { width, height } = chartViewportSize();
+      switch (btn.dataset.zoom) {
+        case 'in': zoomChartAt(width / 2, height / 2, CHART_ZOOM.step); break;
+        case 'out': zoomChartAt(width / 2, height / 2, 1 / CHART_ZOOM.step); break;
+        case 'fit': fitChart(); break;
+        case 'center': centerChartOn(chartState.selectedId || chartState.rootId); break;
+      }
+    });
+  });
+
+  setupChartInteractions();
+}
+
+// ---------- Printable Charts ----------
+/*
+  Standalone lineage charts for printing, built from the same layout as the
+  Chart view. Ancestors grow upwards (or leftwards) from the chosen person
+  and descendants downwards; "both" joins the two at that person. SVG is
+  written directly; PNG and PDF are rasterised locally through a canvas.
+*/
+const PRINT_RASTER_SCALE = 2;      // canvas pixels per chart pixel
+const PRINT_MAX_CANVAS = 16000;    // keep single-canvas PNGs within browser limits
+
+function lineageChartLayout(personId, direction, depth, orientation) {
+  const root = peopleById[personId];
+  const within = (id, d) => d < depth;
+  const vertical = orientation !== 'horizontal';
+
+  const down = direction !== 'ancestors' ? layoutChart(root, within, orientation) : null;
+  const up = direction !== 'descendants'
+    ? layoutChart(root, within, orientation, {
+        childrenOf: p => getParents(p.id),
+        linkType: (childId, parentId) => {
+          const link = parentLink(childId, parentId);
+          return link ? link.type : 'biological';
+        }
+      })
+    : null;
+
+  const nodes = down ? down.nodes.slice() : [];
+  const links = down ? down.links.slice() : [];
+  if (up) {
+    // mirror the ancestor layout and line its root up with the descendant root
+    const anchor = down ? down.nodes[0] : up.nodes[0];
+    const upRoot = up.nodes[0];
+    const shift = vertical ? anchor.x - upRoot.x : anchor.y - upRoot.y;
+    for (const n of up.nodes) {
+      if (vertical) { n.x += shift; n.y = -n.y; } else { n.y += shift; n.x = -n.x; }
+    }
+    nodes.push(...(down ? up.nodes.slice(1) : up.nodes));
+    links.push(...up.links);
+  }
+
+  const printable = nodes.map(n => {
+    const link = n.parentId ? (parentLink(n.id, n.parentId) || parentLink(n.parentId, n.id)) : null;
+    return {
+      id: n.id,
+      x: n.x,
+      y: n.y,
+      name: n.person.name || n.id,
+      note: link && link.type !== 'biological' ? link.type : '',
+      root: n.id === personId && n.depth === 0
+    };
+  });
+  return { nodes: printable, links, bounds: chartBounds(nodes), orientation: vertical ? 'vertical' : 'horizontal' };
+}
+
+function lineageChartSvg(personId, settings) {
+  const person = peopleById[personId];
+  const layout = lineageChartLayout(personId, settings.direction, settings.depth, settings.orientation);
+  const label = { ancestors: 'Ancestors', descendants: 'Descendants', both: 'Ancestors and descendants' }[settings.direction];
+  const chart = ChartExport.chartToSvg(layout, {
+    size: CHART_NODE,
+    title: `${label} of ${person.name}`,
+    subtitle: `${settings.depth} generation(s) · ${layout.nodes.length} people · Biblical Genealogy Explorer`
+  });
+  return Object.assign(chart, { people: layout.nodes.length });
+}
+
+function loadSvgImage(svg) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    const img = new Image();
+    img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+    img.onerror = () => { URL.revokeObjectURL(url); reject(new Error('Could not rasterise the chart')); };
+    img.src = url;
+  });
+}
+
+// Draw the region (x, y, width, height) of the chart onto a new white canvas
+function rasterizeRegion(img, region, scale) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(region.width * scale));
+  canvas.height = Math.max(1, Math.round(region.height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.setTransform(scale, 0, 0, scale, -region.x * scale, -region.y * scale);
+  ctx.drawImage(img, 0, 0, img.width || region.width, img.height || region.height);
+  return canvas;
+}
+
+function canvasBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => canvas.toBlob(b => (b ? resolve(b) : reject(new Error('Canvas export failed'))), type, quality));
+}
+
+async function downloadChartPng(chart, filename) {
+  const img = await loadSvgImage(chart.svg);
+  const scale = Math.min(PRINT_RASTER_SCALE, PRINT_MAX_CANVAS / Math.max(chart.width, chart.height));
+  const canvas = rasterizeRegion(img, { x: 0, y: 0, width: chart.width, height: chart.height }, scale);
+  downloadFile(filename, await canvasBlob(canvas, 'image/png'), 'image/png');
+}
+
+// Page count at 100% on the chosen paper (the chart's longer side runs along the page's)
+function chartPdfPlan(chart, settings) {
+  const pages = ChartExport.pageLayout(settings.paper, chart.width >= chart.height);
+  const fits = chart.width <= pages.areaPx.width && chart.height <= pages.areaPx.height;
+  const tiles = settings.fitPage || fits
+    ? [{ x: 0, y: 0, width: chart.width, height: chart.height, row: 1, column: 1 }]
+    : ChartExport.tileGrid(chart.width, chart.height, pages.areaPx.width, pages.areaPx.height);
+  return { landscape: chart.width >= chart.height, tiles };
+}
+
+async function downloadChartPdf(chart, settings, filename, title) {
+  const plan = chartPdfPlan(chart, settings);
+  const img = await loadSvgImage(chart.svg);
+  const single = plan.tiles.length === 1;
+  const scale = single
+    ? Math.min(PRINT_RASTER_SCALE, PRINT_MAX_CANVAS / Math.max(chart.width, chart.height))
+    : PRINT_RASTER_SCALE;
+
+  const pages = [];
+  for (const tile of plan.tiles) {
+    const canvas = rasterizeRegion(img, tile, scale);
+    const jpeg = new Uint8Array(await (await canvasBlob(canvas, 'image/jpeg', 0.92)).arrayBuffer());
+    pages.push({ jpeg, width: canvas.width, height: canvas.height, caption: single ? '' : `row ${tile.row}, column ${tile.column}` });
+  }
+  const pdf = ChartExport.buildPdf(pages, { pageSize: settings.paper, landscape: plan.landscape, title });
+  downloadFile(filename, pdf, 'application/pdf');
+}
+
+function openChartExport(person) {
+  const modal = document.getElementById("infoModal");
+  const content = document.getElementById("person-info");
+  modal.style.display = "block";
+  recordModal(null);
+  content.innerHTML = `
+    <h2>Printable Chart: ${person.name}</h2>
+    <div class="chart-export-form">
+      <label>Direction
+        <select id="cx-direction">
+          <option value="descendants">Descendants</option>
+          <option value="ancestors">Ancestors</option>
+          <option value="both">Both</option>
+        </select>
+      </label>
+      <label>Generations <input type="number" id="cx-depth" min="1" max="40" value="3"></label>
+      <label>Layout
+        <select id="cx-orientation">
+          <option value="vertical">Top-down</option>
+          <option value="horizontal">Left-to-right</option>
+        </select>
+      </label>
+      <label>Paper
+        <select id="cx-paper">
+          <option value="a4">A4</option>
+          <option value="letter">Letter</option>
+        </select>
+      </label>
+      <label><input type="checkbox" id="cx-fit"> Fit PDF on one page</label>
+    </div>
+    <p class="chart-export-summary"></p>
+    <div class="report-actions">
+      <button class="pill-btn" data-format="svg">Download SVG</button>
+      <button class="pill-btn" data-format="png">Download PNG</button>
+      <button class="pill-btn" data-format="pdf">Download PDF</button>
+    </div>
+    <div class="chart-export-preview"></div>
+  `;
+
+  const field = id => content.querySelector(id);
+  const settings = () => ({
+    direction: field('#cx-direction').value,
+    depth: Math.max(1, Math.min(40, parseInt(field('#cx-depth').value, 10) || 1)),
+    orientation: field('#cx-orientation').value,
+    paper: field('#cx-paper').value,
+    fitPage: field('#cx-fit').checked
+  });
+  let chart = null;
+
+  const refresh = () => {
+    const s = settings();
+    chart = lineageChartSvg(person.id, s);
+    const plan = chartPdfPlan(chart, s);
+    field('.chart-export-summary').textContent =
+      `${chart.people} people · ${chart.width} × ${chart.height} px · PDF: ${plan.tiles.length} page(s)`;
+    field('.chart-export-preview').innerHTML = chart.svg.replace(/^<\?xml[^>]*>\s*/, '');
+  };
+  content.querySelectorAll('.chart-export-form select, .chart-export-form input').forEach(el =>
+    el.addEventListener('change', refresh));
+
+  content.querySelectorAll('[data-format]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const s = settings();
+      const base = `${person.id}-${s.direction}-${s.depth}`;
+      btn.disabled = true;
+      try {
+        if (btn.dataset.format === 'svg') downloadFile(`${base}.svg`, chart.svg, 'image/svg+xml');
+        else if (btn.dataset.format === 'png') await downloadChartPng(chart, `${base}.png`);
+        else await downloadChartPdf(chart, s, `${base}.pdf`, `${person.name} (${s.direction})`);
+      } catch (err) {
+        console.error('Chart export failed:', err);
+        alert(`Chart export failed: ${err.message}`);
+      } finally {
+        btn.disabled = false;
+      }
+    });
+  });
+
+  refresh();
+}
+
+// ---------- Modal ----------
+function familyLinks(entries) {
+  return entries.map(({ id, label }) =>
+    `<span class="lineage-link" data-person-id="${id}">${peopleById[id].name}</span>${label ? ` <small>(${label})</small>` : ''}`
+  ).join(', ');
+}
+
+// "Also known as: Enos (KJV spelling), ..." from one or two records of the same person
+function aliasLine(...records) {
+  const seen = new Set();
+  const aliases = records.flatMap(entityAliases).filter(a => !seen.has(a.name) && seen.add(a.name));
+  if (!aliases.length) return '';
+  return `<p class="alias-line"><strong>Also known as:</strong> ${aliases
+    .map(a => a.type === 'variant' ? a.name : `${a.name} <small>(${ALIAS_LABELS[a.type]})</small>`).join(', ')}</p>`;
+}
+
+/*
+  Lifespans, reigns and ages at fathering come straight from the data; birth
+  and death years Anno Mundi are worked out along the chain from Adam
+  (core.annoMundi). yearsText picks which numbers to follow: 'mt' (Masoretic)
+  or 'lxx' (Septuagint); the picker in the modal switches it.
+*/
+let yearsText = 'mt';
+
+function formatYears(n) {
+  return n < 1 ? `${Math.round(n * 12)} months` : `${n} years`;
+}
+
+// "Septuagint: 753" when the other text disagrees, else ''
+function otherTextYears(years) {
+  const other = yearsText === 'mt' ? 'lxx' : 'mt';
+  const via = fatheringVia(years, other);
+  return years[other] !== years[yearsText] || via ? `${GenealogyCore.YEAR_TEXTS[other]}: ${years[other]}${via}` : '';
+}
+
+// ", fathering Cainan, who was 130 at the birth" when this text puts a generation in between
+function fatheringVia(ages, text) {
+  return ages.via && ages.via[text] !== undefined ? `, fathering ${ages.via.name}, who was ${ages.via[text]} at the birth` : '';
+}
+
+function yearsValue(years) {
+  const other = otherTextYears(years);
+  return `${formatYears(years[yearsText])}${other ? ` <small>(${other})</small>` : ''}`;
+}
+
+function yearsSection(person) {
+  const dated = annoMundi(yearsText).get(person.id);
+  const fathered = Object.entries(person.age_at_fathering || {}).filter(([id]) => peopleById[id]);
+  const dates = timelineDates(person);
+  if (!dated && !person.lifespan && !person.reign_years && !fathered.length && !dates) return '';
+  const alive = dated ? contemporaries(person.id, yearsText) : [];
+  const ownYears = [person.lifespan, person.reign_years, ...fathered.map(([, ages]) => ages)].filter(Boolean);
+  const textMatters = dated || ownYears.some(years => otherTextYears(years));
+
+  return `
+    <div class="years-section">
+      <h3>⏳ Years</h3>
+      ${textMatters ? `<p class="years-text-picker">
+        <label>Numbers from the
+          <select class="years-text">
+            ${Object.entries(GenealogyCore.YEAR_TEXTS).map(([key, label]) =>
+              `<option value="${key}"${key === yearsText ? ' selected' : ''}>${label}</option>`).join('')}
+          </select>
+          text</label>
+      </p>` : ''}
+      ${dated ? `<p><strong>Born:</strong> AM ${dated.born}${dated.died !== null ? ` · <strong>Died:</strong> AM ${dated.died}` : ''}</p>` : ''}
+      ${person.lifespan ? `<p><strong>Lifespan:</strong> ${yearsValue(person.lifespan)}</p>` : ''}
+      ${person.reign_years ? `<p><strong>Reigned:</strong> ${yearsValue(person.reign_years)}</p>` : ''}
+      ${dates}
+      ${fathered.length ? `<p><strong>Became a father of:</strong> ${fathered.map(([id, ages]) =>
+        `<span class="lineage-link" data-person-id="${id}">${peopleById[id].name}</span> <small>(at ${[ages[yearsText] + fatheringVia(ages, yearsText), otherTextYears(ages)].filter(Boolean).join('; ')})</small>`).join(', ')}</p>` : ''}
+      ${alive.length ? `<p><strong>Alive at the same time:</strong> ${familyLinks(alive.map(c => ({ id: c.id, label: `together AM ${c.from}–${c.to}` })))}</p>` : ''}
+    </div>
+  `;
+}
+
+function openModal(personData) {
+  const modal = document.getElementById("infoModal");
+  const modalContent = document.getElementById("person-info");
+  const person = peopleById[personData.id] || personData;
+  const figure = linkedFigure(person.id);
+
+  const name = person.name || person.id || 'Unknown';
+  const bio = person.bio || 'No biography available.';
+  const scripture = person.scripture || 'No scripture refs.';
+  const children = getChildrenArray(person);
+  const descendantsCount = children.length;
+
+  const parents = (person.parents || [])
+    .filter(l => peopleById[l.id])
+    .map(l => ({ id: l.id, label: parentRoleLabel(person.id, l.id) }))
+    .sort((a, b) => a.label.endsWith('mother') - b.label.endsWith('mother'));
+  const spouses = (person.spouses || [])
+    .filter(l => peopleById[l.id])
+    .map(l => ({ id: l.id, label: spouseLabel(l) }));
+  const childEntries = children.map(c => {
+    const mother = c.mother && c.mother !== person.id && peopleById[c.mother] ? `by ${peopleById[c.mother].name}` : '';
+    const link = parentLink(c.id, person.id);
+    const type = link && link.type !== 'biological' ? link.type : '';
+    return { id: c.id, label: [type, mother].filter(Boolean).join(', ') };
+  });
+
+  modal.style.display = "block";
+  modalContent.innerHTML = `
+    <h2>${name}${tribeBadge(person.id)}</h2>
+    ${editMode ? `<div class="report-actions">${editEntryButtons(person.id, figure ? person.id : null)}</div>` : ''}
+    ${figure ? `
+      <div class="bio-section">
+        <h3>Category & Time Period</h3>
+        <p><strong>Category:</strong> ${figure.category}</p>
+        <p><strong>Time Period:</strong> ${figure.time_period}</p>
+      </div>
+    ` : ''}
+    <div class="bio-section">
+      <h3>Biography</h3>
+      ${aliasLine(person, figure)}
+      <p>${bio}</p>
+    </div>
+    ${figure && figure.popular_stories && figure.popular_stories.length > 0 ? `
+      <div class="stories-section">
+        <h3>📖 Popular Stories</h3>
+        <ul class="stories-list">
+          ${figure.popular_stories.map(story => `<li>${story}</li>`).join('')}
+        </ul>
+      </div>
+    ` : ''}
+    <div class="scripture-section">
+      <h3>📖 Scripture References</h3>
+      <p class="scripture-refs">${scripture}</p>
+    </div>
+    ${parents.length || spouses.length ? `
+      <div class="family-section">
+        <h3>Family</h3>
+        ${parents.length ? `<p><strong>Parents:</strong> ${familyLinks(parents)}</p>` : ''}
+        ${spouses.length ? `<p><strong>Spouses:</strong> ${familyLinks(spouses)}</p>` : ''}
+      </div>
+    ` : ''}
+    ${yearsSection(person)}
+    <div class="descendants-section">
+      <h3>Descendants</h3>
+      <p>${descendantsCount} direct descendant(s) recorded</p>
+      ${childEntries.length ? `<p>${familyLinks(childEntries)}</p>` : ''}
+    </div>
+  `;
+
+  modalContent.querySelectorAll('.lineage-link').forEach(link => {
+    link.addEventListener('click', () => {
+      const target = peopleById[link.dataset.personId];
+      if (target) openModal(target);
+    });
+  });
+  modalContent.querySelectorAll('.tribe-badge').forEach(badge => {
+    badge.addEventListener('click', () => showTribes(badge.dataset.tribe));
+  });
+  bindEditEntryButtons(modalContent);
+  const textPicker = modalContent.querySelector('.years-text');
+  if (textPicker) textPicker.addEventListener('change', () => {
+    yearsText = textPicker.value;
+    openModal(person);
+  });
+  recordModal({ modal: 'bio', id: person.id });
+}
+
+// ---------- Autocomplete ----------
+/*
+  setupAutocomplete(input, onSelect, options)
+  - options.includeFigures: suggest from both datasets, ranked by searchAll()
+  Entries reached through an alias say which one, and people who share a
+  name carry their descriptor ("husband of Mary"); when nothing matches, the
+  closest names by spelling are offered under "Did you mean".
+  The chosen entry's id is kept in input.dataset.selectedId (cleared on typing)
+  so tools can tell apart people who share a display name.
+  Returns the dropdown, so inputs that come and go can remove theirs.
+*/
+function setupAutocomplete(inputElement, onSelect, options = {}) {
+  if (!inputElement) return;
+  
+  // Create dropdown container
+  const dropdown = document.createElement('div');
+  dropdown.className = 'autocomplete-dropdown';
+  dropdown.style.cssText = `
+    position: absolute;
+    background: #1a2332;
+    border: 2px solid #3a4a7d;
+    border-radius: 8px;
+    max-height: 300px;
+    overflow-y: auto;
+    z-index: 1000;
+    display: none;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.5);
+  `;
+  
+  // Position dropdown below input
+  const positionDropdown = () => {
+    const rect = inputElement.getBoundingClientRect();
+    dropdown.style.left = rect.left + 'px';
+    dropdown.style.top = (rect.bottom + 5) + 'px';
+    dropdown.style.width = rect.width + 'px';
+  };
+  
+  document.body.appendChild(dropdown);
+  
+  // Show suggestions
+  inputElement.addEventListener('input', (e) => {
+    const value = e.target.value.trim();
+    delete inputElement.dataset.selectedId;
+    
+    if (value.length < 2) {
+      dropdown.style.display = 'none';
+      return;
+    }
+    
+    let matches = (options.includeFigures ? searchAll(value) : fuzzyFind(value)).slice(0, 10);
+    const guessing = matches.length === 0;
+    if (guessing) matches = suggestNames(value).filter(p => options.includeFigures || !p.isFigure);
+    
+    if (matches.length === 0) {
+      dropdown.style.display = 'none';
+      return;
+    }
+    
+    dropdown.innerHTML = (guessing ? `<div style="padding: 6px 10px; font-size: 0.8rem; color: #c7e3ff; font-style: italic;">Did you mean…</div>` : '') + matches.map(p => `
+      <div class="autocomplete-item" data-id="${p.id}" data-kind="${p.isFigure ? 'figure' : 'person'}" style="
+        padding: 10px;
+        cursor: pointer;
+        border-bottom: 1px solid #2a3a5d;
+        color: #fff;
+        transition: background 0.2s;
+      ">
+        <div style="font-weight: 500;">${p.name}${namesakeDescriptor(p) ? `<span style="font-weight: normal; font-style: italic; color: #c7e3ff;">, ${namesakeDescriptor(p)}</span>` : ''}${entityCategory(p) ? ` <span style="font-size: 0.75rem; color: #c7e3ff;">· ${entityCategory(p)}</span>` : ''}</div>
+        ${matchedAliasLabel(p, value) ? `<div style="font-size: 0.8rem; color: #ffd98a;">matched ${matchedAliasLabel(p, value)}</div>` : ''}
+        <div style="font-size: 0.85rem; color: #9dd3ff;">${(p.bio || '').substring(0, 80)}${p.bio && p.bio.length > 80 ? '...' : ''}</div>
+      </div>
+    `).join('');
+    
+    // Add hover effects and click handlers
+    dropdown.querySelectorAll('.autocomplete-item').forEach(item => {
+      item.addEventListener('mouseenter', () => {
+        item.style.background = '#3a4a7d';
+      });
+      item.addEventListener('mouseleave', () => {
+        item.style.background = 'transparent';
+      });
+      item.addEventListener('click', () => {
+        const figure = biblicalFigures[item.dataset.id];
+        const person = item.dataset.kind === 'figure'
+          ? (figure ? figureAsResult(item.dataset.id, figure) : null)
+          : peopleById[item.dataset.id];
+        if (person) {
+          inputElement.value = person.name;
+          inputElement.dataset.selectedId = person.id;
+          dropdown.style.display = 'none';
+          if (onSelect) onSelect(person);
+        }
+      });
+    });
+    
+    positionDropdown();
+    dropdown.style.display = 'block';
+  });
+  
+  // Close dropdown on outside click
+  document.addEventListener('click', (e) => {
+    if (e.target !== inputElement && !dropdown.contains(e.target)) {
+      dropdown.style.display = 'none';
+    }
+  });
+  
+  // Reposition on scroll/resize
+  window.addEventListener('scroll', positionDropdown);
+  window.addEventListener('resize', positionDropdown);
+
+  return dropdown;
+}
+
+// ---------- Global UI / Events ----------
+function setupEventListeners() {
+  // Modal close
+  const modal = document.getElementById("infoModal");
+  const closeBtn = document.querySelector(".close");
+  if (closeBtn) closeBtn.onclick = closeModal;
+  window.onclick = e => { if (e.target === modal) closeModal(); };
+
+  // Search with autocomplete
+  const searchBtn = document.getElementById("search-btn");
+  const searchInput = document.getElementById("search-input");
+  if (searchBtn && searchInput) {
+    setupAutocomplete(searchInput, (entity) => {
+      openEntity(entity.id);
+    }, { includeFigures: true });
+    searchBtn.addEventListener('click', () => smartSearch(searchInput.value));
+    searchInput.addEventListener('keypress', (e) => { if (e.key === 'Enter') smartSearch(searchInput.value); });
+  }
+
+  // Lineage tools with autocomplete (either dataset)
+  const linInput = document.getElementById('lin-person');
+  if (linInput) {
+    setupAutocomplete(linInput, null, { includeFigures: true });
+  }
+  const linInputB = document.getElementById('lin-person-b');
+  if (linInputB) {
+    setupAutocomplete(linInputB, null, { includeFigures: true });
+  }
+
+  // Compare fields with autocomplete
+  const cmpAInput = document.getElementById('cmp-a');
+  const cmpBInput = document.getElementById('cmp-b');
+  if (cmpAInput) setupAutocomplete(cmpAInput, null, { includeFigures: true });
+  if (cmpBInput) setupAutocomplete(cmpBInput, null, { includeFigures: true });
+
+  // Quick navigation buttons (Jump To)
+  document.querySelectorAll('.nav-btn').forEach(btn => {
+    btn.addEventListener('click', () => jumpToPerson(btn.dataset.person));
+  });
+
+  // Lineage tools
+  const btnAnc = document.getElementById('btn-ancestors');
+  const btnDesc = document.getElementById('btn-descendants');
+
+  const btnConn = document.getElementById('btn-connection');
+
+  // Lineage inputs accept either dataset; ancestors/descendants need a genealogy entry
+  // (a shared name is settled through the chooser first)
+  const withLineagePerson = then => {
+    const input = document.getElementById('lin-person');
+    if (!input || !input.value.trim()) return alert('Enter a person id or name');
+    chooseEntity(input, entity => {
+      if (!entity) return alert(notFoundMessage(input.value.trim()));
+      if (!peopleById[entity.id]) return alert(`${entity.name} is not part of the recorded genealogy`);
+      then(peopleById[entity.id]);
+    });
+  };
+
+  if (btnAnc) btnAnc.addEventListener('click', () => withLineagePerson(showAncestors));
+
+  if (btnDesc) btnDesc.addEventListener('click', () => withLineagePerson(person => showDescendants(person)));
+
+  const btnPrint = document.getElementById('btn-print-chart');
+  if (btnPrint) btnPrint.addEventListener('click', () => withLineagePerson(openChartExport));
+
+  if (btnConn) btnConn.addEventListener('click', () => {
+    const inputA = document.getElementById('lin-person');
+    const inputB = document.getElementById('lin-person-b');
+    if (!inputA?.value.trim() || !inputB?.value.trim()) return alert('Enter both people to connect');
+    chooseEntity(inputA, a => {
+      if (!a) return alert(notFoundMessage(inputA.value.trim()));
+      chooseEntity(inputB, b => {
+        if (!b) return alert(notFoundMessage(inputB.value.trim()));
+        showConnection(a.id, b.id);
+      });
+    });
+  });
+
+  // Compare
+  const btnCmp = document.getElementById('btn-compare');
+  if (btnCmp) btnCmp.addEventListener('click', () => {
+    const inputA = document.getElementById('cmp-a');
+    const inputB = document.getElementById('cmp-b');
+    if (!inputA?.value.trim() || !inputB?.value.trim()) return alert('Enter both people to compare');
+    chooseEntity(inputA, p1 => {
+      if (!p1) return alert(notFoundMessage(inputA.value.trim()));
+      chooseEntity(inputB, p2 => {
+        if (!p2) return alert(notFoundMessage(inputB.value.trim()));
+        comparePeople(p1.id, p2.id);
+      });
+    });
+  });
+
+  // Tribes
+  const tribeSelect = document.getElementById('tribe-select');
+  if (tribeSelect) {
+    tribeSelect.innerHTML = '<option value="">All tribes</option>' +
+      TRIBES.map(t => `<option value="${t.key}">${t.name}${t.half ? ' (half-tribe)' : ''}</option>`).join('');
+  }
+  const btnTribes = document.getElementById('btn-tribes');
+  if (btnTribes) btnTribes.addEventListener('click', () => showTribes(tribeSelect && tribeSelect.value));
+
+  // Chronology
+  const btnChron = document.getElementById('btn-chronology');
+  if (btnChron) btnChron.addEventListener('click', listChronologically);
+
+  // Data report / cache
+  const btnValidate = document.getElementById('btn-validate');
+  if (btnValidate) btnValidate.addEventListener('click', showValidationReport);
+  const btnCache = document.getElementById('btn-cache');
+  if (btnCache) btnCache.addEventListener('click', showCacheManager);
+
+  // GEDCOM export / import
+  const btnGedExport = document.getElementById('btn-gedcom-export');
+  if (btnGedExport) btnGedExport.addEventListener('click', exportGedcomFile);
+  const gedInput = document.getElementById('gedcom-file');
+  const btnGedImport = document.getElementById('btn-gedcom-import');
+  if (btnGedImport && gedInput) {
+    btnGedImport.addEventListener('click', () => gedInput.click());
+    gedInput.addEventListener('change', () => {
+      if (gedInput.files[0]) importGedcomFile(gedInput.files[0]);
+      gedInput.value = '';
+    });
+  }
+
+  // List / chart rendering of the tree
+  setupTreeViewControls();
+}
+
+// ---------- Search ----------
+function smartSearch(q, tribe = null) {
+  const query = (q || '').trim();
+  if (!query) return;
+  const tribeFilter = {
+    value: tribe,
+    onChange: t => recordModal({ modal: 'search', q: query, tribe: t })
+  };
+  if (isScriptureQuery(query)) {
+    searchByScripture(query, tribeFilter);
+    return recordModal({ modal: 'search', q: query, tribe });
+  }
+
+  // a name several people share asks which one is meant
+  const namesakes = namesakesFor(query);
+  if (namesakes.length > 1) {
+    showNamesakes(query, namesakes, entity => openEntity(entity.id));
+    return recordModal({ modal: 'search', q: query });
+  }
+
+  // name-based search over both datasets
+  const exact = findPerson(query) || findFigure(query);
+  if (exact) return openEntity(exact.id);
+
+  const results = searchAll(query).slice(0, 25);
+  if (results.length === 0) {
+    const suggestions = suggestNames(query);
+    if (!suggestions.length) return alert('No matches found for: ' + query);
+    displayResults(`No matches for "${query}" — did you mean`, suggestions);
+    return recordModal({ modal: 'search', q: query });
+  }
+  displayResults(`Matches for "${query}"`, results, {
+    tribeFilter,
+    annotate: p => {
+      const alias = matchedAliasLabel(p, query);
+      return alias && `Matched ${alias}`;
+    }
+  });
+  recordModal({ modal: 'search', q: query, tribe });
+}
+
+// ---------- Scripture Search ----------
+// Page-side indexes over both datasets are rebuilt on next use after a
+// (re)load; the core drops its own (scripture, connections) as it loads
+function invalidateDerivedIndexes() {
+  tribeIndex = null;
+  namesakeIndex = null;
+}
+
+function searchByScripture(ref, tribeFilter) {
+  const results = core.searchScripture(ref);
+  const label = Scripture.parse(ref).map(Scripture.format).join('; ') || ref;
+  displayResults(`People connected to ${label}`, results, {
+    annotate: p => p.matchedRefs.map(Scripture.format).join('; '),
+    tribeFilter
+  });
+}
+
+// ---------- Lineage helpers ----------
+function showAncestors(person) {
+  const generations = ancestorGenerations(person.id);
+  const list = getAncestors(person.id);
+  displayResults(`Ancestors of ${person.name}`, list, {
+    annotate: a => {
+      const { generations: n, via } = generations.get(a.id);
+      return `Generation ${n} · ${parentRoleLabel(via, a.id)} of ${peopleById[via].name}`;
+    }
+  });
+  recordModal({ modal: 'ancestors', id: person.id });
+}
+
+function showDescendants(person, tribe = null) {
+  const list = getDescendants(person.id);
+  displayResults(`Descendants of ${person.name}`, list, {
+    annotate: d => (d.parents || [])
+      .filter(l => peopleById[l.id] && (l.id === person.id || list.some(x => x.id === l.id)))
+      .map(l => `${childLabel(d.id, l.id)} of ${peopleById[l.id].name}`)
+      .join('; '),
+    tribeFilter: {
+      value: tribe,
+      onChange: t => recordModal({ modal: 'descendants', id: person.id, tribe: t })
+    }
+  });
+  recordModal({ modal: 'descendants', id: person.id, tribe });
+}
+
+// ---------- Connections (both datasets) ----------
+function connectionSteps(path) {
+  return path.map(step => `
+    ${step.label ? `<span class="connection-edge">${step.label}</span>` : ''}
+    <span class="lineage-link" data-entity-id="${step.id}">${step.name}</span>
+  `).join('');
+}
+
+function showConnection(fromId, toId) {
+  const modal = document.getElementById("infoModal");
+  const content = document.getElementById("person-info");
+  const path = findConnection(fromId, toId);
+  modal.style.display = "block";
+  recordModal({ modal: 'connection', a: fromId, b: toId });
+
+  const title = `How are ${entityName(fromId)} and ${entityName(toId)} connected?`;
+  if (!path) {
+    content.innerHTML = `<h2>${title}</h2><p>No connection is recorded between them.</p>`;
+    return;
+  }
+
+  content.innerHTML = `
+    <h2>${title}</h2>
+    <p>${path.length - 1} step(s), read left to right: each person is linked to the next as labeled.</p>
+    <div class="connection-path">${connectionSteps(path)}</div>
+  `;
+
+  content.querySelectorAll('.lineage-link').forEach(link => {
+    link.addEventListener('click', () => {
+      const id = link.dataset.entityId;
+      if (peopleById[id]) {
+        closeModal();
+        jumpToPerson(id);
+      } else if (biblicalFigures[id]) {
+        openFigureModal(biblicalFigures[id], id);
+      }
+    });
+  });
+}
+
+// ---------- Tribes ----------
+/*
+  A person's tribe is that of the nearest son of Jacob above them, walking
+  father links first and mothers only when no father line reaches one.
+  Joseph's descendants stop at Ephraim or Manasseh, the two half-tribes;
+  Joseph himself stays "Joseph". Figures take the tribe of their genealogy
+  entry (same slug) when it has one, otherwise one their bio names
+  ("tribe of Dan", "a Benjamite").
+*/
+const TRIBES = [
+  { key: 'reuben', name: 'Reuben', founder: 'reuben', demonyms: ['Reubenite'] },
+  { key: 'simeon', name: 'Simeon', founder: 'simeon', demonyms: ['Simeonite'] },
+  { key: 'levi', name: 'Levi', founder: 'levi', demonyms: ['Levite'] },
+  { key: 'judah', name: 'Judah', founder: 'judah', demonyms: ['Judahite'] },
+  { key: 'dan', name: 'Dan', founder: 'dan', demonyms: ['Danite'] },
+  { key: 'naphtali', name: 'Naphtali', founder: 'naphtali', demonyms: ['Naphtalite'] },
+  { key: 'gad', name: 'Gad', founder: 'gad', demonyms: ['Gadite'] },
+  { key: 'asher', name: 'Asher', founder: 'asher', demonyms: ['Asherite'] },
+  { key: 'issachar', name: 'Issachar', founder: 'issachar', demonyms: [] },
+  { key: 'zebulun', name: 'Zebulun', founder: 'zebulun', demonyms: ['Zebulunite'] },
+  { key: 'joseph', name: 'Joseph', founder: 'joseph', demonyms: [], note: 'counted as the half-tribes of Ephraim and Manasseh' },
+  { key: 'ephraim', name: 'Ephraim', founder: 'ephraim', half: true, demonyms: ['Ephraimite'] },
+  { key: 'manasseh', name: 'Manasseh', founder: 'manasseh_joseph', half: true, demonyms: [] },
+  { key: 'benjamin', name: 'Benjamin', founder: 'benjamin', demonyms: ['Benjamite', 'Benjaminite'] }
+];
+const tribesByKey = Object.fromEntries(TRIBES.map(t => [t.key, t]));
+const tribesByFounder = Object.fromEntries(TRIBES.map(t => [t.founder, t]));
+
+let tribeIndex = null;        // Map(entityId -> tribe key), rebuilt after a (re)load
+
+// Breadth-first up the parent links; fathers only unless anyParent
+function nearestTribe(personId, anyParent) {
+  const seen = new Set([personId]);
+  let frontier = [personId];
+  while (frontier.length) {
+    const found = frontier.find(id => tribesByFounder[id]);
+    if (found) return tribesByFounder[found];
+    const next = [];
+    for (const id of frontier) {
+      for (const link of peopleById[id].parents) {
+        const parent = peopleById[link.id];
+        if (!parent || seen.has(link.id)) continue;
+        if (!anyParent && (link.role === 'mother' || personSex(parent) === 'female')) continue;
+        seen.add(link.id);
+        next.push(link.id);
+      }
+    }
+    frontier = next;
+  }
+  return null;
+}
+
+function tribeFromBio(bio) {
+  const text = bio || '';
+  const named = /\btribe of (\w+)/i.exec(text);
+  const byName = named && TRIBES.find(t => t.name.toLowerCase() === named[1].toLowerCase());
+  if (byName) return byName;
+  return TRIBES.find(t => t.demonyms.some(d => new RegExp(`\\b${d}s?\\b`).test(text))) || null;
+}
+
+function getTribeIndex() {
+  if (tribeIndex) return tribeIndex;
+  const index = new Map();
+  for (const id of Object.keys(peopleById)) {
+    const tribe = nearestTribe(id, false) || nearestTribe(id, true);
+    if (tribe) index.set(id, tribe.key);
+  }
+  for (const [id, figure] of Object.entries(biblicalFigures)) {
+    if (index.has(id)) continue;
+    const tribe = tribeFromBio(figure.bio);
+    if (tribe) index.set(id, tribe.key);
+  }
+  tribeIndex = index;
+  return index;
+}
+
+// Tribe of a genealogy person or figure, or null
+function tribeOf(id) {
+  return tribesByKey[getTribeIndex().get(id)] || null;
+}
+
+function tribeBadge(id) {
+  const tribe = tribeOf(id);
+  return tribe
+    ? `<span class="tribe-badge" data-tribe="${tribe.key}" title="Tribe of ${tribe.name}${tribe.half ? ' (half-tribe)' : ''}">${tribe.name}</span>`
+    : '';
+}
+
+// "Seredite" from "founder of the Seredite clan" / "a clan (Jerahmeelites)"
+function clanName(person) {
+  const match = /\b([A-Z][a-z]+ite)s?\s+clan\b/.exec(person.bio) || /\bclan \(([A-Z][a-z]+ite)s?\)/.exec(person.bio);
+  const tribe = tribeOf(person.id);
+  return match && !(tribe && tribe.demonyms.includes(match[1])) ? match[1] : null;
+}
+
+/*
+  tribeSummary(key) -> { tribe, founder, members, clans: [{ person, clan }], notable }
+  Clans are the founder's sons plus any member whose bio names a clan;
+  notable members are those who also appear in biblical_figures.json.
+*/
+function tribeSummary(key) {
+  const tribe = tribesByKey[key];
+  const index = getTribeIndex();
+  const members = Object.values(peopleById).filter(p => index.get(p.id) === key);
+  const founder = peopleById[tribe.founder] || null;
+  const sons = new Set(founder ? founder.descendants : []);
+  const clans = members
+    .filter(p => sons.has(p.id) || clanName(p))
+    .sort((a, b) => sons.has(b.id) - sons.has(a.id))
+    .map(p => ({ person: p, clan: clanName(p) }));
+  const notable = [...index.entries()]
+    .filter(([id, k]) => k === key && biblicalFigures[id])
+    .map(([id]) => peopleById[id] || figureAsResult(id, biblicalFigures[id]));
+  return { tribe, founder, members, clans, notable };
+}
+
+function showTribes(key) {
+  if (key && !tribesByKey[key]) key = null;
+  const modal = document.getElementById("infoModal");
+  const content = document.getElementById("person-info");
+  modal.style.display = "block";
+
+  if (!key) {
+    const rows = TRIBES.map(t => {
+      const s = tribeSummary(t.key);
+      return `
+        <tr>
+          <td><span class="lineage-link" data-tribe="${t.key}">${t.name}</span>${t.half ? ' <small>(half-tribe)</small>' : ''}</td>
+          <td>${s.members.length}</td>
+          <td>${s.clans.length}</td>
+          <td>${s.notable.map(p => p.name).join(', ') || '—'}</td>
+        </tr>`;
+    }).join('');
+    content.innerHTML = `
+      <h2>The Twelve Tribes</h2>
+      <p>Tribes are traced through each person's father to the nearest son of Jacob; Joseph's line is split into Ephraim and Manasseh.</p>
+      <table class="cache-table tribe-table">
+        <thead><tr><th>Tribe</th><th>People</th><th>Clans</th><th>Notable members</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  } else {
+    const { tribe, founder, members, clans, notable } = tribeSummary(key);
+    const entityLink = p => `<span class="lineage-link" data-entity-id="${p.id}">${p.name}</span>`;
+    content.innerHTML = `
+      <h2>Tribe of ${tribe.name}${tribe.half ? ' <small>(half-tribe)</small>' : ''}</h2>
+      ${tribe.note ? `<p><em>${tribe.name} is ${tribe.note}.</em></p>` : ''}
+      ${founder ? `<p><strong>Founder:</strong> ${entityLink(founder)}</p>` : ''}
+      <p>${members.length} people in the genealogy</p>
+      <div class="report-actions">
+        ${founder ? `<button class="pill-btn" data-tribe-members>List members</button>` : ''}
+        <button class="pill-btn" data-tribe-overview>All tribes</button>
+      </div>
+      <div class="family-section">
+        <h3>Clans</h3>
+        ${clans.length ? `<ul>${clans.map(c => `<li>${entityLink(c.person)}${c.clan ? ` — ${c.clan} clan` : ''}</li>`).join('')}</ul>` : '<p>No clans recorded.</p>'}
+      </div>
+      <div class="family-section">
+        <h3>Notable members</h3>
+        <p>${notable.map(entityLink).join(', ') || 'None recorded.'}</p>
+      </div>
+    `;
+    const listBtn = content.querySelector('[data-tribe-members]');
+    if (listBtn) listBtn.addEventListener('click', () => showDescendants(founder, key));
+    content.querySelector('[data-tribe-overview]').addEventListener('click', () => showTribes());
+  }
+
+  content.querySelectorAll('.lineage-link[data-entity-id]').forEach(link => {
+    link.addEventListener('click', () => openEntity(link.dataset.entityId));
+  });
+  content.querySelectorAll('.lineage-link[data-tribe]').forEach(link => {
+    link.addEventListener('click', () => showTribes(link.dataset.tribe));
+  });
+  recordModal(key ? { modal: 'tribes', id: key } : { modal: 'tribes' });
+}
+
+// ---------- Lineage Overlays ----------
+/*
+  Named lines (Matthew 1, Luke 3, the high priests, the kings ...) come from
+  lineages.json, oldest member first:
+
+    "matthew": { "name": "Matthew 1", "scripture": "Matt 1:1-16", "color": "#ffd166",
+                 "description": "...", "members": ["abraham", { "id": "heli", "name": "Heli" }] }
+
+  Members are genealogy or figure IDs; the { id, name } form names someone
+  in neither dataset, so the line can still be listed in full. Active lines
+  mark their members in the list and chart views with the line's colour.
+*/
+let lineages = {};            // { lineId -> { id, name, scripture, description, color, members: [{ id, name }] } }
+let activeLineages = [];      // line IDs currently drawn on the tree, in file order
+
+async function loadLineages() {
+  try {
+    const res = await fetch('./lineages.json', { cache: 'no-store' });
+    if (!res.ok) {
+      console.warn('Lineage overlays not found');
+      return;
+    }
+    const data = await res.json();
+    lineages = {};
+    for (const [id, line] of Object.entries(data.lineages || {})) {
+      const members = (Array.isArray(line.members) ? line.members : [])
+        .map(entry => typeof entry === 'string' ? { id: entry } : entry)
+        .filter(entry => entry && entry.id)
+        .map(entry => ({ id: String(entry.id), name: entry.name || '' }));
+      lineages[id] = {
+        id,
+        name: line.name || prettifyKey(id),
+        scripture: line.scripture || '',
+        description: line.description || '',
+        color: line.color || '#ffd166',
+        members
+      };
+    }
+  } catch (err) {
+    console.warn('Could not load lineage overlays:', err);
+  }
+}
+
+function lineageMemberName(member) {
+  return entityExists(member.id) ? entityName(member.id) : (member.name || prettifyKey(member.id));
+}
+
+// Colours of the active lines that include this person
+function lineageColorsFor(personId) {
+  return activeLineages
+    .filter(id => lineages[id].members.some(m => m.id === personId))
+    .map(id => lineages[id].color);
+}
+
+// One stripe per active line down the left edge of a list node
+function decorateLineageNode(el, personId) {
+  const colors = lineageColorsFor(personId);
+  el.classList.toggle('lineage-highlight', colors.length > 0);
+  el.style.boxShadow = colors.map((c, i) => `inset ${(i + 1) * 5}px 0 0 ${c}`).join(', ');
+}
+
+function setActiveLineages(ids) {
+  activeLineages = Object.keys(lineages).filter(id => ids.includes(id));
+  document.querySelectorAll('#tree-root .node-box[data-person-id]').forEach(el =>
+    decorateLineageNode(el, el.dataset.personId));
+  if (treeView === 'chart') renderChart();
+  document.querySelectorAll('#lineage-overlay-list input[type="checkbox"]').forEach(box => {
+    box.checked = activeLineages.includes(box.value);
+  });
+  scheduleRouteSync();
+}
+
+/*
+  compareLineages(a, b) -> [{ type: 'shared', ids } | { type: 'split', a, b }]
+  Lines are aligned on their longest common subsequence of IDs; what falls
+  between two shared runs is where they diverge and then rejoin.
+*/
+function compareLineages(a, b) {
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  const push = (type, idA, idB) => {
+    let last = segments[segments.length - 1];
+    if (!last || last.type !== type) {
+      last = type === 'shared' ? { type, ids: [] } : { type, a: [], b: [] };
+      segments.push(last);
+    }
+    if (type === 'shared') last.ids.push(idA);
+    else {
+      if (idA) last.a.push(idA);
+      if (idB) last.b.push(idB);
+    }
+  };
+  let i = 0, j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) { push('shared', a[i]); i++; j++; }
+    else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) push('split', a[i++], null);
+    else push('split', null, b[j++]);
+  }
+  return segments;
+}
+
+function lineageMemberHtml(member) {
+  return entityExists(member.id)
+    ? `<span class="lineage-link" data-entity-id="${member.id}">${lineageMemberName(member)}</span>`
+    : `<span class="lineage-missing" title="Not in the dataset">${lineageMemberName(member)}</span>`;
+}
+
+function lineageChainHtml(members) {
+  return members.map(lineageMemberHtml).join(' → ');
+}
+
+function bindLineageLinks(content) {
+  content.querySelectorAll('.lineage-link').forEach(link => {
+    link.addEventListener('click', () => openEntity(link.dataset.entityId));
+  });
+}
+
+function showLineage(lineId) {
+  const line = lineages[lineId];
+  if (!line) return;
+  const modal = document.getElementById("infoModal");
+  const content = document.getElementById("person-info");
+  modal.style.display = "block";
+
+  const inTree = line.members.filter(m => peopleById[m.id]).length;
+  const items = line.members.map(m => {
+    const kind = peopleById[m.id] ? '' : biblicalFigures[m.id] ? ' <small>(figure)</small>' : ' <small>(not in the dataset)</small>';
+    return `<li>${lineageMemberHtml(m)}${kind}</li>`;
+  }).join('');
+
+  content.innerHTML = `
+    <h2><span class="lineage-swatch" style="background:${line.color}"></span>${line.name}</h2>
+    ${line.scripture ? `<p><strong>Scripture:</strong> ${line.scripture}</p>` : ''}
+    ${line.description ? `<p>${line.description}</p>` : ''}
+    <p class="lineage-counts">${line.members.length} names · ${inTree} in the family tree</p>
+    <div class="report-actions">
+      <button class="pill-btn" data-lineage-toggle>${activeLineages.includes(lineId) ? 'Hide on tree' : 'Highlight on tree'}</button>
+    </div>
+    <ol class="lineage-members">${items}</ol>
+  `;
+  content.querySelector('[data-lineage-toggle]').addEventListener('click', () => {
+    const on = !activeLineages.includes(lineId);
+    setActiveLineages(on ? [...activeLineages, lineId] : activeLineages.filter(id => id !== lineId));
+    showLineage(lineId);
+  });
+  bindLineageLinks(content);
+  recordModal({ modal: 'lineage', id: lineId });
+}
+
+function showLineageComparison(idA, idB) {
+  const lineA = lineages[idA];
+  const lineB = lineages[idB];
+  if (!lineA || !lineB) return;
+  const modal = document.getElementById("infoModal");
+  const content = document.getElementById("person-info");
+  modal.style.display = "block";
+
+  const membersA = Object.fromEntries(lineA.members.map(m => [m.id, m]));
+  const membersB = Object.fromEntries(lineB.members.map(m => [m.id, m]));
+  const segments = compareLineages(lineA.members.map(m => m.id), lineB.members.map(m => m.id));
+  const name = id => lineageMemberName(membersA[id] || membersB[id]);
+
+  const last = seg => name(seg.ids[seg.ids.length - 1]);
+
+  // "diverge after David and rejoin at Shealtiel", "Luke 3 adds 3 names between ..."
+  const describe = (seg, before, after) => {
+    const only = !seg.a.length ? lineB.name : !seg.b.length ? lineA.name : null;
+    const count = (seg.a.length || seg.b.length) === 1 ? '1 name' : `${seg.a.length || seg.b.length} names`;
+    if (before && after) {
+      return only ? `${only} adds ${count} between ${last(before)} and ${name(after.ids[0])}`
+        : `they diverge after ${last(before)} and rejoin at ${name(after.ids[0])}`;
+    }
+    if (after) return only ? `${only} goes back ${count} before ${name(after.ids[0])}` : `they begin apart and meet at ${name(after.ids[0])}`;
+    if (before) return only ? `${only} continues ${count} after ${last(before)}` : `they part after ${last(before)}`;
+    return '';
+  };
+  const notes = segments.map((seg, i) => seg.type === 'split' ? describe(seg, segments[i - 1], segments[i + 1]) : '');
+
+  const shared = segments.filter(s => s.type === 'shared').reduce((n, s) => n + s.ids.length, 0);
+  const summary = shared
+    ? `${lineA.name} and ${lineB.name} share ${shared} names${notes.some(Boolean) ? `; ${notes.filter(Boolean).join('; ')}` : ''}.`
+    : `${lineA.name} and ${lineB.name} have no names in common.`;
+
+  const rows = segments.map((seg, i) => {
+    if (seg.type === 'shared') {
+      return `<tr class="lineage-shared"><td colspan="2">${lineageChainHtml(seg.ids.map(id => membersA[id]))}</td></tr>`;
+    }
+    const label = notes[i].replace(/^they /, '');
+    return `
+      ${label ? `<tr class="lineage-split-label"><td colspan="2">${label.charAt(0).toUpperCase()}${label.slice(1)}</td></tr>` : ''}
+      <tr class="lineage-split">
+        <td>${seg.a.length ? lineageChainHtml(seg.a.map(id => membersA[id])) : '<em>—</em>'}</td>
+        <td>${seg.b.length ? lineageChainHtml(seg.b.map(id => membersB[id])) : '<em>—</em>'}</td>
+      </tr>`;
+  }).join('');
+
+  content.innerHTML = `
+    <h2>${lineA.name} vs ${lineB.name}</h2>
+    <p>${summary}</p>
+    <table class="lineage-compare">
+      <thead>
+        <tr>
+          <th><span class="lineage-swatch" style="background:${lineA.color}"></span>${lineA.name}</th>
+          <th><span class="lineage-swatch" style="background:${lineB.color}"></span>${lineB.name}</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+  bindLineageLinks(content);
+  recordModal({ modal: 'lineage-compare', a: idA, b: idB });
+}
+
+function renderLineagePanel() {
+  const list = document.getElementById('lineage-overlay-list');
+  if (!list) return;
+  const lines = Object.values(lineages);
+  list.innerHTML = lines.map(line => `
+    <div class="lineage-option">
+      <label>
+        <input type="checkbox" value="${line.id}" ${activeLineages.includes(line.id) ? 'checked' : ''}>
+        <span class="lineage-swatch" style="background:${line.color}"></span>${line.name}
+      </label>
+      <button class="pill-btn" data-lineage-id="${line.id}">List</button>
+    </div>
+  `).join('') || '<p>No lineages loaded.</p>';
+
+  list.querySelectorAll('input[type="checkbox"]').forEach(box => {
+    box.addEventListener('change', () => {
+      setActiveLineages(box.checked ? [...activeLineages, box.value] : activeLineages.filter(id => id !== box.value));
+    });
+  });
+  list.querySelectorAll('[data-lineage-id]').forEach(btn => {
+    btn.addEventListener('click', () => showLineage(btn.dataset.lineageId));
+  });
+
+  // Comparison pickers default to the first two lines (Matthew and Luke)
+  ['lineage-cmp-a', 'lineage-cmp-b'].forEach((id, i) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    select.innerHTML = lines.map(line => `<option value="${line.id}">${line.name}</option>`).join('');
+    if (lines[i]) select.value = lines[i].id;
+  });
+  const btnCompare = document.getElementById('btn-lineage-compare');
+  if (btnCompare) btnCompare.onclick = () => {
+    const a = document.getElementById('lineage-cmp-a').value;
+    const b = document.getElementById('lineage-cmp-b').value;
+    if (a === b) return alert('Choose two different lines');
+    showLineageComparison(a, b);
+  };
+}
+
+// ---------- Chronology ----------
+/*
+  Eras in narrative order. `spans` uses ordinary reference syntax, so the
+  same parser decides both which era a citation falls in and where it sorts.
+  A person's place is taken from their earliest reference in canonical order,
+  unless the data gives an explicit `era` (one of the keys below) and/or a
+  numeric `sequence` (sorts ahead of reference-derived order within the era).
+*/
+const ERAS = [
+  { key: 'primeval', label: 'Primeval History', spans: 'Gen 1-11' },
+  { key: 'patriarchs', label: 'Patriarchs', spans: 'Gen 12-50; Job' },
+  { key: 'exodus', label: 'Exodus & Conquest', spans: 'Exodus-Joshua' },
+  { key: 'judges', label: 'Judges', spans: 'Judges-Ruth; 1 Sam 1-7' },
+  { key: 'monarchy', label: 'Monarchy', spans: '1 Sam 8-31; 2 Sam; 1 Kgs; 2 Kgs 1-23; 1 Chr; 2 Chr 1-35; Psalms-Song; Isaiah-Jeremiah; Hosea-Zephaniah' },
+  { key: 'exile', label: 'Exile', spans: '2 Kgs 24-25; 2 Chr 36; Lamentations; Ezekiel-Daniel' },
+  { key: 'return', label: 'Return & Restoration', spans: 'Ezra-Esther; Haggai-Malachi' },
+  { key: 'nt', label: 'New Testament', spans: 'Matthew-Revelation' }
+].map((era, rank) => Object.assign(era, { rank, refs: Scripture.parse(era.spans) }));
+
+const erasByKey = Object.fromEntries(ERAS.map(e => [e.key, e]));
+
+function eraForRef(ref) {
+  const point = Object.assign({}, ref, { end: ref.start });
+  return ERAS.find(era => era.refs.some(r => Scripture.overlaps(r, point))) || null;
+}
+
+/*
+  chronologyEntries(people) -> [{ person, era, firstRef }] in narrative order
+  - era: explicit `era`, else the era of the earliest reference
+  - a child is never placed in an earlier era than a recorded parent
+  - people with neither references nor an explicit era are left out
+*/
+function chronologyEntries(people) {
+  const index = getScriptureIndex();
+  const base = {};
+  for (const p of people) {
+    if (!p) continue;
+    const refs = index.refsFor(`person:${p.id}`).slice().sort(Scripture.compareRefs);
+    const firstRef = refs[0] || null;
+    const era = erasByKey[p.era] || (firstRef && eraForRef(firstRef)) || null;
+    if (era) base[p.id] = { person: p, era, firstRef };
+  }
+
+  const settled = {};
+  const settle = (id, visiting = new Set()) => {
+    if (settled[id] !== undefined) return settled[id];
+    if (visiting.has(id)) return -1;
+    visiting.add(id);
+    let rank = base[id] ? base[id].era.rank : -1;
+    for (const pid of parentsById[id] || []) rank = Math.max(rank, settle(pid, visiting));
+    visiting.delete(id);
+    return (settled[id] = rank);
+  };
+
+  const sortTuple = e => [
+    e.era.rank,
+    typeof e.person.sequence === 'number' ? 0 : 1,
+    typeof e.person.sequence === 'number' ? e.person.sequence : (e.firstRef ? Scripture.sortKey(e.firstRef) : Infinity)
+  ];
+
+  return Object.values(base)
+    .map(e => Object.assign(e, { era: ERAS[Math.max(e.era.rank, settle(e.person.id))] }))
+    .sort((a, b) => {
+      const ta = sortTuple(a), tb = sortTuple(b);
+      for (let i = 0; i < ta.length; i++) if (ta[i] !== tb[i]) return ta[i] - tb[i];
+      return String(a.person.name).localeCompare(String(b.person.name));
+    });
+}
+
+function listChronologically() {
+  const entries = chronologyEntries(Object.values(peopleById));
+  const eraOf = new Map(entries.map(e => [e.person.id, e]));
+  displayResults("Biblical Figures (Approximate Order)", entries.map(e => e.person), {
+    groupBy: p => eraOf.get(p.id).era.label,
+    annotate: p => eraOf.get(p.id).firstRef ? Scripture.format(eraOf.get(p.id).firstRef) : '',
+    pageSize: 100
+  });
+  recordModal({ modal: 'chronology' });
+}
+
+// ---------- Disambiguation ----------
+/*
+  Several people share a name: three Josephs, three Lamechs, the Zadoks.
+  Entries are grouped by name without any parenthetical, and everyone in a
+  group of two or more gets a short descriptor. Namesakes are taken earliest
+  era first, and each takes the first of "son of X", "husband of Y",
+  "father of Z" or its own parenthetical that no earlier namesake has used;
+  the era is added when nothing is left. Figures without a genealogy entry
+  are described by category and period.
+*/
+let namesakeIndex = null;     // { groups: Map(base name -> [entity]), descriptors: Map(id -> text) }
+
+function baseName(name) {
+  return normalizeText(String(name || '').replace(/\([^)]*\)/g, ' '));
+}
+
+function plainName(id) {
+  return entityName(id).replace(/\s*\([^)]*\)/g, '').trim();
+}
+
+// Descriptors that could tell this entity apart, best first
+function descriptorCandidates(entity) {
+  const own = (String(entity.name || '').match(/\(([^)]*)\)/) || [])[1];
+  if (entity.isFigure) {
+    const period = String(entity.time_period || '').replace(/\s*\([^)]*\)/g, '').trim();
+    return [own, [entity.category, period].filter(Boolean).join(' · ')].filter(Boolean);
+  }
+  const isMother = pid => (parentRoleLabel(entity.id, pid).endsWith('mother') ? 1 : 0);
+  const parents = (parentsById[entity.id] || []).slice().sort((a, b) => isMother(a) - isMother(b));
+  // the entity's own side of the marriage (spouseLabel names the partner's)
+  const role = personSex(entity) === 'female' ? 'wife' : 'husband';
+  const spouseRole = l => l.type === 'spouse' ? role
+    : l.type === 'concubine' ? (role === 'wife' ? 'concubine' : role)
+    : `${l.type} ${role}`;
+  return [
+    ...parents.map(pid => `${childLabel(entity.id, pid)} of ${plainName(pid)}`),
+    ...(entity.spouses || []).filter(l => peopleById[l.id]).map(l => `${spouseRole(l)} of ${plainName(l.id)}`),
+    ...getChildrenArray(entity).map(c => `${parentRoleLabel(c.id, entity.id)} of ${plainName(c.id)}`),
+    own
+  ].filter(Boolean);
+}
+
+function getNamesakeIndex() {
+  if (namesakeIndex) return namesakeIndex;
+  const groups = new Map();
+  for (const entity of allEntities()) {
+    const key = baseName(entity.name);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entity);
+  }
+
+  const eras = new Map(chronologyEntries(Object.values(peopleById)).map(e => [e.person.id, e.era]));
+  const rankOf = e => (eras.get(e.id) ? eras.get(e.id).rank : ERAS.length);
+  const descriptors = new Map();
+  for (const [key, members] of groups) {
+    if (members.length < 2) { groups.delete(key); continue; }
+    members.sort((a, b) => rankOf(a) - rankOf(b));   // stable: data order within an era
+    const taken = new Set();
+    for (const entity of members) {
+      const candidates = descriptorCandidates(entity);
+      let text = candidates.find(c => !taken.has(c));
+      if (!text) {
+        const era = eras.get(entity.id);
+        text = [candidates[0], era && era.label].filter(Boolean).join(', ') || prettifyKey(entity.id);
+        if (taken.has(text)) text = `${text} (${entity.id})`;
+      }
+      taken.add(text);
+      descriptors.set(entity.id, text);
+    }
+  }
+  namesakeIndex = { groups, descriptors };
+  return namesakeIndex;
+}
+
+// "son of Jacob" for an entity that shares its name, else ''
+function namesakeDescriptor(entity) {
+  if (!entity) return '';
+  const text = getNamesakeIndex().descriptors.get(entity.id) || '';
+  // "Lamech (Cain's line)" already says it
+  return text && !String(entity.name).includes(`(${text})`) ? text : '';
+}
+
+// "Joseph, husband of Mary"
+function describedName(entity) {
+  const text = namesakeDescriptor(entity);
+  return text ? `${entity.name}, ${text}` : entity.name;
+}
+
+/*
+  namesakesFor(text) -> every entity the typed name could mean, or [] when
+  it is not ambiguous. A full name only one of them has ("Lamech (Cain's
+  line)") is not ambiguous, but a bare "Mary" is, even though only one of
+  them has no parenthetical. Ids are left to the callers that accept them.
+*/
+function namesakesFor(text) {
+  const group = getNamesakeIndex().groups.get(baseName(text)) || [];
+  const q = normalizeText(text);
+  if (group.length < 2) return [];
+  if (q !== baseName(text) && group.filter(e => normalizeText(e.name) === q).length === 1) return [];
+  return group;
+}
+
+// Chooser listing the namesakes with their descriptors; onPick(entity)
+function showNamesakes(text, namesakes, onPick) {
+  displayResults(`Several people are called "${text.trim()}"`, namesakes, { onPick });
+}
+
+/*
+  chooseEntity(input, then): resolveEntity for the tool inputs, except that a
+  bare shared name opens the chooser first. The pick is written back to the
+  input the way an autocomplete selection is, then `then(entity)` runs.
+*/
+function chooseEntity(input, then) {
+  const namesakes = input.dataset.selectedId ? [] : namesakesFor(input.value);
+  if (namesakes.length < 2) return then(resolveEntity(input));
+  showNamesakes(input.value, namesakes, entity => {
+    input.value = entity.name;
+    input.dataset.selectedId = entity.id;
+    then(resolveEntity(input));
+  });
+}
+
+// ---------- Compare ----------
+function lineageChain(line) {
+  return line.map(p => `<span class="lineage-link" data-person-id="${p.id}">${p.name}</span>`).join(' → ');
+}
+
+function relationshipSummary(p1, p2) {
+  if (!p1 || !p2) return '';
+  if (p1.id === p2.id) return `<div class="relationship-section"><p>These are the same person.</p></div>`;
+  if (!peopleById[p1.id] || !peopleById[p2.id]) return connectionSummary(p1, p2);
+
+  const rel = findRelationship(p1.id, p2.id);
+  if (!rel) {
+    return `
+      <div class="relationship-section">
+        <h3>Relationship</h3>
+        <p>No common ancestor is recorded for ${p1.name} and ${p2.name}.</p>
+      </div>
+    `;
+  }
+
+  const plural = n => `${n} generation${n === 1 ? '' : 's'}`;
+  return `
+    <div class="relationship-section">
+      <h3>Relationship</h3>
+      <p class="relationship-term"><strong>${p1.name}</strong> is the <strong>${rel.term}</strong> of <strong>${p2.name}</strong>.</p>
+      <p>Nearest common ancestor: <span class="lineage-link" data-person-id="${rel.ancestor.id}">${rel.ancestor.name}</span>
+        (${plural(rel.generationsA)} from ${p1.name}, ${plural(rel.generationsB)} from ${p2.name})</p>
+      <div class="compare-grid">
+        <div><h4>Line to ${p1.name}</h4><p class="lineage-chain">${lineageChain(rel.lineA)}</p></div>
+        <div><h4>Line to ${p2.name}</h4><p class="lineage-chain">${lineageChain(rel.lineB)}</p></div>
+      </div>
+    </div>
+  `;
+}
+
+// Kinship terms need both people in the genealogy; otherwise show the shortest recorded connection
+function connectionSummary(p1, p2) {
+  const path = findConnection(p1.id, p2.id);
+  return `
+    <div class="relationship-section">
+      <h3>Connection</h3>
+      ${path
+        ? `<p>${path.length - 1} step(s) apart:</p><div class="connection-path">${connectionSteps(path)}</div>`
+        : `<p>No connection is recorded between ${p1.name} and ${p2.name}.</p>`}
+    </div>
+  `;
+}
+
+function comparePeople(id1, id2) {
+  const p1 = peopleById[id1] || findFigure(id1);
+  const p2 = peopleById[id2] || findFigure(id2);
   const modal = document.getElementById("infoModal");
   const content = document.getElementById("person-info");
   modal.style.display = "block";
+  recordModal({ modal: 'compare', a: id1, b: id2 });
   content.innerHTML = `
-    <h2>Compare ${p1?.name || id1} and ${p2?.name || id2}</h2>
+    <h2>Compare ${p1 ? describedName(p1) : id1} and ${p2 ? describedName(p2) : id2}</h2>
+    ${relationshipSummary(p1, p2)}
     <div class="compare-grid">
       <div>
-        <h3>${p1?.name || 'Unknown'}</h3>
+        <h3>${p1 ? describedName(p1) : 'Unknown'}</h3>
         <p>${p1?.bio || 'No biography available.'}</p>
         <small class="scripture-refs">${p1?.scripture || ''}</small>
       </div>
       <div>
-        <h3>${p2?.name || 'Unknown'}</h3>
+        <h3>${p2 ? describedName(p2) : 'Unknown'}</h3>
         <p>${p2?.bio || 'No biography available.'}</p>
         <small class="scripture-refs">${p2?.scripture || ''}</small>
       </div>
     </div>
   `;
+
+  content.querySelectorAll('.lineage-link').forEach(link => {
+    link.addEventListener('click', () => {
+      const id = link.dataset.personId || link.dataset.entityId;
+      if (peopleById[id]) {
+        closeModal();
+        jumpToPerson(id);
+      } else if (biblicalFigures[id]) {
+        openFigureModal(biblicalFigures[id], id);
+      }
+    });
+  });
 }
 
 // ---------- Results rendering ----------
-function displayResults(title, list) {
+/*
+  displayResults(title, list, options)
+  - list items are genealogy people, or figures wrapped by figureAsResult()
+  - options.annotate(item) -> optional extra line (e.g. matched references)
+  - options.groupBy(item) -> heading label; a heading is shown whenever it changes
+  - options.pageSize -> show the list a page at a time with Prev/Next controls
+  - options.tribeFilter -> { value, onChange(tribeKey | null) }: adds a tribe
+    picker (only tribes present in the list) and starts filtered to `value`
+  - options.onPick(item) -> replaces the default click (figure modal, or the
+    person's place in the tree)
+  People who share a name are shown with their descriptor ("son of Jacob").
+*/
+function displayResults(title, list, options = {}) {
   const modal = document.getElementById("infoModal");
   const content = document.getElementById("person-info");
   modal.style.display = "block";
@@ -674,28 +2370,831 @@ function displayResults(title, list) {
     return;
   }
 
+  const tribeFilter = options.tribeFilter || null;
+  let tribe = tribeFilter && tribesByKey[tribeFilter.value] ? tribeFilter.value : null;
+  let shown = list;
+  let pageSize = 0;
+  let pageCount = 0;
+  const applyTribe = () => {
+    shown = tribe ? list.filter(p => (tribeOf(p.id) || {}).key === tribe) : list;
+    pageSize = options.pageSize || shown.length || 1;
+    pageCount = Math.ceil(shown.length / pageSize);
+  };
+  applyTribe();
+
+  // tribes present in the full list, with counts
+  const tribePicker = () => {
+    if (!tribeFilter) return '';
+    const counts = new Map();
+    for (const p of list) {
+      const t = tribeOf(p.id);
+      if (t) counts.set(t.key, (counts.get(t.key) || 0) + 1);
+    }
+    if (!counts.size) return '';
+    const choices = TRIBES.filter(t => counts.has(t.key))
+      .map(t => `<option value="${t.key}" ${t.key === tribe ? 'selected' : ''}>${t.name} (${counts.get(t.key)})</option>`)
+      .join('');
+    return `
+      <label class="result-tribe-filter">Tribe:
+        <select><option value="">All tribes (${list.length})</option>${choices}</select>
+      </label>`;
+  };
+
+  const renderItem = p => `
+        <div class="search-result-item" ${p.isFigure ? `data-figure-id="${p.id}"` : `data-person-id="${p.id}"`}>
+          <strong>${p.name}${namesakeDescriptor(p) ? `<span class="result-descriptor">, ${namesakeDescriptor(p)}</span>` : ''}${entityCategory(p) ? ` <span class="result-kind">${entityCategory(p)}</span>` : ''}</strong>
+          <p>${(p.bio || '').substring(0, 220)}${(p.bio && p.bio.length > 220) ? '…' : ''}</p>
+          ${options.annotate ? `<small class="result-annotation">${options.annotate(p) || ''}</small>` : ''}
+        </div>
+      `;
+
+  const renderPage = page => {
+    const start = page * pageSize;
+    const slice = shown.slice(start, start + pageSize);
+    let lastGroup = null;
+    const items = slice.map(p => {
+      let heading = '';
+      if (options.groupBy) {
+        const group = options.groupBy(p);
+        if (group !== lastGroup) heading = `<h3 class="result-group">${group}</h3>`;
+        lastGroup = group;
+      }
+      return heading + renderItem(p);
+    }).join('');
+
+    const pager = pageCount > 1 ? `
+      <div class="result-pager">
+        <button class="pill-btn" data-page="${page - 1}" ${page === 0 ? 'disabled' : ''}>← Prev</button>
+        <span>Page ${page + 1} of ${pageCount} · ${start + 1}–${start + slice.length}</span>
+        <button class="pill-btn" data-page="${page + 1}" ${page >= pageCount - 1 ? 'disabled' : ''}>Next →</button>
+      </div>
+    ` : '';
+
+    content.innerHTML = `
+    <h2>${title} (${shown.length})</h2>
+    ${tribePicker()}
+    ${pager}
+    <div class="search-results">
+      ${items || '<p>No matching entries found.</p>'}
+    </div>
+    ${pager}
+  `;
+
+    const picker = content.querySelector('.result-tribe-filter select');
+    if (picker) picker.addEventListener('change', () => {
+      tribe = picker.value || null;
+      applyTribe();
+      renderPage(0);
+      tribeFilter.onChange(tribe);
+    });
+
+    content.querySelectorAll('.result-pager button[data-page]').forEach(btn => {
+      btn.addEventListener('click', () => renderPage(Number(btn.dataset.page)));
+    });
+
+    content.querySelectorAll('.search-result-item').forEach(item => {
+      item.addEventListener('click', () => {
+        if (options.onPick) {
+          const id = item.dataset.figureId || item.dataset.personId;
+          return options.onPick(shown.find(p => p.id === id));
+        }
+        if (item.dataset.figureId) {
+          const figure = biblicalFigures[item.dataset.figureId];
+          if (figure) openFigureModal(figure, item.dataset.figureId);
+          return;
+        }
+        closeModal();
+        jumpToPerson(item.dataset.personId);
+      });
+    });
+  };
+
+  renderPage(0);
+}
+
+// ---------- Data Validation ----------
+function categoryDropdownValues() {
+  const select = document.getElementById('filter-category');
+  if (!select) return undefined;
+  return [...select.options].map(o => o.value).filter(v => v !== 'all');
+}
+
+function runValidation() {
+  return Validator.validate({
+    genealogy: genealogySource && genealogySource.data,
+    genealogyText: genealogySource && genealogySource.text,
+    figures: figuresSource && figuresSource.data,
+    figuresText: figuresSource && figuresSource.text,
+    lineages,
+    categoryOptions: categoryDropdownValues()
+  });
+}
+
+function downloadFile(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function showValidationReport() {
+  const modal = document.getElementById("infoModal");
+  const content = document.getElementById("person-info");
+  const report = runValidation();
+  const text = Validator.formatText(report);
+
+  modal.style.display = "block";
+  recordModal(null);
+  content.innerHTML = `
+    <h2>Data Report</h2>
+    <p>${report.summary.error} error(s), ${report.summary.warning} warning(s), ${report.summary.info} note(s)</p>
+    <div class="report-actions">
+      <button class="pill-btn" id="report-download-json">Download JSON</button>
+      <button class="pill-btn" id="report-download-text">Download text</button>
+    </div>
+    <pre class="validation-report"></pre>
+  `;
+  content.querySelector('.validation-report').textContent = text;
+  content.querySelector('#report-download-json').addEventListener('click', () =>
+    downloadFile('validation-report.json', JSON.stringify(report, null, 2), 'application/json'));
+  content.querySelector('#report-download-text').addEventListener('click', () =>
+    downloadFile('validation-report.txt', text, 'text/plain'));
+}
+
+// ---------- GEDCOM ----------
+function exportGedcomFile() {
+  const result = Gedcom.exportGedcom(Object.assign({ metadata: genealogySource && genealogySource.data && genealogySource.data.metadata }, peopleById));
+  if (result.skipped.length) console.warn(`GEDCOM export skipped ${result.skipped.length} link(s) to unknown IDs`, result.skipped);
+  downloadFile('biblical_genealogy.ged', result.text, 'text/plain');
+}
+
+// Converts a chosen .ged file to the biblical_genealogy.json shape and shows what could not be mapped
+async function importGedcomFile(file) {
+  const modal = document.getElementById("infoModal");
+  const content = document.getElementById("person-info");
+  const { data, report } = Gedcom.importGedcom(await file.text());
+  const text = Gedcom.formatImportReport(report);
+
+  modal.style.display = "block";
+  recordModal(null);
+  content.innerHTML = `
+    <h2>GEDCOM Import</h2>
+    <p>${file.name}: ${report.people} people, ${report.families} families, ${report.unmapped.length} unmapped item(s)</p>
+    <div class="report-actions">
+      <button class="pill-btn" id="gedcom-download-json">Download JSON</button>
+    </div>
+    <pre class="validation-report"></pre>
+  `;
+  content.querySelector('.validation-report').textContent = text;
+  content.querySelector('#gedcom-download-json').addEventListener('click', () =>
+    downloadFile(file.name.replace(/\.ged$/i, '') + '.json', JSON.stringify(data, null, 2), 'application/json'));
+}
+
+// ---------- Dataset Editor ----------
+/*
+  Edit mode is for the people who keep the data right without opening the
+  JSON by hand. It adds people; edits names, bios and scripture; moves or
+  adds children, either from the person form or by dragging a node onto its
+  new parent in the list view; and edits figures, including their stories
+  and related figures.
+
+  Pending edits are a DatasetEdits session over the files as fetched. Each
+  saved change swaps in a new session and redraws the page from its
+  files(). The session is kept in localStorage until it is exported or
+  discarded. Forms work on a fork of the session and are checked as they
+  are typed in: the validator runs over the edited files, and only the
+  issues the form would add are listed, so problems already in the data
+  do not drown them out.
+
+  Saved edits replace whole entries. If the files have changed since the
+  edits were saved (e.g. after reloading into newer data), applying them
+  would quietly undo any fixes to those entries. So they are held back,
+  and a banner asks whether to apply or discard them.
+*/
+const EDITS_STORAGE_KEY = 'dataset-edits:v1';
+const EDIT_CHECK_DELAY = 250; // ms after the last keystroke before a form is re-checked
+
+let editSession = null;       // DatasetEdits session; replaced, never mutated, once committed
+let editMode = false;
+let editBaseChanged = false;  // the pending edits were made against different files
+let heldEdits = null;         // saved edits held back because the files changed under them
+let baselineIssueKeys = null; // issues in the files as fetched
+const sessionIssueKeys = new WeakMap();
+let editorDropdowns = [];     // autocomplete dropdowns of the open form
+
+function loadedFiles() {
+  return {
+    genealogy: genealogySource ? genealogySource.data : {},
+    figures: figuresSource ? figuresSource.data : { figures: {} }
+  };
+}
+
+function loadedTexts() {
+  return { genealogy: genealogySource && genealogySource.text, figures: figuresSource && figuresSource.text };
+}
+
+function editIssueKey(issue) {
+  return [issue.code, issue.dataset, issue.id, issue.message].join('|');
+}
+
+// Issues in session's files that `against` (a session, or the files as fetched) does not have
+function introducedIssues(session, against = null) {
+  let known;
+  if (!against) {
+    known = baselineIssueKeys = baselineIssueKeys || new Set(Validator.validate(loadedFiles()).issues.map(editIssueKey));
+  } else {
+    known = sessionIssueKeys.get(against);
+    if (!known) sessionIssueKeys.set(against, known = new Set(Validator.validate(against.files()).issues.map(editIssueKey)));
+  }
+  return Validator.validate(session.files()).issues.filter(issue => !known.has(editIssueKey(issue)));
+}
+
+function editIssuesHtml(issues) {
+  if (!issues.length) return '<p class="edit-ok">✓ No new problems</p>';
+  return `<ul class="edit-issue-list">${issues.map(issue =>
+    `<li class="issue-${issue.severity}">${issue.message}</li>`).join('')}</ul>`;
+}
+
+function saveEdits() {
+  if (heldEdits) return; // they stay saved as they are until applied or discarded
+  try {
+    if (!editSession.size) return localStorage.removeItem(EDITS_STORAGE_KEY);
+    const texts = loadedTexts();
+    localStorage.setItem(EDITS_STORAGE_KEY, JSON.stringify({
+      savedAt: new Date().toISOString(),
+      base: { genealogy: contentHash(texts.genealogy), figures: contentHash(texts.figures) },
+      edits: editSession.toJSON()
+    }));
+  } catch (_) { /* storage disabled or full: the edits last until the page closes */ }
+}
+
+function readSavedEdits() {
+  try {
+    return JSON.parse(localStorage.getItem(EDITS_STORAGE_KEY)) || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Once both files are in: restore saved edits and wire the edit bar (loadGenealogyData waits on it)
+async function initEditor() {
+  await figuresReady;
+  const saved = readSavedEdits();
+  const texts = loadedTexts();
+  const baseChanged = Boolean(saved && saved.base && DatasetEdits.DATASETS.some(d => saved.base[d] !== contentHash(texts[d])));
+  heldEdits = baseChanged ? DatasetEdits.createEditSession(loadedFiles(), saved.edits) : null;
+  if (heldEdits && !heldEdits.size) heldEdits = null;
+  editSession = DatasetEdits.createEditSession(loadedFiles(), baseChanged ? null : saved && saved.edits);
+  if (heldEdits) console.warn('Pending edits were saved against a different copy of the data files; holding them back');
+
+  document.getElementById('btn-edit')?.addEventListener('click', () => setEditMode(!editMode));
+  document.getElementById('edit-add-person')?.addEventListener('click', () => openPersonEditor(null));
+  document.getElementById('edit-review')?.addEventListener('click', showPendingEdits);
+  document.getElementById('edit-discard')?.addEventListener('click', () => {
+    if (editSession.size && confirm(`Discard all ${editSession.size} pending edit(s)?`)) discardEdits();
+  });
+  document.getElementById('edit-done')?.addEventListener('click', () => setEditMode(false));
+  document.getElementById('held-edits-apply')?.addEventListener('click', () => resolveHeldEdits(true));
+  document.getElementById('held-edits-discard')?.addEventListener('click', () => {
+    if (confirm(`Discard the ${heldEdits.size} saved edit(s)?`)) resolveHeldEdits(false);
+  });
+
+  if (editSession.size) applyEdits();
+  else updateEditBar();
+  if (heldEdits) showHeldEdits();
+  else if (baseChanged) saveEdits(); // every saved edit matches the new files already: nothing left to keep
+}
+
+// The banner for held edits, naming the entries that applying them would overwrite
+function showHeldEdits() {
+  const banner = document.getElementById('held-edits-banner');
+  if (!banner) return;
+  const names = heldEdits.changes().map(c => c.name || c.id);
+  const listed = names.length > 5 ? `${names.slice(0, 5).join(', ')} and ${names.length - 5} more` : names.join(', ');
+  banner.querySelector('.held-edits-text').textContent =
+    `${names.length} saved edit(s) (${listed}) were made against an older copy of the data files. ` +
+    'Applying them puts your copies of those entries back, over any fixes made to them since.';
+  banner.classList.remove('hidden');
+  banner.querySelector('button').focus();
+}
+
+// Apply the held edits as pending edits, or drop them; either way the saved copy follows
+function resolveHeldEdits(apply) {
+  if (!heldEdits) return;
+  if (apply) {
+    editSession = heldEdits;
+    editBaseChanged = true;
+  }
+  heldEdits = null;
+  document.getElementById('held-edits-banner')?.classList.add('hidden');
+  applyEdits();
+}
+
+function setEditMode(on) {
+  if (on && heldEdits) return showHeldEdits(); // edits made now would be saved over the held ones
+  editMode = Boolean(on && editSession);
+  document.body.classList.toggle('editing', editMode);
+  document.getElementById('edit-bar')?.classList.toggle('hidden', !editMode);
+  updateEditBar();
+  redrawTree(); // node edit buttons come and go with the mode
+}
+
+function updateEditBar() {
+  const count = editSession ? editSession.size : 0;
+  const button = document.getElementById('btn-edit');
+  if (button) button.textContent = count ? `✏️ Edit Data (${count} pending)` : '✏️ Edit Data';
+  const status = document.getElementById('edit-status');
+  if (!status || !editMode) return;
+  const issues = count ? introducedIssues(editSession) : [];
+  const errors = issues.filter(i => i.severity === 'error').length;
+  status.innerHTML = `
+    <strong>Editing:</strong> ${count} pending edit(s)
+    ${issues.length ? `<span class="edit-status-issues${errors ? ' has-errors' : ''}">· ${errors} new error(s), ${issues.length - errors} other new issue(s)</span>` : ''}
+    ${editBaseChanged ? '<span class="edit-warning">· saved against an older copy of the data</span>' : ''}
+  `;
+}
+
+// Make `session` the pending edits and show them everywhere
+function commitEdits(session) {
+  editSession = session;
+  applyEdits();
+}
+
+function discardEdits() {
+  editBaseChanged = false;
+  commitEdits(DatasetEdits.createEditSession(loadedFiles()));
+}
+
+// Reload the page's data from the session, keep it, and redraw what shows it
+function applyEdits() {
+  const files = editSession.files();
+  core.loadGenealogy(files.genealogy);
+  peopleById = core.people;
+  parentsById = core.parentsById;
+  genealogyData = peopleById;
+  nestedRoots = buildNestedTree(peopleById);
+  core.loadFigures(files.figures);
+  biblicalFigures = core.figures;
+  invalidateDerivedIndexes();
+  saveEdits();
+
+  redrawTree();
+  populateExplorerFilters();
+  renderExplorer();
+  updateStats();
+  updateEditBar();
+}
+
+// Redraw the list or chart from the current data, keeping its root, open branches, focus and chart position
+function redrawTree() {
+  if (!document.getElementById('tree-root')) return;
+  const rootId = peopleById[treeRootId] ? treeRootId : (pickRootForUI() || {}).id;
+  if (!rootId) return;
+  const expanded = [...new Set(expandedRouteIds())];
+  const focused = focusedPersonId;
+  const transform = Object.assign({}, chartState.transform);
+
+  jumpToPerson(rootId);
+  if (treeView === 'chart') {
+    chartState.expanded = new Set([rootId, ...expanded]);
+    renderChart();
+    Object.assign(chartState.transform, transform);
+    applyChartTransform();
+  } else {
+    expandListBranches(expanded);
+  }
+  if (peopleById[focused]) focusPerson(focused);
+}
+
+// createNode calls this in edit mode: a ✏️ button, and dragging onto another node to move under it
+function bindNodeEditing(node, personId) {
+  node.querySelector('.node-edit-btn').addEventListener('click', e => {
+    e.stopPropagation();
+    openPersonEditor(personId);
+  });
+  node.draggable = true;
+  node.addEventListener('dragstart', e => {
+    e.stopPropagation();
+    const branch = node.parentNode && node.parentNode.classList.contains('branch') ? node.parentNode.dataset.parentId : '';
+    e.dataTransfer.setData('text/plain', JSON.stringify({ id: personId, from: branch }));
+    e.dataTransfer.effectAllowed = 'move';
+  });
+  node.addEventListener('dragover', e => {
+    e.preventDefault();
+    node.classList.add('drop-target');
+  });
+  node.addEventListener('dragleave', () => node.classList.remove('drop-target'));
+  node.addEventListener('drop', e => {
+    e.preventDefault();
+    e.stopPropagation();
+    node.classList.remove('drop-target');
+    let dragged = null;
+    try { dragged = JSON.parse(e.dataTransfer.getData('text/plain')); } catch (_) { return; }
+    if (dragged && dragged.id && dragged.id !== personId) moveUnder(dragged.id, dragged.from || null, personId);
+  });
+}
+
+// Reparent from the tree; fromId is the branch it was dragged out of (none for the root)
+function moveUnder(childId, fromId, toId) {
+  const name = id => (peopleById[id] ? peopleById[id].name : id);
+  const question = fromId
+    ? `Move ${name(childId)} from under ${name(fromId)} to under ${name(toId)}?`
+    : `Add ${name(childId)} as a child of ${name(toId)}?`;
+  if (!confirm(question)) return;
+  const next = editSession.fork();
+  try {
+    next.reparent(childId, fromId, toId);
+  } catch (err) {
+    return alert(err.message);
+  }
+  commitEdits(next);
+}
+
+// "✏️ Edit" buttons for the bio and figure modals, in edit mode only
+function editEntryButtons(personId, figureId) {
+  if (!editMode) return '';
+  return [
+    personId ? `<button class="pill-btn edit-entry-btn" data-edit-person="${personId}">✏️ Edit person</button>` : '',
+    figureId ? `<button class="pill-btn edit-entry-btn" data-edit-figure="${figureId}">✏️ Edit figure</button>` : ''
+  ].join('');
+}
+
+function bindEditEntryButtons(container) {
+  container.querySelectorAll('.edit-entry-btn').forEach(btn => {
+    btn.addEventListener('click', () => (btn.dataset.editPerson
+      ? openPersonEditor(btn.dataset.editPerson)
+      : openFigureEditor(btn.dataset.editFigure)));
+  });
+}
+
+// Only the fields a form actually changed, so untouched ones keep their exact shape
+function changedFields(original, fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([field, value]) => {
+    const before = original[field] === undefined ? (Array.isArray(value) ? [] : '') : original[field];
+    return JSON.stringify(before) !== JSON.stringify(value);
+  }));
+}
+
+// An existing person by autocomplete pick or exact name/id, else null
+function pickedPerson(input) {
+  const selected = input.dataset.selectedId;
+  if (selected && peopleById[selected]) return selected;
+  const person = findPerson(input.value.trim());
+  return person ? person.id : null;
+}
+
+function editChip(id, name, link) {
+  return `<span class="edit-chip">${name}
+    <button type="button" class="edit-chip-remove" data-link="${link}" data-id="${id}" title="Remove">✕</button></span>`;
+}
+
+// Parents and children as the draft has them, linked both ways as the core links them
+function draftFamily(draft, personId) {
+  const family = GenealogyCore.createGenealogy();
+  family.loadGenealogy(draft.files().genealogy);
+  const person = family.people[personId];
+  const entry = id => ({ id, name: family.people[id] ? family.people[id].name : prettifyKey(id) });
+  return {
+    parents: (family.parentsById[personId] || []).map(entry),
+    children: (person ? person.descendants : []).map(c => (typeof c === 'string' ? c : c.id)).map(entry)
+  };
+}
+
+/*
+  The editor forms share one shape: field values are read on input, the
+  draft session takes structural changes (links) straight away, staged()
+  writes the fields into a fork of the draft, and Save commits that fork.
+  openEditorForm renders with render(), then wires the parts common to
+  both forms and checks the staged result.
+*/
+function openEditorForm({ render, values, staged, onSave, onCancel, bind }) {
+  const modal = document.getElementById("infoModal");
+  const content = document.getElementById("person-info");
+  let checkTimer = null;
+  modal.style.display = "block";
+  recordModal(null);
+
+  const check = form => {
+    const box = form.querySelector('.edit-issues');
+    if (content.querySelector('.edit-form') !== form || !box) return;
+    let issues;
+    try {
+      issues = introducedIssues(staged().session, editSession);
+    } catch (err) {
+      issues = [{ severity: 'error', message: err.message }];
+    }
+    box.innerHTML = editIssuesHtml(issues);
+  };
+
+  const draw = () => {
+    editorDropdowns.forEach(dropdown => dropdown.remove());
+    editorDropdowns = [];
+    content.innerHTML = render();
+    const form = content.querySelector('.edit-form');
+    for (const [field, value] of Object.entries(values)) {
+      const input = form.querySelector(`[name="${field}"]`);
+      if (input) input.value = value;
+    }
+    form.addEventListener('input', e => {
+      if (!(e.target.name in values)) return;
+      values[e.target.name] = e.target.value;
+      clearTimeout(checkTimer);
+      checkTimer = setTimeout(() => check(form), EDIT_CHECK_DELAY);
+    });
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      let result;
+      try {
+        result = staged();
+      } catch (err) {
+        return alert(err.message);
+      }
+      commitEdits(result.session);
+      onSave(result);
+    });
+    form.querySelector('.edit-cancel').addEventListener('click', onCancel);
+    form.querySelectorAll('.edit-link-input').forEach(input => {
+      editorDropdowns.push(setupAutocomplete(input, null, { includeFigures: input.dataset.link === 'related' }));
+      input.addEventListener('keydown', e => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        const add = form.querySelector(`.edit-link-add[data-link="${input.dataset.link}"]`);
+        if (add) add.click();
+      });
+    });
+    bind(form, draw);
+    check(form);
+  };
+  draw();
+}
+
+/*
+  openPersonEditor(personId, parentId)
+  - personId: the person to edit, or null for a new one
+  - parentId: for a new person, who they are a child of (optional)
+*/
+function openPersonEditor(personId, parentId = null) {
+  const draft = editSession.fork();
+  const original = personId ? draft.get('genealogy', personId) : {};
+  if (personId && !original) return;
+  const values = { id: personId || '', name: original.name || '', bio: original.bio || '', scripture: original.scripture || '' };
+  let parentOfNew = parentId;
+
+  const staged = () => {
+    const session = draft.fork();
+    if (personId) {
+      const fields = changedFields(original, { name: values.name.trim(), bio: values.bio, scripture: values.scripture });
+      if (Object.keys(fields).length) session.update('genealogy', personId, fields);
+      return { session, id: personId };
+    }
+    const id = session.addPerson({ id: values.id.trim() || undefined, name: values.name, bio: values.bio, scripture: values.scripture });
+    if (parentOfNew) session.addChild(parentOfNew, id);
+    return { session, id };
+  };
+
+  const render = () => {
+    const family = personId ? draftFamily(draft, personId) : null;
+    const moving = family && family.parents.length === 1;
+    return `
+      <h2>${personId ? `Edit ${original.name || personId}` : 'New Person'}</h2>
+      <form class="edit-form">
+        <label>Id <input name="id" ${personId ? 'readonly' : `placeholder="${values.name ? draft.freeId(values.name) : 'made from the name'}"`}></label>
+        <label>Name <input name="name"></label>
+        <label>Biography <textarea name="bio" rows="5"></textarea></label>
+        <label>Scripture <input name="scripture" placeholder="e.g. Gen 30:22-24; 37:2-50:26"></label>
+        ${family ? `
+          <div class="edit-links">
+            <strong>Parents:</strong> ${family.parents.map(p => editChip(p.id, p.name, 'parent')).join(' ') || '<em>none</em>'}
+            <div class="edit-link-row">
+              <input class="edit-link-input" data-link="parent" placeholder="${moving ? 'Move under…' : 'Add a parent…'}">
+              <button type="button" class="pill-btn edit-link-add" data-link="parent">${moving ? 'Move' : 'Add'}</button>
+            </div>
+          </div>
+          <div class="edit-links">
+            <strong>Children:</strong> ${family.children.map(c => editChip(c.id, c.name, 'child')).join(' ') || '<em>none</em>'}
+            <div class="edit-link-row">
+              <input class="edit-link-input" data-link="child" placeholder="Add a child (someone listed, or a new name)…">
+              <button type="button" class="pill-btn edit-link-add" data-link="child">Add</button>
+            </div>
+          </div>
+        ` : `
+          <div class="edit-links">
+            <strong>Child of:</strong> ${parentOfNew ? editChip(parentOfNew, (draft.get('genealogy', parentOfNew) || {}).name || parentOfNew, 'parent') : '<em>nobody yet</em>'}
+            <div class="edit-link-row">
+              <input class="edit-link-input" data-link="parent" placeholder="Parent…">
+              <button type="button" class="pill-btn edit-link-add" data-link="parent">Set</button>
+            </div>
+          </div>
+        `}
+        <div class="edit-issues"></div>
+        <div class="report-actions">
+          <button type="submit" class="pill-btn accent">Save</button>
+          <button type="button" class="pill-btn edit-cancel">Cancel</button>
+        </div>
+      </form>
+    `;
+  };
+
+  const bind = (form, redraw) => {
+    const link = (run) => {
+      try {
+        run();
+      } catch (err) {
+        return alert(err.message);
+      }
+      redraw();
+    };
+    form.querySelectorAll('.edit-chip-remove').forEach(btn => btn.addEventListener('click', () => link(() => {
+      if (!personId) parentOfNew = null;
+      else if (btn.dataset.link === 'parent') draft.removeChild(btn.dataset.id, personId);
+      else draft.removeChild(personId, btn.dataset.id);
+    })));
+    form.querySelectorAll('.edit-link-add').forEach(btn => btn.addEventListener('click', () => {
+      const input = form.querySelector(`.edit-link-input[data-link="${btn.dataset.link}"]`);
+      const text = input.value.trim();
+      if (!text) return;
+      const existing = pickedPerson(input);
+      if (btn.dataset.link === 'child') {
+        link(() => draft.addChild(personId, existing || draft.addPerson({ name: text })));
+      } else if (!existing) {
+        alert(notFoundMessage(text));
+      } else if (!personId) {
+        link(() => { parentOfNew = existing; });
+      } else {
+        const parents = draftFamily(draft, personId).parents;
+        link(() => (parents.length === 1 ? draft.reparent(personId, parents[0].id, existing) : draft.addChild(existing, personId)));
+      }
+    }));
+    if (!personId) {
+      const idInput = form.querySelector('[name="id"]');
+      form.querySelector('[name="name"]').addEventListener('input', e => {
+        idInput.placeholder = e.target.value.trim() ? draft.freeId(e.target.value) : 'made from the name';
+      });
+    }
+  };
+
+  openEditorForm({
+    render,
+    values,
+    staged,
+    bind,
+    onSave: ({ id }) => openModal(peopleById[id]),
+    onCancel: () => (personId && peopleById[personId] ? openModal(peopleById[personId]) : closeModal())
+  });
+}
+
+function openFigureEditor(figureId) {
+  const original = editSession.get('figures', figureId);
+  if (!original) return;
+  const values = {
+    name: original.name || '',
+    category: original.category || '',
+    time_period: original.time_period || '',
+    bio: original.bio || '',
+    scripture: original.scripture || '',
+    popular_stories: (original.popular_stories || []).join('\n')
+  };
+  let related = (original.related_figures || []).slice();
+
+  const staged = () => {
+    const session = editSession.fork();
+    const fields = changedFields(original, {
+      name: values.name.trim(),
+      category: values.category.trim(),
+      time_period: values.time_period.trim(),
+      bio: values.bio,
+      scripture: values.scripture,
+      popular_stories: values.popular_stories.split('\n').map(line => line.trim()).filter(Boolean),
+      related_figures: related
+    });
+    if (Object.keys(fields).length) session.update('figures', figureId, fields);
+    return { session, id: figureId };
+  };
+
+  const render = () => `
+    <h2>Edit ${original.name || figureId}</h2>
+    <form class="edit-form">
+      <label>Name <input name="name"></label>
+      <label>Category <input name="category" list="edit-categories"></label>
+      <datalist id="edit-categories">${figureFacets().categories.map(c => `<option value="${c.name}"></option>`).join('')}</datalist>
+      <label>Time period <input name="time_period" placeholder="e.g. Kingdom Divided (9th century BC)"></label>
+      <label>Biography <textarea name="bio" rows="5"></textarea></label>
+      <label>Scripture <input name="scripture"></label>
+      <label>Popular stories <small>(one per line)</small> <textarea name="popular_stories" rows="5"></textarea></label>
+      <div class="edit-links">
+        <strong>Related figures:</strong> ${related.map(id =>
+          editChip(id, entityExists(id) ? entityName(id) : `${prettifyKey(id)} <small>(not in either dataset)</small>`, 'related')).join(' ') || '<em>none</em>'}
+        <div class="edit-link-row">
+          <input class="edit-link-input" data-link="related" placeholder="Add someone from either dataset…">
+          <button type="button" class="pill-btn edit-link-add" data-link="related">Add</button>
+        </div>
+      </div>
+      <div class="edit-issues"></div>
+      <div class="report-actions">
+        <button type="submit" class="pill-btn accent">Save</button>
+        <button type="button" class="pill-btn edit-cancel">Cancel</button>
+      </div>
+    </form>
+  `;
+
+  const bind = (form, redraw) => {
+    form.querySelectorAll('.edit-chip-remove').forEach(btn => btn.addEventListener('click', () => {
+      related = related.filter(id => id !== btn.dataset.id);
+      redraw();
+    }));
+    form.querySelector('.edit-link-add').addEventListener('click', () => {
+      const input = form.querySelector('.edit-link-input');
+      const text = input.value.trim();
+      if (!text) return;
+      const selected = input.dataset.selectedId;
+      const hit = selected && entityExists(selected) ? { id: selected } : findFigure(text) || findPerson(text);
+      if (!hit) return alert(notFoundMessage(text));
+      if (!related.includes(hit.id)) related.push(hit.id);
+      redraw();
+    });
+  };
+
+  openEditorForm({
+    render,
+    values,
+    staged,
+    bind,
+    onSave: ({ id }) => openFigureModal(biblicalFigures[id], id),
+    onCancel: () => openFigureModal(biblicalFigures[figureId], figureId)
+  });
+}
+
+// The pending edits, the problems they add, and the downloads
+function showPendingEdits() {
+  const modal = document.getElementById("infoModal");
+  const content = document.getElementById("person-info");
+  const changes = editSession.changes();
+  const edited = new Set(changes.map(c => c.dataset));
+  const issues = changes.length ? introducedIssues(editSession) : [];
+  const diffText = JSON.stringify(editSession.diff(), null, 2) + '\n';
+  const exported = new Set();
+
+  modal.style.display = "block";
+  recordModal(null);
   content.innerHTML = `
-    <h2>${title} (${list.length})</h2>
-    <div class="search-results">
-      ${list.map(p => `
-        <div class="search-result-item" data-person-id="${p.id}">
-          <strong>${p.name}</strong>
-          <p>${(p.bio || '').substring(0, 220)}${(p.bio && p.bio.length > 220) ? '…' : ''}</p>
-        </div>
-      `).join('')}
+    <h2>Pending Edits</h2>
+    ${editBaseChanged ? '<p class="edit-warning">These edits were saved against a different copy of the data files; check the diff before exporting.</p>' : ''}
+    <p>${changes.length} edited entr${changes.length === 1 ? 'y' : 'ies'}, kept in this browser until exported or discarded.</p>
+    ${changes.length ? `<ul class="edit-change-list">${changes.map(c => `
+      <li>
+        <span class="edit-kind edit-kind-${c.kind}">${c.kind}</span>
+        ${c.dataset === 'figures' ? 'Figure' : 'Person'}: <span class="lineage-link" data-entity-id="${c.id}">${c.name}</span> <small>(${c.id})</small>
+        <button class="pill-btn edit-discard-one" data-dataset="${c.dataset}" data-id="${c.id}">Discard</button>
+      </li>`).join('')}</ul>` : ''}
+    <h3>New problems</h3>
+    ${editIssuesHtml(issues)}
+    <div class="report-actions">
+      <button class="pill-btn edit-export" data-dataset="genealogy"${edited.has('genealogy') ? '' : ' disabled'}>Download biblical_genealogy.json</button>
+      <button class="pill-btn edit-export" data-dataset="figures"${edited.has('figures') ? '' : ' disabled'}>Download biblical_figures.json</button>
+      <button class="pill-btn" id="edit-export-diff"${changes.length ? '' : ' disabled'}>Download diff</button>
     </div>
+    <pre class="validation-report"></pre>
   `;
+  content.querySelector('.validation-report').textContent = diffText;
 
-  content.querySelectorAll('.search-result-item').forEach(item => {
-    item.addEventListener('click', () => {
-      modal.style.display = "none";
-      jumpToPerson(item.dataset.personId);
-    });
+  content.querySelectorAll('.lineage-link').forEach(link => {
+    link.addEventListener('click', () => openEntity(link.dataset.entityId));
   });
+  content.querySelectorAll('.edit-discard-one').forEach(btn => btn.addEventListener('click', () => {
+    const next = editSession.fork();
+    next.discard(btn.dataset.dataset, btn.dataset.id);
+    commitEdits(next);
+    showPendingEdits();
+  }));
+  content.querySelectorAll('.edit-export').forEach(btn => btn.addEventListener('click', () => {
+    const dataset = btn.dataset.dataset;
+    const filename = dataset === 'figures' ? 'biblical_figures.json' : 'biblical_genealogy.json';
+    downloadFile(filename, editSession.texts(loadedTexts())[dataset], 'application/json');
+    exported.add(dataset);
+    if ([...edited].every(d => exported.has(d)) &&
+        confirm('The edited files are downloaded. Clear the pending edits from this browser now?')) {
+      discardEdits();
+      showPendingEdits();
+    }
+  }));
+  content.querySelector('#edit-export-diff').addEventListener('click', () =>
+    downloadFile('dataset-edits.diff.json', diffText, 'application/json'));
 }
 
 // ---------- Jump / Breadcrumb / Stats ----------
 function jumpToPerson(personId) {
+  // ids go straight there; a bare shared name ("Joseph") asks which one
+  if (!peopleById[personId]) {
+    const namesakes = namesakesFor(personId).filter(e => !e.isFigure);
+    if (namesakes.length > 1) {
+      return showNamesakes(personId, namesakes, p => { closeModal(); jumpToPerson(p.id); });
+    }
+  }
   const person = findPerson(personId) || (fuzzyFind(personId)[0] || null);
   if (!person) {
     console.error('Person not found:', personId);
@@ -703,20 +3202,84 @@ function jumpToPerson(personId) {
   }
 
   expandedNodes.clear();
-  currentPath = [person.name];
 
   const root = document.getElementById('tree-root');
   root.innerHTML = '';
   const node = createNode(person);
   root.appendChild(node);
-  updateBreadcrumb(currentPath);
+  focusPerson(person.id);
+  treeRootId = person.id;
+  setChartRoot(person.id);
+  scheduleRouteSync();
+}
+
+/*
+  The breadcrumb is the focused person's real ancestry, from Adam (or the
+  top of whichever line they belong to) down to them. Each crumb re-roots
+  the tree there. People with several recorded lines get a picker for the
+  alternates (see lineagePaths); long lines are shortened until the "…"
+  is clicked.
+*/
+const BREADCRUMB_HEAD = 2;
+const BREADCRUMB_TAIL = 8;
+
+let breadcrumbPathIndex = 0;
+let breadcrumbExpanded = false;
+
+function focusPerson(personId) {
+  if (personId !== focusedPersonId) {
+    breadcrumbPathIndex = 0;
+    breadcrumbExpanded = false;
+  }
+  focusedPersonId = personId;
+  updateBreadcrumb();
 }
 
-function updateBreadcrumb(path) {
+// "Main line" or "through Ruth, mother of Obed"
+function lineLabel(line) {
+  if (!line.via) return `Main line (from ${peopleById[line.path[0]].name})`;
+  const { at, parent } = line.via;
+  return `Through ${peopleById[parent].name}, ${parentRoleLabel(at, parent)} of ${peopleById[at].name}`;
+}
+
+function updateBreadcrumb() {
   const breadcrumb = document.getElementById("breadcrumb");
-  breadcrumb.innerHTML = path.map((name) =>
-    `<span class="breadcrumb-item">${name}</span>`
-  ).join(' → ');
+  if (!breadcrumb) return;
+  if (!peopleById[focusedPersonId]) {
+    breadcrumb.innerHTML = '';
+    return;
+  }
+
+  const lines = lineagePaths(focusedPersonId);
+  const index = Math.min(breadcrumbPathIndex, lines.length - 1);
+  const path = lines[index].path;
+  const crumb = (id, i) => i === path.length - 1
+    ? `<span class="breadcrumb-item current">${peopleById[id].name}</span>`
+    : `<span class="breadcrumb-item" data-person-id="${id}" title="Show ${peopleById[id].name} in the tree">${peopleById[id].name}</span>`;
+
+  let crumbs = path.map(crumb);
+  if (!breadcrumbExpanded && path.length > BREADCRUMB_HEAD + BREADCRUMB_TAIL + 1) {
+    const hidden = path.length - BREADCRUMB_HEAD - BREADCRUMB_TAIL;
+    crumbs = [
+      ...crumbs.slice(0, BREADCRUMB_HEAD),
+      `<span class="breadcrumb-more" title="Show all ${path.length} generations">… ${hidden} more …</span>`,
+      ...crumbs.slice(-BREADCRUMB_TAIL)
+    ];
+  }
+
+  breadcrumb.innerHTML = crumbs.join(' → ') + (lines.length > 1 ? `
+    <select class="breadcrumb-paths" title="Other recorded lines">
+      ${lines.map((line, i) => `<option value="${i}" ${i === index ? 'selected' : ''}>${lineLabel(line)}</option>`).join('')}
+    </select>
+  ` : '');
+
+  breadcrumb.querySelectorAll('.breadcrumb-item[data-person-id]').forEach(item => {
+    item.addEventListener('click', () => jumpToPerson(item.dataset.personId));
+  });
+  const more = breadcrumb.querySelector('.breadcrumb-more');
+  if (more) more.addEventListener('click', () => { breadcrumbExpanded = true; updateBreadcrumb(); });
+  const picker = breadcrumb.querySelector('.breadcrumb-paths');
+  if (picker) picker.addEventListener('change', () => { breadcrumbPathIndex = Number(picker.value); updateBreadcrumb(); });
 }
 
 function updateStats() {
@@ -725,7 +3288,237 @@ function updateStats() {
   if (el) el.textContent = count;
 }
 
+// ---------- Router ----------
+/*
+  The URL hash mirrors what is on screen, as query-style parameters:
+
+    #person=boaz&expanded=boaz,obed&view=chart&modal=descendants&id=boaz
+     &explorer=1&category=Prophets,Kings&period=divided&centuries=-9,-8&find=fire
+
+  - person / expanded: tree root and expanded branches (parents first)
+  - view / orient: list or chart, and the chart orientation
+  - modal + id | a,b | q: bio, figure, search, compare, connection,
+    ancestors, descendants, chronology, lineage, lineage-compare or tribes
+    (search and descendants also keep their `tribe` filter)
+  - lines: lineage overlays drawn on the tree
+  - explorer / category / period / centuries / find: Figures Explorer
+    state (category may list several, comma-separated)
+    (explorer=timeline or explorer=network for the other views; net lists
+    the figures expanded in the network)
+  Changes made in the same tick become one history entry. Back/forward
+  and edited URLs are replayed through applyRoute().
+*/
+const ROUTE_MODAL_KEYS = ['id', 'a', 'b', 'q', 'tribe'];
+
+let modalRoute = null;        // { modal, id?, a?, b?, q?, tribe? } for the open modal, or null
+let routerReady = false;
+let routeRestoring = false;
+let routeSyncPending = false;
+let routeReplace = false;
+let lastRouteHash = '';
+
+function recordModal(route) {
+  modalRoute = route;
+  scheduleRouteSync();
+}
+
+function closeModal() {
+  document.getElementById("infoModal").style.display = "none";
+  recordModal(null);
+}
+
+// replace=true rewrites the current entry instead of adding one (e.g. while typing)
+function scheduleRouteSync(replace = false) {
+  routeReplace = routeSyncPending ? routeReplace && replace : replace;
+  if (routeSyncPending) return;
+  routeSyncPending = true;
+  queueMicrotask(flushRoute);
+}
+
+function flushRoute() {
+  routeSyncPending = false;
+  if (!routerReady || routeRestoring) return;
+  const hash = routeHash();
+  if (hash === lastRouteHash) return;
+  lastRouteHash = hash;
+  const url = `${location.pathname}${location.search}#${hash}`;
+  if (routeReplace) history.replaceState(null, '', url);
+  else history.pushState(null, '', url);
+}
+
+// Expanded branches in the order they must be reopened (parents before children)
+function expandedRouteIds() {
+  if (treeView === 'chart') {
+    return (chartState.layout ? chartState.layout.nodes : []).filter(n => n.expanded).map(n => n.id);
+  }
+  return [...document.querySelectorAll('#tree-root .branch[data-parent-id]')].map(b => b.dataset.parentId);
+}
+
+function routeHash() {
+  const params = new URLSearchParams();
+  if (treeRootId) params.set('person', treeRootId);
+  const expanded = [...new Set(expandedRouteIds())];
+  if (expanded.length) params.set('expanded', expanded.join(','));
+  if (treeView === 'chart') {
+    params.set('view', 'chart');
+    if (chartState.orientation !== 'vertical') params.set('orient', chartState.orientation);
+  }
+  if (activeLineages.length) params.set('lines', activeLineages.join(','));
+  if (modalRoute) {
+    params.set('modal', modalRoute.modal);
+    for (const key of ROUTE_MODAL_KEYS) if (modalRoute[key]) params.set(key, modalRoute[key]);
+  }
+  if (isExplorerOpen()) params.set('explorer', explorerView === 'grid' ? '1' : explorerView);
+  if (explorerView === 'network' && networkExpanded.size) params.set('net', [...networkExpanded].join(','));
+  if (selectedCategories().length) params.set('category', selectedCategories().join(','));
+  if (currentFilters.period !== 'all') params.set('period', currentFilters.period);
+  if (currentFilters.centuries) params.set('centuries', currentFilters.centuries.join(','));
+  if (currentFilters.search) params.set('find', currentFilters.search);
+  return params.toString();
+}
+
+function parseRoute(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const modal = params.get('modal');
+  const route = {
+    person: params.get('person'),
+    expanded: (params.get('expanded') || '').split(',').filter(Boolean),
+    view: params.get('view') === 'chart' ? 'chart' : 'list',
+    orient: params.get('orient') === 'horizontal' ? 'horizontal' : 'vertical',
+    lines: (params.get('lines') || '').split(',').filter(Boolean),
+    modal: null,
+    explorer: {
+      open: params.get('explorer') === '1' || Object.keys(EXPLORER_VIEWS).includes(params.get('explorer')),
+      view: Object.keys(EXPLORER_VIEWS).includes(params.get('explorer')) ? params.get('explorer') : 'grid',
+      network: (params.get('net') || '').split(',').filter(Boolean),
+      category: params.get('category') || 'all',
+      period: params.get('period') || 'all',
+      centuries: (params.get('centuries') || '').split(',').filter(Boolean).map(Number),
+      search: params.get('find') || ''
+    }
+  };
+  if (modal) {
+    route.modal = { modal };
+    for (const key of ROUTE_MODAL_KEYS) if (params.has(key)) route.modal[key] = params.get(key);
+  }
+  return route;
+}
+
+// Reopen list branches one by one; each toggle creates the next level's nodes
+function expandListBranches(ids) {
+  for (const id of ids) {
+    const person = peopleById[id];
+    const box = [...document.querySelectorAll('#tree-root .node-box')]
+      .find(el => el.dataset.personId === id && !(el.nextElementSibling && el.nextElementSibling.dataset.parentId === id));
+    if (person && box) toggleBranch(box, person);
+  }
+}
+
+function openRoutedModal(route) {
+  const person = id => peopleById[id];
+  switch (route && route.modal) {
+    case 'bio': if (person(route.id)) return openModal(person(route.id)); break;
+    case 'figure': if (biblicalFigures[route.id]) return openFigureModal(biblicalFigures[route.id], route.id); break;
+    case 'search': if (route.q) return smartSearch(route.q, tribesByKey[route.tribe] ? route.tribe : null); break;
+    case 'compare': if (route.a && route.b) return comparePeople(route.a, route.b); break;
+    case 'connection': if (entityExists(route.a) && entityExists(route.b)) return showConnection(route.a, route.b); break;
+    case 'ancestors': if (person(route.id)) return showAncestors(person(route.id)); break;
+    case 'descendants': if (person(route.id)) return showDescendants(person(route.id), tribesByKey[route.tribe] ? route.tribe : null); break;
+    case 'chronology': return listChronologically();
+    case 'tribes': return showTribes(route.id);
+    case 'lineage': if (lineages[route.id]) return showLineage(route.id); break;
+    case 'lineage-compare': if (lineages[route.a] && lineages[route.b]) return showLineageComparison(route.a, route.b); break;
+  }
+  closeModal();
+}
+
+function applyRoute(route) {
+  routeRestoring = true;
+  try {
+    setExplorerFilters(route.explorer);
+    networkExpanded = new Set(route.explorer.network.filter(entityExists));
+    setExplorerView(route.explorer.view);
+    setExplorerOpen(route.explorer.open);
+    setActiveLineages(route.lines);
+
+    const rootId = peopleById[route.person] ? route.person : (pickRootForUI() || {}).id;
+    if (rootId) jumpToPerson(rootId);
+    chartState.orientation = route.orient;
+    const orientation = document.getElementById('chart-orientation');
+    if (orientation) orientation.value = route.orient;
+
+    if (route.view === 'chart') {
+      setTreeView('chart');
+      chartState.expanded = new Set([chartState.rootId, ...route.expanded]);
+      renderChart();
+      resetChartView();
+    } else {
+      setTreeView('list');
+      expandListBranches(route.expanded);
+    }
+
+    openRoutedModal(route.modal);
+  } finally {
+    routeRestoring = false;
+  }
+  // the URL may name people that no longer exist: show what was actually restored
+  lastRouteHash = routeHash();
+  if (lastRouteHash !== location.hash.replace(/^#/, '')) {
+    history.replaceState(null, '', `${location.pathname}${location.search}#${lastRouteHash}`);
+  }
+}
+
+async function startRouter() {
+  await figuresReady;
+  routerReady = true;
+  const onNavigate = () => {
+    if (location.hash.replace(/^#/, '') !== lastRouteHash) applyRoute(parseRoute(location.hash));
+  };
+  window.addEventListener('popstate', onNavigate);
+  window.addEventListener('hashchange', onNavigate);
+
+  if (location.hash.length > 1) applyRoute(parseRoute(location.hash));
+  else lastRouteHash = routeHash();
+}
+
+// ---------- Offline / Updates ----------
+/*
+  sw.js keeps the page, its scripts and the data files cached, so the app
+  opens without a connection. It serves the cached copy first and refreshes
+  the cache behind it; when a refresh finds a newer copy it posts
+  { type: 'update-available', file } and the banner offers a reload into
+  it. Pending dataset edits are in localStorage and survive the reload; if
+  the data under them changed, they are held back until applied or
+  discarded (see Dataset Editor).
+  Pages opened from file:// cannot register a worker and stay online-only.
+*/
+const updatedFiles = new Set();
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+  navigator.serviceWorker.addEventListener('message', e => {
+    if (e.data && e.data.type === 'update-available') showUpdateBanner(e.data.file);
+  });
+  document.getElementById('update-reload')?.addEventListener('click', () => location.reload());
+  document.getElementById('update-dismiss')?.addEventListener('click', () =>
+    document.getElementById('update-banner').classList.add('hidden'));
+  navigator.serviceWorker.register('./sw.js').catch(err => console.warn('Offline use unavailable:', err));
+}
+
+function showUpdateBanner(file) {
+  const banner = document.getElementById('update-banner');
+  if (!banner) return;
+  updatedFiles.add(file);
+  const data = [...updatedFiles].filter(f => f.endsWith('.json'));
+  banner.querySelector('.update-text').textContent = data.length
+    ? `Newer data is available (${data.join(', ')}).`
+    : 'A newer version of the app is available.';
+  banner.classList.remove('hidden');
+}
+
 // ---------- Boot ----------
+// the worker's listener goes first, so no update message about the data loaded at boot is missed
+window.addEventListener('DOMContentLoaded', registerServiceWorker);
 window.addEventListener('DOMContentLoaded', loadGenealogyData);
 
 // ============================================================
@@ -734,9 +3527,11 @@ window.addEventListener('DOMContentLoaded', loadGenealogyData);
 // ============================================================
 
 let biblicalFigures = {};
+let figuresSource = null; // { data, text } exactly as fetched, for the validator
 let currentFilters = {
-  category: 'all',
-  period: 'all',
+  category: 'all',    // 'all', one category or a list of them
+  period: 'all',      // an era key from GenealogyCore.parseTimePeriod
+  centuries: null,    // [from, to] signed centuries (see centuryOf), or null for any
   search: ''
 };
 
@@ -748,8 +3543,12 @@ async function loadBiblicalFigures() {
       console.warn('Biblical figures data not found');
       return;
     }
-    const data = await res.json();
-    biblicalFigures = data.figures || {};
+    const text = await res.text();
+    const data = JSON.parse(text);
+    figuresSource = { data, text };
+    core.loadFigures(data);
+    biblicalFigures = core.figures;
+    invalidateDerivedIndexes();
     console.info('Biblical figures loaded:', Object.keys(biblicalFigures).length);
   } catch (err) {
     console.warn('Could not load biblical figures:', err);
@@ -766,93 +3565,287 @@ function initFiguresExplorer() {
   const resetBtn = document.getElementById('reset-filters');
   
   if (!toggleBtn || !explorerSection) return;
+  populateExplorerFilters();
   
   // Toggle explorer visibility
   toggleBtn.addEventListener('click', () => {
-    const isHidden = explorerSection.classList.contains('hidden');
-    if (isHidden) {
-      explorerSection.classList.remove('hidden');
-      toggleBtn.textContent = '📖 Hide Biblical Figures Explorer';
-      renderFigures();
-    } else {
-      explorerSection.classList.add('hidden');
-      toggleBtn.textContent = '📖 Explore Other Biblical Figures';
-    }
+    setExplorerOpen(explorerSection.classList.contains('hidden'));
+    scheduleRouteSync();
   });
   
   // Filter event listeners
   if (filterCategory) {
-    filterCategory.addEventListener('change', (e) => {
-      currentFilters.category = e.target.value;
-      renderFigures();
+    filterCategory.addEventListener('change', () => {
+      const picked = [...filterCategory.selectedOptions].map(o => o.value);
+      currentFilters.category = picked.length ? picked : 'all';
+      renderExplorer();
+      scheduleRouteSync();
     });
   }
   
   if (filterPeriod) {
     filterPeriod.addEventListener('change', (e) => {
       currentFilters.period = e.target.value;
-      renderFigures();
+      renderExplorer();
+      scheduleRouteSync();
     });
   }
   
   if (figuresSearch) {
     figuresSearch.addEventListener('input', (e) => {
       currentFilters.search = e.target.value.trim().toLowerCase();
-      renderFigures();
+      renderExplorer();
+      scheduleRouteSync(true); // one history entry per search, not per keystroke
     });
   }
   
+  // the two century sliders push each other so the range never turns inside out
+  const sliders = ['from', 'to'].map(end => document.getElementById(`filter-century-${end}`));
+  sliders.forEach((slider, i) => slider?.addEventListener('input', () => {
+    const [from, to] = sliders;
+    if (Number(from.value) > Number(to.value)) (i === 0 ? to : from).value = slider.value;
+    const whole = from.value === from.min && to.value === to.max;
+    currentFilters.centuries = whole ? null : [from, to].map(el => sliderCentury(Number(el.value)));
+    updateCenturyLabel();
+    renderExplorer();
+    scheduleRouteSync(true);
+  }));
+
   if (resetBtn) {
     resetBtn.addEventListener('click', () => {
-      currentFilters = { category: 'all', period: 'all', search: '' };
-      if (filterCategory) filterCategory.value = 'all';
-      if (filterPeriod) filterPeriod.value = 'all';
-      if (figuresSearch) figuresSearch.value = '';
-      renderFigures();
+      setExplorerFilters({ category: 'all', period: 'all', centuries: null, search: '' });
+      scheduleRouteSync();
     });
   }
+
+  document.querySelectorAll('.explorer-view-btn').forEach(btn => {
+    btn.addEventListener('click', () => setExplorerView(btn.dataset.explorerView));
+  });
+}
+
+function isExplorerOpen() {
+  const explorerSection = document.getElementById('figures-explorer');
+  return Boolean(explorerSection && !explorerSection.classList.contains('hidden'));
+}
+
+function setExplorerOpen(open) {
+  const toggleBtn = document.getElementById('toggle-figures-explorer');
+  const explorerSection = document.getElementById('figures-explorer');
+  if (!toggleBtn || !explorerSection) return;
+  explorerSection.classList.toggle('hidden', !open);
+  toggleBtn.textContent = open ? '📖 Hide Biblical Figures Explorer' : '📖 Explore Other Biblical Figures';
+  renderExplorer();
+}
+
+/*
+  The category list, the period dropdown and the century sliders are built
+  from the loaded figures (core.figureFacets), so a category or era new to
+  the data shows up without touching index.html. Slider positions are
+  signed centuries with the missing year 0 squeezed out: ... -2, -1 are the
+  2nd and 1st centuries BC, then 0, 1 the 1st and 2nd AD.
+*/
+function centurySlider(century) { return century > 0 ? century - 1 : century; }
+function sliderCentury(value) { return value >= 0 ? value + 1 : value; }
+
+function populateExplorerFilters() {
+  const { categories, eras, from, to } = figureFacets();
+  const filterCategory = document.getElementById('filter-category');
+  const filterPeriod = document.getElementById('filter-period');
+  if (filterCategory) {
+    filterCategory.innerHTML = categories.map(c => `<option value="${c.name}">${c.name} (${c.count})</option>`).join('');
+  }
+  if (filterPeriod) {
+    filterPeriod.innerHTML = `<option value="all">All Periods</option>${eras
+      .map(e => `<option value="${e.key}">${e.label} (${e.count})</option>`).join('')}`;
+  }
+  for (const end of ['from', 'to']) {
+    const slider = document.getElementById(`filter-century-${end}`);
+    if (!slider || from === null) continue;
+    slider.min = centurySlider(GenealogyCore.centuryOf(from));
+    slider.max = centurySlider(GenealogyCore.centuryOf(to));
+  }
+  syncFilterControls();
+}
+
+// Put the controls in line with currentFilters
+function syncFilterControls() {
+  const filterCategory = document.getElementById('filter-category');
+  const filterPeriod = document.getElementById('filter-period');
+  const picked = selectedCategories();
+  if (filterCategory) for (const option of filterCategory.options) option.selected = picked.includes(option.value);
+  if (filterPeriod) filterPeriod.value = currentFilters.period;
+  ['from', 'to'].forEach((end, i) => {
+    const slider = document.getElementById(`filter-century-${end}`);
+    if (!slider) return;
+    slider.value = currentFilters.centuries ? centurySlider(currentFilters.centuries[i]) : (i ? slider.max : slider.min);
+  });
+  updateCenturyLabel();
+}
+
+function updateCenturyLabel() {
+  const label = document.getElementById('century-range-label');
+  if (!label) return;
+  const range = currentFilters.centuries;
+  label.textContent = !range ? 'Any'
+    : range[0] === range[1] ? GenealogyCore.centuryLabel(range[0])
+      : `${GenealogyCore.centuryLabel(range[0])} – ${GenealogyCore.centuryLabel(range[1])}`;
+}
+
+// currentFilters.category as a list ([] for every category)
+function selectedCategories() {
+  const category = currentFilters.category;
+  return !category || category === 'all' ? [] : [].concat(category);
+}
+
+/*
+  Set filters and their controls together (reset button, router). category
+  may be 'all', a name, a list or a comma-separated string; centuries is a
+  [from, to] pair of signed centuries or null.
+*/
+function setExplorerFilters({ category = 'all', period = 'all', centuries = null, search = '' }) {
+  const categories = Array.isArray(category) ? category
+    : category === 'all' ? [] : String(category).split(',').filter(Boolean);
+  const range = Array.isArray(centuries) && centuries.length === 2 && centuries.every(c => Number.isInteger(c) && c !== 0)
+    ? [Math.min(...centuries), Math.max(...centuries)] : null;
+  currentFilters = {
+    category: categories.length ? categories : 'all',
+    period,
+    centuries: range,
+    search: search.trim().toLowerCase()
+  };
+  syncFilterControls();
+  const figuresSearch = document.getElementById('figures-search');
+  if (figuresSearch) figuresSearch.value = search;
+  renderExplorer();
+}
+
+/*
+  The explorer shows one view at a time: figure cards, the reign timeline
+  or the relationship network. The category / period / search filters
+  apply to the cards and the network; the timeline shows every dated reign.
+*/
+const EXPLORER_VIEWS = { grid: 'figures-grid', timeline: 'reign-timeline', network: 'figures-network' };
+
+let explorerView = 'grid';
+
+function setExplorerView(view) {
+  explorerView = Object.keys(EXPLORER_VIEWS).includes(view) ? view : 'grid';
+  for (const [key, hostId] of Object.entries(EXPLORER_VIEWS)) {
+    document.getElementById(hostId)?.classList.toggle('hidden', key !== explorerView);
+  }
+  document.querySelector('.explorer-filters')?.classList.toggle('hidden', explorerView === 'timeline');
+  document.querySelectorAll('.explorer-view-btn').forEach(btn => btn.classList.toggle('accent', btn.dataset.explorerView === explorerView));
+  renderExplorer();
+  scheduleRouteSync();
+}
+
+// Redraw whichever view is showing (nothing while the explorer is closed)
+function renderExplorer() {
+  if (!isExplorerOpen()) return;
+  if (explorerView === 'timeline') renderReignTimeline();
+  else if (explorerView === 'network') renderNetwork();
+  else renderFigures();
+}
+
+// "Enos (KJV spelling)" / "Jeconiah" when the query reached this entity through an alias
+function matchedAliasLabel(entity, query) {
+  const match = core.nameMatch(entity, normalizeText(query));
+  if (!match || !match.alias) return '';
+  return match.alias.type === 'variant' ? match.alias.name : `${match.alias.name} (${ALIAS_LABELS[match.alias.type]})`;
+}
+
+// Alert text for a name the tools could not resolve
+function notFoundMessage(text) {
+  const suggestions = suggestNames(text, 3).map(e => e.name);
+  return `"${text}" not found${suggestions.length ? `. Did you mean: ${suggestions.join(', ')}?` : ''}`;
+}
+
+/*
+  resolveEntity(input) -> { id, name } from either dataset, or null.
+  Accepts an <input> (honouring an autocomplete selection) or plain text;
+  genealogy entries win over figures with the same name.
+*/
+function resolveEntity(inputOrText) {
+  const isInput = inputOrText && typeof inputOrText === 'object';
+  const selected = isInput ? inputOrText.dataset.selectedId : null;
+  if (selected && entityExists(selected)) return { id: selected, name: entityName(selected) };
+
+  const text = (isInput ? inputOrText.value : inputOrText || '').trim();
+  if (!text) return null;
+  const hit = findPerson(text) || findFigure(text) || fuzzyFind(text)[0] || fuzzyFindFigures(text)[0] || null;
+  return hit ? { id: hit.id, name: hit.name } : null;
+}
+
+/*
+  Linked records: both files key entries by slug, so a slug found in both is
+  one person. The genealogy entry supplies the family links and the figure
+  entry adds category, time period and popular stories.
+*/
+function linkedFigure(personId) {
+  const figure = biblicalFigures[personId];
+  return figure ? figureAsResult(personId, figure) : null;
+}
+
+function linkedPerson(figureId) {
+  return peopleById[figureId] || null;
+}
+
+// Figure category for a result from either dataset ('' for genealogy-only people)
+function entityCategory(entity) {
+  if (entity.isFigure) return entity.category || 'Figure';
+  return biblicalFigures[entity.id]?.category || '';
+}
+
+// Open the detail modal for an id from either dataset (genealogy wins)
+function openEntity(id) {
+  if (peopleById[id]) return openModal(peopleById[id]);
+  if (biblicalFigures[id]) return openFigureModal(biblicalFigures[id], id);
+}
+
+// Close the modal and show a genealogy person's branch in the tree
+function showInTree(personId) {
+  closeModal();
+  jumpToPerson(personId);
+  const tree = document.getElementById('tree-root');
+  if (tree && tree.scrollIntoView) tree.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
 // Filter figures based on current filters
 function getFilteredFigures() {
-  return Object.entries(biblicalFigures).filter(([id, figure]) => {
-    // Category filter
-    if (currentFilters.category !== 'all' && figure.category !== currentFilters.category) {
-      return false;
-    }
-    
-    // Period filter
-    if (currentFilters.period !== 'all') {
-      const periodLower = figure.time_period.toLowerCase();
-      switch (currentFilters.period) {
-        case 'judges':
-          if (!periodLower.includes('judges')) return false;
-          break;
-        case 'divided':
-          if (!periodLower.includes('divided')) return false;
-          break;
-        case 'exile':
-          if (!periodLower.includes('exile')) return false;
-          break;
-        case 'nt':
-          if (!periodLower.includes('new testament')) return false;
-          break;
-      }
-    }
-    
-    // Search filter
-    if (currentFilters.search) {
-      const searchLower = currentFilters.search;
-      const nameMatch = figure.name.toLowerCase().includes(searchLower);
-      const bioMatch = figure.bio.toLowerCase().includes(searchLower);
-      const storiesMatch = figure.popular_stories.some(story => 
-        story.toLowerCase().includes(searchLower)
-      );
-      if (!nameMatch && !bioMatch && !storiesMatch) return false;
-    }
-    
-    return true;
-  });
+  return Object.entries(biblicalFigures).filter(([id, figure]) => figureMatchesFilters(figure));
+}
+
+// Whether a figure (or a genealogy person, who has no category or period) passes currentFilters
+function figureMatchesFilters(figure) {
+  // Category filter
+  const categories = selectedCategories();
+  if (categories.length && !categories.includes(figure.category)) {
+    return false;
+  }
+  
+  // Period and century filters
+  const period = GenealogyCore.parseTimePeriod(figure.time_period);
+  if (currentFilters.period !== 'all' && period.era !== currentFilters.period) {
+    return false;
+  }
+  if (currentFilters.centuries) {
+    const [from] = GenealogyCore.centuryYears(currentFilters.centuries[0]);
+    const [, to] = GenealogyCore.centuryYears(currentFilters.centuries[1]);
+    if (period.from === null || period.to < from || period.from > to) return false;
+  }
+  
+  // Search filter
+  if (currentFilters.search) {
+    const searchLower = currentFilters.search;
+    const nameMatch = String(figure.name || '').toLowerCase().includes(searchLower);
+    const bioMatch = String(figure.bio || '').toLowerCase().includes(searchLower);
+    const storiesMatch = (figure.popular_stories || []).some(story => 
+      String(story).toLowerCase().includes(searchLower)
+    );
+    if (!nameMatch && !bioMatch && !storiesMatch) return false;
+  }
+  
+  return true;
 }
 
 // Render figures grid
@@ -880,6 +3873,7 @@ function renderFigures() {
       </div>
       <div class="figure-card-period">${figure.time_period}</div>
       <div class="figure-card-bio">${figure.bio}</div>
+      ${linkedPerson(id) ? `<button class="pill-btn figure-tree-btn" data-person-id="${id}">🌳 Show in tree</button>` : ''}
       ${figure.popular_stories && figure.popular_stories.length > 0 ? `
         <div class="figure-card-stories">
           ${figure.popular_stories.slice(0, 3).map(story => 
@@ -898,28 +3892,394 @@ function renderFigures() {
     card.addEventListener('click', () => {
       const figureId = card.dataset.figureId;
       const figure = biblicalFigures[figureId];
-      if (figure) openFigureModal(figure);
+      if (figure) openFigureModal(figure, figureId);
+    });
+  });
+
+  grid.querySelectorAll('.figure-tree-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showInTree(btn.dataset.personId);
+    });
+  });
+}
+
+/*
+  Reign timeline: the explorer's second view. Kings of Judah, kings of
+  Israel and the prophets run as parallel tracks of bars, years BC from
+  left to right (core.reignTimeline). Bars that overlap on one track
+  (co-regencies, prophets sharing a reign) drop into extra lanes. Clicking a
+  bar opens its modal; the readout under the chart names who reigned and
+  prophesied in the year under the pointer.
+*/
+const TIMELINE = { yearWidth: 4, gutter: 84, axisHeight: 26, laneHeight: 22, trackGap: 12, tick: 25 };
+const TIMELINE_TRACKS = [
+  { key: 'judah', label: 'Judah' },
+  { key: 'israel', label: 'Israel' },
+  { key: 'prophets', label: 'Prophets' }
+];
+
+// "874–853 BC", or "841 BC" for a reign inside one year
+function spanBC([start, end]) {
+  return start === end ? `${start} BC` : `${start}–${end} BC`;
+}
+
+// Reign / ministry lines for the modals; '' for anyone not on the timeline
+function timelineDates(entity) {
+  const reign = GenealogyCore.normalizeSpanBC(entity.reign_bc);
+  const ministry = GenealogyCore.normalizeSpanBC(entity.ministry_bc);
+  const kingdom = GenealogyCore.KINGDOMS[entity.kingdom];
+  return [
+    reign ? `<p><strong>Reign:</strong> ${spanBC(reign)}${kingdom ? ` (${kingdom})` : ''}</p>` : '',
+    ministry ? `<p><strong>Ministry:</strong> ${spanBC(ministry)}</p>` : ''
+  ].join('');
+}
+
+// Greedy lanes: each bar takes the first lane whose last bar ended by its first year
+function timelineLanes(entries) {
+  const laneEnds = [];
+  return entries.map(entry => {
+    let lane = laneEnds.findIndex(end => end >= entry.start);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = entry.end;
+    return { ...entry, lane };
+  });
+}
+
+// Year BC under x pixels from the chart's left edge (null in the label gutter)
+function timelineYearAt(x, start) {
+  if (x < TIMELINE.gutter) return null;
+  return start - Math.floor((x - TIMELINE.gutter) / TIMELINE.yearWidth);
+}
+
+function timelineReadout(year) {
+  const active = activeInYear(year);
+  const names = list => list.map(e => e.name).join(', ') || '—';
+  return `<strong>${year} BC</strong> · ${TIMELINE_TRACKS
+    .map(t => `<span class="timeline-readout-track"><em>${t.label}:</em> ${names(active[t.key])}</span>`).join(' · ')}`;
+}
+
+function renderReignTimeline() {
+  const host = document.getElementById('reign-timeline');
+  if (!host) return;
+  const { start, end, tracks } = reignTimeline();
+  if (start === null) {
+    host.innerHTML = '<div class="no-results"><p>No reign or ministry dates in the data.</p></div>';
+    return;
+  }
+
+  const T = TIMELINE;
+  const x = year => T.gutter + (start - year) * T.yearWidth;
+  const width = x(end) + T.yearWidth + 20;
+  let y = T.axisHeight;
+  const rows = TIMELINE_TRACKS.map(track => {
+    const bars = timelineLanes(tracks[track.key]);
+    const lanes = Math.max(1, ...bars.map(b => b.lane + 1));
+    const top = y;
+    const height = lanes * T.laneHeight;
+    y += height + T.trackGap;
+    return `
+      <g class="timeline-track timeline-track-${track.key}">
+        <rect class="timeline-track-bg" x="0" y="${top - 4}" width="${width}" height="${height + 8}"></rect>
+        <text class="timeline-track-label" x="8" y="${top + height / 2 + 4}">${track.label}</text>
+        ${bars.map(b => {
+          const barWidth = Math.max(1, b.start - b.end) * T.yearWidth;
+          return `
+          <g class="timeline-bar" data-entity-id="${b.id}" transform="translate(${x(b.start)},${top + b.lane * T.laneHeight})">
+            <title>${b.name}: ${spanBC([b.start, b.end])}</title>
+            <rect width="${barWidth}" height="${T.laneHeight - 4}" rx="4"></rect>
+            ${barWidth > b.name.length * 7 + 8 ? `<text x="5" y="${T.laneHeight / 2 + 2}">${b.name}</text>` : ''}
+          </g>`;
+        }).join('')}
+      </g>
+    `;
+  }).join('');
+  const height = y;
+
+  const ticks = [];
+  for (let year = Math.floor(start / T.tick) * T.tick; year >= end; year -= T.tick) {
+    ticks.push(`
+      <line class="timeline-tick" x1="${x(year)}" x2="${x(year)}" y1="${T.axisHeight - 6}" y2="${height}"></line>
+      <text class="timeline-tick-label" x="${x(year)}" y="${T.axisHeight - 10}" text-anchor="middle">${year}</text>
+    `);
+  }
+
+  host.innerHTML = `
+    <div class="timeline-scroll">
+      <svg class="timeline-svg" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        ${ticks.join('')}
+        ${rows}
+        <line class="timeline-guide hidden" x1="0" x2="0" y1="${T.axisHeight - 6}" y2="${height}"></line>
+      </svg>
+    </div>
+    <div class="timeline-readout">Point at a year to see who reigned and prophesied then. Click a bar for details.</div>
+  `;
+
+  const svg = host.querySelector('.timeline-svg');
+  const guide = host.querySelector('.timeline-guide');
+  const readout = host.querySelector('.timeline-readout');
+  host.querySelectorAll('.timeline-bar').forEach(bar => {
+    bar.addEventListener('click', () => openEntity(bar.dataset.entityId));
+  });
+  svg.addEventListener('mousemove', e => {
+    const year = timelineYearAt(e.clientX - svg.getBoundingClientRect().left, start);
+    if (year === null || year < end) return;
+    guide.classList.remove('hidden');
+    guide.setAttribute('x1', x(year) + T.yearWidth / 2);
+    guide.setAttribute('x2', x(year) + T.yearWidth / 2);
+    readout.innerHTML = timelineReadout(year);
+  });
+  svg.addEventListener('mouseleave', () => guide.classList.add('hidden'));
+}
+
+/*
+  Relationship network: the explorer's third view. Figures, and the
+  genealogy people they name, are dots coloured by category, joined by
+  related_figures links in both directions (core.relatedNetwork) and
+  placed by a small force simulation. With nothing expanded it shows every
+  figure the explorer filters let through; expanding a figure narrows the
+  view to it and its neighbours, and each further expansion adds one more
+  figure's links. Clicking a dot selects it; the toolbar then offers its
+  details and expand / collapse.
+*/
+// Above `labelled` dots, names show only on hover, selection or expansion
+const NETWORK = { width: 960, height: 640, margin: 40, radius: 7, iterations: 200, gravity: 3, labelled: 60 };
+const CATEGORY_COLORS = {
+  'Prophets': '#2f7d6d',
+  'Kings': '#3853a6',
+  'Judges': '#b8860b',
+  'Priests': '#8a4f9e',
+  'Apostles': '#c0504d',
+  'Disciples': '#d9822b',
+  'Women of Faith': '#d65a9b',
+  'Military Leaders': '#6b8e23',
+  'Political Leaders': '#4f9ec4',
+  'False Prophets': '#7a7a7a',
+  'Enemies of Israel': '#8b3a3a',
+  'Angels': '#e0c14f',
+  'Minor Figures': '#5f6f8f'
+};
+const GENEALOGY_COLOR = '#9dd3ff';   // genealogy people without a figure entry
+
+let networkExpanded = new Set();     // ids whose neighbours are shown; empty = every filtered figure
+let networkSelectedId = null;
+let networkPositions = new Map();    // id -> { x, y } from the last layout, so expanding does not reshuffle
+
+// Categories missing from CATEGORY_COLORS still get a steady colour of their own
+function categoryColor(category) {
+  if (!category) return GENEALOGY_COLOR;
+  if (CATEGORY_COLORS[category]) return CATEGORY_COLORS[category];
+  const hue = [...category].reduce((h, c) => (h * 31 + c.charCodeAt(0)) % 360, 0);
+  return `hsl(${hue}, 45%, 50%)`;
+}
+
+// The nodes and links on show: the expanded figures' neighbourhood (or everyone), through the filters
+function networkGraph() {
+  const { nodes, edges } = relatedNetwork();
+  const near = networkExpanded.size ? neighborhood(networkExpanded) : null;
+  const shown = nodes.filter(n => networkExpanded.has(n.id) ||
+    ((!near || near.has(n.id)) && figureMatchesFilters(biblicalFigures[n.id] || peopleById[n.id])));
+  const ids = new Set(shown.map(n => n.id));
+  return { nodes: shown, edges: edges.filter(([a, b]) => ids.has(a) && ids.has(b)) };
+}
+
+/*
+  Fruchterman-Reingold: every pair repels, every link pulls, a little
+  gravity keeps loose figures on screen, and the step size cools each
+  round. Nodes keep their last position; new ones start beside a placed
+  neighbour, so an expansion only settles the newcomers in.
+*/
+function layoutNetwork(nodes, edges) {
+  const { width, height, margin, iterations } = NETWORK;
+  const k = 0.6 * Math.sqrt((width * height) / Math.max(1, nodes.length));
+  const index = new Map(nodes.map((n, i) => [n.id, i]));
+  const links = edges.map(([a, b]) => [index.get(a), index.get(b)]);
+  const { neighbors } = relatedNetwork();
+  let fresh = 0;
+  const pos = nodes.map((n, i) => {
+    const kept = networkPositions.get(n.id);
+    if (kept) return { x: kept.x, y: kept.y };
+    fresh++;
+    const angle = (2 * Math.PI * i) / nodes.length;
+    const anchor = neighbors.get(n.id).map(id => networkPositions.get(id)).find(Boolean);
+    return anchor
+      ? { x: anchor.x + Math.cos(angle) * k / 2, y: anchor.y + Math.sin(angle) * k / 2 }
+      : { x: width / 2 + Math.cos(angle) * width / 3, y: height / 2 + Math.sin(angle) * height / 3 };
+  });
+
+  let step = (width / 10) * (fresh / Math.max(1, nodes.length)) + width / 100;
+  const cooling = step / (iterations + 1);
+  for (let round = 0; round < iterations; round++) {
+    const move = pos.map(() => ({ x: 0, y: 0 }));
+    for (let a = 0; a < pos.length; a++) {
+      for (let b = a + 1; b < pos.length; b++) {
+        const dx = pos[a].x - pos[b].x || 0.01;
+        const dy = pos[a].y - pos[b].y || 0.01;
+        const push = (k * k) / (dx * dx + dy * dy);
+        move[a].x += dx * push; move[a].y += dy * push;
+        move[b].x -= dx * push; move[b].y -= dy * push;
+      }
+    }
+    for (const [a, b] of links) {
+      const dx = pos[a].x - pos[b].x;
+      const dy = pos[a].y - pos[b].y;
+      const pull = Math.sqrt(dx * dx + dy * dy) / k;
+      move[a].x -= dx * pull; move[a].y -= dy * pull;
+      move[b].x += dx * pull; move[b].y += dy * pull;
+    }
+    pos.forEach((p, i) => {
+      const m = move[i];
+      m.x -= (p.x - width / 2) * NETWORK.gravity;
+      m.y -= (p.y - height / 2) * NETWORK.gravity;
+      const length = Math.sqrt(m.x * m.x + m.y * m.y) || 1;
+      p.x = Math.min(width - margin, Math.max(margin, p.x + (m.x / length) * Math.min(length, step)));
+      p.y = Math.min(height - margin, Math.max(margin, p.y + (m.y / length) * Math.min(length, step)));
     });
+    step -= cooling;
+  }
+
+  const positions = new Map(nodes.map((n, i) => [n.id, pos[i]]));
+  for (const [id, p] of positions) networkPositions.set(id, p);
+  return positions;
+}
+
+function networkToolbar(count) {
+  const selected = networkSelectedId && entityExists(networkSelectedId) ? networkSelectedId : null;
+  const degree = selected ? relatedNetwork().neighbors.get(selected).length : 0;
+  return `
+    <div class="network-toolbar">
+      <span class="network-status">${selected
+        ? `<strong>${entityName(selected)}</strong> · ${degree} related`
+        : networkExpanded.size
+          ? `Around ${[...networkExpanded].map(entityName).join(', ')} · ${count} shown`
+          : `${count} figures · click one to select it`}</span>
+      ${selected ? `
+        <button class="pill-btn accent network-details-btn">Details</button>
+        ${networkExpanded.has(selected)
+          ? '<button class="pill-btn network-collapse-btn">Collapse</button>'
+          : `<button class="pill-btn network-expand-btn"${degree ? '' : ' disabled'}>Expand neighbours</button>`}
+      ` : ''}
+      ${networkExpanded.size ? '<button class="pill-btn network-reset-btn">Show all figures</button>' : ''}
+    </div>
+  `;
+}
+
+function renderNetwork() {
+  const host = document.getElementById('figures-network');
+  if (!host) return;
+  const { nodes, edges } = networkGraph();
+  if (!nodes.length) {
+    host.innerHTML = `${networkToolbar(0)}
+      <div class="no-results"><p>No figures found matching your criteria.</p></div>`;
+    bindNetworkToolbar(host);
+    return;
+  }
+
+  const pos = layoutNetwork(nodes, edges);
+  const r = NETWORK.radius;
+  const lines = edges.map(([a, b]) =>
+    `<line class="network-link${a === networkSelectedId || b === networkSelectedId ? ' highlight' : ''}" data-ends="${a} ${b}" x1="${pos.get(a).x}" y1="${pos.get(a).y}" x2="${pos.get(b).x}" y2="${pos.get(b).y}"></line>`
+  ).join('');
+  const dots = nodes.map(n => {
+    const classes = ['network-node'];
+    if (networkExpanded.has(n.id)) classes.push('expanded');
+    if (n.id === networkSelectedId) classes.push('selected');
+    return `
+      <g class="${classes.join(' ')}" data-entity-id="${n.id}" transform="translate(${pos.get(n.id).x},${pos.get(n.id).y})">
+        <title>${n.name} (${n.category || 'Genealogy'})</title>
+        <circle r="${networkExpanded.has(n.id) ? r + 3 : r}" style="fill:${categoryColor(n.category)}"></circle>
+        <text x="${r + 4}" y="4">${n.name}</text>
+      </g>
+    `;
+  }).join('');
+  const categories = [...new Set(nodes.map(n => n.category))].sort((a, b) => (a ? a.localeCompare(b) : 1));
+
+  host.innerHTML = `
+    ${networkToolbar(nodes.length)}
+    <svg class="network-svg${nodes.length > NETWORK.labelled ? ' dense' : ''}" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${NETWORK.width} ${NETWORK.height}" preserveAspectRatio="xMidYMid meet">
+      ${lines}${dots}
+    </svg>
+    <div class="network-legend">
+      ${categories.map(c => `<span class="network-legend-item"><span class="network-swatch" style="background:${categoryColor(c)}"></span>${c || 'Genealogy only'}</span>`).join('')}
+    </div>
+  `;
+
+  host.querySelectorAll('.network-node').forEach(el => {
+    el.addEventListener('click', () => selectNetworkNode(el.dataset.entityId));
+    el.addEventListener('dblclick', () => openEntity(el.dataset.entityId));
   });
+  bindNetworkToolbar(host);
 }
 
-// Open modal for figure details
-function openFigureModal(figure) {
+function bindNetworkToolbar(host) {
+  const on = (selector, fn) => host.querySelector(selector)?.addEventListener('click', fn);
+  on('.network-details-btn', () => openEntity(networkSelectedId));
+  on('.network-expand-btn', () => setNetworkExpanded([...networkExpanded, networkSelectedId]));
+  on('.network-collapse-btn', () => setNetworkExpanded([...networkExpanded].filter(id => id !== networkSelectedId)));
+  on('.network-reset-btn', () => setNetworkExpanded([]));
+}
+
+// Selecting only restyles the dots and rewrites the toolbar; the layout stays put
+function selectNetworkNode(id) {
+  networkSelectedId = networkSelectedId === id ? null : id;
+  const host = document.getElementById('figures-network');
+  if (!host) return;
+  host.querySelectorAll('.network-node').forEach(el => el.classList.toggle('selected', el.dataset.entityId === networkSelectedId));
+  host.querySelectorAll('.network-link').forEach(el => el.classList.toggle('highlight', el.dataset.ends.split(' ').includes(networkSelectedId)));
+  const toolbar = host.querySelector('.network-toolbar');
+  if (!toolbar) return;
+  const holder = document.createElement('div');
+  holder.innerHTML = networkToolbar(host.querySelectorAll('.network-node').length);
+  host.insertBefore(holder.firstElementChild, toolbar);
+  toolbar.remove();
+  bindNetworkToolbar(host);
+}
+
+function setNetworkExpanded(ids) {
+  networkExpanded = new Set(ids.filter(entityExists));
+  renderNetwork();
+  scheduleRouteSync();
+}
+
+// Open the explorer's network on one figure and its neighbours (figure modal button)
+function showInNetwork(id) {
+  closeModal();
+  networkExpanded = new Set([id]);
+  networkSelectedId = id;
+  setExplorerOpen(true);
+  setExplorerView('network');
+  const explorer = document.getElementById('figures-explorer');
+  if (explorer && explorer.scrollIntoView) explorer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Open modal for figure details; figures that are also in the genealogy get "Show in tree"
+function openFigureModal(figure, figureId = figure.id) {
   const modal = document.getElementById("infoModal");
   const content = document.getElementById("person-info");
+  const person = linkedPerson(figureId);
   
   modal.style.display = "block";
   content.innerHTML = `
-    <h2>${figure.name}</h2>
+    <h2>${figure.name}${tribeBadge(figureId)}</h2>
+    <div class="report-actions">
+      ${person ? `
+        <button class="pill-btn figure-tree-btn" data-person-id="${person.id}">🌳 Show in tree</button>
+        <button class="pill-btn figure-family-btn" data-person-id="${person.id}">Family details</button>
+      ` : ''}
+      <button class="pill-btn figure-network-btn">🕸 Show in network</button>
+      ${editEntryButtons(person ? person.id : null, figureId)}
+    </div>
     
     <div class="bio-section">
       <h3>Category & Time Period</h3>
       <p><strong>Category:</strong> ${figure.category}</p>
       <p><strong>Time Period:</strong> ${figure.time_period}</p>
+      ${timelineDates(figure)}
     </div>
     
     <div class="bio-section">
       <h3>Biography</h3>
+      ${aliasLine(figure, person)}
       <p>${figure.bio}</p>
     </div>
     
@@ -940,18 +4300,39 @@ function openFigureModal(figure) {
     ${figure.related_figures && figure.related_figures.length > 0 ? `
       <div class="descendants-section">
         <h3>Related Figures</h3>
-        <p>${figure.related_figures.map(id => {
-          const related = biblicalFigures[id];
-          return related ? related.name : id;
-        }).join(', ')}</p>
+        <p>${figure.related_figures.map(id => entityExists(id)
+          ? `<span class="lineage-link" data-entity-id="${id}">${entityName(id)}</span>`
+          : `<span class="unresolved-link" title="Not in either dataset yet">${GenealogyCore.prettifyKey(id)}</span>`
+        ).join(', ')}</p>
       </div>
     ` : ''}
   `;
+
+  content.querySelectorAll('.figure-tree-btn').forEach(btn => {
+    btn.addEventListener('click', () => showInTree(btn.dataset.personId));
+  });
+  content.querySelectorAll('.figure-family-btn').forEach(btn => {
+    btn.addEventListener('click', () => openModal(peopleById[btn.dataset.personId]));
+  });
+  content.querySelector('.figure-network-btn').addEventListener('click', () => showInNetwork(figureId));
+  bindEditEntryButtons(content);
+  content.querySelectorAll('.lineage-link').forEach(link => {
+    link.addEventListener('click', () => openEntity(link.dataset.entityId));
+  });
+  content.querySelectorAll('.tribe-badge').forEach(badge => {
+    badge.addEventListener('click', () => showTribes(badge.dataset.tribe));
+  });
+  recordModal({ modal: 'figure', id: figureId });
 }
 
+// Resolves once figures are loaded and the explorer is wired (the router waits on it)
+let resolveFiguresReady;
+const figuresReady = new Promise(resolve => { resolveFiguresReady = resolve; });
+
 // Initialize on page load
 window.addEventListener('DOMContentLoaded', async () => {
   await loadBiblicalFigures();
   initFiguresExplorer();
+  resolveFiguresReady();
 });
 
@@ -0,0 +1,209 @@
+// ============================================================
+// Chart Export
+// - chartToSvg: a laid-out lineage chart -> standalone, print-styled SVG
+// - elbowPath: the connector shape shared with the on-screen chart
+// - tileGrid / buildPdf: cut a large chart into pages and write a PDF
+//   with one JPEG tile per page (no fonts or libraries beyond Helvetica)
+// - Everything runs locally; works as a plain <script> (window.ChartExport)
+//   and in Node (require)
+// ============================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ChartExport = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // PDF points per CSS pixel (72 / 96)
+  const PT_PER_PX = 0.75;
+  const PAGE_SIZES = {
+    a4: { width: 595.28, height: 841.89 },
+    letter: { width: 612, height: 792 }
+  };
+
+  function escapeXml(str) {
+    return String(str).replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[ch]));
+  }
+
+  /*
+    elbowPath(from, to, orientation, size) -> SVG path data
+    from/to are box centres; the line leaves `from` on the side facing `to`,
+    so it works for charts that grow up (ancestors) as well as down.
+  */
+  function elbowPath(from, to, orientation, size) {
+    if (orientation === 'horizontal') {
+      const dir = to.x < from.x ? -1 : 1;
+      const x1 = from.x + dir * size.width / 2;
+      const x2 = to.x - dir * size.width / 2;
+      const xm = (x1 + x2) / 2;
+      return `M${x1},${from.y} H${xm} V${to.y} H${x2}`;
+    }
+    const dir = to.y < from.y ? -1 : 1;
+    const y1 = from.y + dir * size.height / 2;
+    const y2 = to.y - dir * size.height / 2;
+    const ym = (y1 + y2) / 2;
+    return `M${from.x},${y1} V${ym} H${to.x} V${y2}`;
+  }
+
+  function fitLabel(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+  }
+
+  /*
+    chartToSvg(layout, options) -> { svg, width, height }
+    - layout: { nodes: [{ id, x, y, name, note?, root? }], links: [{ from, to, type }],
+      bounds, orientation } with x/y as box centres
+    - options.size: { width, height } of a box
+    - options.title / options.subtitle: printed above the chart
+    Styles are inline so the file renders the same anywhere (browsers,
+    editors, canvas rasterising for PNG/PDF).
+  */
+  function chartToSvg(layout, options = {}) {
+    const size = options.size || { width: 170, height: 44 };
+    const pad = 32;
+    const header = options.title ? (options.subtitle ? 58 : 40) : 0;
+    const { minX, maxX, minY, maxY } = layout.bounds;
+    const width = Math.ceil(maxX - minX + pad * 2);
+    const height = Math.ceil(maxY - minY + pad * 2 + header);
+    const offsetX = pad - minX;
+    const offsetY = pad + header - minY;
+    const maxChars = Math.floor(size.width / 7.2);
+
+    const links = layout.links.map(l => {
+      const dash = l.type === 'biological' || !l.type ? '' : ` stroke-dasharray="${l.type === 'levirate' ? '2 4' : '6 4'}"`;
+      return `<path d="${elbowPath(l.from, l.to, layout.orientation, size)}" fill="none" stroke="#6b7890" stroke-width="1.4"${dash}/>`;
+    }).join('\n    ');
+
+    const nodes = layout.nodes.map(n => {
+      const x = n.x - size.width / 2;
+      const y = n.y - size.height / 2;
+      const nameY = n.note ? size.height / 2 - 3 : size.height / 2 + 5;
+      return `<g transform="translate(${x},${y})">
+      <title>${escapeXml(n.name)}</title>
+      <rect width="${size.width}" height="${size.height}" rx="7" fill="${n.root ? '#fff6d8' : '#f4f6fb'}" stroke="${n.root ? '#b8860b' : '#34406b'}" stroke-width="${n.root ? 2.5 : 1.4}"/>
+      <text x="${size.width / 2}" y="${nameY}" text-anchor="middle" font-family="Georgia, serif" font-size="13" fill="#1b2238">${escapeXml(fitLabel(n.name, maxChars))}</text>
+      ${n.note ? `<text x="${size.width / 2}" y="${size.height / 2 + 12}" text-anchor="middle" font-family="Georgia, serif" font-size="10" fill="#5a6478">${escapeXml(fitLabel(n.note, maxChars + 4))}</text>` : ''}
+    </g>`;
+    }).join('\n    ');
+
+    const titles = options.title ? `
+  <text x="${pad}" y="${pad + 8}" font-family="Georgia, serif" font-size="20" fill="#1b2238">${escapeXml(options.title)}</text>
+  ${options.subtitle ? `<text x="${pad}" y="${pad + 28}" font-family="Georgia, serif" font-size="12" fill="#5a6478">${escapeXml(options.subtitle)}</text>` : ''}` : '';
+
+    const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect width="100%" height="100%" fill="#ffffff"/>${titles}
+  <g transform="translate(${offsetX},${offsetY})">
+    ${links}
+    ${nodes}
+  </g>
+</svg>
+`;
+    return { svg, width, height };
+  }
+
+  /*
+    tileGrid(width, height, tileWidth, tileHeight) -> [{ x, y, width, height, row, column }]
+    Row-major, last row/column trimmed to what is left.
+  */
+  function tileGrid(width, height, tileWidth, tileHeight) {
+    const tiles = [];
+    for (let y = 0, row = 1; y < height; y += tileHeight, row++) {
+      for (let x = 0, column = 1; x < width; x += tileWidth, column++) {
+        tiles.push({ x, y, width: Math.min(tileWidth, width - x), height: Math.min(tileHeight, height - y), row, column });
+      }
+    }
+    return tiles;
+  }
+
+  /*
+    pageLayout(pageSize, landscape, margin) -> printable area in points and
+    in chart pixels, for working out tile sizes before rasterising
+  */
+  function pageLayout(pageSize = 'a4', landscape = true, margin = 36) {
+    const base = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+    const page = landscape ? { width: base.height, height: base.width } : { width: base.width, height: base.height };
+    const footer = 16;
+    const area = { width: page.width - margin * 2, height: page.height - margin * 2 - footer };
+    return {
+      page,
+      margin,
+      area,
+      areaPx: { width: Math.floor(area.width / PT_PER_PX), height: Math.floor(area.height / PT_PER_PX) }
+    };
+  }
+
+  function pdfString(text) {
+    return String(text).replace(/[^\x20-\x7e]/g, '?').replace(/[\\()]/g, ch => `\\${ch}`);
+  }
+
+  /*
+    buildPdf(pages, options) -> Uint8Array
+    - pages: [{ jpeg: Uint8Array, width, height, caption? }] (width/height in
+      image pixels); every image is drawn at the one scale that fits the
+      largest into the printable area, top-left, so a short edge tile prints
+      at the size of its neighbours and the pages line up when assembled
+    - options.pageSize ('a4' | 'letter'), options.landscape, options.title
+  */
+  function buildPdf(pages, options = {}) {
+    const { page, margin, area } = pageLayout(options.pageSize, options.landscape !== false, options.margin);
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const write = part => {
+      const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+      chunks.push(bytes);
+      length += bytes.length;
+    };
+    const object = (num, body) => {
+      offsets[num] = length;
+      write(`${num} 0 obj\n`);
+      body();
+      write('\nendobj\n');
+    };
+
+    const scale = Math.min(...pages.map(p => Math.min(area.width / p.width, area.height / p.height)));
+
+    // 1 catalog, 2 page tree, 3 font, then page / content / image per page
+    const pageNum = i => 4 + i * 3;
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    object(1, () => write('<< /Type /Catalog /Pages 2 0 R >>'));
+    object(2, () => write(`<< /Type /Pages /Kids [${pages.map((_, i) => `${pageNum(i)} 0 R`).join(' ')}] /Count ${pages.length} >>`));
+    object(3, () => write('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'));
+
+    pages.forEach((p, i) => {
+      const num = pageNum(i);
+      const w = +(p.width * scale).toFixed(2);
+      const h = +(p.height * scale).toFixed(2);
+      const x = margin;
+      const y = +(page.height - margin - h).toFixed(2);
+      const caption = [options.title, p.caption, `page ${i + 1} of ${pages.length}`].filter(Boolean).join(' - ');
+      const content = `q ${w} 0 0 ${h} ${x} ${y} cm /Im0 Do Q\nBT /F1 9 Tf ${margin} ${margin - 4} Td (${pdfString(caption)}) Tj ET`;
+
+      object(num, () => write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ${page.height}] ` +
+        `/Resources << /Font << /F1 3 0 R >> /XObject << /Im0 ${num + 2} 0 R >> >> /Contents ${num + 1} 0 R >>`));
+      object(num + 1, () => write(`<< /Length ${encoder.encode(content).length} >>\nstream\n${content}\nendstream`));
+      object(num + 2, () => {
+        write(`<< /Type /XObject /Subtype /Image /Width ${p.width} /Height ${p.height} /ColorSpace /DeviceRGB ` +
+          `/BitsPerComponent 8 /Filter /DCTDecode /Length ${p.jpeg.length} >>\nstream\n`);
+        write(p.jpeg);
+        write('\nendstream');
+      });
+    });
+
+    const xrefAt = length;
+    const count = pageNum(pages.length);
+    let xref = `xref\n0 ${count}\n0000000000 65535 f \n`;
+    for (let n = 1; n < count; n++) xref += `${String(offsets[n]).padStart(10, '0')} 00000 n \n`;
+    write(xref);
+    write(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`);
+
+    const out = new Uint8Array(length);
+    let at = 0;
+    for (const c of chunks) { out.set(c, at); at += c.length; }
+    return out;
+  }
+
+  return { PT_PER_PX, PAGE_SIZES, elbowPath, chartToSvg, tileGrid, pageLayout, buildPdf };
+});
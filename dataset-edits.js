@@ -0,0 +1,475 @@
+// ============================================================
+// Dataset Edits
+// - createEditSession: pending edits to biblical_genealogy.json and
+//   biblical_figures.json, kept as an overlay of whole entries over the
+//   files as loaded (added people, changed people and figures)
+// - files() / texts(): both files with the edits applied, ready to
+//   download; texts() patches the loaded text so unedited lines stay put
+// - diffFiles: a reviewable JSON diff between two versions of the files
+// - Works as a plain <script> (window.DatasetEdits) and in Node (require)
+// - CLI: node dataset-edits.js diff <before.json> <after.json> [out.json]
+// ============================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.DatasetEdits = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DATASETS = ['genealogy', 'figures'];
+
+  const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const linkId = entry => (typeof entry === 'string' ? entry : (entry && entry.id) || null);
+
+  // The entries of either file: genealogy is flat (or under "genealogy"), figures sit under "figures"
+  function entriesOf(file, dataset) {
+    if (!file || typeof file !== 'object') return {};
+    if (dataset === 'figures') return file.figures && typeof file.figures === 'object' ? file.figures : {};
+    return file.genealogy && typeof file.genealogy === 'object' ? file.genealogy : file;
+  }
+
+  function ownEntries(file, dataset) {
+    const entries = entriesOf(file, dataset);
+    return Object.keys(entries)
+      .filter(id => id !== 'metadata' && entries[id] && typeof entries[id] === 'object')
+      .map(id => [id, entries[id]]);
+  }
+
+  // "Zerubbabel ben Shealtiel" -> "zerubbabel_ben_shealtiel"
+  function slugify(name) {
+    return String(name || '').toLowerCase().normalize('NFD').replace(/[̀-ͯ]/g, '')
+      .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  }
+
+  // ---------- Diff ----------
+  /*
+    diffFiles(before, after) -> { genealogy?, figures? }, each with any of
+    - added:   { id -> entry }
+    - removed: { id -> entry }
+    - changed: { id -> { field -> { from, to } } }  (a missing side is left out)
+    Empty sections and datasets are omitted, so {} means nothing changed.
+    before / after are { genealogy, figures } file objects.
+  */
+  function diffFiles(before, after) {
+    const out = {};
+    for (const dataset of DATASETS) {
+      const a = new Map(ownEntries(before && before[dataset], dataset));
+      const b = new Map(ownEntries(after && after[dataset], dataset));
+      const section = {};
+      const put = (kind, id, value) => { (section[kind] = section[kind] || {})[id] = value; };
+      for (const [id, entry] of b) if (!a.has(id)) put('added', id, clone(entry));
+      for (const [id, entry] of a) if (!b.has(id)) put('removed', id, clone(entry));
+      for (const [id, entry] of b) {
+        if (!a.has(id) || same(a.get(id), entry)) continue;
+        const fields = {};
+        for (const field of new Set([...Object.keys(a.get(id)), ...Object.keys(entry)])) {
+          const from = a.get(id)[field];
+          const to = entry[field];
+          if (same(from, to)) continue;
+          fields[field] = {};
+          if (from !== undefined) fields[field].from = clone(from);
+          if (to !== undefined) fields[field].to = clone(to);
+        }
+        put('changed', id, fields);
+      }
+      if (Object.keys(section).length) out[dataset] = section;
+    }
+    return out;
+  }
+
+  // ---------- File text ----------
+  /*
+    The data files are formatted by hand (short arrays on one line, blank
+    lines between figures), so re-serializing a whole file would bury a
+    one-field edit in a thousand lines of reformatting. patchFileText edits
+    the text instead: it finds each entry's span, keeps unchanged fields
+    exactly as written, formats only new or changed values, and appends
+    added entries after the last one with the same separator.
+  */
+  const INLINE_WIDTH = 100;
+  const ALWAYS_EXPANDED = new Set(['popular_stories']);
+
+  function inlineJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(inlineJSON).join(', ')}]`;
+    if (value && typeof value === 'object') {
+      const fields = Object.keys(value).map(k => `${JSON.stringify(k)}: ${inlineJSON(value[k])}`);
+      return fields.length ? `{ ${fields.join(', ')} }` : '{}';
+    }
+    return JSON.stringify(value);
+  }
+
+  // A value whose first line sits after `"key": ` at `indent`
+  function formatValue(value, indent, key) {
+    if (!value || typeof value !== 'object') return JSON.stringify(value);
+    const inline = inlineJSON(value);
+    if (!ALWAYS_EXPANDED.has(key) && indent.length + (key || '').length + inline.length + 4 <= INLINE_WIDTH) return inline;
+    const inner = indent + '  ';
+    if (Array.isArray(value)) {
+      return value.length ? `[\n${value.map(v => inner + formatValue(v, inner)).join(',\n')}\n${indent}]` : '[]';
+    }
+    return formatObject(value, indent);
+  }
+
+  // Always one field per line, reusing `kept[field]` (original member text) where given
+  function formatObject(value, indent, kept = {}) {
+    const inner = indent + '  ';
+    const lines = Object.keys(value).map(k =>
+      inner + (kept[k] !== undefined ? kept[k] : `${JSON.stringify(k)}: ${formatValue(value[k], inner, k)}`));
+    return lines.length ? `{\n${lines.join(',\n')}\n${indent}}` : '{}';
+  }
+
+  // Positions of an object's members in the text: [{ key, start, valueStart, end }] and the closing brace
+  function scanObject(text, open) {
+    let i = open + 1;
+    const space = () => { while (i < text.length && /\s/.test(text[i])) i++; };
+    const string = () => {
+      const start = i;
+      for (i++; text[i] !== '"'; i++) if (text[i] === '\\') i++;
+      i++;
+      return JSON.parse(text.slice(start, i));
+    };
+    const value = () => {
+      space();
+      if (text[i] === '"') return string();
+      if (text[i] === '{' || text[i] === '[') {
+        const close = text[i] === '{' ? '}' : ']';
+        const isObject = close === '}';
+        i++;
+        space();
+        while (text[i] !== close) {
+          if (isObject) { string(); space(); i++; }
+          value();
+          space();
+          if (text[i] === ',') { i++; space(); }
+        }
+        i++;
+        return null;
+      }
+      while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+      return null;
+    };
+
+    const members = [];
+    space();
+    while (text[i] !== '}') {
+      if (i >= text.length) throw new Error('Unterminated object in JSON text');
+      const start = i;
+      const key = string();
+      space();
+      i++; // ':'
+      space();
+      const valueStart = i;
+      value();
+      members.push({ key, start, valueStart, end: i });
+      space();
+      if (text[i] === ',') { i++; space(); }
+    }
+    return { members, close: i };
+  }
+
+  // The indentation of the line `index` sits on
+  function lineIndent(text, index) {
+    const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+    return text.slice(lineStart, index).match(/^[ \t]*/)[0];
+  }
+
+  /*
+    patchFileText(text, dataset, entries) -> text with each { id -> entry }
+    written over the old entry (or added at the end). text must parse to
+    the file the entries were edited from.
+  */
+  function patchFileText(text, dataset, entries) {
+    const file = JSON.parse(text);
+    const path = dataset === 'figures' ? ['figures'] : (file.genealogy && typeof file.genealogy === 'object' ? ['genealogy'] : []);
+    let container = scanObject(text, text.indexOf('{'));
+    for (const key of path) {
+      const member = container.members.find(m => m.key === key);
+      if (!member) throw new Error(`No "${key}" object in the ${dataset} file`);
+      container = scanObject(text, member.valueStart);
+    }
+
+    const members = container.members;
+    const byKey = new Map(members.map(m => [m.key, m]));
+    const last = members[members.length - 1];
+    const indent = last ? lineIndent(text, last.start) : lineIndent(text, container.close) + '  ';
+    const separator = members.length > 1 ? text.slice(members[members.length - 2].end, last.start) : `,\n${indent}`;
+    const patches = [];
+    const added = [];
+
+    for (const [id, entry] of Object.entries(entries)) {
+      const member = byKey.get(id);
+      if (!member) {
+        added.push(`${JSON.stringify(id)}: ${formatObject(entry, indent)}`);
+        continue;
+      }
+      const original = JSON.parse(text.slice(member.valueStart, member.end));
+      if (same(original, entry)) continue;
+      const kept = {};
+      if (text[member.valueStart] === '{') {
+        for (const field of scanObject(text, member.valueStart).members) {
+          if (field.key in entry && same(original[field.key], entry[field.key])) kept[field.key] = text.slice(field.start, field.end);
+        }
+      }
+      patches.push({ start: member.valueStart, end: member.end, text: formatObject(entry, indent, kept) });
+    }
+    if (added.length) {
+      const at = last ? last.end : container.close;
+      const lead = last ? separator : `\n${indent}`;
+      patches.push({ start: at, end: at, text: lead + added.join(separator) + (last ? '' : `\n${lineIndent(text, container.close)}`) });
+    }
+
+    let out = text;
+    for (const patch of patches.sort((a, b) => b.start - a.start)) {
+      out = out.slice(0, patch.start) + patch.text + out.slice(patch.end);
+    }
+    return out;
+  }
+
+  // ---------- Edit session ----------
+  /*
+    createEditSession(files, saved) -> the pending edits over
+    files = { genealogy, figures } (the parsed files, never modified).
+    saved is a previous session's toJSON(), to carry edits across reloads.
+
+    Edits are stored as whole entries ({ genealogy: { id -> entry },
+    figures: { id -> entry } }); an entry edited back to its loaded form
+    stops being an edit. Methods throw an Error with a readable message
+    when asked for something the data cannot take (unknown ids, a child
+    under itself, a duplicate id).
+  */
+  function createEditSession(files, saved) {
+    const base = { genealogy: (files && files.genealogy) || {}, figures: (files && files.figures) || { figures: {} } };
+    const overlay = { genealogy: {}, figures: {} };
+
+    const baseEntry = (dataset, id) => {
+      const entries = entriesOf(base[dataset], dataset);
+      return id !== 'metadata' && Object.prototype.hasOwnProperty.call(entries, id) && entries[id] && typeof entries[id] === 'object'
+        ? entries[id] : null;
+    };
+
+    function get(dataset, id) {
+      const entry = Object.prototype.hasOwnProperty.call(overlay[dataset], id) ? overlay[dataset][id] : baseEntry(dataset, id);
+      return entry ? clone(entry) : null;
+    }
+
+    function has(dataset, id) {
+      return Boolean(get(dataset, id));
+    }
+
+    function ids(dataset) {
+      const out = ownEntries(base[dataset], dataset).map(([id]) => id);
+      for (const id of Object.keys(overlay[dataset])) if (!baseEntry(dataset, id)) out.push(id);
+      return out;
+    }
+
+    function put(dataset, id, entry) {
+      if (!DATASETS.includes(dataset)) throw new Error(`Unknown dataset "${dataset}"`);
+      if (!id || id === 'metadata') throw new Error(`"${id}" cannot be used as an id`);
+      const original = baseEntry(dataset, id);
+      if (original && same(original, entry)) delete overlay[dataset][id];
+      else overlay[dataset][id] = clone(entry);
+    }
+
+    // Merge fields into an entry; a field set to undefined, '' or [] is removed
+    function update(dataset, id, fields) {
+      const entry = get(dataset, id);
+      if (!entry) throw new Error(`No ${dataset === 'figures' ? 'figure' : 'person'} "${id}"`);
+      for (const [field, value] of Object.entries(fields)) {
+        const empty = value === undefined || value === '' || (Array.isArray(value) && !value.length);
+        if (empty && field !== 'descendants') delete entry[field];
+        else entry[field] = clone(value);
+      }
+      put(dataset, id, entry);
+      return get(dataset, id);
+    }
+
+    // An id from the name that neither file uses yet ("joseph", then "joseph_2" ...)
+    function freeId(name) {
+      const stem = slugify(name) || 'person';
+      let id = stem;
+      for (let n = 2; has('genealogy', id) || has('figures', id) || id === 'metadata'; n++) id = `${stem}_${n}`;
+      return id;
+    }
+
+    function addPerson({ id, name, bio = '', scripture = '' }) {
+      if (!String(name || '').trim()) throw new Error('A new person needs a name');
+      const key = id ? String(id).trim() : freeId(name);
+      if (key !== slugify(key)) throw new Error(`"${key}" is not a valid id (lower-case letters, digits and _)`);
+      if (has('genealogy', key) || has('figures', key)) throw new Error(`"${key}" is already in use`);
+      const entry = { name: String(name).trim() };
+      if (bio) entry.bio = bio;
+      if (scripture) entry.scripture = scripture;
+      put('genealogy', key, Object.assign(entry, { descendants: [] }));
+      return key;
+    }
+
+    function person(id) {
+      const entry = get('genealogy', id);
+      if (!entry) throw new Error(`No person "${id}"`);
+      return entry;
+    }
+
+    // True when `id` is `ancestorId` or descends from it through the edited descendants lists
+    function descendsFrom(id, ancestorId) {
+      const seen = new Set();
+      const stack = [ancestorId];
+      while (stack.length) {
+        const current = stack.pop();
+        if (current === id) return true;
+        if (seen.has(current)) continue;
+        seen.add(current);
+        const entry = get('genealogy', current);
+        for (const child of (entry && entry.descendants) || []) stack.push(linkId(child));
+      }
+      return false;
+    }
+
+    function addChild(parentId, childId) {
+      const parent = person(parentId);
+      person(childId);
+      if (descendsFrom(parentId, childId)) throw new Error(`"${childId}" is "${parentId}" or one of their ancestors`);
+      const descendants = Array.isArray(parent.descendants) ? parent.descendants : [];
+      if (descendants.some(c => linkId(c) === childId)) return;
+      update('genealogy', parentId, { descendants: [...descendants, childId] });
+    }
+
+    function removeChild(parentId, childId) {
+      const parent = person(parentId);
+      const descendants = Array.isArray(parent.descendants) ? parent.descendants : [];
+      update('genealogy', parentId, { descendants: descendants.filter(c => linkId(c) !== childId) });
+      // a parent link declared on the child would keep the old tie alive
+      const child = get('genealogy', childId);
+      if (!child) return;
+      const fields = {};
+      if (Array.isArray(child.parents) && child.parents.some(p => linkId(p) === parentId)) {
+        fields.parents = child.parents.filter(p => linkId(p) !== parentId);
+      }
+      if (child.mother === parentId) fields.mother = undefined;
+      if (Object.keys(fields).length) update('genealogy', childId, fields);
+    }
+
+    // Move a child from one parent (or none) to another
+    function reparent(childId, fromId, toId) {
+      person(toId);
+      if (fromId === toId) return;
+      if (descendsFrom(toId, childId)) throw new Error(`"${toId}" is "${childId}" or one of their descendants`);
+      if (fromId) removeChild(fromId, childId);
+      addChild(toId, childId);
+    }
+
+    function discard(dataset, id) {
+      delete overlay[dataset][id];
+    }
+
+    function discardAll() {
+      for (const dataset of DATASETS) overlay[dataset] = {};
+    }
+
+    // [{ dataset, id, kind: 'added' | 'changed', name }] in edit order
+    function changes() {
+      return DATASETS.flatMap(dataset => Object.keys(overlay[dataset]).map(id => ({
+        dataset,
+        id,
+        kind: baseEntry(dataset, id) ? 'changed' : 'added',
+        name: overlay[dataset][id].name || id
+      })));
+    }
+
+    // Both files with the edits applied: loaded key order, added entries at the end
+    function applied(dataset) {
+      const file = base[dataset];
+      const entries = entriesOf(file, dataset);
+      const merged = {};
+      for (const key of Object.keys(entries)) {
+        merged[key] = Object.prototype.hasOwnProperty.call(overlay[dataset], key) ? overlay[dataset][key] : entries[key];
+      }
+      for (const [key, entry] of Object.entries(overlay[dataset])) if (!(key in merged)) merged[key] = entry;
+      if (dataset === 'figures') return clone(Object.assign({}, file, { figures: merged }));
+      return clone(file.genealogy && typeof file.genealogy === 'object' ? Object.assign({}, file, { genealogy: merged }) : merged);
+    }
+
+    function filesWithEdits() {
+      return { genealogy: applied('genealogy'), figures: applied('figures') };
+    }
+
+    // Both files as text, patched from the loaded text ({ genealogy, figures }) where given
+    function texts(sourceTexts = {}) {
+      const files = filesWithEdits();
+      const out = {};
+      for (const dataset of DATASETS) {
+        out[dataset] = sourceTexts[dataset]
+          ? patchFileText(sourceTexts[dataset], dataset, overlay[dataset])
+          : JSON.stringify(files[dataset], null, 2) + '\n';
+      }
+      return out;
+    }
+
+    function toJSON() {
+      return clone(overlay);
+    }
+
+    // A copy to try edits on without touching this session
+    function fork() {
+      return createEditSession(base, overlay);
+    }
+
+    if (saved && typeof saved === 'object') {
+      for (const dataset of DATASETS) {
+        for (const [id, entry] of Object.entries(saved[dataset] || {})) {
+          if (entry && typeof entry === 'object' && id !== 'metadata') put(dataset, id, entry);
+        }
+      }
+    }
+
+    return {
+      get,
+      has,
+      ids,
+      put,
+      update,
+      freeId,
+      addPerson,
+      addChild,
+      removeChild,
+      reparent,
+      discard,
+      discardAll,
+      changes,
+      get size() { return changes().length; },
+      files: filesWithEdits,
+      texts,
+      diff: () => diffFiles(base, filesWithEdits()),
+      toJSON,
+      fork
+    };
+  }
+
+  const api = {
+    DATASETS,
+    slugify,
+    diffFiles,
+    patchFileText,
+    createEditSession
+  };
+
+  // ---------- CLI ----------
+  if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+    const fs = require('fs');
+    const [command, beforePath, afterPath, output] = process.argv.slice(2);
+    // either file may be given; the figures file is the one with a "figures" object
+    const asFiles = file => (file && file.figures && typeof file.figures === 'object' ? { figures: file } : { genealogy: file });
+
+    if (command === 'diff' && beforePath && afterPath) {
+      const read = p => asFiles(JSON.parse(fs.readFileSync(p, 'utf8')));
+      const text = JSON.stringify(diffFiles(read(beforePath), read(afterPath)), null, 2) + '\n';
+      if (output) fs.writeFileSync(output, text);
+      else process.stdout.write(text);
+    } else {
+      process.stderr.write('Usage: node dataset-edits.js diff <before.json> <after.json> [out.json]\n');
+      process.exitCode = 2;
+    }
+  }
+
+  return api;
+});
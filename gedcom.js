@@ -0,0 +1,587 @@
+// ============================================================
+// GEDCOM 5.5.1 Import / Export
+// - exportGedcom: genealogy lookup (raw JSON or peopleById) -> .ged text
+//   INDI per person (NAME, REFN = slug, NOTE = bio, SOUR = scripture,
+//   further NAMEs with a TYPE for aliases, underscore tags for the year
+//   fields: _LIFESPAN, _REIGN, _FATHERED, and the reign timeline's
+//   _KINGDOM, _REIGN_BC, _MINISTRY_BC),
+//   FAM per parent pair built from descendants / parents / mother / spouses
+// - importGedcom: .ged text -> biblical_genealogy.json shape, plus a report
+//   of every line it could not map
+// - Works as a plain <script> (window.Gedcom) and in Node (require)
+// - CLI: node gedcom.js export [genealogy.json] [out.ged]
+//        node gedcom.js import <file.ged> [out.json]
+// ============================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./genealogy-core.js'));
+  else root.Gedcom = factory(root.GenealogyCore);
+})(typeof self !== 'undefined' ? self : this, function (Core) {
+  'use strict';
+
+  // The schema's link and alias types come from the core, so the two cannot drift apart
+  const { PARENT_LINK_TYPES, SPOUSE_LINK_TYPES, ALIAS_TYPES, normalizeLink } = Core;
+  const YEAR_TEXTS = Object.keys(Core.YEAR_TEXTS); // mt (Masoretic), lxx (Septuagint)
+  const KINGDOMS = Object.keys(Core.KINGDOMS);
+  const SPAN_TAGS = { reign_bc: '_REIGN_BC', ministry_bc: '_MINISTRY_BC' }; // "874 853": first and last year BC
+
+  // GEDCOM only has PEDI values for two of our parent link types; the rest
+  // travel in a custom _PEDI tag (underscore tags are the GEDCOM extension convention)
+  const PEDI_OUT = { biological: 'birth', adoptive: 'adopted' };
+  const PEDI_IN = { birth: 'biological', adopted: 'adoptive' };
+
+  const MAX_VALUE = 200; // longer values are continued with CONC (lines stay well under 255)
+
+  function entriesOf(data) {
+    const out = [];
+    for (const id in data || {}) {
+      if (!Object.prototype.hasOwnProperty.call(data, id) || id === 'metadata') continue;
+      const v = data[id];
+      if (v && typeof v === 'object') out.push([id, v]);
+    }
+    return out;
+  }
+
+  // ---------- Export ----------
+
+  /*
+    yearsLines(1, '_LIFESPAN', years): 930 (or a pair both texts agree on) is
+    "1 _LIFESPAN 930"; { mt: 438, lxx: 565 } is "1 _LIFESPAN" with "2 _MT 438"
+    and "2 _LXX 565" under it.
+  */
+  function yearsLines(level, tag, years) {
+    if (typeof years === 'number') return [`${level} ${tag} ${years}`];
+    if (!years || typeof years !== 'object') return [];
+    const texts = YEAR_TEXTS.filter(t => typeof years[t] === 'number');
+    if (!texts.length) return [];
+    if (texts.length === YEAR_TEXTS.length && texts.every(t => years[t] === years[texts[0]])) return [`${level} ${tag} ${years[texts[0]]}`];
+    return [`${level} ${tag}`, ...texts.map(t => `${level + 1} _${t.toUpperCase()} ${years[t]}`)];
+  }
+
+  /*
+    parentLinksOf(people) -> Map childId -> [{ id, type, role? }]
+    Merges every way the JSON can state parenthood: a parent's `descendants`
+    (biological unless the child says otherwise), the child's `parents`
+    and its `mother`. Links to unknown IDs go to `skipped`.
+  */
+  function parentLinksOf(people, skipped) {
+    const links = new Map();
+    const add = (childId, parentId, type, role, explicit) => {
+      if (!people[childId] || !people[parentId]) {
+        skipped.push({ from: parentId, to: childId, relation: 'parent' });
+        return;
+      }
+      if (!links.has(childId)) links.set(childId, []);
+      const list = links.get(childId);
+      const existing = list.find(l => l.id === parentId);
+      if (!existing) list.push(role ? { id: parentId, type, role } : { id: parentId, type });
+      else {
+        if (explicit) existing.type = type;
+        if (role) existing.role = role;
+      }
+    };
+
+    for (const [id, p] of Object.entries(people)) {
+      for (const child of Array.isArray(p.descendants) ? p.descendants : []) {
+        const childId = typeof child === 'string' ? child : child && child.id;
+        if (childId) add(childId, id, 'biological', null, false);
+      }
+    }
+    for (const [id, p] of Object.entries(people)) {
+      for (const entry of Array.isArray(p.parents) ? p.parents : []) {
+        const link = normalizeLink(entry, PARENT_LINK_TYPES);
+        if (link) add(id, link.id, link.type, entry.role === 'mother' ? 'mother' : null, true);
+      }
+      const mother = normalizeLink(p.mother, PARENT_LINK_TYPES);
+      if (mother) add(id, mother.id, mother.type, 'mother', true);
+    }
+    return links;
+  }
+
+  function escapeValue(value) {
+    return String(value).replace(/@/g, '@@');
+  }
+
+  // Split a value into the first line plus CONT (newline) / CONC (same line) continuations
+  function valueLines(level, tag, value) {
+    const out = [];
+    String(value).split(/\r?\n/).forEach((paragraph, i) => {
+      let rest = escapeValue(paragraph);
+      let first = true;
+      do {
+        let cut = rest.length;
+        if (cut > MAX_VALUE) {
+          // never split next to a space: many readers trim line ends
+          cut = MAX_VALUE;
+          while (cut > 1 && (rest[cut] === ' ' || rest[cut - 1] === ' ')) cut--;
+        }
+        const chunk = rest.slice(0, cut);
+        rest = rest.slice(cut);
+        const lineTag = i === 0 && first ? `${level} ${tag}` : `${level + 1} ${first ? 'CONT' : 'CONC'}`;
+        out.push(chunk ? `${lineTag} ${chunk}` : lineTag);
+        first = false;
+      } while (rest.length);
+    });
+    return out;
+  }
+
+  /*
+    exportGedcom(data, options) -> { text, people, families, skipped }
+    - data: { id: person } as in biblical_genealogy.json (metadata is used
+      for the header) or the app's normalized peopleById
+    - options.date: Date for the header (defaults to now)
+    One FAM is written per father/mother pair; a child whose parents have
+    different link types (e.g. a legal father and a biological mother) gets
+    a family per type, since GEDCOM records pedigree per family. Spouse
+    links become FAM records with a MARR event (TYPE for non-default kinds).
+    Each age at fathering is a _FATHERED pointer to the child with an _AGE
+    (and a _VIA name for a generation only some texts count); ages for
+    unknown children go to `skipped`.
+  */
+  function exportGedcom(data, options = {}) {
+    const people = Object.fromEntries(entriesOf(data));
+    const ids = Object.keys(people);
+    const skipped = [];
+    const indiRef = new Map(ids.map((id, i) => [id, `@I${i + 1}@`]));
+    const isMother = link => link.role === 'mother' || people[link.id].sex === 'female';
+
+    const families = new Map();
+    const family = (husb, wife) => {
+      const key = `${husb || ''}+${wife || ''}`;
+      if (!families.has(key)) families.set(key, { ref: `@F${families.size + 1}@`, husb, wife, children: [], marriage: null });
+      return families.get(key);
+    };
+    const addChild = (fam, childId, type) => {
+      if (!fam.children.some(c => c.id === childId)) fam.children.push({ id: childId, type });
+    };
+
+    const parentLinks = parentLinksOf(people, skipped);
+    for (const childId of ids) {
+      const links = parentLinks.get(childId) || [];
+      const mothers = links.filter(isMother);
+      const fathers = links.filter(l => !isMother(l));
+      const mother = mothers[0] || null;
+
+      for (const f of fathers) {
+        const paired = mother && mother.type === f.type ? mother.id : null;
+        addChild(family(f.id, paired), childId, f.type);
+      }
+      if (mother && !fathers.some(f => f.type === mother.type)) addChild(family(null, mother.id), childId, mother.type);
+      for (const m of mothers.slice(1)) addChild(family(null, m.id), childId, m.type);
+    }
+
+    for (const [id, p] of Object.entries(people)) {
+      for (const entry of Array.isArray(p.spouses) ? p.spouses : []) {
+        const link = normalizeLink(entry, SPOUSE_LINK_TYPES);
+        if (!link) continue;
+        if (!people[link.id]) {
+          skipped.push({ from: id, to: link.id, relation: 'spouse' });
+          continue;
+        }
+        const selfIsWife = people[id].sex === 'female' && people[link.id].sex !== 'female';
+        const [husb, wife] = selfIsWife ? [link.id, id] : [id, link.id];
+        const existing = families.get(`${wife}+${husb}`);
+        const fam = existing && existing.marriage ? existing : family(husb, wife);
+        if (!fam.marriage) fam.marriage = { type: link.type };
+      }
+    }
+
+    // per-person FAMC / FAMS pointers
+    const famc = new Map();
+    const fams = new Map();
+    const push = (map, id, value) => { if (!map.has(id)) map.set(id, []); map.get(id).push(value); };
+    for (const fam of families.values()) {
+      if (fam.husb) push(fams, fam.husb, fam.ref);
+      if (fam.wife) push(fams, fam.wife, fam.ref);
+      for (const c of fam.children) push(famc, c.id, { ref: fam.ref, type: c.type });
+    }
+
+    const meta = (data && data.metadata) || {};
+    const date = options.date || new Date();
+    const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+    const lines = [
+      '0 HEAD',
+      '1 SOUR BIBLICAL_GENEALOGY_EXPLORER',
+      '2 NAME Biblical Genealogy Explorer',
+      '1 GEDC',
+      '2 VERS 5.5.1',
+      '2 FORM LINEAGE-LINKED',
+      '1 CHAR UTF-8',
+      `1 DATE ${date.getUTCDate()} ${months[date.getUTCMonth()]} ${date.getUTCFullYear()}`,
+      '1 SUBM @U1@'
+    ];
+    if (meta.title) lines.push(...valueLines(1, 'NOTE', meta.title));
+    lines.push('0 @U1@ SUBM', '1 NAME Biblical Genealogy Explorer');
+
+    for (const id of ids) {
+      const p = people[id];
+      lines.push(`0 ${indiRef.get(id)} INDI`);
+      lines.push(`1 NAME ${escapeValue(p.name || id)}`);
+      lines.push(`1 REFN ${escapeValue(id)}`);
+      // aliases as extra names: "aka" for plain variants, the alias type otherwise
+      for (const alias of Array.isArray(p.aliases) ? p.aliases : []) {
+        const name = typeof alias === 'string' ? alias : alias && alias.name;
+        if (!name) continue;
+        const type = alias && ALIAS_TYPES.includes(alias.type) ? alias.type : 'variant';
+        lines.push(`1 NAME ${escapeValue(name)}`, `2 TYPE ${type === 'variant' ? 'aka' : type}`);
+      }
+      if (p.sex === 'male' || p.sex === 'female') lines.push(`1 SEX ${p.sex === 'male' ? 'M' : 'F'}`);
+      if (p.bio) lines.push(...valueLines(1, 'NOTE', p.bio));
+      if (p.scripture) lines.push(...valueLines(1, 'SOUR', p.scripture));
+      if (typeof p.era === 'string') lines.push(`1 _ERA ${escapeValue(p.era)}`);
+      if (typeof p.sequence === 'number') lines.push(`1 _SEQ ${p.sequence}`);
+      lines.push(...yearsLines(1, '_LIFESPAN', p.lifespan), ...yearsLines(1, '_REIGN', p.reign_years));
+      if (KINGDOMS.includes(p.kingdom)) lines.push(`1 _KINGDOM ${p.kingdom}`);
+      for (const [field, tag] of Object.entries(SPAN_TAGS)) {
+        if (Array.isArray(p[field]) && p[field].length === 2 && p[field].every(n => typeof n === 'number')) lines.push(`1 ${tag} ${p[field].join(' ')}`);
+      }
+      const fathered = p.age_at_fathering && typeof p.age_at_fathering === 'object' ? p.age_at_fathering : {};
+      for (const [childId, ages] of Object.entries(fathered)) {
+        const age = yearsLines(2, '_AGE', ages);
+        if (!age.length) continue;
+        if (!indiRef.has(childId)) {
+          skipped.push({ from: id, to: childId, relation: 'age_at_fathering' });
+          continue;
+        }
+        lines.push(`1 _FATHERED ${indiRef.get(childId)}`, ...age);
+        const via = ages && ages.via;
+        if (via && via.name) {
+          lines.push(`2 _VIA ${escapeValue(via.name)}`, ...YEAR_TEXTS.filter(t => typeof via[t] === 'number').map(t => `3 _${t.toUpperCase()} ${via[t]}`));
+        }
+      }
+      for (const { ref, type } of famc.get(id) || []) {
+        lines.push(`1 FAMC ${ref}`);
+        lines.push(PEDI_OUT[type] ? `2 PEDI ${PEDI_OUT[type]}` : `2 _PEDI ${type}`);
+      }
+      for (const ref of fams.get(id) || []) lines.push(`1 FAMS ${ref}`);
+    }
+
+    for (const fam of families.values()) {
+      lines.push(`0 ${fam.ref} FAM`);
+      if (fam.husb) lines.push(`1 HUSB ${indiRef.get(fam.husb)}`);
+      if (fam.wife) lines.push(`1 WIFE ${indiRef.get(fam.wife)}`);
+      if (fam.marriage) {
+        lines.push('1 MARR Y');
+        if (fam.marriage.type !== 'spouse') lines.push(`2 TYPE ${fam.marriage.type}`);
+      }
+      for (const c of fam.children) lines.push(`1 CHIL ${indiRef.get(c.id)}`);
+    }
+    lines.push('0 TRLR');
+
+    return { text: lines.join('\n') + '\n', people: ids.length, families: families.size, skipped };
+  }
+
+  // ---------- Import ----------
+
+  const LINE_RE = /^\s*(\d+)\s+(?:(@[^@\s]+@)\s+)?(\S+)(?:\s(.*))?$/;
+
+  /*
+    parseLines(text) -> top-level records as { level, xref, tag, value, line, children }
+    CONC/CONT lines are folded into their parent's value.
+  */
+  function parseLines(text, unmapped) {
+    const records = [];
+    const stack = [];
+    String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((raw, i) => {
+      if (!raw.trim()) return;
+      const m = raw.match(LINE_RE);
+      if (!m) {
+        unmapped.push({ line: i + 1, tag: null, message: `Unreadable line: ${raw.trim().slice(0, 60)}` });
+        return;
+      }
+      const node = { level: Number(m[1]), xref: m[2] || null, tag: m[3].toUpperCase(), value: (m[4] || '').replace(/@@/g, '@'), line: i + 1, children: [] };
+      while (stack.length && stack[stack.length - 1].level >= node.level) stack.pop();
+      const parent = stack[stack.length - 1];
+
+      if (parent && (node.tag === 'CONC' || node.tag === 'CONT')) {
+        parent.value += (node.tag === 'CONT' ? '\n' : '') + node.value;
+        return;
+      }
+      if (parent) parent.children.push(node);
+      else if (node.level === 0) records.push(node);
+      else {
+        unmapped.push({ line: node.line, tag: node.tag, message: 'Line has no parent record' });
+        return;
+      }
+      stack.push(node);
+    });
+    return records;
+  }
+
+  function slugify(name) {
+    return String(name || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'person';
+  }
+
+  const isYearValue = value => value.trim() !== '' && Number.isFinite(Number(value)) && Number(value) >= 0;
+
+  // The inverse of yearsLines: a number, an { mt, lxx } pair, or null when neither reads
+  function readYears(node) {
+    const pair = {};
+    for (const c of node.children) {
+      const text = c.tag.slice(1).toLowerCase();
+      if (c.tag[0] === '_' && YEAR_TEXTS.includes(text) && isYearValue(c.value)) pair[text] = Number(c.value);
+    }
+    if (Object.keys(pair).length) return pair;
+    return isYearValue(node.value) ? Number(node.value) : null;
+  }
+
+  // "Given /Surname/" -> "Given Surname"
+  function cleanName(value) {
+    return value.replace(/\//g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /*
+    importGedcom(text) -> { data, report }
+    - data: { metadata, <slug>: { name, bio, scripture, descendants, ... } }
+      Slugs come from REFN when present, otherwise from the name.
+      A FAM's children go into the husband's `descendants`; the wife becomes
+      the child's `mother`; non-biological pedigrees are kept in `parents`.
+      _LIFESPAN, _REIGN and _FATHERED come back as lifespan, reign_years
+      and age_at_fathering; _KINGDOM, _REIGN_BC and _MINISTRY_BC as kingdom,
+      reign_bc and ministry_bc.
+    - report: { people, families, unmapped: [{ line, tag, message }] }
+      Anything not understood is listed once (sub-lines are not repeated).
+  */
+  function importGedcom(text) {
+    const unmapped = [];
+    const records = parseLines(text, unmapped);
+    const report = { people: 0, families: 0, unmapped };
+    const skip = (node, message) => unmapped.push({ line: node.line, tag: node.tag, message });
+
+    const notes = new Map();
+    const sources = new Map();
+    for (const r of records) {
+      if (r.tag === 'NOTE' && r.xref) notes.set(r.xref, r.value);
+      if (r.tag === 'SOUR' && r.xref) {
+        const title = r.children.find(c => c.tag === 'TITL');
+        sources.set(r.xref, title ? title.value : r.value);
+      }
+    }
+    const resolve = (map, value) => (map.has(value) ? map.get(value) : value);
+
+    const data = {};
+    const idByRef = new Map();
+    const childTypes = new Map(); // `${famRef}|${indiRef}` -> parent link type
+    const fathered = [];          // { person, node }: _FATHERED lines, read once every INDI has an ID
+    const metadata = { source: 'GEDCOM import' };
+
+    const claimId = (wanted, node) => {
+      let id = wanted;
+      for (let n = 2; Object.prototype.hasOwnProperty.call(data, id) || id === 'metadata'; n++) id = `${wanted}_${n}`;
+      if (id !== wanted) skip(node, `Slug "${wanted}" already used; stored as "${id}"`);
+      return id;
+    };
+
+    for (const r of records) {
+      if (r.tag === 'HEAD') {
+        const sour = r.children.find(c => c.tag === 'SOUR');
+        const note = r.children.find(c => c.tag === 'NOTE');
+        if (sour) metadata.source = `GEDCOM import (${(sour.children.find(c => c.tag === 'NAME') || sour).value})`;
+        if (note) metadata.title = note.value;
+        continue;
+      }
+      if (r.tag !== 'INDI') continue;
+
+      const nameNode = r.children.find(c => c.tag === 'NAME');
+      const refn = r.children.find(c => c.tag === 'REFN');
+      const name = nameNode ? cleanName(nameNode.value) : '';
+      const id = claimId(refn && refn.value.trim() ? refn.value.trim() : slugify(name || r.xref), refn || r);
+      const person = { name: name || id, bio: '', scripture: '', descendants: [] };
+      const bios = [];
+      const refs = [];
+
+      for (const c of r.children) {
+        switch (c.tag) {
+          case 'NAME': {
+            if (c === nameNode) break;
+            // further names become aliases; TYPE kjv/greek/hebrew is kept, anything else is a variant
+            const typeNode = c.children.find(x => x.tag === 'TYPE');
+            const type = typeNode && ALIAS_TYPES.includes(typeNode.value.toLowerCase()) ? typeNode.value.toLowerCase() : 'variant';
+            if (!person.aliases) person.aliases = [];
+            person.aliases.push(type === 'variant' ? cleanName(c.value) : { name: cleanName(c.value), type });
+            break;
+          }
+          case 'REFN':
+          case 'FAMS':
+            break;
+          case 'SEX':
+            if (c.value === 'M') person.sex = 'male';
+            else if (c.value === 'F') person.sex = 'female';
+            break;
+          case 'NOTE':
+            bios.push(resolve(notes, c.value));
+            break;
+          case 'SOUR':
+            refs.push(resolve(sources, c.value));
+            break;
+          case '_ERA':
+            person.era = c.value;
+            break;
+          case '_SEQ':
+            if (Number.isFinite(Number(c.value))) person.sequence = Number(c.value);
+            break;
+          case '_LIFESPAN':
+          case '_REIGN': {
+            const years = readYears(c);
+            if (years === null) skip(c, `${c.tag} "${c.value}" is not a number of years`);
+            else person[c.tag === '_LIFESPAN' ? 'lifespan' : 'reign_years'] = years;
+            break;
+          }
+          case '_FATHERED':
+            fathered.push({ person, node: c });
+            break;
+          case '_KINGDOM':
+            if (KINGDOMS.includes(c.value.toLowerCase())) person.kingdom = c.value.toLowerCase();
+            else skip(c, `Kingdom "${c.value}" is not ${KINGDOMS.join(' or ')}`);
+            break;
+          case '_REIGN_BC':
+          case '_MINISTRY_BC': {
+            const span = c.value.trim().split(/\s+/).map(Number);
+            const field = c.tag === '_REIGN_BC' ? 'reign_bc' : 'ministry_bc';
+            if (span.length === 2 && span.every(n => Number.isFinite(n) && n > 0)) person[field] = span;
+            else skip(c, `${c.tag} "${c.value}" is not two years BC`);
+            break;
+          }
+          case 'FAMC': {
+            const pedi = c.children.find(x => x.tag === 'PEDI' || x.tag === '_PEDI');
+            let type = 'biological';
+            if (pedi) {
+              const value = pedi.value.toLowerCase();
+              type = PEDI_IN[value] || (PARENT_LINK_TYPES.includes(value) ? value : null);
+              if (!type) {
+                skip(pedi, `Pedigree "${pedi.value}" has no equivalent; treated as biological`);
+                type = 'biological';
+              }
+            }
+            childTypes.set(`${c.value}|${r.xref}`, type);
+            break;
+          }
+          default:
+            skip(c, `${c.tag} on ${name || r.xref} not mapped`);
+        }
+      }
+      person.bio = bios.join('\n\n');
+      person.scripture = refs.join('; ');
+      data[id] = person;
+      if (r.xref) idByRef.set(r.xref, id);
+      report.people++;
+    }
+
+    for (const { person, node } of fathered) {
+      const childId = idByRef.get(node.value);
+      const ageNode = node.children.find(c => c.tag === '_AGE');
+      let ages = ageNode ? readYears(ageNode) : null;
+      if (!childId) { skip(node, `Unknown individual ${node.value}`); continue; }
+      if (ages === null) { skip(node, `_FATHERED ${node.value} has no age`); continue; }
+      const viaNode = node.children.find(c => c.tag === '_VIA');
+      const via = viaNode && readYears(viaNode);
+      if (via && typeof via === 'object') {
+        if (typeof ages === 'number') ages = { mt: ages, lxx: ages };
+        ages.via = Object.assign({ name: viaNode.value }, via);
+      } else if (viaNode) {
+        skip(viaNode, `_VIA ${viaNode.value} gives no years`);
+      }
+      (person.age_at_fathering = person.age_at_fathering || {})[childId] = ages;
+    }
+
+    for (const r of records) {
+      if (r.tag !== 'FAM') continue;
+      report.families++;
+      let husb = null;
+      let wife = null;
+      let marriage = null;
+      const children = [];
+
+      for (const c of r.children) {
+        const target = idByRef.get(c.value);
+        switch (c.tag) {
+          case 'HUSB':
+          case 'WIFE':
+          case 'CHIL':
+            if (!target) { skip(c, `Unknown individual ${c.value}`); break; }
+            if (c.tag === 'HUSB') husb = target;
+            else if (c.tag === 'WIFE') wife = target;
+            else children.push({ id: target, type: childTypes.get(`${r.xref}|${c.value}`) || 'biological' });
+            break;
+          case 'MARR': {
+            const type = c.children.find(x => x.tag === 'TYPE');
+            const value = type ? type.value.toLowerCase() : 'spouse';
+            marriage = SPOUSE_LINK_TYPES.includes(value) ? value : 'spouse';
+            if (type && marriage !== value) skip(type, `Marriage type "${type.value}" treated as spouse`);
+            break;
+          }
+          default:
+            skip(c, `${c.tag} on family ${r.xref} not mapped`);
+        }
+      }
+
+      for (const { id: childId, type } of children) {
+        const child = data[childId];
+        if (husb) {
+          if (!data[husb].descendants.includes(childId)) data[husb].descendants.push(childId);
+          if (type !== 'biological') (child.parents = child.parents || []).push({ id: husb, type });
+        }
+        if (wife) {
+          const link = type === 'biological' ? wife : { id: wife, type };
+          if (!child.mother) child.mother = link;
+          else if ((typeof child.mother === 'string' ? child.mother : child.mother.id) !== wife) {
+            if (!data[wife].descendants.includes(childId)) data[wife].descendants.push(childId);
+            if (type !== 'biological') (child.parents = child.parents || []).push({ id: wife, type });
+          }
+        }
+      }
+      if (husb && wife && marriage) {
+        const spouses = data[husb].spouses = data[husb].spouses || [];
+        if (!spouses.some(s => (typeof s === 'string' ? s : s.id) === wife)) {
+          spouses.push(marriage === 'spouse' ? wife : { id: wife, type: marriage });
+        }
+      }
+    }
+
+    for (const r of records) {
+      if (!['HEAD', 'TRLR', 'SUBM', 'INDI', 'FAM', 'NOTE', 'SOUR'].includes(r.tag)) skip(r, `${r.tag} record not mapped`);
+    }
+
+    metadata.entries_count = report.people;
+    return { data: Object.assign({ metadata }, data), report };
+  }
+
+  function formatImportReport(report) {
+    const lines = [`Imported ${report.people} people and ${report.families} families.`];
+    if (!report.unmapped.length) lines.push('Everything was mapped.');
+    else {
+      lines.push(`${report.unmapped.length} item(s) could not be mapped:`);
+      for (const u of report.unmapped) lines.push(`  line ${u.line}${u.tag ? ` ${u.tag}` : ''}: ${u.message}`);
+    }
+    return lines.join('\n');
+  }
+
+  const api = { exportGedcom, importGedcom, formatImportReport, parentLinksOf };
+
+  // ---------- CLI ----------
+  if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+    const fs = require('fs');
+    const path = require('path');
+    const [command, input, output] = process.argv.slice(2);
+    const write = text => (output ? fs.writeFileSync(output, text) : process.stdout.write(text));
+
+    if (command === 'export') {
+      const file = input || path.join(__dirname, 'biblical_genealogy.json');
+      const result = exportGedcom(JSON.parse(fs.readFileSync(file, 'utf8')));
+      write(result.text);
+      process.stderr.write(`Exported ${result.people} people and ${result.families} families` +
+        (result.skipped.length ? `; skipped ${result.skipped.length} link(s) to unknown IDs` : '') + '\n');
+    } else if (command === 'import' && input) {
+      const { data, report } = importGedcom(fs.readFileSync(input, 'utf8'));
+      write(JSON.stringify(data, null, 2) + '\n');
+      process.stderr.write(formatImportReport(report) + '\n');
+    } else {
+      process.stderr.write('Usage: node gedcom.js export [genealogy.json] [out.ged]\n' +
+        '       node gedcom.js import <file.ged> [out.json]\n');
+      process.exitCode = 2;
+    }
+  }
+
+  return api;
+});
@@ -0,0 +1,1345 @@
+// ============================================================
+// Genealogy Core
+// - The data model and queries behind the page, without any DOM:
+//   loading either JSON file, lookups by id / name / alias, ancestors,
+//   descendants, kinship, connection paths, scripture search, Anno Mundi
+//   years, the divided-kingdom reign timeline, the related-figures
+//   network, figure periods and stats
+// - createGenealogy() holds one genealogy file and one figures file;
+//   load() accepts either and rebuilds whatever depends on it
+// - Works as a plain <script> (window.GenealogyCore) and in Node (require)
+// - CLI: node genealogy-core.js [--json] ancestors <name>
+//        node genealogy-core.js [--json] descendants <name> [--depth N]
+//        node genealogy-core.js [--json] path <a> <b>
+//        node genealogy-core.js [--json] search <reference | name>
+//        node genealogy-core.js [--json] years [<name>] [--lxx]
+//        node genealogy-core.js [--json] stats
+//   (--genealogy <file> / --figures <file> replace the bundled files)
+// ============================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./scripture.js'));
+  else root.GenealogyCore = factory(root.Scripture);
+})(typeof self !== 'undefined' ? self : this, function (Scripture) {
+  'use strict';
+
+  // ---------- Utilities ----------
+  function prettifyKey(k) {
+    return String(k).replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+  }
+
+  // Normalize text for tolerant search
+  function normalizeText(str) {
+    return String(str || "")
+      .toLowerCase()
+      .replace(/[\p{P}\p{S}]+/gu, "") // remove punctuation/symbols
+      .replace(/\s+/g, " ")           // collapse spaces
+      .trim();
+  }
+
+  /*
+    editDistance(a, b) -> insertions, deletions, substitutions and adjacent
+    swaps needed to turn a into b ("Jehoram" -> "Joram" is 2)
+  */
+  function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+      rows.push([i]);
+      for (let j = 1; j <= b.length; j++) {
+        if (i === 0) { rows[0].push(j); continue; }
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let d = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, rows[i - 2][j - 2] + 1);
+        rows[i].push(d);
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  // ---------- Person Schema ----------
+  /*
+    Every field beyond `name`, `bio`, `scripture` and `descendants` is optional,
+    so files that only use `descendants` load unchanged.
+
+    - parents:  ["judah", { "id": "joseph_nt", "type": "legal" }]
+    - mother:   "tamar_judah"   (shorthand for a parent with role "mother")
+    - spouses:  ["leah", { "id": "bilhah", "type": "concubine" }]
+    - sex:      "male" | "female"
+    - era / sequence: chronology overrides (see ERAS in app.js)
+    - aliases:  ["Abram", { "name": "Phares", "type": "greek" }]  other names and spellings
+    - lifespan:    930                 total years lived
+    - reign_years: 40                  years on the throne (0.25 for three months)
+    - age_at_fathering: { "seth": { "mt": 130, "lxx": 230 } }  age when each named child was born;
+      `via` names a generation only some texts put in between, with its age at
+      the child's birth in those texts: { "mt": 35, "lxx": 135, "via": { "name": "Cainan", "lxx": 130 } }
+    - kingdom:     "judah" | "israel"  the throne reign_bc belongs to (see KINGDOMS)
+    - reign_bc / ministry_bc: [874, 853]  a king's reign or a prophet's ministry,
+      first and last year BC
+
+    Parent link types: biological (default), adoptive, legal, levirate.
+    Spouse link types: spouse (default), concubine, levirate.
+    Alias types: variant (default), kjv (KJV spelling), greek (NT Greek form),
+    hebrew (Hebrew form). Figures may carry `aliases` in the same shape.
+    Year values are a number, or an { "mt", "lxx" } pair where the Masoretic
+    and Septuagint texts disagree (see YEAR_TEXTS). Figures may carry
+    kingdom, reign_bc and ministry_bc too.
+  */
+  const PARENT_LINK_TYPES = ['biological', 'adoptive', 'legal', 'levirate'];
+  const SPOUSE_LINK_TYPES = ['spouse', 'concubine', 'levirate'];
+  const ALIAS_TYPES = ['variant', 'kjv', 'greek', 'hebrew'];
+
+  const YEAR_TEXTS = { mt: 'Masoretic', lxx: 'Septuagint' };
+  const AM_EPOCH = 'adam'; // born in AM 0; every Anno Mundi year counts from him
+  const KINGDOMS = { judah: 'Judah', israel: 'Israel' };
+
+  // 930 or { mt, lxx } -> { mt, lxx } (a text missing from the pair falls back to the other)
+  function normalizeYears(value) {
+    const valid = n => typeof n === 'number' && Number.isFinite(n) && n >= 0;
+    if (valid(value)) return { mt: value, lxx: value };
+    if (!value || typeof value !== 'object') return null;
+    const mt = valid(value.mt) ? value.mt : null;
+    const lxx = valid(value.lxx) ? value.lxx : null;
+    if (mt === null && lxx === null) return null;
+    return { mt: mt === null ? lxx : mt, lxx: lxx === null ? mt : lxx };
+  }
+
+  // { name: 'Cainan', lxx: 130 } -> the same, or null; unlike normalizeYears a missing text stays missing
+  function normalizeVia(value) {
+    if (!value || typeof value !== 'object' || typeof value.name !== 'string' || !value.name.trim()) return null;
+    const via = { name: value.name.trim() };
+    for (const text of Object.keys(YEAR_TEXTS)) {
+      if (typeof value[text] === 'number' && Number.isFinite(value[text]) && value[text] >= 0) via[text] = value[text];
+    }
+    return Object.keys(via).length > 1 ? via : null;
+  }
+
+  // [874, 853] -> the same pair, or null unless both are years BC, earliest first
+  function normalizeSpanBC(value) {
+    if (!Array.isArray(value) || value.length !== 2) return null;
+    const [start, end] = value;
+    const valid = n => typeof n === 'number' && Number.isFinite(n) && n > 0;
+    return valid(start) && valid(end) && start >= end ? [start, end] : null;
+  }
+
+  // ---------- Figure time periods ----------
+  /*
+    A figure's time_period is free text such as "Kingdom Divided (9th
+    century BC)" or "Exodus/Conquest (15th-13th century BC)".
+    parseTimePeriod() reads it into { era, label, from, to }:
+    - era / label: the name before the brackets (its first part, when
+      several are joined by "/") matched against PERIOD_ERAS; a name none of
+      them matches becomes an era of its own, keyed by its slug
+    - from / to: the bracketed date as years, BC negative (-900 is 900 BC,
+      and there is no year 0); null when the brackets hold no date. A date
+      without BC or AD is taken as BC.
+  */
+  const PERIOD_ERAS = [
+    { key: 'patriarchal', label: 'Patriarchal Period', pattern: /patriarch/i },
+    { key: 'exodus', label: 'Exodus & Conquest', pattern: /exodus|conquest|wilderness/i },
+    { key: 'judges', label: 'Period of Judges', pattern: /judges/i },
+    { key: 'united', label: 'United Monarchy', pattern: /united (kingdom|monarchy)/i },
+    { key: 'divided', label: 'Kingdom Divided', pattern: /divided/i },
+    { key: 'exile', label: 'Babylonian Exile', pattern: /exile|babylon/i },
+    { key: 'postexilic', label: 'Post-exilic (Persian)', pattern: /persia|post-?exil|restoration/i },
+    { key: 'intertestamental', label: 'Intertestamental', pattern: /intertestament|hellenist|maccabe/i },
+    { key: 'nt', label: 'New Testament', pattern: /new testament/i }
+  ];
+
+  // "10th-9th century BC" -> [-1000, -801], "2000-1800 BC" -> [-2000, -1800], "1st century AD" -> [1, 100]
+  function parsePeriodDates(text) {
+    const m = /^(?:c\.?\s*)?(\d+)(?:st|nd|rd|th)?(?:\s*[-–]\s*(\d+)(?:st|nd|rd|th)?)?\s*(centur(?:y|ies))?\s*(BCE?|AD|CE)?$/i.exec(text.trim());
+    if (!m) return null;
+    const first = Number(m[1]);
+    const last = m[2] ? Number(m[2]) : first;
+    const bc = !m[4] || /^BC/i.test(m[4]);
+    let ends;
+    if (m[3]) ends = bc ? [-first * 100, -((last - 1) * 100 + 1)] : [(first - 1) * 100 + 1, last * 100];
+    else ends = bc ? [-first, -last] : [first, last];
+    return [Math.min(...ends), Math.max(...ends)];
+  }
+
+  function parseTimePeriod(text) {
+    const value = String(text || '').trim();
+    const bracket = /\(([^)]*)\)\s*$/.exec(value);
+    const name = (bracket ? value.slice(0, bracket.index) : value).trim();
+    const head = name.split('/')[0].trim();
+    const known = PERIOD_ERAS.find(e => e.pattern.test(head)) || PERIOD_ERAS.find(e => e.pattern.test(name));
+    const slug = head.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    const dates = bracket ? parsePeriodDates(bracket[1]) : null;
+    return {
+      era: known ? known.key : slug || null,
+      label: known ? known.label : head,
+      from: dates ? dates[0] : null,
+      to: dates ? dates[1] : null
+    };
+  }
+
+  // Signed centuries: -9 is the 9th century BC (900-801 BC), 1 the 1st century AD
+  function centuryOf(year) {
+    return year < 0 ? -Math.ceil(-year / 100) : Math.ceil(year / 100);
+  }
+
+  function centuryYears(century) {
+    return century < 0 ? [century * 100, century * 100 + 99] : [(century - 1) * 100 + 1, century * 100];
+  }
+
+  function centuryLabel(century) {
+    const n = Math.abs(century);
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix} century ${century < 0 ? 'BC' : 'AD'}`;
+  }
+
+  // "id" or { id, type } -> { id, type } (unknown types fall back to the default)
+  function normalizeLink(entry, allowedTypes) {
+    const id = typeof entry === 'string' ? entry : entry && entry.id;
+    if (!id) return null;
+    const type = entry && allowedTypes.includes(entry.type) ? entry.type : allowedTypes[0];
+    return { id: String(id), type };
+  }
+
+  // "name" or { name, type } -> { name, type }
+  function normalizeAlias(entry) {
+    const name = typeof entry === 'string' ? entry : entry && entry.name;
+    if (!name) return null;
+    const type = entry && ALIAS_TYPES.includes(entry.type) ? entry.type : ALIAS_TYPES[0];
+    return { name: String(name), type };
+  }
+
+  function entityAliases(entity) {
+    return (Array.isArray(entity && entity.aliases) ? entity.aliases : []).map(normalizeAlias).filter(Boolean);
+  }
+
+  function normalizePerson(id, v) {
+    // ensure id + defaults; keep descendants as-is (array of IDs in the data)
+    const person = {
+      id,
+      name: v.name || prettifyKey(id),
+      bio: v.bio || '',
+      scripture: v.scripture || '',
+      descendants: Array.isArray(v.descendants) ? v.descendants.slice() : [],
+      parents: [],
+      spouses: [],
+      aliases: entityAliases(v)
+    };
+
+    for (const entry of Array.isArray(v.parents) ? v.parents : []) {
+      const link = normalizeLink(entry, PARENT_LINK_TYPES);
+      if (link) person.parents.push(link);
+    }
+    const mother = normalizeLink(v.mother, PARENT_LINK_TYPES);
+    if (mother) {
+      const existing = person.parents.find(l => l.id === mother.id);
+      if (existing) existing.role = 'mother';
+      else person.parents.push(Object.assign(mother, { role: 'mother' }));
+      person.mother = mother.id;
+    }
+    for (const entry of Array.isArray(v.spouses) ? v.spouses : []) {
+      const link = normalizeLink(entry, SPOUSE_LINK_TYPES);
+      if (link) person.spouses.push(link);
+    }
+
+    if (v.sex === 'male' || v.sex === 'female') person.sex = v.sex;
+    if (typeof v.era === 'string') person.era = v.era;
+    if (typeof v.sequence === 'number') person.sequence = v.sequence;
+
+    const lifespan = normalizeYears(v.lifespan);
+    if (lifespan) person.lifespan = lifespan;
+    const reign = normalizeYears(v.reign_years);
+    if (reign) person.reign_years = reign;
+    const fathering = v.age_at_fathering && typeof v.age_at_fathering === 'object' ? v.age_at_fathering : {};
+    for (const [childId, value] of Object.entries(fathering)) {
+      const years = normalizeYears(value);
+      const via = years && normalizeVia(value.via);
+      if (via) years.via = via;
+      if (years) (person.age_at_fathering = person.age_at_fathering || {})[childId] = years;
+    }
+    if (KINGDOMS[v.kingdom]) person.kingdom = v.kingdom;
+    const reignBC = normalizeSpanBC(v.reign_bc);
+    if (reignBC) person.reign_bc = reignBC;
+    const ministryBC = normalizeSpanBC(v.ministry_bc);
+    if (ministryBC) person.ministry_bc = ministryBC;
+    return person;
+  }
+
+  /*
+    Makes every relationship two-way inside the lookup:
+    - a parent listing a child in `descendants` gets a biological link on the child
+    - a child declaring `parents`/`mother` is added to that parent's `descendants`
+    - spouse links are mirrored onto the other spouse with the same type
+    Links to IDs that do not exist are left for the validator to report.
+  */
+  function linkRelationships(people) {
+    for (const p of Object.values(people)) {
+      for (const link of p.parents) {
+        const parent = people[link.id];
+        if (parent && !parent.descendants.includes(p.id)) parent.descendants.push(p.id);
+      }
+    }
+    for (const p of Object.values(people)) {
+      for (const childId of p.descendants) {
+        const child = people[childId];
+        if (child && !child.parents.some(l => l.id === p.id)) child.parents.push({ id: p.id, type: 'biological' });
+      }
+      for (const link of p.spouses) {
+        const other = people[link.id];
+        if (other && !other.spouses.some(l => l.id === p.id)) other.spouses.push({ id: p.id, type: link.type });
+      }
+    }
+    return people;
+  }
+
+  /*
+    buildParentIndex(people) -> { childId: [parentId, ...] }
+    Parents are listed in data order; unknown child IDs are skipped.
+  */
+  function buildParentIndex(people) {
+    const index = {};
+    for (const p of Object.values(people)) {
+      if (!p || !Array.isArray(p.descendants)) continue;
+      for (const childId of p.descendants) {
+        if (!people[childId]) continue;
+        if (!index[childId]) index[childId] = [];
+        if (!index[childId].includes(p.id)) index[childId].push(p.id);
+      }
+    }
+    return index;
+  }
+
+  // Raw genealogy JSON ({ genealogy: {...} } or flat, "metadata" skipped) -> linked { id -> person }
+  function peopleFromJson(raw) {
+    const flat = raw && raw.genealogy ? raw.genealogy : raw;
+    const people = {};
+    for (const key in flat) {
+      if (!Object.prototype.hasOwnProperty.call(flat, key)) continue;
+      if (key === "metadata") continue;
+      const v = flat[key];
+      if (!v || typeof v !== 'object') continue;
+      people[key] = normalizePerson(key, v);
+    }
+    return linkRelationships(people);
+  }
+
+  // ---------- Kinship terms ----------
+  /*
+    Gendered kinship terms need a sex. The data can state it with `sex`
+    ("male" / "female"); otherwise the bio's opening word or pronouns decide,
+    defaulting to male since most recorded genealogy entries are sons.
+  */
+  function personSex(person) {
+    if (!person) return 'male';
+    if (person.sex === 'male' || person.sex === 'female') return person.sex;
+    const bio = String(person.bio || '');
+    if (/^(daughter|wife|mother|sister|queen|prophetess|widow|woman)\b/i.test(bio)) return 'female';
+    const she = (bio.match(/\b(she|her|hers)\b/gi) || []).length;
+    const he = (bio.match(/\b(he|him|his)\b/gi) || []).length;
+    return she > he ? 'female' : 'male';
+  }
+
+  const ORDINALS = ['zeroth', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+
+  function ordinal(n) {
+    if (ORDINALS[n]) return ORDINALS[n];
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+  }
+
+  function timesRemoved(n) {
+    if (n === 0) return '';
+    if (n === 1) return ' once removed';
+    if (n === 2) return ' twice removed';
+    return ` ${n} times removed`;
+  }
+
+  // "great-" prefixes; spelled out up to three, then "4× great-"
+  function greats(n) {
+    if (n <= 0) return '';
+    if (n <= 3) return 'great-'.repeat(n);
+    return `${n}× great-`;
+  }
+
+  /*
+    kinshipTerm(up, down, sex)
+    - up: generations from the person to the common ancestor
+    - down: generations from the other person to that ancestor
+    Returns what the first person is to the second, e.g. (0, 3) -> "great-grandfather".
+  */
+  function kinshipTerm(up, down, sex) {
+    const f = sex === 'female';
+    if (up === 0 && down === 0) return 'same person';
+    if (up === 0) {
+      if (down === 1) return f ? 'mother' : 'father';
+      return `${greats(down - 2)}${f ? 'grandmother' : 'grandfather'}`;
+    }
+    if (down === 0) {
+      if (up === 1) return f ? 'daughter' : 'son';
+      return `${greats(up - 2)}${f ? 'granddaughter' : 'grandson'}`;
+    }
+    if (up === 1 && down === 1) return f ? 'sister' : 'brother';
+    if (up === 1) return `${greats(down - 2)}${f ? 'aunt' : 'uncle'}`;
+    if (down === 1) return `${up === 2 ? '' : greats(up - 3) + 'grand-'}${f ? 'niece' : 'nephew'}`;
+    const degree = Math.min(up, down) - 1;
+    return `${ordinal(degree)} cousin${timesRemoved(Math.abs(up - down))}`;
+  }
+
+  // ---------- Genealogy instance ----------
+  /*
+    createGenealogy({ genealogy, figures }) -> queries over the loaded files
+    - people / parentsById / figures: the current lookups (replaced, not
+      mutated, by each load, so hold on to the instance rather than them)
+    - loadGenealogy(raw) / loadFigures(raw), or load(raw) for either file
+    Derived indexes (scripture, connections, years, timeline, network,
+    facets, Adam's line) are built on first use and dropped whenever a file
+    loads.
+  */
+  function createGenealogy(files = {}) {
+    let people = {};
+    let parentsById = {};
+    let figures = {};
+    let figuresMetadata = {};
+    let scriptureIndex = null;
+    let connectionGraph = null;
+    let yearsByText = {};
+    let timeline = null;
+    let network = null;
+    let facets = null;
+    let adamsLine = null;
+
+    function invalidate() {
+      scriptureIndex = null;
+      connectionGraph = null;
+      yearsByText = {};
+      timeline = null;
+      network = null;
+      facets = null;
+      adamsLine = null;
+    }
+
+    function loadGenealogy(raw) {
+      people = peopleFromJson(raw);
+      parentsById = buildParentIndex(people);
+      invalidate();
+      return people;
+    }
+
+    function loadFigures(raw) {
+      figures = (raw && raw.figures) || {};
+      figuresMetadata = (raw && raw.metadata) || {};
+      invalidate();
+      return figures;
+    }
+
+    // The figures file keeps its entries under "figures"; anything else is a genealogy
+    function load(raw) {
+      return raw && raw.figures && typeof raw.figures === 'object' ? loadFigures(raw) : loadGenealogy(raw);
+    }
+
+    // ---------- Links and labels ----------
+    function parentLink(childId, parentId) {
+      const child = people[childId];
+      return (child && child.parents.find(l => l.id === parentId)) || null;
+    }
+
+    // "mother", "legal father", "adoptive parent" ...
+    function parentRoleLabel(childId, parentId) {
+      const link = parentLink(childId, parentId);
+      const role = link && link.role === 'mother' ? 'mother'
+        : (personSex(people[parentId]) === 'female' ? 'mother' : 'father');
+      return link && link.type !== 'biological' ? `${link.type} ${role}` : role;
+    }
+
+    // "son", "daughter", "legal son" ... (the child's side of parentRoleLabel)
+    function childLabel(childId, parentId) {
+      const link = parentLink(childId, parentId);
+      const role = personSex(people[childId]) === 'female' ? 'daughter' : 'son';
+      return link && link.type !== 'biological' ? `${link.type} ${role}` : role;
+    }
+
+    function spouseLabel(link) {
+      return link.type === 'spouse' ? (personSex(people[link.id]) === 'female' ? 'wife' : 'husband') : link.type;
+    }
+
+    // ---------- Entities (both files) ----------
+    function figureAsResult(id, figure) {
+      return Object.assign({}, figure, { id, isFigure: true });
+    }
+
+    function entityName(id) {
+      return people[id]?.name || figures[id]?.name || prettifyKey(id);
+    }
+
+    function entityExists(id) {
+      return Boolean(people[id] || figures[id]);
+    }
+
+    // Every genealogy person, then every figure not also in the genealogy
+    function allEntities() {
+      return [
+        ...Object.values(people),
+        ...Object.entries(figures).filter(([id]) => !people[id]).map(([id, f]) => figureAsResult(id, f))
+      ];
+    }
+
+    // Aliases from both records of a shared slug (the figure file may name some the genealogy does not)
+    function aliasesOf(entity) {
+      const other = entity.isFigure ? people[entity.id] : figures[entity.id];
+      return [...entityAliases(entity), ...entityAliases(other)];
+    }
+
+    // ---------- Lookup ----------
+    function findPerson(idOrName) {
+      if (!idOrName) return null;
+      const raw = String(idOrName).trim();
+
+      // direct id lookup
+      if (people[raw]) return people[raw];
+
+      const q = normalizeText(raw);
+      for (const p of Object.values(people)) {
+        if (!p) continue;
+        if (normalizeText(p.id) === q) return p;
+        if (normalizeText(p.name) === q) return p;
+      }
+      const owner = aliasOwner(q);
+      return owner && !owner.isFigure ? owner : null;
+    }
+
+    function findFigure(idOrName) {
+      if (!idOrName) return null;
+      const raw = String(idOrName).trim();
+      if (figures[raw]) return figureAsResult(raw, figures[raw]);
+      const q = normalizeText(raw);
+      for (const [id, figure] of Object.entries(figures)) {
+        if (normalizeText(id) === q || normalizeText(figure.name) === q) return figureAsResult(id, figure);
+      }
+      const owner = aliasOwner(q);
+      return owner && owner.isFigure ? owner : null;
+    }
+
+    /*
+      aliasOwner(q) -> the one person or figure with an alias equal to the
+      normalized query, or null. Only used once real names have failed, and only
+      when nobody's name starts with the query either: "Jeconiah" is Jehoiachin,
+      but "Azariah" stays a list of the many Azariahs.
+    */
+    function aliasOwner(q) {
+      const entities = allEntities();
+      const owners = entities.filter(e => aliasesOf(e).some(a => normalizeText(a.name) === q));
+      const prefixed = entities.some(e => normalizeText(e.id).startsWith(q) || normalizeText(e.name).startsWith(q));
+      return owners.length === 1 && !prefixed ? owners[0] : null;
+    }
+
+    /*
+      nameMatch(entity, q) -> { rank, alias } or null, for a normalized query
+      rank: 0 = exact, 1 = starts with q, 2 = contains q. Checked against the
+      id and name, then the aliases; `alias` is set when only an alias matched
+      (or matched better), so the UI can say which one.
+    */
+    function nameMatch(entity, q) {
+      const rankOf = text => text === q ? 0 : text.startsWith(q) ? 1 : text.includes(q) ? 2 : Infinity;
+      const direct = Math.min(rankOf(normalizeText(entity.id)), rankOf(normalizeText(entity.name)));
+      let best = { rank: direct, alias: null };
+      for (const alias of aliasesOf(entity)) {
+        const rank = rankOf(normalizeText(alias.name));
+        if (rank < best.rank) best = { rank, alias };
+      }
+      return best.rank === Infinity ? null : best;
+    }
+
+    function fuzzyFind(nameLike) {
+      if (!nameLike) return [];
+      const q = normalizeText(nameLike);
+
+      const persons = Object.values(people).filter(Boolean);
+      const starts = [];
+      const includes = [];
+      const seen = new Set();
+
+      for (const p of persons) {
+        const match = nameMatch(p, q);
+        const isStart = Boolean(match && match.rank <= 1);
+        const isIncl = (!isStart) && (Boolean(match) || normalizeText(p.bio || "").includes(q));
+
+        if (isStart && !seen.has(p.id)) { starts.push(p); seen.add(p.id); }
+        else if (isIncl && !seen.has(p.id)) { includes.push(p); seen.add(p.id); }
+      }
+      return [...starts, ...includes];
+    }
+
+    // Same ordering as fuzzyFind: name/id prefix matches first, then substring matches
+    function fuzzyFindFigures(nameLike) {
+      if (!nameLike) return [];
+      const q = normalizeText(nameLike);
+      const starts = [];
+      const includes = [];
+      for (const [id, figure] of Object.entries(figures)) {
+        const entity = figureAsResult(id, figure);
+        const match = nameMatch(entity, q);
+        if (match && match.rank <= 1) starts.push(entity);
+        else if (match || normalizeText(figure.bio).includes(q)) includes.push(entity);
+      }
+      return [...starts, ...includes];
+    }
+
+    // 0 = exact name/id/alias, 1 = starts with the query, 2 = contains it, 3 = bio only
+    function matchRank(entity, query) {
+      const match = nameMatch(entity, normalizeText(query));
+      return match ? match.rank : 3;
+    }
+
+    /*
+      searchAll(query) -> one ranked list over both datasets. Shared slugs appear
+      once, as the genealogy entry; equal ranks keep genealogy people first.
+    */
+    function searchAll(query) {
+      const found = fuzzyFind(query);
+      const seen = new Set(found.map(p => p.id));
+      const figs = fuzzyFindFigures(query).filter(f => !seen.has(f.id));
+      return [...found, ...figs]
+        .map((entity, order) => ({ entity, order, rank: matchRank(entity, query) }))
+        .sort((a, b) => a.rank - b.rank || a.order - b.order)
+        .map(r => r.entity);
+    }
+
+    /*
+      suggestNames(query, limit) -> "did you mean" entities from both datasets,
+      closest first, by edit distance to any name, alias or parenthetical
+      ("Jehoiachin (Jeconiah, Coniah)" offers all three). Allows roughly one
+      mistake per three letters.
+    */
+    function suggestNames(query, limit = 5) {
+      const q = normalizeText(query);
+      if (!q) return [];
+      const maxDistance = Math.max(1, Math.floor(q.length / 3));
+      const scored = [];
+      for (const entity of allEntities()) {
+        const names = [entity.name, ...String(entity.name || '').split(/[(),]/), prettifyKey(entity.id), ...aliasesOf(entity).map(a => a.name)];
+        const distance = Math.min(...names.map(n => normalizeText(n)).filter(Boolean).map(n => editDistance(q, n)));
+        if (distance <= maxDistance) scored.push({ entity, distance });
+      }
+      return scored
+        .sort((a, b) => a.distance - b.distance || a.entity.name.localeCompare(b.entity.name))
+        .slice(0, limit)
+        .map(s => s.entity);
+    }
+
+    // ---------- Lineage ----------
+    function getParents(id) {
+      return (parentsById[id] || []).map(pid => people[pid]).filter(Boolean);
+    }
+
+    /*
+      ancestorGenerations(id) -> Map(ancestorId -> { generations, via })
+      Breadth-first, so each ancestor is reached by its shortest line; `via` is
+      the child through which it was reached. The person is included at 0.
+    */
+    function ancestorGenerations(id) {
+      const found = new Map([[id, { generations: 0, via: null }]]);
+      let frontier = [id];
+      while (frontier.length) {
+        const next = [];
+        for (const cid of frontier) {
+          for (const pid of parentsById[cid] || []) {
+            if (found.has(pid)) continue;
+            found.set(pid, { generations: found.get(cid).generations + 1, via: cid });
+            next.push(pid);
+          }
+        }
+        frontier = next;
+      }
+      return found;
+    }
+
+    // Ancestors nearest first: parents, then grandparents, and so on
+    function getAncestors(id) {
+      return [...ancestorGenerations(id).keys()]
+        .filter(aid => aid !== id)
+        .map(aid => people[aid])
+        .filter(Boolean);
+    }
+
+    // Every descendant, depth first in data order (never the person, even in a cycle)
+    function getDescendants(id, seen = new Set([id])) {
+      const person = people[id];
+      if (!person || !Array.isArray(person.descendants)) return [];
+      const out = [];
+      for (const childId of person.descendants) {
+        const child = people[childId] || null;
+        if (child && !seen.has(child.id)) {
+          out.push(child);
+          seen.add(child.id);
+          out.push(...getDescendants(child.id, seen));
+        }
+      }
+      // dedupe
+      const uniq = [];
+      const ids = new Set();
+      for (const p of out) { if (p && !ids.has(p.id)) { uniq.push(p); ids.add(p.id); } }
+      return uniq;
+    }
+
+    /*
+      descendantGenerations(id, depth) -> Map(descendantId -> { generations, via })
+      The downward twin of ancestorGenerations, stopping after `depth`
+      generations (all of them by default).
+    */
+    function descendantGenerations(id, depth = Infinity) {
+      const found = new Map([[id, { generations: 0, via: null }]]);
+      let frontier = [id];
+      for (let generation = 1; frontier.length && generation <= depth; generation++) {
+        const next = [];
+        for (const pid of frontier) {
+          for (const cid of (people[pid] && people[pid].descendants) || []) {
+            if (!people[cid] || found.has(cid)) continue;
+            found.set(cid, { generations: generation, via: pid });
+            next.push(cid);
+          }
+        }
+        frontier = next;
+      }
+      return found;
+    }
+
+    // Adam and everyone descended from him: the ids whose lines reach Adam
+    function getAdamsLine() {
+      if (adamsLine) return adamsLine;
+      return (adamsLine = people.adam ? new Set(['adam', ...getDescendants('adam').map(p => p.id)]) : new Set());
+    }
+
+    /*
+      lineagePaths(id, limit) -> [{ path: [rootId, ..., id], via }]
+      The first entry is the main line: at each generation it climbs to the
+      parent whose own line reaches Adam, preferring biological links, then
+      fathers (as the biblical genealogies are reckoned), then data order. Every other entry switches to another parent at one point of
+      the main line (`via: { at, parent }`, nearest to the person first) and
+      climbs the same way from there, so duplicated upstream entries add one
+      alternative each instead of multiplying.
+    */
+    function lineagePaths(id, limit = 8) {
+      const rooted = getAdamsLine();
+      const parentsOf = cid => (parentsById[cid] || []).filter(pid => people[pid]);
+      const rank = (cid, pid) => {
+        const link = parentLink(cid, pid);
+        const mother = (link && link.role === 'mother') || personSex(people[pid]) === 'female';
+        return (rooted.has(pid) ? 0 : 4) + (link && link.type !== 'biological' ? 2 : 0) + (mother ? 1 : 0);
+      };
+
+      const climb = (forced) => {
+        const path = [id];
+        for (let cid = id; ;) {
+          const options = parentsOf(cid).filter(pid => !path.includes(pid));
+          if (!options.length) break;
+          const pid = forced && forced.at === cid && options.includes(forced.parent)
+            ? forced.parent
+            : options.reduce((best, pid) => (rank(cid, pid) < rank(cid, best) ? pid : best));
+          path.unshift(pid);
+          cid = pid;
+        }
+        return path;
+      };
+
+      const main = climb(null);
+      const lines = [{ path: main, via: null }];
+      for (let i = main.length - 1; i > 0 && lines.length < limit; i--) {
+        const at = main[i];
+        for (const parent of parentsOf(at)) {
+          if (parent === main[i - 1] || lines.length >= limit) continue;
+          lines.push({ path: climb({ at, parent }), via: { at, parent } });
+        }
+      }
+      return lines;
+    }
+
+    /*
+      findRelationship(idA, idB) -> null when no shared ancestor is recorded, else
+      {
+        ancestor,            // nearest common ancestor (person)
+        generationsA,        // steps from A up to the ancestor
+        generationsB,        // steps from B up to the ancestor
+        lineA, lineB,        // people from the ancestor down to A / B (inclusive)
+        term                 // what A is to B ("second cousin once removed")
+      }
+      "Nearest" means the fewest combined generations; ties go to the ancestor
+      closest to whichever person is further away (the most recent one).
+    */
+    function findRelationship(idA, idB) {
+      if (!people[idA] || !people[idB]) return null;
+      const upA = ancestorGenerations(idA);
+      const upB = ancestorGenerations(idB);
+
+      let best = null;
+      for (const [aid, infoA] of upA) {
+        const infoB = upB.get(aid);
+        if (!infoB) continue;
+        const total = infoA.generations + infoB.generations;
+        const spread = Math.max(infoA.generations, infoB.generations);
+        if (!best || total < best.total || (total === best.total && spread < best.spread)) {
+          best = { id: aid, total, spread, a: infoA.generations, b: infoB.generations };
+        }
+      }
+      if (!best) return null;
+
+      const lineDown = (generations, ancestorId) => {
+        const line = [];
+        for (let cur = ancestorId; cur; cur = generations.get(cur).via) line.push(people[cur]);
+        return line;
+      };
+
+      return {
+        ancestor: people[best.id],
+        generationsA: best.a,
+        generationsB: best.b,
+        lineA: lineDown(upA, best.id),
+        lineB: lineDown(upB, best.id),
+        term: kinshipTerm(best.a, best.b, personSex(people[idA]))
+      };
+    }
+
+    // ---------- Connections (both datasets) ----------
+    /*
+      One graph over both files, keyed by slug: a slug present in both datasets
+      is the same node. Edges:
+      - genealogy `descendants`, walked both ways ("father of" / "son of")
+      - figure `related_figures`, treated as two-way ("associated with")
+      References to unknown slugs are ignored.
+    */
+    function buildConnectionGraph() {
+      const graph = new Map();
+      const link = (from, to, label) => {
+        if (from === to || !entityExists(from) || !entityExists(to)) return;
+        if (!graph.has(from)) graph.set(from, []);
+        const edges = graph.get(from);
+        if (!edges.some(e => e.to === to)) edges.push({ to, label });
+      };
+
+      for (const p of Object.values(people)) {
+        if (!p) continue;
+        for (const childId of p.descendants || []) {
+          if (!people[childId]) continue;
+          link(p.id, childId, `${parentRoleLabel(childId, p.id)} of`);
+          link(childId, p.id, `${childLabel(childId, p.id)} of`);
+        }
+      }
+      for (const p of Object.values(people)) {
+        for (const l of (p && p.spouses) || []) link(p.id, l.id, `${spouseLabel({ id: p.id, type: l.type })} of`);
+      }
+      for (const [id, figure] of Object.entries(figures)) {
+        for (const rid of (figure && figure.related_figures) || []) {
+          link(id, rid, 'associated with');
+          link(rid, id, 'associated with');
+        }
+      }
+      return graph;
+    }
+
+    function getConnectionGraph() {
+      if (!connectionGraph) connectionGraph = buildConnectionGraph();
+      return connectionGraph;
+    }
+
+    /*
+      findConnection(fromId, toId) -> null, or the shortest path as
+      [{ id, name }, { id, name, label }, ...] where each later step's `label`
+      says how the previous person relates to it ("Ahab", "son of", "Omri").
+    */
+    function findConnection(fromId, toId) {
+      if (!entityExists(fromId) || !entityExists(toId)) return null;
+      const graph = getConnectionGraph();
+      const prev = new Map([[fromId, null]]);
+      let frontier = [fromId];
+      while (frontier.length && !prev.has(toId)) {
+        const next = [];
+        for (const id of frontier) {
+          for (const edge of graph.get(id) || []) {
+            if (prev.has(edge.to)) continue;
+            prev.set(edge.to, { from: id, label: edge.label });
+            next.push(edge.to);
+          }
+        }
+        frontier = next;
+      }
+      if (!prev.has(toId)) return null;
+
+      const path = [];
+      for (let id = toId; id !== fromId; id = prev.get(id).from) {
+        path.unshift({ id, name: entityName(id), label: prev.get(id).label });
+      }
+      path.unshift({ id: fromId, name: entityName(fromId) });
+      return path;
+    }
+
+    // ---------- Scripture ----------
+    /*
+      One index over every `scripture` field in both datasets. Keys are
+      prefixed so the same slug can exist in both files ("person:ruth" and
+      "figure:ruth").
+    */
+    function getScriptureIndex() {
+      if (scriptureIndex) return scriptureIndex;
+      const index = Scripture.createIndex();
+      for (const p of Object.values(people)) {
+        if (p && p.scripture) index.add(`person:${p.id}`, p.scripture, p);
+      }
+      for (const [id, figure] of Object.entries(figures)) {
+        if (figure && figure.scripture) index.add(`figure:${id}`, figure.scripture, figureAsResult(id, figure));
+      }
+      scriptureIndex = index;
+      return index;
+    }
+
+    // searchScripture(ref) -> people and figures citing an overlapping passage, each with `matchedRefs`
+    function searchScripture(ref) {
+      return getScriptureIndex().query(ref).map(h => Object.assign({}, h.payload, { matchedRefs: h.matches }));
+    }
+
+    // ---------- Anno Mundi ----------
+    /*
+      annoMundi(text) -> Map { id -> { born, died } } in years from creation,
+      Adam being born in AM 0. Each recorded age_at_fathering dates that child
+      from the parent's birth (adding the `via` generation's age where this
+      text has one), and a lifespan gives the death year (null when
+      none is recorded); people off those chains are not dated.
+      text: 'mt' (Masoretic, the default) or 'lxx' (Septuagint).
+    */
+    function annoMundi(text = 'mt') {
+      if (!YEAR_TEXTS[text]) throw new Error(`Unknown text "${text}" (use ${Object.keys(YEAR_TEXTS).join(' or ')})`);
+      if (yearsByText[text]) return yearsByText[text];
+      const dates = new Map();
+      const queue = [];
+      const date = (id, born) => {
+        const lifespan = people[id].lifespan;
+        dates.set(id, { born, died: lifespan ? born + lifespan[text] : null });
+        queue.push(id);
+      };
+      if (people[AM_EPOCH]) date(AM_EPOCH, 0);
+      while (queue.length) {
+        const id = queue.shift();
+        for (const [childId, ages] of Object.entries(people[id].age_at_fathering || {})) {
+          if (people[childId] && !dates.has(childId)) date(childId, dates.get(id).born + ages[text] + (ages.via && ages.via[text] || 0));
+        }
+      }
+      return (yearsByText[text] = dates);
+    }
+
+    /*
+      contemporaries(id, text) -> [{ id, born, died, from, to }] for everyone
+      whose dated life overlaps the person's, by birth; from..to are the
+      years both were alive. Empty unless both birth and death are known.
+    */
+    function contemporaries(id, text = 'mt') {
+      const dates = annoMundi(text);
+      const own = dates.get(id);
+      if (!own || own.died === null) return [];
+      const out = [];
+      for (const [otherId, other] of dates) {
+        if (otherId === id || other.died === null) continue;
+        const from = Math.max(own.born, other.born);
+        const to = Math.min(own.died, other.died);
+        if (to > from) out.push({ id: otherId, born: other.born, died: other.died, from, to });
+      }
+      return out.sort((a, b) => a.born - b.born);
+    }
+
+    // ---------- Reign timeline ----------
+    /*
+      reignTimeline() -> { start, end, tracks: { judah, israel, prophets } }
+      Each track lists { id, name, isFigure, start, end } (years BC) by start:
+      kings with a reign_bc on the track of their kingdom, prophets with a
+      ministry_bc. A slug in both files is one entry, its dates taken from
+      whichever record has them. start / end span every entry.
+    */
+    function reignTimeline() {
+      if (timeline) return timeline;
+      const tracks = { judah: [], israel: [], prophets: [] };
+      const field = (id, key) => (people[id] && people[id][key]) || (figures[id] && figures[id][key]);
+      for (const entity of allEntities()) {
+        const entry = span => ({ id: entity.id, name: entity.name, isFigure: !people[entity.id], start: span[0], end: span[1] });
+        const reign = normalizeSpanBC(field(entity.id, 'reign_bc'));
+        const kingdom = field(entity.id, 'kingdom');
+        if (reign && KINGDOMS[kingdom]) tracks[kingdom].push(entry(reign));
+        const ministry = normalizeSpanBC(field(entity.id, 'ministry_bc'));
+        if (ministry) tracks.prophets.push(entry(ministry));
+      }
+      const all = Object.values(tracks).flat();
+      for (const list of Object.values(tracks)) list.sort((a, b) => b.start - a.start || b.end - a.end);
+      return (timeline = {
+        start: all.length ? Math.max(...all.map(e => e.start)) : null,
+        end: all.length ? Math.min(...all.map(e => e.end)) : null,
+        tracks
+      });
+    }
+
+    // activeInYear(year) -> { judah, israel, prophets }: who reigned or prophesied in that year BC
+    function activeInYear(year) {
+      const { tracks } = reignTimeline();
+      const active = list => list.filter(e => e.start >= year && e.end <= year);
+      return { judah: active(tracks.judah), israel: active(tracks.israel), prophets: active(tracks.prophets) };
+    }
+
+    // ---------- Related-figures network ----------
+    /*
+      relatedNetwork() -> { nodes, edges, neighbors }
+      The figures' related_figures as an undirected graph: a link listed on
+      either side counts both ways and appears once in `edges` as [a, b].
+      `nodes` lists every figure plus the genealogy people a figure names, as
+      { id, name, isFigure, category, time_period }; `neighbors` is
+      Map { id -> [id] }. Slugs found in neither file are left out.
+    */
+    function relatedNetwork() {
+      if (network) return network;
+      const neighbors = new Map();
+      const edges = [];
+      const link = (a, b) => {
+        if (a === b || !entityExists(a) || !entityExists(b)) return;
+        if (!neighbors.has(a)) neighbors.set(a, []);
+        if (!neighbors.has(b)) neighbors.set(b, []);
+        if (neighbors.get(a).includes(b)) return;
+        neighbors.get(a).push(b);
+        neighbors.get(b).push(a);
+        edges.push([a, b]);
+      };
+      for (const [id, figure] of Object.entries(figures)) {
+        for (const rid of (figure && figure.related_figures) || []) link(id, rid);
+      }
+      const ids = new Set([...Object.keys(figures).filter(id => figures[id]), ...neighbors.keys()]);
+      const nodes = [...ids].map(id => {
+        const figure = figures[id];
+        return {
+          id,
+          name: entityName(id),
+          isFigure: Boolean(figure),
+          category: (figure && figure.category) || '',
+          time_period: (figure && figure.time_period) || ''
+        };
+      });
+      for (const id of ids) if (!neighbors.has(id)) neighbors.set(id, []);
+      return (network = { nodes, edges, neighbors });
+    }
+
+    // neighborhood(ids, hops = 1) -> Set of the ids plus everyone within `hops` links of them
+    function neighborhood(ids, hops = 1) {
+      const { neighbors } = relatedNetwork();
+      const seen = new Set([...ids].filter(id => neighbors.has(id)));
+      let frontier = [...seen];
+      for (let hop = 0; hop < hops && frontier.length; hop++) {
+        frontier = frontier.flatMap(id => neighbors.get(id)).filter(id => !seen.has(id) && seen.add(id));
+      }
+      return seen;
+    }
+
+    // ---------- Explorer facets ----------
+    /*
+      figureFacets() -> { categories, eras, from, to } for the explorer's
+      filters: categories as [{ name, count }] (metadata.categories in file
+      order, then any other category a figure uses), eras as
+      [{ key, label, count, from }] oldest first (see parseTimePeriod), and
+      from / to as the earliest and latest dated year.
+    */
+    function figureFacets() {
+      if (facets) return facets;
+      const categories = new Map();
+      for (const name of Array.isArray(figuresMetadata.categories) ? figuresMetadata.categories : []) {
+        if (typeof name === 'string') categories.set(name, 0);
+      }
+      const eras = new Map();
+      const years = [];
+      for (const figure of Object.values(figures)) {
+        if (!figure) continue;
+        if (figure.category) categories.set(figure.category, (categories.get(figure.category) || 0) + 1);
+        const period = parseTimePeriod(figure.time_period);
+        if (period.from !== null) years.push(period.from, period.to);
+        if (!period.era) continue;
+        const era = eras.get(period.era) || { key: period.era, label: period.label, count: 0, from: null };
+        era.count++;
+        if (period.from !== null && (era.from === null || period.from < era.from)) era.from = period.from;
+        eras.set(period.era, era);
+      }
+      const rank = key => {
+        const at = PERIOD_ERAS.findIndex(e => e.key === key);
+        return at === -1 ? PERIOD_ERAS.length : at;
+      };
+      return (facets = {
+        categories: [...categories].map(([name, count]) => ({ name, count })),
+        eras: [...eras.values()].sort((a, b) =>
+          (a.from === null ? Infinity : a.from) - (b.from === null ? Infinity : b.from) || rank(a.key) - rank(b.key)),
+        from: years.length ? Math.min(...years) : null,
+        to: years.length ? Math.max(...years) : null
+      });
+    }
+
+    // ---------- Stats ----------
+    /*
+      stats() -> counts for both files: people, figures, figures that are
+      also in the genealogy, roots (no recorded parent), parent and spouse
+      links, aliases, and the longest recorded line in generations.
+    */
+    function stats() {
+      const list = Object.values(people);
+      const longest = new Map();
+      const lineLength = (id, visiting = new Set()) => {
+        if (longest.has(id)) return longest.get(id);
+        if (visiting.has(id)) return 0;
+        visiting.add(id);
+        let best = 0;
+        for (const cid of people[id].descendants) if (people[cid]) best = Math.max(best, 1 + lineLength(cid, visiting));
+        visiting.delete(id);
+        longest.set(id, best);
+        return best;
+      };
+      const roots = list.filter(p => !(parentsById[p.id] || []).length);
+      return {
+        people: list.length,
+        figures: Object.keys(figures).length,
+        linked: Object.keys(figures).filter(id => people[id]).length,
+        roots: roots.length,
+        parentLinks: Object.values(parentsById).reduce((n, ids) => n + ids.length, 0),
+        spouseLinks: list.reduce((n, p) => n + p.spouses.filter(l => people[l.id]).length, 0) / 2,
+        aliases: allEntities().reduce((n, e) => n + aliasesOf(e).length, 0),
+        generations: roots.reduce((n, p) => Math.max(n, lineLength(p.id) + 1), 0)
+      };
+    }
+
+    if (files.genealogy) loadGenealogy(files.genealogy);
+    if (files.figures) loadFigures(files.figures);
+
+    return {
+      get people() { return people; },
+      get parentsById() { return parentsById; },
+      get figures() { return figures; },
+      load,
+      loadGenealogy,
+      loadFigures,
+      parentLink,
+      parentRoleLabel,
+      childLabel,
+      spouseLabel,
+      figureAsResult,
+      entityName,
+      entityExists,
+      allEntities,
+      aliasesOf,
+      findPerson,
+      findFigure,
+      aliasOwner,
+      nameMatch,
+      fuzzyFind,
+      fuzzyFindFigures,
+      matchRank,
+      searchAll,
+      suggestNames,
+      getParents,
+      ancestorGenerations,
+      getAncestors,
+      getDescendants,
+      descendantGenerations,
+      lineagePaths,
+      findRelationship,
+      getConnectionGraph,
+      findConnection,
+      getScriptureIndex,
+      searchScripture,
+      annoMundi,
+      contemporaries,
+      reignTimeline,
+      activeInYear,
+      relatedNetwork,
+      neighborhood,
+      figureFacets,
+      stats
+    };
+  }
+
+  const api = {
+    PARENT_LINK_TYPES,
+    SPOUSE_LINK_TYPES,
+    ALIAS_TYPES,
+    YEAR_TEXTS,
+    AM_EPOCH,
+    KINGDOMS,
+    PERIOD_ERAS,
+    prettifyKey,
+    normalizeText,
+    editDistance,
+    normalizeLink,
+    normalizeAlias,
+    normalizeYears,
+    normalizeSpanBC,
+    parseTimePeriod,
+    centuryOf,
+    centuryYears,
+    centuryLabel,
+    entityAliases,
+    normalizePerson,
+    linkRelationships,
+    buildParentIndex,
+    personSex,
+    kinshipTerm,
+    createGenealogy
+  };
+
+  // ---------- CLI ----------
+  if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+    const fs = require('fs');
+    const path = require('path');
+    const args = process.argv.slice(2);
+    const option = name => {
+      const at = args.indexOf(name);
+      return at === -1 ? null : args.splice(at, 2)[1];
+    };
+    const flag = name => {
+      const at = args.indexOf(name);
+      if (at !== -1) args.splice(at, 1);
+      return at !== -1;
+    };
+    const asJson = flag('--json');
+    const text = flag('--lxx') ? 'lxx' : 'mt';
+    const depth = option('--depth');
+    const readJson = (file, fallback) => JSON.parse(fs.readFileSync(file || path.join(__dirname, fallback), 'utf8'));
+    const genealogy = createGenealogy({
+      genealogy: readJson(option('--genealogy'), 'biblical_genealogy.json'),
+      figures: readJson(option('--figures'), 'biblical_figures.json')
+    });
+    const [command, ...rest] = args;
+
+    const print = (json, lines) => process.stdout.write((asJson ? JSON.stringify(json, null, 2) : lines.join('\n')) + '\n');
+    const fail = (message, code = 1) => {
+      process.stderr.write(message + '\n');
+      process.exitCode = code;
+    };
+    const brief = e => ({ id: e.id, name: e.name });
+
+    // Ids win; a name several people share is refused with the choices rather than guessed
+    const resolve = text => {
+      if (!text) return null;
+      if (genealogy.entityExists(text)) return genealogy.people[text] || genealogy.findFigure(text);
+      const q = normalizeText(text);
+      const named = genealogy.allEntities().filter(e => normalizeText(e.name) === q);
+      if (named.length > 1) {
+        fail(`"${text}" could mean: ${named.map(e => `${e.id} (${e.name})`).join(', ')}. Use an id.`);
+        return null;
+      }
+      // otherwise only a name that just one entry starts with, never a bio mention
+      const starts = genealogy.searchAll(text).filter(e => genealogy.matchRank(e, text) <= 1);
+      const hit = genealogy.findPerson(text) || genealogy.findFigure(text) || (starts.length === 1 ? starts[0] : null);
+      if (!hit) {
+        const suggestions = [...starts.slice(0, 5), ...genealogy.suggestNames(text, 3)].map(e => e.name);
+        fail(`"${text}" not found${suggestions.length ? `. Did you mean: ${suggestions.join(', ')}?` : ''}`);
+      }
+      return hit || null;
+    };
+    const inGenealogy = text => {
+      const entity = resolve(text);
+      if (entity && !genealogy.people[entity.id]) fail(`${entity.name} is not part of the recorded genealogy`);
+      return entity && genealogy.people[entity.id];
+    };
+    const generationLines = (generations, label) => [...generations]
+      .filter(([, info]) => info.generations > 0)
+      .map(([id, info]) => ({ id, name: genealogy.entityName(id), generation: info.generations, via: info.via, relation: label(id, info.via) }));
+
+    if (command === 'ancestors' && rest[0]) {
+      const person = inGenealogy(rest.join(' '));
+      if (person) {
+        const list = generationLines(genealogy.ancestorGenerations(person.id),
+          (id, via) => `${genealogy.parentRoleLabel(via, id)} of ${genealogy.entityName(via)}`);
+        print({ person: brief(person), ancestors: list }, [
+          `Ancestors of ${person.name} (${list.length})`,
+          ...list.map(a => `  ${String(a.generation).padStart(3)}  ${a.name} [${a.id}] - ${a.relation}`)
+        ]);
+      }
+    } else if (command === 'descendants' && rest[0]) {
+      const person = inGenealogy(rest.join(' '));
+      const limit = depth === null ? Infinity : parseInt(depth, 10);
+      if (person && !(limit >= 1)) fail('--depth must be a whole number of generations (1 or more)', 2);
+      else if (person) {
+        const list = generationLines(genealogy.descendantGenerations(person.id, limit),
+          (id, via) => `${genealogy.childLabel(id, via)} of ${genealogy.entityName(via)}`);
+        print({ person: brief(person), depth: limit === Infinity ? null : limit, descendants: list }, [
+          `Descendants of ${person.name} (${list.length}${limit === Infinity ? '' : `, ${limit} generation(s)`})`,
+          ...list.map(d => `  ${String(d.generation).padStart(3)}  ${d.name} [${d.id}] - ${d.relation}`)
+        ]);
+      }
+    } else if (command === 'path' && rest.length >= 2) {
+      const a = resolve(rest[0]);
+      const b = a && resolve(rest[1]);
+      if (a && b) {
+        const steps = genealogy.findConnection(a.id, b.id);
+        const relation = genealogy.findRelationship(a.id, b.id);
+        const json = {
+          from: brief(a),
+          to: brief(b),
+          steps,
+          relationship: relation && { term: relation.term, ancestor: brief(relation.ancestor), generationsA: relation.generationsA, generationsB: relation.generationsB }
+        };
+        if (!steps) {
+          print(json, [`No connection is recorded between ${a.name} and ${b.name}.`]);
+          process.exitCode = 1;
+        } else {
+          print(json, [
+            `${a.name} to ${b.name}: ${steps.length - 1} step(s)`,
+            steps.map(s => (s.label ? `${s.label} ${s.name}` : s.name)).join(' -> '),
+            ...(relation ? [`${a.name} is the ${relation.term} of ${b.name} (common ancestor: ${relation.ancestor.name})`] : [])
+          ]);
+        }
+      }
+    } else if (command === 'search' && rest[0]) {
+      const query = rest.join(' ');
+      if (Scripture.isReference(query)) {
+        const hits = genealogy.searchScripture(query);
+        const label = Scripture.parse(query).map(Scripture.format).join('; ');
+        print({ reference: label, results: hits.map(h => Object.assign(brief(h), { figure: Boolean(h.isFigure), refs: h.matchedRefs.map(Scripture.format) })) }, [
+          `People connected to ${label} (${hits.length})`,
+          ...hits.map(h => `  ${h.name} [${h.id}]${h.isFigure ? ' (figure)' : ''} - ${h.matchedRefs.map(Scripture.format).join('; ')}`)
+        ]);
+      } else {
+        const hits = genealogy.searchAll(query).slice(0, 25);
+        print({ query, results: hits.map(h => Object.assign(brief(h), { figure: Boolean(h.isFigure) })) }, [
+          `Matches for "${query}" (${hits.length})`,
+          ...hits.map(h => `  ${h.name} [${h.id}]${h.isFigure ? ' (figure)' : ''}`)
+        ]);
+      }
+    } else if (command === 'years') {
+      const dates = genealogy.annoMundi(text);
+      const span = d => `AM ${d.born}-${d.died === null ? '?' : d.died}`;
+      if (rest[0]) {
+        const person = inGenealogy(rest.join(' '));
+        const own = person && dates.get(person.id);
+        if (person && !own) fail(`No Anno Mundi years can be worked out for ${person.name}`);
+        else if (person) {
+          const list = genealogy.contemporaries(person.id, text).map(c => Object.assign({ name: genealogy.entityName(c.id) }, c));
+          print({ person: brief(person), text, born: own.born, died: own.died, contemporaries: list }, [
+            `${person.name} (${YEAR_TEXTS[text]}): ${span(own)}`,
+            `Alive at the same time (${list.length})`,
+            ...list.map(c => `  ${c.name} [${c.id}] ${span(c)}, together AM ${c.from}-${c.to}`)
+          ]);
+        }
+      } else {
+        const list = [...dates].map(([id, d]) => ({ id, name: genealogy.entityName(id), born: d.born, died: d.died }))
+          .sort((a, b) => a.born - b.born);
+        print({ text, people: list }, [
+          `Anno Mundi years, ${YEAR_TEXTS[text]} text (${list.length})`,
+          ...list.map(p => `  ${String(p.born).padStart(5)}-${String(p.died === null ? '?' : p.died).padEnd(5)}  ${p.name} [${p.id}]`)
+        ]);
+      }
+    } else if (command === 'stats') {
+      const s = genealogy.stats();
+      print(s, [
+        `People:        ${s.people}`,
+        `Figures:       ${s.figures} (${s.linked} also in the genealogy)`,
+        `Roots:         ${s.roots}`,
+        `Parent links:  ${s.parentLinks}`,
+        `Spouse links:  ${s.spouseLinks}`,
+        `Aliases:       ${s.aliases}`,
+        `Longest line:  ${s.generations} generations`
+      ]);
+    } else {
+      fail('Usage: node genealogy-core.js [--json] ancestors <name>\n' +
+        '       node genealogy-core.js [--json] descendants <name> [--depth N]\n' +
+        '       node genealogy-core.js [--json] path <a> <b>\n' +
+        '       node genealogy-core.js [--json] search <reference | name>\n' +
+        '       node genealogy-core.js [--json] years [<name>] [--lxx]\n' +
+        '       node genealogy-core.js [--json] stats\n' +
+        'Options: --genealogy <file.json> --figures <file.json>', 2);
+    }
+  }
+
+  return api;
+});
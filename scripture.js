@@ -0,0 +1,378 @@
+// ============================================================
+// Scripture Reference Parser + Index
+// - Understands book names/abbreviations, chapters, verses,
+//   ranges ("37:2-50:26", "17-19") and lists ("33:2, 7; 35:24")
+// - Turns every reference into a canonical span so two references
+//   can be compared for overlap ("Gen 5" overlaps "Genesis 5:3")
+// - Works as a plain <script> (window.Scripture) and in Node (require)
+// ============================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Scripture = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /*
+    Canonical (Protestant) book order. `abbr` is the short form used when
+    formatting; `aliases` are extra spellings accepted by the parser. Full
+    names and abbreviations are matched case-, dot- and space-insensitively.
+  */
+  const BOOKS = [
+    { name: 'Genesis', abbr: 'Gen', chapters: 50, aliases: ['Ge', 'Gn'] },
+    { name: 'Exodus', abbr: 'Ex', chapters: 40, aliases: ['Exod', 'Exo'] },
+    { name: 'Leviticus', abbr: 'Lev', chapters: 27, aliases: ['Le', 'Lv'] },
+    { name: 'Numbers', abbr: 'Num', chapters: 36, aliases: ['Nu', 'Nm', 'Numb'] },
+    { name: 'Deuteronomy', abbr: 'Deut', chapters: 34, aliases: ['Dt', 'De', 'Deu'] },
+    { name: 'Joshua', abbr: 'Josh', chapters: 24, aliases: ['Jos', 'Jsh'] },
+    { name: 'Judges', abbr: 'Judg', chapters: 21, aliases: ['Jdg', 'Jg', 'Jdgs'] },
+    { name: 'Ruth', abbr: 'Ruth', chapters: 4, aliases: ['Ru', 'Rth'] },
+    { name: '1 Samuel', abbr: '1 Sam', chapters: 31, aliases: ['1 Sa', '1 Sm'] },
+    { name: '2 Samuel', abbr: '2 Sam', chapters: 24, aliases: ['2 Sa', '2 Sm'] },
+    { name: '1 Kings', abbr: '1 Kgs', chapters: 22, aliases: ['1 Ki', '1 Kin'] },
+    { name: '2 Kings', abbr: '2 Kgs', chapters: 25, aliases: ['2 Ki', '2 Kin'] },
+    { name: '1 Chronicles', abbr: '1 Chr', chapters: 29, aliases: ['1 Ch', '1 Chron'] },
+    { name: '2 Chronicles', abbr: '2 Chr', chapters: 36, aliases: ['2 Ch', '2 Chron'] },
+    { name: 'Ezra', abbr: 'Ezra', chapters: 10, aliases: ['Ezr'] },
+    { name: 'Nehemiah', abbr: 'Neh', chapters: 13, aliases: ['Ne'] },
+    { name: 'Esther', abbr: 'Esth', chapters: 10, aliases: ['Est', 'Es'] },
+    { name: 'Job', abbr: 'Job', chapters: 42, aliases: ['Jb'] },
+    { name: 'Psalms', abbr: 'Ps', chapters: 150, aliases: ['Psalm', 'Psa', 'Pss', 'Psm'] },
+    { name: 'Proverbs', abbr: 'Prov', chapters: 31, aliases: ['Pr', 'Prv', 'Pro'] },
+    { name: 'Ecclesiastes', abbr: 'Eccl', chapters: 12, aliases: ['Ecc', 'Ec', 'Qoh'] },
+    { name: 'Song of Solomon', abbr: 'Song', chapters: 8, aliases: ['Song of Songs', 'SOS', 'Canticles', 'Cant'] },
+    { name: 'Isaiah', abbr: 'Isa', chapters: 66, aliases: ['Is'] },
+    { name: 'Jeremiah', abbr: 'Jer', chapters: 52, aliases: ['Je', 'Jr'] },
+    { name: 'Lamentations', abbr: 'Lam', chapters: 5, aliases: ['La'] },
+    { name: 'Ezekiel', abbr: 'Ezek', chapters: 48, aliases: ['Eze', 'Ezk'] },
+    { name: 'Daniel', abbr: 'Dan', chapters: 12, aliases: ['Da', 'Dn'] },
+    { name: 'Hosea', abbr: 'Hos', chapters: 14, aliases: ['Ho'] },
+    { name: 'Joel', abbr: 'Joel', chapters: 3, aliases: ['Jl'] },
+    { name: 'Amos', abbr: 'Amos', chapters: 9, aliases: ['Am'] },
+    { name: 'Obadiah', abbr: 'Obad', chapters: 1, aliases: ['Ob'] },
+    { name: 'Jonah', abbr: 'Jonah', chapters: 4, aliases: ['Jon', 'Jnh'] },
+    { name: 'Micah', abbr: 'Mic', chapters: 7, aliases: ['Mc'] },
+    { name: 'Nahum', abbr: 'Nah', chapters: 3, aliases: ['Na'] },
+    { name: 'Habakkuk', abbr: 'Hab', chapters: 3, aliases: ['Hb'] },
+    { name: 'Zephaniah', abbr: 'Zeph', chapters: 3, aliases: ['Zep', 'Zp'] },
+    { name: 'Haggai', abbr: 'Hag', chapters: 2, aliases: ['Hg'] },
+    { name: 'Zechariah', abbr: 'Zech', chapters: 14, aliases: ['Zec', 'Zc'] },
+    { name: 'Malachi', abbr: 'Mal', chapters: 4, aliases: ['Ml'] },
+    { name: 'Matthew', abbr: 'Matt', chapters: 28, aliases: ['Mt', 'Mat'] },
+    { name: 'Mark', abbr: 'Mark', chapters: 16, aliases: ['Mk', 'Mrk', 'Mr'] },
+    { name: 'Luke', abbr: 'Luke', chapters: 24, aliases: ['Lk', 'Luk'] },
+    { name: 'John', abbr: 'John', chapters: 21, aliases: ['Jn', 'Jhn'] },
+    { name: 'Acts', abbr: 'Acts', chapters: 28, aliases: ['Ac', 'Act'] },
+    { name: 'Romans', abbr: 'Rom', chapters: 16, aliases: ['Ro', 'Rm'] },
+    { name: '1 Corinthians', abbr: '1 Cor', chapters: 16, aliases: ['1 Co'] },
+    { name: '2 Corinthians', abbr: '2 Cor', chapters: 13, aliases: ['2 Co'] },
+    { name: 'Galatians', abbr: 'Gal', chapters: 6, aliases: ['Ga'] },
+    { name: 'Ephesians', abbr: 'Eph', chapters: 6, aliases: ['Ephes'] },
+    { name: 'Philippians', abbr: 'Phil', chapters: 4, aliases: ['Php', 'Pp'] },
+    { name: 'Colossians', abbr: 'Col', chapters: 4, aliases: ['Co'] },
+    { name: '1 Thessalonians', abbr: '1 Thess', chapters: 5, aliases: ['1 Th', '1 Thes'] },
+    { name: '2 Thessalonians', abbr: '2 Thess', chapters: 3, aliases: ['2 Th', '2 Thes'] },
+    { name: '1 Timothy', abbr: '1 Tim', chapters: 6, aliases: ['1 Ti'] },
+    { name: '2 Timothy', abbr: '2 Tim', chapters: 4, aliases: ['2 Ti'] },
+    { name: 'Titus', abbr: 'Titus', chapters: 3, aliases: ['Tit'] },
+    { name: 'Philemon', abbr: 'Phlm', chapters: 1, aliases: ['Philem', 'Phm'] },
+    { name: 'Hebrews', abbr: 'Heb', chapters: 13, aliases: ['He'] },
+    { name: 'James', abbr: 'Jas', chapters: 5, aliases: ['Jm'] },
+    { name: '1 Peter', abbr: '1 Pet', chapters: 5, aliases: ['1 Pe', '1 Pt'] },
+    { name: '2 Peter', abbr: '2 Pet', chapters: 3, aliases: ['2 Pe', '2 Pt'] },
+    { name: '1 John', abbr: '1 John', chapters: 5, aliases: ['1 Jn', '1 Jhn'] },
+    { name: '2 John', abbr: '2 John', chapters: 1, aliases: ['2 Jn', '2 Jhn'] },
+    { name: '3 John', abbr: '3 John', chapters: 1, aliases: ['3 Jn', '3 Jhn'] },
+    { name: 'Jude', abbr: 'Jude', chapters: 1, aliases: ['Jud', 'Jd'] },
+    { name: 'Revelation', abbr: 'Rev', chapters: 22, aliases: ['Re', 'Rv', 'Revelations', 'Apocalypse'] }
+  ].map((b, index) => Object.assign({ index, testament: index < 39 ? 'OT' : 'NT' }, b));
+
+  // A verse number larger than any real verse; marks "to the end of the chapter"
+  const END_VERSE = 999;
+
+  // ---------- Book lookup ----------
+  function bookKey(str) {
+    return String(str || '')
+      .toLowerCase()
+      .replace(/\./g, '')
+      .replace(/^(?:iii|third)\s*/, '3')
+      .replace(/^(?:ii|second)\s*/, '2')
+      .replace(/^(?:i|first)\s+/, '1')
+      .replace(/\s+/g, '');
+  }
+
+  const bookByKey = new Map();
+  for (const b of BOOKS) {
+    for (const form of [b.name, b.abbr, ...b.aliases]) bookByKey.set(bookKey(form), b);
+  }
+
+  function findBook(str) {
+    const key = bookKey(str);
+    if (!key) return null;
+    if (bookByKey.has(key)) return bookByKey.get(key);
+
+    // Unambiguous prefix of a full name ("Deuter", "Lament")
+    if (key.replace(/^\d/, '').length < 3) return null;
+    const hits = BOOKS.filter(b => bookKey(b.name).startsWith(key));
+    return hits.length === 1 ? hits[0] : null;
+  }
+
+  // ---------- Spans ----------
+  /*
+    A reference is { book, bookIndex, start: [chapter, verse], end: [chapter, verse] }.
+    Whole chapters use verse 1..END_VERSE; whole books use chapter 1..book.chapters.
+  */
+  function makeRef(book, c1, v1, c2, v2, extra) {
+    return Object.assign({
+      book: book.name,
+      bookIndex: book.index,
+      start: [c1, v1],
+      end: [c2, v2]
+    }, extra || {});
+  }
+
+  function wholeBook(book) {
+    return makeRef(book, 1, 1, book.chapters, END_VERSE, { wholeBook: true });
+  }
+
+  function position(point) {
+    return point[0] * 1000 + point[1];
+  }
+
+  function overlaps(a, b) {
+    if (!a || !b || a.bookIndex !== b.bookIndex) return false;
+    return position(a.start) <= position(b.end) && position(b.start) <= position(a.end);
+  }
+
+  // Sort key usable across books: canonical book order, then chapter, then verse
+  function sortKey(ref) {
+    return ref.bookIndex * 1e6 + position(ref.start);
+  }
+
+  function compareRefs(a, b) {
+    return sortKey(a) - sortKey(b) || position(a.end) - position(b.end);
+  }
+
+  function format(ref) {
+    const book = BOOKS[ref.bookIndex];
+    if (ref.wholeBook) return book.name;
+    const [c1, v1] = ref.start;
+    const [c2, v2] = ref.end;
+    const wholeChapters = v1 === 1 && v2 === END_VERSE;
+    let spec;
+    if (wholeChapters) spec = c1 === c2 ? `${c1}` : `${c1}-${c2}`;
+    else if (c1 === c2) spec = v1 === v2 ? `${c1}:${v1}` : `${c1}:${v1}-${v2}`;
+    else spec = `${c1}:${v1}-${c2}:${v2 === END_VERSE ? 'end' : v2}`;
+    return `${book.abbr} ${spec}`;
+  }
+
+  // ---------- Parser ----------
+  // Leading words that qualify a citation without changing it
+  const NOISE_PREFIX = /^(?:(?:the\s+)?book\s+of|possibly|probably|cf\.?|see(?:\s+also)?|also|and)\s+/i;
+  const BOOK_HEAD = /^((?:[1-3]|i{1,3})?\s*[A-Za-z][A-Za-z.]*(?:\s+(?:of\s+)?[A-Za-z][A-Za-z.]*)*?)(?=\s*(?:\d|$|[-–]\s*(?:[1-3]\s*)?[A-Za-z]))/;
+
+  function toInt(s) {
+    const n = parseInt(String(s).replace(/[a-z]+$/i, ''), 10);
+    return Number.isFinite(n) && n > 0 ? n : null;
+  }
+
+  /*
+    Parses one comma-separated chapter/verse spec ("37:2-50:26, 13:14-21, 7")
+    for a known book. A bare number after an item that had verses is read as
+    another verse of the same chapter ("33:2, 7"), otherwise as a chapter.
+  */
+  function parseSpec(book, spec, refs, unparsed) {
+    const single = book.chapters === 1;
+    let lastChapter = null;
+    let verseMode = false;
+
+    const cleaned = spec
+      .replace(/\([^)]*\)/g, '')          // editorial notes: "33 (notably absent)"
+      .replace(/\s+titles?\b/gi, '')       // psalm superscriptions: "18 title"
+      .replace(/\s*(?:&|\band\b)\s*/g, ', ');
+
+    for (const rawPart of cleaned.split(',')) {
+      const part = rawPart.trim().replace(/\s*[–—]\s*/g, '-').replace(/\s*-\s*/g, '-').replace(/\s*:\s*/g, ':');
+      if (!part) continue;
+      let m;
+
+      if ((m = part.match(/^(\d+):(\d+[a-z]?)-(\d+):(\d+[a-z]?)$/i))) {
+        // 37:2-50:26
+        refs.push(makeRef(book, toInt(m[1]), toInt(m[2]), toInt(m[3]), toInt(m[4])));
+        lastChapter = toInt(m[3]); verseMode = true;
+      } else if ((m = part.match(/^(\d+)-(\d+):(\d+[a-z]?)$/))) {
+        // 13-15:39
+        refs.push(makeRef(book, toInt(m[1]), 1, toInt(m[2]), toInt(m[3])));
+        lastChapter = toInt(m[2]); verseMode = true;
+      } else if ((m = part.match(/^(\d+):(\d+[a-z]?)(?:-(\d+[a-z]?))?(?:ff?)?$/i))) {
+        // 5:3 or 1:5-6
+        const c = toInt(m[1]);
+        const v1 = toInt(m[2]);
+        const v2 = m[3] ? toInt(m[3]) : (/f$/i.test(part) ? END_VERSE : v1);
+        refs.push(makeRef(book, c, v1, c, v2));
+        lastChapter = c; verseMode = true;
+      } else if ((m = part.match(/^(\d+[a-z]?)(?:-(\d+[a-z]?))?$/i))) {
+        const a = toInt(m[1]);
+        const b = m[2] ? toInt(m[2]) : a;
+        if (verseMode && lastChapter) {
+          refs.push(makeRef(book, lastChapter, a, lastChapter, b));
+        } else if (single && !(a === 1 && b === 1)) {
+          // "Jude 3", "Obad 1-4": single-chapter books cite verses directly
+          refs.push(makeRef(book, 1, a, 1, b));
+        } else {
+          refs.push(makeRef(book, a, 1, b, END_VERSE));
+          lastChapter = b;
+        }
+      } else {
+        unparsed.push(part);
+      }
+    }
+  }
+
+  /*
+    parseDetailed(text) -> { refs, unparsed }
+    Semicolon-separated segments may omit the book, in which case the
+    previous segment's book carries over ("Gen 30:22-24; 33:2").
+  */
+  function parseDetailed(text) {
+    const refs = [];
+    const unparsed = [];
+    let book = null;
+
+    for (const rawSegment of String(text || '').split(';')) {
+      let segment = rawSegment.trim().replace(/[.,]+$/, '');
+      while (NOISE_PREFIX.test(segment)) segment = segment.replace(NOISE_PREFIX, '');
+      if (!segment) continue;
+
+      // "1-2 Timothy": both books of a numbered pair
+      const pair = segment.match(/^([1-3])\s*[-–]\s*([1-3])\s+([A-Za-z].*)$/);
+      if (pair) {
+        const first = findBook(`${pair[1]} ${pair[3]}`);
+        const last = findBook(`${pair[2]} ${pair[3]}`);
+        if (first && last && first.index <= last.index) {
+          for (let i = first.index; i <= last.index; i++) refs.push(wholeBook(BOOKS[i]));
+          book = last;
+          continue;
+        }
+      }
+
+      const head = segment.match(BOOK_HEAD);
+      let rest = segment;
+      if (head) {
+        const found = findBook(head[1]);
+        if (found) {
+          book = found;
+          rest = segment.slice(head[0].length).trim();
+        } else if (!/^\d/.test(segment)) {
+          unparsed.push(segment);
+          continue;
+        }
+      }
+
+      if (!book) { unparsed.push(segment); continue; }
+
+      if (!rest) { refs.push(wholeBook(book)); continue; }
+
+      // Book ranges such as "Romans-Philemon"
+      const toBook = rest.match(/^[-–]\s*(.+)$/);
+      if (toBook) {
+        const last = findBook(toBook[1]);
+        if (!last || last.index < book.index) { unparsed.push(segment); continue; }
+        for (let i = book.index; i <= last.index; i++) refs.push(wholeBook(BOOKS[i]));
+        book = last;
+        continue;
+      }
+
+      // Ranges that run into another book: "16-1 Kgs 2:11", "2:1-Deut 34:12"
+      const crossing = rest.match(/^(\d+)(?::(\d+))?\s*[-–]\s*((?:[1-3]\s*)?[A-Za-z][A-Za-z. ]*?)\s*(\d+)(?::(\d+))?$/);
+      const target = crossing && findBook(crossing[3]);
+      if (target && target.index > book.index) {
+        const c1 = toInt(crossing[1]);
+        refs.push(makeRef(book, c1, crossing[2] ? toInt(crossing[2]) : 1, book.chapters, END_VERSE));
+        for (let i = book.index + 1; i < target.index; i++) refs.push(wholeBook(BOOKS[i]));
+        const c2 = toInt(crossing[4]);
+        refs.push(makeRef(target, 1, 1, c2, crossing[5] ? toInt(crossing[5]) : END_VERSE));
+        book = target;
+        continue;
+      }
+
+      parseSpec(book, rest, refs, unparsed);
+    }
+    return { refs, unparsed };
+  }
+
+  function parse(text) {
+    return parseDetailed(text).refs;
+  }
+
+  /*
+    True when the whole string is a citation with at least a chapter
+    ("Genesis 5", "1 Kings 17-19", "Rom 11:17"). Bare book names are
+    rejected so person names like "Ruth" or "Daniel" stay name searches.
+  */
+  function isReference(text) {
+    const q = String(text || '').trim();
+    if (!/\d/.test(q.replace(/^\s*[1-3]\s*/, ''))) return false;
+    const { refs, unparsed } = parseDetailed(q);
+    return refs.length > 0 && unparsed.length === 0 && refs.every(r => !r.wholeBook);
+  }
+
+  // ---------- Index ----------
+  /*
+    createIndex() -> { add, query, size }
+    - add(key, text, payload): parses `text` and files each span by book
+    - query(text): every entry with at least one span overlapping the query,
+      ordered by the earliest matching span; each hit lists its `matches`
+  */
+  function createIndex() {
+    const byBook = new Map(); // bookIndex -> [{ key, ref }]
+    const entries = new Map(); // key -> { key, payload, refs }
+
+    function add(key, text, payload) {
+      const refs = parse(text);
+      entries.set(key, { key, payload, refs });
+      for (const ref of refs) {
+        if (!byBook.has(ref.bookIndex)) byBook.set(ref.bookIndex, []);
+        byBook.get(ref.bookIndex).push({ key, ref });
+      }
+      return refs;
+    }
+
+    function query(text) {
+      const wanted = typeof text === 'string' ? parse(text) : [].concat(text || []);
+      const hits = new Map();
+      for (const q of wanted) {
+        for (const { key, ref } of byBook.get(q.bookIndex) || []) {
+          if (!overlaps(q, ref)) continue;
+          if (!hits.has(key)) hits.set(key, { key, payload: entries.get(key).payload, matches: [] });
+          const hit = hits.get(key);
+          if (!hit.matches.includes(ref)) hit.matches.push(ref);
+        }
+      }
+      return [...hits.values()]
+        .map(h => Object.assign(h, { matches: h.matches.sort(compareRefs) }))
+        .sort((a, b) => compareRefs(a.matches[0], b.matches[0]));
+    }
+
+    return {
+      add,
+      query,
+      refsFor: key => (entries.get(key) || { refs: [] }).refs,
+      get size() { return entries.size; }
+    };
+  }
+
+  return {
+    BOOKS,
+    END_VERSE,
+    findBook,
+    parse,
+    parseDetailed,
+    isReference,
+    overlaps,
+    compareRefs,
+    sortKey,
+    format,
+    createIndex
+  };
+});
@@ -0,0 +1,89 @@
+// ============================================================
+// Service Worker (offline use)
+// - Precaches the page, its scripts and the data files on install, so
+//   the app opens and runs with no connection at all
+// - Serves same-origin GETs stale-while-revalidate: the cached copy at
+//   once, while a network fetch refreshes the cache for next time
+// - When a refresh brings a copy that differs from the one just served,
+//   every open page gets { type: 'update-available', file } so it can
+//   offer a reload into the newer copy
+// - Bump CACHE_VERSION when PRECACHE changes; older caches are dropped
+// ============================================================
+
+const CACHE_VERSION = 1;
+const CACHE_PREFIX = 'biblical-genealogy-app-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+const PRECACHE = [
+  './',
+  'index.html',
+  'style.css',
+  'scripture.js',
+  'genealogy-core.js',
+  'validate.js',
+  'gedcom.js',
+  'chart-export.js',
+  'dataset-edits.js',
+  'app.js',
+  'biblical_genealogy.json',
+  'biblical_figures.json',
+  'lineages.json',
+  'manifest.webmanifest',
+  'icon.svg',
+  'icon-192.png',
+  'icon-512.png'
+];
+
+self.addEventListener('install', event => {
+  // cache: 'reload' skips the HTTP cache, so a new worker never precaches stale files
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE.map(path => new Request(path, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(staleWhileRevalidate(event));
+});
+
+async function staleWhileRevalidate(event) {
+  const request = event.request;
+  const cache = await caches.open(CACHE_NAME);
+  // the query never changes the file, so each file is cached once, under its bare address;
+  // any page address falls back to index.html
+  const url = new URL(request.url);
+  url.search = '';
+  const cached = await cache.match(url.href) ||
+    (request.mode === 'navigate' ? await cache.match('index.html') : undefined);
+  // read the cached body now: once handed to the page it can no longer be cloned
+  const cachedText = cached ? cached.clone().text() : null;
+
+  const refresh = fetch(request).then(async response => {
+    if (!response.ok || response.type !== 'basic') return response;
+    await cache.put(url.href, response.clone());
+    if (cachedText && await cachedText !== await response.clone().text()) notifyUpdate(request.url);
+    return response;
+  });
+  event.waitUntil(refresh.catch(() => { /* offline: the cached copy stands */ }));
+  return cached || refresh;
+}
+
+async function notifyUpdate(url) {
+  const file = new URL(url).pathname.split('/').pop() || 'index.html';
+  for (const client of await self.clients.matchAll({ type: 'window' })) {
+    client.postMessage({ type: 'update-available', file });
+  }
+}
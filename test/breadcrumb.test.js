@@ -0,0 +1,83 @@
+'use strict';
+
+// The breadcrumb: the focused person's real line from Adam, the picker for
+// the other recorded lines, and the head / tail shortening of long lines.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Event } = require('./helpers/dom.js');
+const { loadApp, readDataset } = require('./helpers/app.js');
+
+const app = loadApp({ genealogy: readDataset('biblical_genealogy.json'), figures: readDataset('biblical_figures.json') });
+const breadcrumb = app.document.getElementById('breadcrumb');
+const crumbs = () => breadcrumb.querySelectorAll('.breadcrumb-item').map(el => el.textContent);
+const picker = () => breadcrumb.querySelector('.breadcrumb-paths');
+const pick = index => {
+  picker().value = String(index);
+  picker().dispatchEvent(new Event('change'));
+};
+
+test('Obed gets the main line from Adam and a picker for the other recorded lines', () => {
+  app.run("jumpToPerson('obed')");
+  const options = picker().querySelectorAll('option');
+  assert.strictEqual(options[0].textContent, 'Main line (from Adam)');
+  assert.ok(options[0].hasAttribute('selected'));
+  const labels = options.map(o => o.textContent);
+  assert.ok(labels.includes('Through Ruth, mother of Obed'));
+  assert.ok(labels.includes("Through Tamar (Judah's daughter-in-law), mother of Perez"));
+  assert.strictEqual(new Set(labels).size, labels.length);
+
+  // nearest switch first: Ruth (Obed's mother) before Tamar (Perez's)
+  assert.ok(labels.indexOf('Through Ruth, mother of Obed') < labels.indexOf("Through Tamar (Judah's daughter-in-law), mother of Perez"));
+
+  pick(labels.indexOf('Through Ruth, mother of Obed'));
+  assert.deepStrictEqual(crumbs(), ['Ruth', 'Obed']);
+  assert.ok(picker().querySelectorAll('option')[1].hasAttribute('selected'));
+
+  pick(labels.indexOf("Through Tamar (Judah's daughter-in-law), mother of Perez"));
+  assert.deepStrictEqual(crumbs().slice(0, 2), ["Tamar (Judah's daughter-in-law)", 'Perez']);
+  assert.strictEqual(crumbs()[crumbs().length - 1], 'Obed');
+});
+
+test('Perez switches to his mother Tamar at the first choice', () => {
+  app.run("jumpToPerson('perez')");
+  const labels = picker().querySelectorAll('option').map(o => o.textContent);
+  assert.strictEqual(labels[1], "Through Tamar (Judah's daughter-in-law), mother of Perez");
+  pick(1);
+  assert.deepStrictEqual(crumbs(), ["Tamar (Judah's daughter-in-law)", 'Perez']);
+});
+
+test('long lines keep the first two and last eight crumbs until "more" is clicked', () => {
+  app.run("jumpToPerson('obed')");
+  const full = app.run("lineagePaths('obed')[0].path.length");
+  assert.ok(full > 11);
+
+  const shown = crumbs();
+  assert.strictEqual(shown.length, 2 + 8);
+  assert.deepStrictEqual(shown.slice(0, 2), ['Adam', 'Seth']);
+  assert.deepStrictEqual(shown.slice(-2), ['Boaz', 'Obed']);
+  assert.strictEqual(breadcrumb.querySelector('.breadcrumb-more').textContent, `… ${full - 10} more …`);
+  assert.strictEqual(breadcrumb.querySelector('.breadcrumb-item.current').textContent, 'Obed');
+
+  breadcrumb.querySelector('.breadcrumb-more').click();
+  assert.strictEqual(crumbs().length, full);
+  assert.strictEqual(breadcrumb.querySelector('.breadcrumb-more'), null);
+
+  // a new focus starts shortened and on the main line again
+  app.run("jumpToPerson('boaz')");
+  assert.strictEqual(crumbs().length, 10);
+  assert.strictEqual(picker().querySelectorAll('option')[0].hasAttribute('selected'), true);
+
+  // short lines are never shortened
+  app.run("jumpToPerson('obed')");
+  pick(1);
+  assert.strictEqual(breadcrumb.querySelector('.breadcrumb-more'), null);
+});
+
+test('a crumb re-roots the tree on that ancestor', () => {
+  app.run("jumpToPerson('jesse')");
+  breadcrumb.querySelectorAll('.breadcrumb-item[data-person-id]').find(el => el.textContent === 'Boaz').click();
+  assert.strictEqual(app.run('treeRootId'), 'boaz');
+  assert.strictEqual(app.run('focusedPersonId'), 'boaz');
+  assert.strictEqual(crumbs()[crumbs().length - 1], 'Boaz');
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+// Chart export without a browser: page areas, cutting a chart into tiles
+// and the PDF written around them.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ChartExport = require('../chart-export.js');
+
+test('pageLayout gives the printable area in points and chart pixels', () => {
+  const landscape = ChartExport.pageLayout('a4', true);
+  assert.deepStrictEqual(landscape.page, { width: 841.89, height: 595.28 });
+  assert.deepStrictEqual(landscape.areaPx, { width: 1026, height: 676 });
+
+  const portrait = ChartExport.pageLayout('letter', false, 18);
+  assert.deepStrictEqual(portrait.page, { width: 612, height: 792 });
+  assert.deepStrictEqual(portrait.area, { width: 576, height: 740 });
+  assert.deepStrictEqual(ChartExport.pageLayout('tabloid').page, landscape.page); // unknown sizes fall back to A4
+});
+
+test('tileGrid cuts a multi-page chart into pages that cover it once', () => {
+  const { areaPx } = ChartExport.pageLayout('a4', true);
+  const tiles = ChartExport.tileGrid(2500, 1500, areaPx.width, areaPx.height);
+  assert.strictEqual(tiles.length, 9);
+  assert.deepStrictEqual(tiles.slice(0, 3).map(t => [t.row, t.column, t.x]), [[1, 1, 0], [1, 2, 1026], [1, 3, 2052]]);
+  assert.deepStrictEqual(tiles[8], { x: 2052, y: 1352, width: 448, height: 148, row: 3, column: 3 });
+
+  // no two tiles overlap, and together they cover every pixel
+  const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+  tiles.forEach((a, i) => tiles.slice(i + 1).forEach(b => assert.ok(!overlaps(a, b), `${a.row},${a.column} / ${b.row},${b.column}`)));
+  assert.strictEqual(tiles.reduce((sum, t) => sum + t.width * t.height, 0), 2500 * 1500);
+
+  assert.strictEqual(ChartExport.tileGrid(800, 600, 1026, 676).length, 1);
+  assert.strictEqual(ChartExport.tileGrid(1026, 676, 1026, 676).length, 1); // an exact fit adds no empty page
+});
+
+test('buildPdf writes one page object per tile', () => {
+  const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+  const tiles = ChartExport.tileGrid(2500, 1500, 1026, 676);
+  const pages = tiles.map(t => ({ jpeg, width: t.width, height: t.height, caption: `row ${t.row}, column ${t.column}` }));
+  const pdf = ChartExport.buildPdf(pages, { title: 'Line of David' });
+  const text = Buffer.from(pdf).toString('latin1');
+
+  assert.ok(pdf instanceof Uint8Array);
+  assert.ok(text.startsWith('%PDF-'));
+  assert.ok(text.endsWith('%%EOF\n'));
+  assert.strictEqual(text.match(/\/Type \/Page\b(?!s)/g).length, tiles.length);
+  assert.match(text, /\/Count 9 >>/);
+  assert.strictEqual(text.match(/\/Subtype \/Image/g).length, tiles.length);
+  assert.match(text, /\(Line of David - row 3, column 3 - page 9 of 9\) Tj/);
+
+  // every tile at one scale, hung from the top-left corner of the printable area
+  const { page, margin } = ChartExport.pageLayout('a4', true);
+  const matrices = [...text.matchAll(/q ([\d.]+) 0 0 ([\d.]+) ([\d.]+) ([\d.]+) cm/g)].map(m => m.slice(1).map(Number));
+  assert.strictEqual(matrices.length, tiles.length);
+  const [full, corner] = [matrices[0], matrices[8]];
+  assert.deepStrictEqual([tiles[0].width, tiles[8].width], [1026, 448]);
+  assert.ok(Math.abs(full[0] / 1026 - corner[0] / 448) < 1e-4, `${full} / ${corner}`);
+  assert.ok(Math.abs(full[1] / 676 - corner[1] / 148) < 1e-4, `${full} / ${corner}`);
+  assert.ok(Math.abs(corner[0] / 448 - corner[1] / 148) < 1e-4); // not stretched
+  for (const [, h, x, y] of [full, corner]) {
+    assert.strictEqual(x, margin);
+    assert.ok(Math.abs(y + h - (page.height - margin)) < 0.01);
+  }
+
+  // the cross-reference table points at each object
+  const start = Number(text.match(/startxref\n(\d+)/)[1]);
+  assert.ok(text.startsWith('xref\n', start));
+  const offsets = text.slice(start).split('\n').filter(line => / n $/.test(line)).map(line => Number(line.slice(0, 10)));
+  assert.strictEqual(offsets.length, 3 + tiles.length * 3);
+  offsets.forEach((at, i) => assert.ok(text.startsWith(`${i + 1} 0 obj\n`, at), `object ${i + 1}`));
+});
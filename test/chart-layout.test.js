@@ -0,0 +1,92 @@
+'use strict';
+
+// The chart layout itself: leaves one slot apart across the breadth, one row
+// per generation down the depth, parents centred over their children, and the
+// two axes swapped between the vertical and horizontal orientations.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/app.js');
+
+// a: b (e, f), c, d (g)
+const app = loadApp({ genealogy: {
+  a: { name: 'A', descendants: ['b', 'c', 'd'] },
+  b: { name: 'B', descendants: ['e', 'f'] },
+  c: { name: 'C' },
+  d: { name: 'D', descendants: ['g'] },
+  e: { name: 'E' }, f: { name: 'F' }, g: { name: 'G' }
+} });
+
+const NODE = JSON.parse(app.run('JSON.stringify(CHART_NODE)'));
+const SIBLING = NODE.width + NODE.gapBreadth;   // vertical: across a row
+const ROW = NODE.height + NODE.gapDepth;        // vertical: one generation down
+
+// id -> [x, y] for the chart rooted at `a` with `expanded` open
+function layout(expanded, orientation) {
+  app.window.__expanded = expanded;
+  return JSON.parse(app.run(`
+    (() => {
+      const l = layoutChart(peopleById.a, id => __expanded.includes(id), ${JSON.stringify(orientation)});
+      return JSON.stringify({
+        orientation: l.orientation,
+        at: Object.fromEntries(l.nodes.map(n => [n.id, [n.x, n.y]])),
+        links: l.links.map(k => k.from.id + '>' + k.to.id),
+        bounds: l.bounds
+      });
+    })()
+  `));
+}
+
+test('vertical: siblings sit one node width plus gap apart, generations one row apart', () => {
+  const { orientation, at } = layout(['a', 'b', 'd'], 'vertical');
+  assert.strictEqual(orientation, 'vertical');
+  assert.deepStrictEqual(at, {
+    a: [1.75 * SIBLING, 0],
+    b: [0.5 * SIBLING, ROW], c: [2 * SIBLING, ROW], d: [3 * SIBLING, ROW],
+    e: [0, 2 * ROW], f: [SIBLING, 2 * ROW],
+    g: [3 * SIBLING, 2 * ROW]
+  });
+  assert.strictEqual(at.f[0] - at.e[0], 178);
+  assert.strictEqual(at.e[1] - at.b[1], 104);
+});
+
+test('a parent is centred over its first and last child', () => {
+  const { at } = layout(['a', 'b', 'd'], 'vertical');
+  assert.strictEqual(at.b[0], (at.e[0] + at.f[0]) / 2);
+  assert.strictEqual(at.a[0], (at.b[0] + at.d[0]) / 2);
+  assert.strictEqual(at.d[0], at.g[0]); // an only child sits straight below
+});
+
+test('horizontal: the same slots and rows with the axes swapped', () => {
+  const { orientation, at } = layout(['a', 'b', 'd'], 'horizontal');
+  assert.strictEqual(orientation, 'horizontal');
+  const across = NODE.height + NODE.gapBreadth;
+  const down = NODE.width + NODE.gapDepth;
+  assert.deepStrictEqual(at, {
+    a: [0, 1.75 * across],
+    b: [down, 0.5 * across], c: [down, 2 * across], d: [down, 3 * across],
+    e: [2 * down, 0], f: [2 * down, across],
+    g: [2 * down, 3 * across]
+  });
+  assert.strictEqual(layout(['a'], 'sideways').orientation, 'vertical'); // anything else is vertical
+});
+
+test('collapsed branches are left out and free their slots', () => {
+  const { at, links } = layout(['a', 'd'], 'vertical');
+  assert.deepStrictEqual(Object.keys(at).sort(), ['a', 'b', 'c', 'd', 'g']);
+  assert.deepStrictEqual(at.b, [0, ROW]);
+  assert.deepStrictEqual(at.c, [SIBLING, ROW]);
+  assert.deepStrictEqual(at.g, [2 * SIBLING, 2 * ROW]);
+  assert.deepStrictEqual(at.a, [SIBLING, 0]);
+  assert.deepStrictEqual(links.sort(), ['a>b', 'a>c', 'a>d', 'd>g']);
+
+  assert.deepStrictEqual(layout([], 'vertical').at, { a: [0, 0] });
+});
+
+test('the bounds wrap every node box', () => {
+  const { bounds } = layout(['a', 'b', 'd'], 'vertical');
+  assert.deepStrictEqual(bounds, {
+    minX: -NODE.width / 2, maxX: 3 * SIBLING + NODE.width / 2,
+    minY: -NODE.height / 2, maxY: 2 * ROW + NODE.height / 2
+  });
+});
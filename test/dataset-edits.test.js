@@ -0,0 +1,131 @@
+'use strict';
+
+// The edit session (people, links, figures), the JSON diff, and patching
+// the data files' text so only edited entries change.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DatasetEdits = require('../dataset-edits.js');
+
+const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+
+function sample() {
+  return {
+    genealogy: {
+      metadata: { title: 'Sample' },
+      judah: { name: 'Judah', descendants: ['perez', 'zerah'] },
+      perez: { name: 'Perez', descendants: ['hezron'] },
+      zerah: { name: 'Zerah' },
+      hezron: { name: 'Hezron', mother: 'perez' }
+    },
+    figures: {
+      metadata: { categories: ['Prophets'] },
+      figures: { elijah: { name: 'Elijah', category: 'Prophets', related_figures: ['elisha'] } }
+    }
+  };
+}
+
+test('edits are kept as entries over the loaded files, which stay untouched', () => {
+  const files = sample();
+  const before = JSON.stringify(files);
+  const session = DatasetEdits.createEditSession(files);
+  session.update('genealogy', 'zerah', { bio: 'Twin of Perez.' });
+  assert.strictEqual(session.get('genealogy', 'zerah').bio, 'Twin of Perez.');
+  assert.deepStrictEqual(session.changes(), [{ dataset: 'genealogy', id: 'zerah', kind: 'changed', name: 'Zerah' }]);
+
+  // editing back to the loaded form is no edit at all
+  session.update('genealogy', 'zerah', { bio: undefined });
+  assert.strictEqual(session.size, 0);
+  assert.strictEqual(JSON.stringify(files), before);
+  assert.throws(() => session.update('genealogy', 'nobody', { name: 'X' }), /No person "nobody"/);
+});
+
+test('addPerson makes a free id from the name and refuses taken or malformed ids', () => {
+  const session = DatasetEdits.createEditSession(sample());
+  assert.strictEqual(session.addPerson({ name: 'Hezron' }), 'hezron_2');
+  assert.strictEqual(session.addPerson({ name: 'Élisha' }), 'elisha');
+  assert.deepStrictEqual(session.get('genealogy', 'elisha'), { name: 'Élisha', descendants: [] });
+  assert.throws(() => session.addPerson({ id: 'elijah', name: 'Elijah' }), /already in use/);
+  assert.throws(() => session.addPerson({ id: 'Bad Id', name: 'X' }), /not a valid id/);
+  assert.throws(() => session.addPerson({ name: ' ' }), /needs a name/);
+  assert.deepStrictEqual(session.changes().map(c => c.kind), ['added', 'added']);
+});
+
+test('reparent moves the child between descendants lists and drops stale parent links', () => {
+  const session = DatasetEdits.createEditSession(sample());
+  session.reparent('hezron', 'perez', 'zerah');
+  assert.deepStrictEqual(session.get('genealogy', 'perez').descendants, []);
+  assert.deepStrictEqual(session.get('genealogy', 'zerah').descendants, ['hezron']);
+  assert.strictEqual(session.get('genealogy', 'hezron').mother, undefined);
+
+  assert.throws(() => session.reparent('judah', null, 'hezron'), /descendants/);
+  assert.throws(() => session.addChild('hezron', 'judah'), /ancestors/);
+  session.addChild('zerah', 'hezron'); // already there: no duplicate
+  assert.deepStrictEqual(session.get('genealogy', 'zerah').descendants, ['hezron']);
+});
+
+test('files keep the loaded key order and metadata, with added entries at the end', () => {
+  const session = DatasetEdits.createEditSession(sample());
+  const id = session.addPerson({ name: 'Hamul', scripture: 'Gen 46:12' });
+  session.addChild('perez', id);
+  session.update('figures', 'elijah', { popular_stories: ['Contest on Mount Carmel'] });
+  const files = session.files();
+  assert.deepStrictEqual(Object.keys(files.genealogy), ['metadata', 'judah', 'perez', 'zerah', 'hezron', 'hamul']);
+  assert.deepStrictEqual(files.genealogy.perez.descendants, ['hezron', 'hamul']);
+  assert.deepStrictEqual(files.figures.metadata, { categories: ['Prophets'] });
+  assert.deepStrictEqual(files.figures.figures.elijah.popular_stories, ['Contest on Mount Carmel']);
+
+  // a saved session picks up where it left off
+  const restored = DatasetEdits.createEditSession(sample(), JSON.parse(JSON.stringify(session.toJSON())));
+  assert.deepStrictEqual(restored.files(), files);
+});
+
+test('diffFiles lists added, removed and changed entries field by field', () => {
+  const session = DatasetEdits.createEditSession(sample());
+  session.addPerson({ id: 'hamul', name: 'Hamul' });
+  session.update('figures', 'elijah', { related_figures: ['elisha', 'ahab'], category: undefined });
+  assert.deepStrictEqual(session.diff(), {
+    genealogy: { added: { hamul: { name: 'Hamul', descendants: [] } } },
+    figures: {
+      changed: {
+        elijah: {
+          category: { from: 'Prophets' },
+          related_figures: { from: ['elisha'], to: ['elisha', 'ahab'] }
+        }
+      }
+    }
+  });
+  const after = sample();
+  delete after.genealogy.zerah;
+  assert.deepStrictEqual(DatasetEdits.diffFiles(sample(), after), { genealogy: { removed: { zerah: { name: 'Zerah' } } } });
+  assert.deepStrictEqual(DatasetEdits.diffFiles(sample(), sample()), {});
+});
+
+test('texts patch only the edited entries of the real files', () => {
+  const texts = { genealogy: read('biblical_genealogy.json'), figures: read('biblical_figures.json') };
+  const session = DatasetEdits.createEditSession({ genealogy: JSON.parse(texts.genealogy), figures: JSON.parse(texts.figures) });
+  session.update('genealogy', 'joseph', { bio: 'Eleventh son of Jacob.' });
+  const id = session.addPerson({ name: 'Asenath', bio: 'Wife of Joseph.' });
+  session.update('figures', 'elijah', { related_figures: ['elisha', 'ahab'] });
+
+  const out = session.texts(texts);
+  assert.deepStrictEqual(JSON.parse(out.genealogy), session.files().genealogy);
+  assert.deepStrictEqual(JSON.parse(out.figures), session.files().figures);
+
+  const changedLines = (a, b) => {
+    const x = a.split('\n');
+    const y = b.split('\n');
+    let head = 0;
+    while (x[head] === y[head]) head++;
+    let tail = 0;
+    while (tail < x.length - head && x[x.length - 1 - tail] === y[y.length - 1 - tail]) tail++;
+    return y.slice(head, y.length - tail);
+  };
+  // the figure keeps its other lines exactly; one line changes
+  assert.deepStrictEqual(changedLines(texts.figures, out.figures), ['      "related_figures": ["elisha", "ahab"]']);
+  const genealogyLines = changedLines(texts.genealogy, out.genealogy);
+  assert.ok(genealogyLines.includes('    "bio": "Eleventh son of Jacob.",'));
+  assert.ok(out.genealogy.includes(`  "${id}": {\n    "name": "Asenath",\n    "bio": "Wife of Joseph.",\n    "descendants": []\n  }\n}`));
+});
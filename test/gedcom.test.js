@@ -0,0 +1,129 @@
+'use strict';
+
+// Round trip: biblical_genealogy.json -> GEDCOM -> JSON must keep every
+// person, their year fields, and every parent/child and spouse edge between
+// known people.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const Gedcom = require('../gedcom.js');
+
+const dataset = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'biblical_genealogy.json'), 'utf8'));
+
+function people(data) {
+  return Object.entries(data).filter(([id, v]) => id !== 'metadata' && v && typeof v === 'object');
+}
+
+const linkId = entry => (typeof entry === 'string' ? entry : entry && entry.id);
+const linkType = (entry, fallback) => (entry && typeof entry === 'object' && entry.type) || fallback;
+
+// "parent>child:type" and "a=b:type" strings, the way the app links a loaded file
+function edges(data) {
+  const known = new Set(people(data).map(([id]) => id));
+  const parentTypes = new Map();
+  const spouses = new Set();
+
+  for (const [id, p] of people(data)) {
+    for (const child of p.descendants || []) {
+      const key = `${id}>${linkId(child)}`;
+      if (known.has(linkId(child)) && !parentTypes.has(key)) parentTypes.set(key, 'biological');
+    }
+  }
+  for (const [id, p] of people(data)) {
+    for (const entry of [...(p.parents || []), ...(p.mother ? [p.mother] : [])]) {
+      if (known.has(linkId(entry))) parentTypes.set(`${linkId(entry)}>${id}`, linkType(entry, 'biological'));
+    }
+    for (const entry of p.spouses || []) {
+      if (!known.has(linkId(entry))) continue;
+      const pair = [id, linkId(entry)].sort().join('=');
+      if (![...spouses].some(s => s.startsWith(pair + ':'))) spouses.add(`${pair}:${linkType(entry, 'spouse')}`);
+    }
+  }
+  return {
+    parents: [...parentTypes].map(([key, type]) => `${key}:${type}`).sort(),
+    spouses: [...spouses].sort()
+  };
+}
+
+test('export writes a well-formed GEDCOM 5.5.1 file', () => {
+  const { text, people: count } = Gedcom.exportGedcom(dataset);
+  const lines = text.trim().split('\n');
+  assert.strictEqual(lines[0], '0 HEAD');
+  assert.strictEqual(lines[lines.length - 1], '0 TRLR');
+  assert.ok(lines.includes('2 VERS 5.5.1'));
+  assert.strictEqual(count, people(dataset).length);
+  for (const line of lines) {
+    assert.match(line, /^\d+ (@[^@ ]+@ )?[A-Z_]+( .*)?$/);
+    assert.ok(line.length <= 255, `line too long: ${line.slice(0, 40)}…`);
+  }
+});
+
+test('round trip keeps every person and their text', () => {
+  const { data, report } = Gedcom.importGedcom(Gedcom.exportGedcom(dataset).text);
+  assert.deepStrictEqual(report.unmapped, []);
+  assert.deepStrictEqual(people(data).map(([id]) => id).sort(), people(dataset).map(([id]) => id).sort());
+  for (const [id, p] of people(dataset)) {
+    assert.strictEqual(data[id].name, p.name, id);
+    assert.strictEqual(data[id].bio, p.bio, id);
+    assert.strictEqual(data[id].scripture, p.scripture, id);
+    assert.strictEqual(data[id].sex, p.sex, id);
+    assert.strictEqual(data[id].era, p.era, id);
+    assert.deepStrictEqual(data[id].aliases, p.aliases, id);
+    for (const field of ['lifespan', 'reign_years', 'age_at_fathering', 'kingdom', 'reign_bc', 'ministry_bc']) assert.deepStrictEqual(data[id][field], p[field], `${id}.${field}`);
+  }
+  assert.deepStrictEqual([data.josiah.kingdom, data.josiah.reign_bc], ['judah', [641, 609]]);
+  assert.deepStrictEqual(data.arpachshad.age_at_fathering, { shelah: { mt: 35, lxx: 135, via: { name: 'Cainan', lxx: 130 } } });
+});
+
+test('round trip keeps every parent/child and spouse edge', () => {
+  const before = edges(dataset);
+  const after = edges(Gedcom.importGedcom(Gedcom.exportGedcom(dataset).text).data);
+  assert.ok(before.parents.length > 400);
+  assert.deepStrictEqual(after.parents, before.parents);
+  assert.deepStrictEqual(after.spouses, before.spouses);
+});
+
+test('export reports links to unknown people instead of writing them', () => {
+  const { text, skipped } = Gedcom.exportGedcom({
+    a: { name: 'A', bio: '', scripture: '', descendants: ['b', 'ghost'] },
+    b: { name: 'B', bio: 'Long '.repeat(100) + 'end\nsecond @ paragraph', scripture: '', descendants: [] }
+  });
+  assert.deepStrictEqual(skipped, [{ from: 'a', to: 'ghost', relation: 'parent' }]);
+  const ages = Gedcom.exportGedcom({
+    a: { name: 'A', descendants: ['b'], age_at_fathering: { b: { mt: 20, lxx: 20 }, ghost: 30 }, lifespan: { lxx: 90 }, ministry_bc: [760, 750] },
+    b: { name: 'B' }
+  });
+  assert.deepStrictEqual(ages.skipped, [{ from: 'a', to: 'ghost', relation: 'age_at_fathering' }]);
+  assert.ok(ages.text.includes('1 _LIFESPAN\n2 _LXX 90\n') && ages.text.includes('1 _FATHERED @I2@\n2 _AGE 20\n'));
+  const a = Gedcom.importGedcom(ages.text).data.a;
+  assert.deepStrictEqual([a.lifespan, a.age_at_fathering, a.ministry_bc], [{ lxx: 90 }, { b: 20 }, [760, 750]]);
+  const back = Gedcom.importGedcom(text).data;
+  assert.deepStrictEqual(back.a.descendants, ['b']);
+  assert.strictEqual(back.b.bio, 'Long '.repeat(100) + 'end\nsecond @ paragraph');
+});
+
+test('import reports what it cannot map', () => {
+  const ged = [
+    '0 HEAD',
+    '0 @I1@ INDI',
+    '1 NAME Obed /Ben-Boaz/',
+    '1 BIRT',
+    '2 DATE ABT 1100 BC',
+    '1 FAMC @F1@',
+    '0 @I2@ INDI',
+    '1 NAME Boaz',
+    '1 SEX M',
+    '0 @F1@ FAM',
+    '1 HUSB @I2@',
+    '1 CHIL @I1@',
+    '1 CHIL @I9@',
+    '0 @R1@ REPO',
+    '0 TRLR'
+  ].join('\n');
+  const { data, report } = Gedcom.importGedcom(ged);
+  assert.strictEqual(data.obed_ben_boaz.name, 'Obed Ben-Boaz');
+  assert.deepStrictEqual(data.boaz.descendants, ['obed_ben_boaz']);
+  assert.deepStrictEqual(report.unmapped.map(u => [u.line, u.tag]), [[4, 'BIRT'], [13, 'CHIL'], [14, 'REPO']]);
+});
@@ -0,0 +1,235 @@
+'use strict';
+
+// The DOM-free core: loading either file, lookups and lineage queries.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const GenealogyCore = require('../genealogy-core.js');
+
+const readJson = file => JSON.parse(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+const genealogy = readJson('biblical_genealogy.json');
+const figures = readJson('biblical_figures.json');
+
+test('load() tells the two files apart', () => {
+  const core = GenealogyCore.createGenealogy();
+  core.load(figures);
+  core.load(genealogy);
+  assert.ok(core.people.david);
+  assert.ok(core.figures.elijah);
+  assert.ok(!core.people.metadata);
+});
+
+test('lookups accept ids, names and aliases', () => {
+  const core = GenealogyCore.createGenealogy({ genealogy, figures });
+  assert.strictEqual(core.findPerson('david').id, 'david');
+  assert.strictEqual(core.findPerson('Jeconiah').id, 'jehoiachin');
+  assert.strictEqual(core.findFigure('Elijah').id, 'elijah');
+  assert.strictEqual(core.findPerson('nobody at all'), null);
+  assert.ok(core.fuzzyFind('obe').some(p => p.id === 'obed'));
+});
+
+test('ancestors and descendants count generations', () => {
+  const core = GenealogyCore.createGenealogy({ genealogy });
+  const up = core.ancestorGenerations('obed');
+  assert.strictEqual(up.get('boaz').generations, 1);
+  assert.strictEqual(up.get('jesse'), undefined);
+  assert.ok(core.getAncestors('david').some(p => p.id === 'adam'));
+
+  const down = core.descendantGenerations('boaz', 2);
+  assert.deepStrictEqual([...down.keys()], ['boaz', 'obed', 'jesse']);
+  assert.ok(core.getDescendants('boaz').some(p => p.id === 'david'));
+});
+
+test('kinship and connection paths', () => {
+  const core = GenealogyCore.createGenealogy({ genealogy });
+  assert.strictEqual(core.findRelationship('boaz', 'david').term, 'great-grandfather');
+  const steps = core.findConnection('obed', 'david');
+  assert.deepStrictEqual(steps.map(s => s.id), ['obed', 'jesse', 'david']);
+  assert.strictEqual(steps[1].label, 'father of');
+});
+
+test('the main line climbs toward Adam, also after a reload', () => {
+  const core = GenealogyCore.createGenealogy({ genealogy: {
+    adam: { name: 'Adam', descendants: ['a'] }, a: { name: 'A', descendants: ['c'] }, b: { name: 'B', descendants: ['c'] }, c: { name: 'C' }
+  } });
+  assert.deepStrictEqual(core.lineagePaths('c').map(l => l.path), [['adam', 'a', 'c'], ['b', 'c']]);
+  core.loadGenealogy({
+    adam: { name: 'Adam', descendants: ['b'] }, a: { name: 'A', descendants: ['c'] }, b: { name: 'B', descendants: ['c'] }, c: { name: 'C' }
+  });
+  assert.deepStrictEqual(core.lineagePaths('c')[0].path, ['adam', 'b', 'c']);
+});
+
+test("Adam's line is worked out once and dropped when either file loads", () => {
+  const core = GenealogyCore.createGenealogy({ genealogy: {
+    adam: { name: 'Adam', descendants: ['a'] }, a: { name: 'A', descendants: ['c'] }, b: { name: 'B', descendants: ['c'] }, c: { name: 'C' }
+  } });
+  assert.deepStrictEqual(core.lineagePaths('c')[0].path, ['adam', 'a', 'c']);
+
+  // move C's line from A to B in place: that is not a load, so the cached line still ranks A first
+  core.people.adam.descendants = ['b'];
+  Object.assign(core.parentsById, { a: [], b: ['adam'] });
+  assert.deepStrictEqual(core.lineagePaths('c')[0].path, ['a', 'c']);
+
+  core.loadFigures({ figures: {} });
+  assert.deepStrictEqual(core.lineagePaths('c')[0].path, ['adam', 'b', 'c']);
+});
+
+test('scripture search covers both files', () => {
+  const core = GenealogyCore.createGenealogy({ genealogy, figures });
+  const hits = core.searchScripture('Ruth 4:17');
+  assert.ok(hits.some(h => h.id === 'obed' && !h.isFigure));
+  assert.ok(hits.every(h => h.matchedRefs.length > 0));
+});
+
+test('Anno Mundi years follow the chosen text', () => {
+  const core = GenealogyCore.createGenealogy({ genealogy });
+  const mt = core.annoMundi('mt');
+  assert.deepStrictEqual(mt.get('adam'), { born: 0, died: 930 });
+  assert.deepStrictEqual(mt.get('noah'), { born: 1056, died: 2006 });
+  assert.strictEqual(mt.get('methuselah').died, 1656);      // the year of the flood (Noah's 600th)
+  assert.strictEqual(mt.get('arpachshad').born, 1658);      // two years after the flood (Gen 11:10)
+  assert.strictEqual(mt.get('abraham').born, 1948);
+  assert.strictEqual(mt.get('haran').died, null);           // born on the chain, lifespan unrecorded
+  assert.strictEqual(mt.get('ham'), undefined);             // Gen 5:32 dates none of Noah's sons singly
+  assert.strictEqual(mt.get('david'), undefined);           // off the chain
+
+  const lxx = core.annoMundi('lxx');
+  assert.deepStrictEqual(lxx.get('noah'), { born: 1642, died: 2592 });
+  assert.strictEqual(lxx.get('arpachshad').born, 2244);
+  assert.strictEqual(lxx.get('shelah').born, 2244 + 135 + 130); // through the Septuagint's second Cainan
+  assert.strictEqual(lxx.get('abraham').born, 3314);
+  assert.ok(lxx.get('methuselah').died > lxx.get('noah').born + 600);
+  assert.throws(() => core.annoMundi('vulgate'), /Unknown text/);
+});
+
+test('contemporaries share dated years', () => {
+  const core = GenealogyCore.createGenealogy({ genealogy });
+  const withNoah = core.contemporaries('noah');
+  const methuselah = withNoah.find(c => c.id === 'methuselah');
+  assert.deepStrictEqual([methuselah.from, methuselah.to], [1056, 1656]);
+  assert.ok(!withNoah.some(c => c.id === 'adam' || c.id === 'noah' || c.id === 'ham'));
+  assert.deepStrictEqual(core.contemporaries('david'), []);
+});
+
+test('year fields accept a number or a Masoretic / Septuagint pair', () => {
+  const { normalizeYears } = GenealogyCore;
+  assert.deepStrictEqual(normalizeYears(930), { mt: 930, lxx: 930 });
+  assert.deepStrictEqual(normalizeYears({ mt: 187, lxx: 167 }), { mt: 187, lxx: 167 });
+  assert.deepStrictEqual(normalizeYears({ lxx: 135 }), { mt: 135, lxx: 135 });
+  assert.strictEqual(normalizeYears('930'), null);
+  assert.strictEqual(normalizeYears({ mt: -1 }), null);
+
+  const core = GenealogyCore.createGenealogy({ genealogy: {
+    first: { name: 'First', descendants: ['second'], age_at_fathering: { second: 'soon', ghost: 20 }, reign_years: 0.25 },
+    second: { name: 'Second' }
+  } });
+  assert.deepStrictEqual(core.people.first.age_at_fathering, { ghost: { mt: 20, lxx: 20 } });
+  const skipped = GenealogyCore.createGenealogy({ genealogy: {
+    adam: { name: 'Adam', descendants: ['seth'], age_at_fathering: { seth: { mt: 30, lxx: 130, via: { name: 'Extra', lxx: 70, vulgate: 1 } } } },
+    seth: { name: 'Seth' }
+  } });
+  assert.deepStrictEqual(skipped.people.adam.age_at_fathering.seth, { mt: 30, lxx: 130, via: { name: 'Extra', lxx: 70 } });
+  assert.deepStrictEqual([skipped.annoMundi('mt').get('seth').born, skipped.annoMundi('lxx').get('seth').born], [30, 200]);
+  assert.deepStrictEqual(core.people.first.reign_years, { mt: 0.25, lxx: 0.25 });
+  assert.strictEqual(core.annoMundi().size, 0);             // no Adam, no epoch
+});
+
+test('the reign timeline runs Judah, Israel and the prophets side by side', () => {
+  const core = GenealogyCore.createGenealogy({ genealogy, figures });
+  const { start, end, tracks } = core.reignTimeline();
+  assert.strictEqual(tracks.judah[0].id, 'rehoboam');
+  assert.strictEqual(tracks.israel[0].id, 'jeroboam');
+  assert.ok(tracks.judah.some(e => e.id === 'athaliah' && e.isFigure));
+  assert.ok(start >= tracks.judah[0].start && end <= tracks.prophets[tracks.prophets.length - 1].end);
+  assert.strictEqual(core.reignTimeline(), core.reignTimeline());
+
+  const ids = list => list.map(e => e.id);
+  const under = year => core.activeInYear(year);
+  assert.deepStrictEqual(ids(under(860).israel), ['ahab']);
+  assert.ok(ids(under(860).prophets).includes('elijah'));
+  assert.deepStrictEqual(ids(under(700).judah), ['hezekiah']);
+  assert.deepStrictEqual(under(700).israel, []);
+  assert.ok(ids(under(700).prophets).includes('isaiah'));
+  assert.deepStrictEqual(under(1200), { judah: [], israel: [], prophets: [] });
+});
+
+test('reign dates need a kingdom and a first year no later than the last', () => {
+  const { normalizeSpanBC } = GenealogyCore;
+  assert.deepStrictEqual(normalizeSpanBC([874, 853]), [874, 853]);
+  assert.deepStrictEqual(normalizeSpanBC([841, 841]), [841, 841]);
+  assert.strictEqual(normalizeSpanBC([853, 874]), null);
+  assert.strictEqual(normalizeSpanBC([874]), null);
+  assert.strictEqual(normalizeSpanBC('874-853'), null);
+
+  const core = GenealogyCore.createGenealogy({
+    genealogy: { saul: { name: 'Saul', reign_bc: [1050, 1010] } },
+    figures: { figures: { omri: { name: 'Omri', kingdom: 'israel', reign_bc: [885, 874] } } }
+  });
+  const { tracks } = core.reignTimeline();
+  assert.deepStrictEqual(tracks.judah, []);
+  assert.deepStrictEqual(tracks.israel.map(e => e.id), ['omri']);
+  assert.strictEqual(core.people.saul.reign_bc[0], 1050);
+});
+
+test('the related-figures network runs both ways and drops unknown slugs', () => {
+  const core = GenealogyCore.createGenealogy({
+    genealogy: { david: { name: 'David' } },
+    figures: { figures: {
+      nathan: { name: 'Nathan', category: 'Prophets', related_figures: ['david', 'bathsheba', 'ghost'] },
+      bathsheba: { name: 'Bathsheba', category: 'Women of Faith', related_figures: ['nathan'] },
+      uriah: { name: 'Uriah', category: 'Military Leaders', related_figures: ['bathsheba'] },
+      hermit: { name: 'Hermit' }
+    } }
+  });
+  const { nodes, edges, neighbors } = core.relatedNetwork();
+  assert.deepStrictEqual(nodes.map(n => n.id).sort(), ['bathsheba', 'david', 'hermit', 'nathan', 'uriah']);
+  assert.deepStrictEqual(nodes.find(n => n.id === 'david'), { id: 'david', name: 'David', isFigure: false, category: '', time_period: '' });
+  assert.strictEqual(edges.length, 3);
+  assert.deepStrictEqual(neighbors.get('bathsheba').sort(), ['nathan', 'uriah']);
+  assert.deepStrictEqual(neighbors.get('david'), ['nathan']);
+  assert.deepStrictEqual(neighbors.get('hermit'), []);
+
+  assert.deepStrictEqual([...core.neighborhood(['uriah'])].sort(), ['bathsheba', 'uriah']);
+  assert.deepStrictEqual([...core.neighborhood(['uriah'], 2)].sort(), ['bathsheba', 'nathan', 'uriah']);
+  assert.deepStrictEqual([...core.neighborhood(['ghost'])], []);
+});
+
+test('time periods parse into an era and a date range', () => {
+  const { parseTimePeriod, centuryOf, centuryYears, centuryLabel } = GenealogyCore;
+  assert.deepStrictEqual(parseTimePeriod('Kingdom Divided (10th-9th century BC)'), { era: 'divided', label: 'Kingdom Divided', from: -1000, to: -801 });
+  assert.deepStrictEqual(parseTimePeriod('Patriarchal Period (2000-1800 BC)'), { era: 'patriarchal', label: 'Patriarchal Period', from: -2000, to: -1800 });
+  assert.deepStrictEqual(parseTimePeriod('New Testament (1st century AD)'), { era: 'nt', label: 'New Testament', from: 1, to: 100 });
+  assert.strictEqual(parseTimePeriod('Intertestamental/New Testament (1st century BC)').era, 'intertestamental');
+  assert.strictEqual(parseTimePeriod('Conquest of Canaan (15th-13th century BC)').era, 'exodus');
+  assert.strictEqual(parseTimePeriod('Persian Empire (5th century BC)').era, 'postexilic');
+  assert.deepStrictEqual(parseTimePeriod('Days of Noah (sometime)'), { era: 'days_of_noah', label: 'Days of Noah', from: null, to: null });
+  assert.deepStrictEqual(parseTimePeriod(undefined), { era: null, label: '', from: null, to: null });
+
+  assert.strictEqual(centuryOf(-900), -9);
+  assert.strictEqual(centuryOf(-801), -9);
+  assert.strictEqual(centuryOf(30), 1);
+  assert.deepStrictEqual(centuryYears(-9), [-900, -801]);
+  assert.deepStrictEqual(centuryYears(1), [1, 100]);
+  assert.strictEqual(centuryLabel(-12), '12th century BC');
+  assert.strictEqual(centuryLabel(1), '1st century AD');
+});
+
+test('explorer facets come from the figures and their metadata', () => {
+  const core = GenealogyCore.createGenealogy({ figures });
+  const { categories, eras, from, to } = core.figureFacets();
+  const names = categories.map(c => c.name);
+  assert.deepStrictEqual(names.slice(0, figures.metadata.categories.length), figures.metadata.categories);
+  assert.deepStrictEqual(categories.find(c => c.name === 'Angels'), { name: 'Angels', count: 0 });
+  const keys = eras.map(e => e.key);
+  assert.strictEqual(keys[0], 'patriarchal');
+  assert.strictEqual(keys[keys.length - 1], 'nt');
+  assert.ok(keys.indexOf('judges') < keys.indexOf('united') && keys.indexOf('united') < keys.indexOf('divided'));
+  assert.strictEqual(eras.reduce((n, e) => n + e.count, 0), Object.keys(figures.figures).length);
+  assert.deepStrictEqual([from, to], [-2000, 100]);
+
+  const extra = GenealogyCore.createGenealogy({ figures: { figures: { x: { name: 'X', category: 'Scribes', time_period: 'Maccabean Revolt (2nd century BC)' } } } });
+  assert.deepStrictEqual(extra.figureFacets().categories, [{ name: 'Scribes', count: 1 }]);
+  assert.strictEqual(extra.figureFacets().eras[0].key, 'intertestamental');
+});
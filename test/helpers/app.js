@@ -0,0 +1,53 @@
+'use strict';
+
+// Runs the browser scripts (scripture.js, genealogy-core.js, validate.js,
+// dataset-edits.js, app.js) in a fresh vm context with the DOM stand-in,
+// then loads the given data the way loadGenealogyData / loadBiblicalFigures
+// do, minus fetch, the IndexedDB cache and the rest of the page. `run(code)`
+// evaluates inside the page scope, where app.js's top-level let/const live.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createDocument, Event, EventTarget } = require('./dom.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCRIPTS = ['scripture.js', 'genealogy-core.js', 'validate.js', 'dataset-edits.js', 'app.js'];
+const sources = SCRIPTS.map(file => [file, fs.readFileSync(path.join(ROOT, file), 'utf8')]);
+
+function readDataset(file) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+function loadApp({ genealogy = {}, figures = { figures: {} }, body = '<div id="tree-root"></div><div id="breadcrumb"></div>' } = {}) {
+  const document = createDocument(body);
+  const context = vm.createContext({ console, setTimeout, clearTimeout, queueMicrotask, URLSearchParams, document, Event });
+  context.window = context;
+  context.self = context;
+  // Listeners land on a plain target; DOMContentLoaded is never fired, so the
+  // page's own startup (fetch, cache, URL routing) stays out of the way
+  const windowEvents = new EventTarget();
+  for (const method of ['addEventListener', 'removeEventListener', 'dispatchEvent']) {
+    context[method] = windowEvents[method].bind(windowEvents);
+  }
+  for (const [file, source] of sources) vm.runInContext(source, context, { filename: file });
+
+  const run = code => vm.runInContext(code, context);
+  context.__genealogy = genealogy;
+  context.__figures = figures;
+  run(`
+    genealogySource = { data: __genealogy, text: JSON.stringify(__genealogy, null, 2) };
+    figuresSource = { data: __figures, text: JSON.stringify(__figures, null, 2) };
+    core.loadGenealogy(__genealogy);
+    peopleById = core.people;
+    parentsById = core.parentsById;
+    genealogyData = peopleById;
+    nestedRoots = buildNestedTree(peopleById);
+    core.loadFigures(__figures);
+    biblicalFigures = core.figures;
+    invalidateDerivedIndexes();
+  `);
+  return { window: context, document, run };
+}
+
+module.exports = { loadApp, readDataset };
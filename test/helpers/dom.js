@@ -0,0 +1,263 @@
+'use strict';
+
+// A headless stand-in for the part of the DOM the tree code touches:
+// elements with classList / dataset / style / attributes, innerHTML for
+// plain markup, parent and sibling links, insertAdjacentElement, bubbling
+// events, focus (sets activeElement only), and querySelector(All) for tag,
+// #id, .class and [attr="value"] compounds joined by spaces. Anything else
+// is deliberately missing, so a test fails loudly instead of passing
+// against a fake that guesses.
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link']);
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'", nbsp: ' ' };
+
+const decode = text => text.replace(/&(amp|lt|gt|quot|#39|apos|nbsp);/g, (m, name) => ENTITIES[name]);
+const escapeText = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttr = text => escapeText(text).replace(/"/g, '&quot;');
+
+class Event {
+  constructor(type, options = {}) {
+    this.type = type;
+    this.bubbles = Boolean(options.bubbles);
+    this.target = null;
+    this.currentTarget = null;
+    this.defaultPrevented = false;
+    this.propagationStopped = false;
+  }
+  stopPropagation() { this.propagationStopped = true; }
+  preventDefault() { this.defaultPrevented = true; }
+}
+
+class EventTarget {
+  constructor() { this.listeners = {}; }
+  addEventListener(type, fn) { (this.listeners[type] = this.listeners[type] || []).push(fn); }
+  removeEventListener(type, fn) {
+    this.listeners[type] = (this.listeners[type] || []).filter(f => f !== fn);
+  }
+  dispatchEvent(event) {
+    event.target = event.target || this;
+    for (let node = this; node; node = event.bubbles ? node.parentNode : null) {
+      event.currentTarget = node;
+      for (const fn of (node.listeners && node.listeners[event.type]) || []) fn.call(node, event);
+      if (event.propagationStopped) break;
+    }
+    return !event.defaultPrevented;
+  }
+}
+
+class Text {
+  constructor(text) {
+    this.nodeType = 3;
+    this.textContent = String(text);
+    this.parentNode = null;
+  }
+  remove() { if (this.parentNode) this.parentNode.removeChild(this); }
+}
+
+// One compound selector: tag, #id, .class and [attr] / [attr="value"] parts
+function parseCompound(text) {
+  const part = { tag: null, id: null, classes: [], attrs: [] };
+  const re = /^([a-zA-Z][\w-]*|\*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:=(?:"([^"]*)"|'([^']*)'|([^\]]*)))?\]/g;
+  let consumed = 0;
+  for (let m; (m = re.exec(text));) {
+    if (m.index !== consumed) break;
+    consumed = re.lastIndex;
+    if (m[1] && m[1] !== '*') part.tag = m[1].toUpperCase();
+    else if (m[2]) part.id = m[2];
+    else if (m[3]) part.classes.push(m[3]);
+    else if (m[4]) part.attrs.push({ name: m[4], value: m[5] ?? m[6] ?? m[7] ?? null });
+  }
+  if (consumed !== text.length) throw new Error(`Selector not supported by the DOM stand-in: ${text}`);
+  return part;
+}
+
+function matchesCompound(el, part) {
+  if (part.tag && el.tagName !== part.tag) return false;
+  if (part.id && el.id !== part.id) return false;
+  if (part.classes.some(c => !el.classList.contains(c))) return false;
+  return part.attrs.every(a => el.hasAttribute(a.name) && (a.value === null || el.getAttribute(a.name) === a.value));
+}
+
+// "a b.c" -> the element matches b.c and has an ancestor matching a
+function matchesSelector(el, selector) {
+  return selector.split(',').some(one => {
+    const parts = one.trim().split(/\s+/).map(parseCompound);
+    if (!matchesCompound(el, parts.pop())) return false;
+    let node = el.parentNode;
+    while (parts.length && node && node.nodeType === 1) {
+      if (matchesCompound(node, parts[parts.length - 1])) parts.pop();
+      node = node.parentNode;
+    }
+    return parts.length === 0;
+  });
+}
+
+class Element extends EventTarget {
+  constructor(tagName, ownerDocument) {
+    super();
+    this.nodeType = 1;
+    this.tagName = tagName.toUpperCase();
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.childNodes = [];
+    this.attributes = new Map();
+    this.style = {};
+    const self = this;
+    const attrName = key => 'data-' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+    this.dataset = new Proxy({}, {
+      get: (t, key) => (typeof key === 'string' ? self.attributes.get(attrName(key)) : undefined),
+      set: (t, key, value) => { self.attributes.set(attrName(key), String(value)); return true; },
+      deleteProperty: (t, key) => { self.attributes.delete(attrName(key)); return true; },
+      has: (t, key) => self.attributes.has(attrName(key))
+    });
+    this.classList = {
+      contains: name => self.className.split(/\s+/).includes(name),
+      add: (...names) => { for (const n of names) if (!self.classList.contains(n)) self.className = `${self.className} ${n}`.trim(); },
+      remove: (...names) => { self.className = self.className.split(/\s+/).filter(c => c && !names.includes(c)).join(' '); },
+      toggle: (name, force) => {
+        const on = force === undefined ? !self.classList.contains(name) : Boolean(force);
+        if (on) self.classList.add(name); else self.classList.remove(name);
+        return on;
+      }
+    };
+  }
+
+  get children() { return this.childNodes.filter(n => n.nodeType === 1); }
+  get firstElementChild() { return this.children[0] || null; }
+  get id() { return this.getAttribute('id') || ''; }
+  set id(value) { this.setAttribute('id', value); }
+  get className() { return this.getAttribute('class') || ''; }
+  set className(value) { this.setAttribute('class', value); }
+  get title() { return this.getAttribute('title') || ''; }
+  get name() { return this.getAttribute('name') || ''; }
+
+  getAttribute(name) { return this.attributes.has(name) ? this.attributes.get(name) : null; }
+  setAttribute(name, value) { this.attributes.set(name, String(value)); }
+  hasAttribute(name) { return this.attributes.has(name); }
+  removeAttribute(name) { this.attributes.delete(name); }
+
+  appendChild(node) {
+    if (node.parentNode) node.parentNode.removeChild(node);
+    node.parentNode = this;
+    this.childNodes.push(node);
+    return node;
+  }
+  insertBefore(node, ref) {
+    if (!ref) return this.appendChild(node);
+    if (node.parentNode) node.parentNode.removeChild(node);
+    node.parentNode = this;
+    this.childNodes.splice(this.childNodes.indexOf(ref), 0, node);
+    return node;
+  }
+  removeChild(node) {
+    const at = this.childNodes.indexOf(node);
+    if (at !== -1) this.childNodes.splice(at, 1);
+    node.parentNode = null;
+    return node;
+  }
+  remove() { if (this.parentNode) this.parentNode.removeChild(this); }
+
+  siblingAt(offset) {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.children;
+    return siblings[siblings.indexOf(this) + offset] || null;
+  }
+  get nextElementSibling() { return this.siblingAt(1); }
+  get previousElementSibling() { return this.siblingAt(-1); }
+
+  insertAdjacentElement(position, el) {
+    const parent = this.parentNode;
+    switch (position) {
+      case 'beforebegin': return parent.insertBefore(el, this);
+      case 'afterend': {
+        const next = parent.childNodes[parent.childNodes.indexOf(this) + 1];
+        return parent.insertBefore(el, next || null);
+      }
+      case 'afterbegin': return this.insertBefore(el, this.childNodes[0] || null);
+      case 'beforeend': return this.appendChild(el);
+    }
+    throw new Error(`Unknown position: ${position}`);
+  }
+
+  get textContent() { return this.childNodes.map(n => n.textContent).join(''); }
+  set textContent(value) {
+    for (const n of this.childNodes) n.parentNode = null;
+    this.childNodes = [];
+    if (value !== '' && value != null) this.appendChild(new Text(value));
+  }
+
+  get innerHTML() {
+    return this.childNodes.map(n => (n.nodeType === 3 ? escapeText(n.textContent) : n.outerHTML)).join('');
+  }
+  set innerHTML(html) {
+    this.textContent = '';
+    parseHtml(String(html), this);
+  }
+  get outerHTML() {
+    const tag = this.tagName.toLowerCase();
+    const attrs = [...this.attributes].map(([k, v]) => ` ${k}="${escapeAttr(v)}"`).join('');
+    return VOID_TAGS.has(tag) ? `<${tag}${attrs}>` : `<${tag}${attrs}>${this.innerHTML}</${tag}>`;
+  }
+
+  descendants() {
+    const out = [];
+    const walk = el => { for (const c of el.children) { out.push(c); walk(c); } };
+    walk(this);
+    return out;
+  }
+  matches(selector) { return matchesSelector(this, selector); }
+  closest(selector) {
+    for (let node = this; node && node.nodeType === 1; node = node.parentNode) if (node.matches(selector)) return node;
+    return null;
+  }
+  querySelectorAll(selector) { return this.descendants().filter(el => matchesSelector(el, selector)); }
+  querySelector(selector) { return this.querySelectorAll(selector)[0] || null; }
+
+  click() { this.dispatchEvent(new Event('click', { bubbles: true })); }
+  focus() { this.ownerDocument.activeElement = this; }
+}
+
+// Plain markup only: elements, quoted attributes, text and comments
+function parseHtml(html, parent) {
+  const doc = parent.ownerDocument;
+  const stack = [parent];
+  const re = /<!--[\s\S]*?-->|<\/([\w-]+)\s*>|<([\w-]+)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>|([^<]+)/g;
+  for (let m; (m = re.exec(html));) {
+    const top = stack[stack.length - 1];
+    if (m[1]) {
+      const tag = m[1].toUpperCase();
+      const at = stack.map(el => el.tagName).lastIndexOf(tag);
+      if (at > 0) stack.length = at;
+    } else if (m[2]) {
+      const el = doc.createElement(m[2]);
+      const attrRe = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+      for (let a; (a = attrRe.exec(m[3] || ''));) el.setAttribute(a[1], decode(a[2] ?? a[3] ?? a[4] ?? ''));
+      top.appendChild(el);
+      if (!VOID_TAGS.has(m[2].toLowerCase()) && !m[0].endsWith('/>')) stack.push(el);
+    } else if (m[4] !== undefined) {
+      top.appendChild(new Text(decode(m[4])));
+    }
+  }
+}
+
+class Document extends EventTarget {
+  constructor() {
+    super();
+    this.nodeType = 9;
+    this.documentElement = this.createElement('html');
+    this.body = this.documentElement.appendChild(this.createElement('body'));
+  }
+  createElement(tag) { return new Element(tag, this); }
+  createTextNode(text) { return new Text(text); }
+  getElementById(id) { return this.documentElement.querySelector(`#${id}`); }
+  querySelector(selector) { return this.documentElement.querySelector(selector); }
+  querySelectorAll(selector) { return this.documentElement.querySelectorAll(selector); }
+}
+
+function createDocument(bodyHtml = '') {
+  const document = new Document();
+  document.body.innerHTML = bodyHtml;
+  return document;
+}
+
+module.exports = { createDocument, Event, EventTarget };
@@ -0,0 +1,75 @@
+'use strict';
+
+// The lineage divergence view: compareLineages on small lines, then
+// Matthew 1 against Luke 3 from lineages.json as the comparison modal shows them.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, readDataset } = require('./helpers/app.js');
+
+const app = loadApp({
+  genealogy: readDataset('biblical_genealogy.json'),
+  figures: readDataset('biblical_figures.json'),
+  body: '<div id="tree-root"></div><div id="breadcrumb"></div><div id="infoModal"><div id="person-info"></div></div>'
+});
+const lineFile = readDataset('lineages.json').lineages;
+const memberIds = lineId => lineFile[lineId].members.map(m => (typeof m === 'string' ? m : m.id));
+
+const compare = (a, b) => {
+  app.window.__a = a;
+  app.window.__b = b;
+  return JSON.parse(app.run('JSON.stringify(compareLineages(__a, __b))'));
+};
+
+test('compareLineages splits two lines into shared runs and the stretches between', () => {
+  assert.deepStrictEqual(compare(['a', 'b', 'c', 'x', 'd'], ['a', 'b', 'y', 'z', 'd']), [
+    { type: 'shared', ids: ['a', 'b'] },
+    { type: 'split', a: ['c', 'x'], b: ['y', 'z'] },
+    { type: 'shared', ids: ['d'] }
+  ]);
+  // a name only one line has is a split with an empty side
+  assert.deepStrictEqual(compare(['a', 'b', 'd'], ['a', 'b', 'q', 'd', 'e']), [
+    { type: 'shared', ids: ['a', 'b'] },
+    { type: 'split', a: [], b: ['q'] },
+    { type: 'shared', ids: ['d'] },
+    { type: 'split', a: [], b: ['e'] }
+  ]);
+  assert.deepStrictEqual(compare(['a'], ['b']), [{ type: 'split', a: ['a'], b: ['b'] }]);
+  assert.deepStrictEqual(compare([], []), []);
+});
+
+test('Matthew and Luke share Abraham to David, part after David and rejoin at Shealtiel', () => {
+  const segments = compare(memberIds('matthew'), memberIds('luke'));
+  assert.deepStrictEqual(segments.map(s => s.type), ['split', 'shared', 'split', 'shared', 'split', 'shared']);
+
+  // Luke alone goes back from Abraham to Adam
+  assert.deepStrictEqual(segments[0].a, []);
+  assert.deepStrictEqual([segments[0].b[0], segments[0].b[segments[0].b.length - 1]], ['adam', 'terah']);
+
+  const shared = segments.filter(s => s.type === 'shared').map(s => s.ids);
+  assert.deepStrictEqual([shared[0][0], shared[0][shared[0].length - 1]], ['abraham', 'david']);
+  assert.deepStrictEqual(shared[1], ['shealtiel', 'zerubbabel']);
+  assert.deepStrictEqual(shared[2], ['joseph_nt', 'jesus']);
+
+  // after David: through Solomon and the kings in Matthew, through Nathan in Luke
+  const afterDavid = segments[2];
+  assert.deepStrictEqual([afterDavid.a[0], afterDavid.a[afterDavid.a.length - 1]], ['solomon', 'jehoiachin']);
+  assert.deepStrictEqual([afterDavid.b[0], afterDavid.b[afterDavid.b.length - 1]], ['nathan', 'neri']);
+  assert.deepStrictEqual([segments[4].a[0], segments[4].b[0]], ['abiud', 'rhesa']);
+});
+
+test('the comparison modal describes where the lines part and rejoin', () => {
+  app.run(`
+    lineages = {};
+    for (const [id, line] of Object.entries(${JSON.stringify(lineFile)})) {
+      lineages[id] = { id, name: line.name, color: line.color, members: line.members.map(m => typeof m === 'string' ? { id: m, name: '' } : m) };
+    }
+    showLineageComparison('matthew', 'luke');
+  `);
+  const content = app.document.getElementById('person-info');
+  const summary = content.querySelector('p').textContent;
+  assert.match(summary, /share 18 names/);
+  assert.match(summary, /they diverge after David and rejoin at Shealtiel/);
+  assert.strictEqual(content.querySelectorAll('tr.lineage-shared').length, 3);
+  assert.strictEqual(content.querySelectorAll('tr.lineage-split').length, 3);
+});
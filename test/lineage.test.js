@@ -0,0 +1,99 @@
+'use strict';
+
+// Tree building, lookups and lineage queries as app.js runs them, against
+// the real dataset and a small synthetic graph with a cycle, a missing ID
+// and two people who share a name.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, readDataset } = require('./helpers/app.js');
+
+const ids = list => [...list].map(p => p.id);
+
+const synthetic = {
+  metadata: { title: 'synthetic' },
+  root: { name: 'Root', bio: 'Head of the family.', descendants: ['a', 'b', 'ghost'] },
+  a: { name: 'Asa', bio: 'First of two called Asa.', descendants: ['c'] },
+  b: { name: 'Asa', bio: 'Second of two called Asa.', descendants: ['c'] },
+  c: { name: 'Cyrus', bio: 'Son of both Asas, mentioned by Root.', descendants: ['d'] },
+  d: { name: 'Dan' },
+  x: { name: 'Xerxes', descendants: ['y'] },
+  y: { name: 'Yael', descendants: ['x'] }
+};
+
+const real = loadApp({ genealogy: readDataset('biblical_genealogy.json'), figures: readDataset('biblical_figures.json') });
+const small = loadApp({ genealogy: synthetic });
+
+test('buildNestedTree nests the real dataset under its roots', () => {
+  const roots = real.run('nestedRoots');
+  const adam = [...roots].find(r => r.id === 'adam');
+  assert.ok(adam, 'Adam is a root');
+  assert.strictEqual(typeof adam.descendants[0], 'object');
+  assert.ok(!ids(roots).includes('metadata'));
+  const parentless = real.run('Object.keys(peopleById).filter(id => !(parentsById[id] || []).length)');
+  assert.deepStrictEqual(ids(roots).sort(), [...parentless].sort());
+});
+
+test('buildNestedTree skips missing IDs, shares nodes and survives cycles', () => {
+  const roots = small.run('buildNestedTree(peopleById)');
+  assert.deepStrictEqual(ids(roots), ['root']);          // x and y only point at each other
+  assert.deepStrictEqual(ids(roots[0].descendants), ['a', 'b']);
+  const [a, b] = roots[0].descendants;
+  assert.strictEqual(a.descendants[0], b.descendants[0]); // one Cyrus under both parents
+  assert.strictEqual(small.run('buildNestedTree({ metadata: {} })').length, 0);
+});
+
+test('getChildrenArray resolves ids and passes nested objects through', () => {
+  assert.deepStrictEqual(ids(small.run('getChildrenArray(peopleById.root)')), ['a', 'b']);
+  const nested = small.run('nestedRoots[0]');
+  assert.strictEqual(small.window.getChildrenArray(nested)[0], nested.descendants[0]);
+  assert.deepStrictEqual(ids(small.run('getChildrenArray(peopleById.d)')), []);
+  assert.deepStrictEqual(ids(small.run('getChildrenArray(null)')), []);
+});
+
+test('findPerson takes ids, names in any case and aliases', () => {
+  assert.strictEqual(real.window.findPerson('david').id, 'david');
+  assert.strictEqual(real.window.findPerson('  DAVID ').id, 'david');
+  assert.strictEqual(real.window.findPerson('Jeconiah').id, 'jehoiachin');
+  assert.strictEqual(real.window.findPerson('no such person'), null);
+  assert.strictEqual(small.window.findPerson('asa').id, 'a');          // first in data order
+  assert.strictEqual(small.window.findPerson('ghost'), null);
+  assert.strictEqual(small.window.findPerson(''), null);
+});
+
+test('fuzzyFind lists name matches before bio mentions', () => {
+  assert.deepStrictEqual(ids(small.window.fuzzyFind('asa')), ['a', 'b', 'c']);
+  assert.deepStrictEqual(ids(small.window.fuzzyFind('ROOT')), ['root', 'c']);
+  assert.strictEqual(real.window.fuzzyFind('abra')[0].id, 'abraham');
+  assert.deepStrictEqual(ids(small.window.fuzzyFind('')), []);
+});
+
+test('getAncestors comes out by generation, not depth first', () => {
+  const generations = real.run("ancestorGenerations('david')");
+  const list = ids(real.window.getAncestors('david'));
+  assert.strictEqual(list[0], 'jesse');
+  assert.ok(list.includes('adam'));
+  const order = list.map(id => generations.get(id).generations);
+  assert.deepStrictEqual(order, [...order].sort((x, y) => x - y));
+
+  assert.deepStrictEqual(ids(small.window.getAncestors('d')), ['c', 'a', 'b', 'root']);
+  assert.deepStrictEqual(ids(small.window.getAncestors('x')), ['y']);
+  assert.deepStrictEqual(ids(small.window.getAncestors('ghost')), []);
+});
+
+test('getDescendants lists everyone once and never the person', () => {
+  assert.deepStrictEqual(ids(small.window.getDescendants('root')), ['a', 'c', 'd', 'b']);
+  assert.deepStrictEqual(ids(small.window.getDescendants('x')), ['y']);
+  assert.deepStrictEqual(ids(small.window.getDescendants('ghost')), []);
+  const boaz = ids(real.window.getDescendants('boaz'));
+  assert.ok(boaz.includes('david') && !boaz.includes('boaz'));
+  assert.strictEqual(new Set(boaz).size, boaz.length);
+});
+
+test('chronology follows eras and references, not names', () => {
+  const order = ids(real.run('chronologyEntries(Object.values(peopleById)).map(e => e.person)'));
+  const at = id => order.indexOf(id);
+  assert.ok(at('adam') < at('abraham') && at('abraham') < at('moses') && at('moses') < at('david'));
+  const ranks = [...real.run('chronologyEntries(Object.values(peopleById))')].map(e => e.era.rank);
+  assert.deepStrictEqual(ranks, [...ranks].sort((x, y) => x - y));
+});
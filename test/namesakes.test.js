@@ -0,0 +1,85 @@
+'use strict';
+
+// People who share a name: the descriptors that tell them apart, and the
+// chooser jumpToPerson and smartSearch open for a bare shared name.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, readDataset } = require('./helpers/app.js');
+
+const body = '<div id="tree-root"></div><div id="breadcrumb"></div><div id="infoModal"><div id="person-info"></div></div>';
+const app = loadApp({ genealogy: readDataset('biblical_genealogy.json'), figures: readDataset('biblical_figures.json'), body });
+const content = app.document.getElementById('person-info');
+
+const namesakes = name => JSON.parse(app.run(`JSON.stringify(namesakesFor(${JSON.stringify(name)}).map(e => [e.id, namesakeDescriptor(e)]))`));
+const choices = () => content.querySelectorAll('.search-result-item').map(el => [el.dataset.personId, el.querySelector('strong').textContent]);
+
+test('descriptors tell namesakes apart by parent, spouse or child', () => {
+  assert.deepStrictEqual(namesakes('Joseph'), [
+    ['joseph', 'son of Jacob'],
+    ['joseph_nt', 'husband of Mary'],
+    ['joseph_luke', 'son of Nathan']
+  ]);
+  assert.deepStrictEqual(namesakes('Lamech'), [
+    ['lamech_cain', 'son of Methushael'],
+    ['lamech', 'son of Methuselah'],
+    ['lamech_noah', 'father of Noah']
+  ]);
+  for (const name of ['Joseph', 'Lamech', 'Zadok', 'Enoch']) {
+    const descriptors = namesakes(name).map(([, text]) => text);
+    assert.ok(descriptors.length > 1, name);
+    assert.strictEqual(new Set(descriptors).size, descriptors.length, name);
+    assert.ok(descriptors.every(Boolean), name);
+  }
+  assert.strictEqual(app.run("describedName(peopleById.joseph_nt)"), 'Joseph, husband of Mary');
+  assert.strictEqual(app.run("namesakeDescriptor(peopleById.boaz)"), '');
+});
+
+test('a full name only one namesake has, or an id, is not ambiguous', () => {
+  assert.deepStrictEqual(namesakes("Lamech (Cain's line)"), []);
+  assert.deepStrictEqual(namesakes('Boaz'), []);
+  assert.strictEqual(namesakes('lamech').length, 3); // the bare name, in any case
+});
+
+test('jumpToPerson with a shared name opens the chooser, and a pick jumps there', () => {
+  content.innerHTML = '';
+  app.run("jumpToPerson('Lamech')");
+  assert.strictEqual(content.querySelector('h2').textContent, 'Several people are called "Lamech" (3)');
+  assert.deepStrictEqual(choices(), [
+    ['lamech_cain', "Lamech (Cain's line), son of Methushael"],
+    ['lamech', "Lamech (Seth's line), son of Methuselah"],
+    ['lamech_noah', "Lamech (Noah's father), father of Noah"]
+  ]);
+
+  content.querySelector('.search-result-item[data-person-id="lamech_noah"]').click();
+  assert.strictEqual(app.run('treeRootId'), 'lamech_noah');
+  assert.strictEqual(app.run('focusedPersonId'), 'lamech_noah');
+});
+
+test('jumpToPerson with "Joseph" lists all three Josephs with their descriptors', () => {
+  app.run("jumpToPerson('Joseph')");
+  assert.deepStrictEqual(choices(), [
+    ['joseph', 'Joseph, son of Jacob'],
+    ['joseph_nt', 'Joseph, husband of Mary'],
+    ['joseph_luke', "Joseph (Luke's line), son of Nathan"]
+  ]);
+  content.querySelector('.search-result-item[data-person-id="joseph_nt"]').click();
+  assert.strictEqual(app.run('treeRootId'), 'joseph_nt');
+});
+
+test('an id or an unshared name jumps straight to the person', () => {
+  content.innerHTML = '';
+  app.run("jumpToPerson('joseph')");
+  assert.strictEqual(app.run('treeRootId'), 'joseph');
+  app.run(`jumpToPerson("Lamech (Cain's line)")`);
+  assert.strictEqual(app.run('treeRootId'), 'lamech_cain');
+  assert.strictEqual(content.querySelector('h2'), null);
+});
+
+test('smartSearch opens the same chooser for a shared name', () => {
+  app.run("smartSearch('Enoch')");
+  assert.deepStrictEqual(choices(), [
+    ['enoch_cain', "Enoch (Cain's line), son of Cain"],
+    ['enoch', 'Enoch, son of Jared']
+  ]);
+});
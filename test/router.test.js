@@ -0,0 +1,84 @@
+'use strict';
+
+// The hash router: a route survives route -> hash -> route, and a URL naming
+// someone who is not in the data is rewritten to what was actually restored.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, readDataset } = require('./helpers/app.js');
+
+const body = '<div id="tree-root"></div><div id="breadcrumb"></div><div id="infoModal"><div id="person-info"></div></div>';
+
+// A page with the router started, and location / history that keep the hash
+function routedApp() {
+  const app = loadApp({ genealogy: readDataset('biblical_genealogy.json'), figures: readDataset('biblical_figures.json'), body });
+  const history = [];
+  const location = { pathname: '/', search: '', hash: '' };
+  const record = kind => (state, title, url) => {
+    location.hash = url.slice(url.indexOf('#'));
+    history.push([kind, location.hash]);
+  };
+  app.window.location = location;
+  app.window.history = { pushState: record('push'), replaceState: record('replace') };
+  app.window.__lineages = readDataset('lineages.json').lineages;
+  app.run(`
+    for (const [id, line] of Object.entries(__lineages)) {
+      lineages[id] = { id, name: line.name, color: line.color, members: line.members.map(m => typeof m === 'string' ? { id: m, name: '' } : m) };
+    }
+    routerReady = true;
+  `);
+  const restore = hash => {
+    location.hash = hash;
+    app.run(`applyRoute(parseRoute(${JSON.stringify(hash)}))`);
+  };
+  const route = hash => JSON.parse(app.run(`JSON.stringify(parseRoute(${JSON.stringify(hash)}))`));
+  return { app, location, history, restore, route };
+}
+
+test('a route comes back unchanged from the hash it is written to', () => {
+  const { app, restore, route } = routedApp();
+  const hashes = [
+    '#person=boaz&expanded=boaz,obed&modal=descendants&id=boaz&tribe=judah',
+    '#person=jacob&lines=matthew,luke&modal=compare&a=david&b=solomon',
+    '#person=abraham&modal=search&q=Ruth%204:17&category=Prophets&period=divided&find=fire',
+    '#person=david&modal=lineage-compare&a=matthew&b=luke'
+  ];
+  for (const hash of hashes) {
+    const before = route(hash);
+    restore(hash);
+    const written = app.run('routeHash()');
+    assert.deepStrictEqual(route(written), before, hash);
+  }
+
+  // the parsed form of the first one, field by field
+  const parsed = route(hashes[0]);
+  assert.strictEqual(parsed.person, 'boaz');
+  assert.deepStrictEqual(parsed.expanded, ['boaz', 'obed']);
+  assert.deepStrictEqual(parsed.modal, { modal: 'descendants', id: 'boaz', tribe: 'judah' });
+  assert.strictEqual(parsed.view, 'list');
+});
+
+test('the restored page matches the route: root, open branches and modal', () => {
+  const { app, restore } = routedApp();
+  restore('#person=boaz&expanded=boaz,obed&modal=bio&id=ruth');
+  assert.strictEqual(app.run('treeRootId'), 'boaz');
+  const branches = app.document.querySelectorAll('#tree-root .branch[data-parent-id]').map(b => b.dataset.parentId);
+  assert.deepStrictEqual(branches, ['boaz', 'obed']);
+  assert.match(app.document.getElementById('person-info').querySelector('h2').textContent, /^Ruth/);
+});
+
+test('an unknown person in the URL is replaced by the root that was restored', () => {
+  const { app, location, history, restore, route } = routedApp();
+  restore('#person=nobody_at_all&modal=bio&id=ruth');
+
+  const rootId = app.run('(pickRootForUI() || {}).id');
+  assert.strictEqual(app.run('treeRootId'), rootId);
+  assert.strictEqual(route(location.hash).person, rootId);
+  assert.deepStrictEqual(route(location.hash).modal, { modal: 'bio', id: 'ruth' }); // the rest is kept
+  assert.deepStrictEqual(history.map(([kind]) => kind), ['replace']);               // no extra history entry
+
+  // a modal for someone unknown is dropped the same way
+  restore('#person=boaz&modal=bio&id=nobody_at_all');
+  assert.strictEqual(route(location.hash).person, 'boaz');
+  assert.strictEqual(route(location.hash).modal, null);
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+// Scripture query detection and the Figures Explorer filters.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, readDataset } = require('./helpers/app.js');
+
+const figuresFile = readDataset('biblical_figures.json');
+const app = loadApp({ genealogy: readDataset('biblical_genealogy.json'), figures: figuresFile });
+
+// Sets currentFilters (search is lower-cased, as setExplorerFilters does) and returns matching ids
+function filtered(filters) {
+  app.window.__filters = Object.assign({ category: 'all', period: 'all', search: '' }, filters);
+  return app.run('currentFilters = __filters; getFilteredFigures().map(([id]) => id)');
+}
+
+test('isScriptureQuery accepts references and leaves names alone', () => {
+  for (const q of ['Genesis 5', '1 Samuel 17', 'Matt 1', 'Rom 11:17', '1 Kings 17-19', 'John 3:16']) {
+    assert.strictEqual(app.window.isScriptureQuery(q), true, q);
+  }
+  for (const q of ['Abraham', 'David', 'Ruth', 'Job', '', 'Son of David']) {
+    assert.strictEqual(app.window.isScriptureQuery(q), false, q);
+  }
+});
+
+test('getFilteredFigures with no filters returns every figure', () => {
+  assert.strictEqual(filtered({}).length, Object.keys(figuresFile.figures).length);
+});
+
+test('getFilteredFigures filters by category and period', () => {
+  const prophets = [...filtered({ category: 'Prophets' })];
+  assert.ok(prophets.length > 0);
+  assert.ok(prophets.every(id => figuresFile.figures[id].category === 'Prophets'));
+
+  const nt = [...filtered({ period: 'nt' })];
+  assert.ok(nt.includes('peter'));
+  assert.ok(nt.every(id => /new testament/i.test(figuresFile.figures[id].time_period)));
+
+  const both = [...filtered({ category: 'Prophets', period: 'divided' })];
+  assert.ok(both.includes('elijah'));
+  assert.ok(both.every(id => prophets.includes(id)));
+});
+
+test('getFilteredFigures searches names, bios and stories', () => {
+  assert.ok(filtered({ search: 'elijah' }).includes('elijah'));
+  const story = figuresFile.figures.elijah.popular_stories[0].toLowerCase();
+  assert.ok(filtered({ search: story }).includes('elijah'));
+  assert.strictEqual(filtered({ search: 'zzzz no figure says this' }).length, 0);
+});
+
+test('getFilteredFigures tolerates figures with missing fields', () => {
+  const sparse = loadApp({ figures: { figures: { anon: { name: 'Anonymous', category: 'Minor Figures' } } } });
+  sparse.window.__filters = { category: 'all', period: 'nt', search: 'anon' };
+  assert.strictEqual(sparse.run('currentFilters = __filters; getFilteredFigures().length'), 0);
+  sparse.window.__filters = { category: 'Minor Figures', period: 'all', search: 'anon' };
+  assert.strictEqual(sparse.run('currentFilters = __filters; getFilteredFigures().length'), 1);
+});
+
+test('getFilteredFigures takes several categories, any parsed era and a century range', () => {
+  const periodOf = id => figuresFile.figures[id].time_period;
+  const two = [...filtered({ category: ['Prophets', 'Kings'] })];
+  assert.ok(two.includes('elijah') && two.includes('ahab'));
+  assert.ok(two.every(id => ['Prophets', 'Kings'].includes(figuresFile.figures[id].category)));
+
+  for (const [era, pattern] of [['patriarchal', /patriarchal/i], ['postexilic', /persian/i], ['united', /united kingdom/i]]) {
+    const ids = [...filtered({ period: era })];
+    assert.ok(ids.length > 0, era);
+    assert.ok(ids.every(id => pattern.test(periodOf(id))), era);
+  }
+
+  const ninth = [...filtered({ centuries: [-9, -9] })];
+  assert.ok(ninth.includes('elijah') && !ninth.includes('peter') && !ninth.includes('daniel'));
+  const late = [...filtered({ centuries: [-1, 1] })];
+  assert.ok(late.includes('peter'));
+  assert.ok(late.every(id => /1st century/.test(periodOf(id))));
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+// sw.js in a vm context with an in-memory Cache API and a fake server:
+// precaching, stale-while-revalidate, update messages and offline use.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const BASE = 'http://app.test/';
+const source = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+
+const urlOf = input => new URL(typeof input === 'string' ? input : input.url, BASE);
+
+function createCaches() {
+  const stores = new Map();
+  const makeCache = () => {
+    const entries = new Map();
+    const key = (request, ignoreSearch) => {
+      const url = urlOf(request);
+      if (ignoreSearch) url.search = '';
+      return url.href;
+    };
+    return {
+      entries,
+      async match(request, options = {}) {
+        const hit = entries.get(key(request, options.ignoreSearch));
+        return hit ? hit.clone() : undefined;
+      },
+      async put(request, response) { entries.set(key(request), response); },
+      async addAll(requests) {
+        for (const request of requests) {
+          const response = await worker.fetch(request);
+          if (!response.ok) throw new Error(`Precache failed: ${request.url}`);
+          entries.set(key(request), response);
+        }
+      }
+    };
+  };
+  let worker = null;
+  return {
+    bind(w) { worker = w; },
+    async open(name) {
+      if (!stores.has(name)) stores.set(name, makeCache());
+      return stores.get(name);
+    },
+    async keys() { return [...stores.keys()]; },
+    async delete(name) { return stores.delete(name); }
+  };
+}
+
+// The server answers with the repo's files; `server.files` overrides (or, with null, removes) a path
+function startWorker() {
+  const server = { files: {}, online: true };
+  const listeners = {};
+  const messages = [];
+  const caches = createCaches();
+  const fetch = async input => {
+    const url = urlOf(input);
+    if (!server.online) throw new TypeError('Failed to fetch');
+    const file = url.pathname === '/' ? 'index.html' : url.pathname.slice(1);
+    const body = file in server.files ? server.files[file] : (fs.existsSync(path.join(ROOT, file)) ? fs.readFileSync(path.join(ROOT, file), 'utf8') : null);
+    const response = body === null ? new Response('Not found', { status: 404 }) : new Response(body);
+    Object.defineProperty(response, 'type', { value: 'basic' });
+    return response;
+  };
+  class WorkerRequest extends Request {
+    constructor(input, init) { super(typeof input === 'string' ? urlOf(input) : input, init); }
+  }
+  const self = {
+    location: new URL('sw.js', BASE),
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+    skipWaiting: async () => {},
+    clients: {
+      claim: async () => {},
+      matchAll: async () => [{ postMessage: message => messages.push({ ...message }) }]
+    }
+  };
+  const context = vm.createContext({ self, caches, fetch, Request: WorkerRequest, Response, URL, console });
+  caches.bind({ fetch });
+  vm.runInContext(source, context, { filename: 'sw.js' });
+
+  // Dispatches an event the way the browser does and waits for everything it extended
+  const dispatch = async (type, fields = {}) => {
+    const waits = [];
+    let response = null;
+    const event = Object.assign({
+      waitUntil: p => waits.push(p),
+      respondWith: p => { response = p; }
+    }, fields);
+    listeners[type](event);
+    const result = response ? await response : undefined;
+    for (let i = 0; i < waits.length; i++) await waits[i]; // waitUntil may be called while settling
+    return result;
+  };
+  const get = async (url, init) => {
+    const response = await dispatch('fetch', { request: typeof url === 'string' ? new WorkerRequest(url, init) : url });
+    return response ? response.text() : null;
+  };
+  return { server, caches, messages, dispatch, get, cacheName: vm.runInContext('CACHE_NAME', context) };
+}
+
+test('install precaches the page, scripts and data; activate drops older caches', async () => {
+  const sw = startWorker();
+  await sw.caches.open('biblical-genealogy-app-v0');
+  await sw.caches.open('someone-elses-cache');
+  await sw.dispatch('install');
+  await sw.dispatch('activate');
+  assert.deepStrictEqual(await sw.caches.keys(), ['someone-elses-cache', sw.cacheName]);
+
+  const cached = [...(await sw.caches.open(sw.cacheName)).entries.keys()].map(url => new URL(url).pathname);
+  for (const file of ['/', '/index.html', '/app.js', '/style.css', '/biblical_genealogy.json', '/biblical_figures.json', '/dataset-edits.js']) {
+    assert.ok(cached.includes(file), file);
+  }
+  // everything index.html loads is in the list
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  for (const [, file] of html.matchAll(/(?:src|href)="([^"#:]+)"/g)) assert.ok(cached.includes('/' + file), file);
+});
+
+test('cached files are served at once and refreshed behind, with a message when they changed', async () => {
+  const sw = startWorker();
+  await sw.dispatch('install');
+  const original = fs.readFileSync(path.join(ROOT, 'biblical_figures.json'), 'utf8');
+
+  assert.strictEqual(await sw.get('biblical_figures.json', { cache: 'no-store' }), original);
+  assert.deepStrictEqual(sw.messages, []);
+
+  sw.server.files['biblical_figures.json'] = '{"figures":{}}';
+  assert.strictEqual(await sw.get('biblical_figures.json?v=2'), original); // stale first
+  assert.deepStrictEqual(sw.messages, [{ type: 'update-available', file: 'biblical_figures.json' }]);
+  assert.strictEqual(await sw.get('biblical_figures.json'), '{"figures":{}}'); // then the refreshed copy
+  assert.strictEqual(sw.messages.length, 1);
+});
+
+test('offline, the cached copies still answer, and any page address gets index.html', async () => {
+  const sw = startWorker();
+  await sw.dispatch('install');
+  sw.server.online = false;
+  assert.strictEqual(await sw.get('app.js'), fs.readFileSync(path.join(ROOT, 'app.js'), 'utf8'));
+  const page = await sw.get({ url: `${BASE}explorer?from=home`, method: 'GET', mode: 'navigate' });
+  assert.match(page, /<title>Biblical Genealogy Explorer<\/title>/);
+
+  // other origins and non-GET requests are left to the browser
+  assert.strictEqual(await sw.get('https://elsewhere.test/data.json'), null);
+  assert.strictEqual(await sw.get('app.js', { method: 'POST', body: 'x' }), null);
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+// The nested-tree cache against an in-memory IndexedDB: the key follows the
+// exact JSON text, so an edit is a cache miss that rebuilds the tree and
+// replaces the old entry.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/app.js');
+
+// Just enough of IndexedDB for openCacheDb / withCacheStore: one database,
+// object stores keyed by keyPath, and requests that settle asynchronously
+function createIndexedDB() {
+  const stores = new Map();
+  const settle = (req, fn) => setTimeout(() => {
+    req.result = fn();
+    if (req.onsuccess) req.onsuccess();
+  });
+  const db = {
+    createObjectStore(name, { keyPath }) {
+      stores.set(name, { keyPath, rows: new Map() });
+      return { createIndex() {} };
+    },
+    transaction(name) {
+      const { keyPath, rows } = stores.get(name);
+      const pending = [];
+      const tx = {};
+      const request = fn => {
+        const req = {};
+        pending.push(new Promise(resolve => settle(req, () => { const r = fn(); resolve(); return r; })));
+        return req;
+      };
+      tx.objectStore = () => ({
+        get: key => request(() => (rows.has(key) ? structuredClone(rows.get(key)) : undefined)),
+        getAll: () => request(() => [...rows.values()].map(row => structuredClone(row))),
+        put: row => request(() => { rows.set(row[keyPath], structuredClone(row)); return row[keyPath]; }),
+        delete: key => request(() => { rows.delete(key); }),
+        clear: () => request(() => { rows.clear(); })
+      });
+      setTimeout(() => Promise.all(pending).then(() => tx.oncomplete && tx.oncomplete()));
+      return tx;
+    }
+  };
+  return {
+    stores,
+    open() {
+      const req = { result: db };
+      setTimeout(() => {
+        if (!stores.size && req.onupgradeneeded) req.onupgradeneeded();
+        if (req.onsuccess) req.onsuccess();
+      });
+      return req;
+    }
+  };
+}
+
+const genealogy = {
+  metadata: { version: '1' },
+  boaz: { name: 'Boaz', descendants: ['obed'] },
+  obed: { name: 'Obed', descendants: ['jesse'] },
+  jesse: { name: 'Jesse' }
+};
+
+function cachedApp() {
+  const app = loadApp({ genealogy });
+  const idb = createIndexedDB();
+  app.window.indexedDB = idb;
+  app.run(`
+    var __builds = 0;
+    const __build = buildNestedTree;
+    buildNestedTree = people => { __builds++; return __build(people); };
+  `);
+  const load = async text => {
+    app.window.__text = text;
+    return app.run(`
+      core.loadGenealogy(JSON.parse(__text));
+      getNestedWithCache(core.people, { data: JSON.parse(__text), text: __text });
+    `);
+  };
+  const rows = () => [...idb.stores.get('datasets').rows.values()];
+  return { app, load, rows, builds: () => app.run('__builds') };
+}
+
+test('the same JSON text is served from the cache without rebuilding', async () => {
+  const { app, load, rows, builds } = cachedApp();
+  const text = JSON.stringify(genealogy, null, 2);
+
+  const first = await load(text);
+  assert.strictEqual(builds(), 1);
+  assert.deepStrictEqual(rows().map(r => r.key), [`genealogy-nested:v${app.run('NESTED_BUILDER_VERSION')}:${app.run(`contentHash(${JSON.stringify(text)})`)}`]);
+  assert.strictEqual(rows()[0].people, 3);
+
+  const second = await load(text);
+  assert.strictEqual(builds(), 1);
+  assert.deepStrictEqual([...second].map(r => r.id), [...first].map(r => r.id));
+  assert.strictEqual(second[0].descendants[0].name, 'Obed');
+});
+
+test('an edited JSON text gets a new key, rebuilds the tree and replaces the old entry', async () => {
+  const { app, load, rows, builds } = cachedApp();
+  const original = JSON.stringify(genealogy, null, 2);
+  await load(original);
+  const oldKey = rows()[0].key;
+
+  const edited = original.replace('"name": "Obed"', '"name": "Obed the servant"');
+  assert.notStrictEqual(app.run(`contentHash(${JSON.stringify(edited)})`), app.run(`contentHash(${JSON.stringify(original)})`));
+
+  const tree = await load(edited);
+  assert.strictEqual(builds(), 2);
+  assert.strictEqual(tree[0].descendants[0].name, 'Obed the servant');
+  assert.strictEqual(rows().length, 1);
+  assert.notStrictEqual(rows()[0].key, oldKey);
+  assert.strictEqual(rows()[0].value[0].descendants[0].name, 'Obed the servant');
+
+  // reformatting alone is an edit too: the key is the exact text
+  await load(JSON.stringify(JSON.parse(edited)));
+  assert.strictEqual(builds(), 3);
+});
+
+test('without IndexedDB the tree is simply rebuilt', async () => {
+  const app = loadApp({ genealogy });
+  app.window.__text = JSON.stringify(genealogy);
+  const tree = await app.run('getNestedWithCache(core.people, { data: JSON.parse(__text), text: __text })');
+  assert.deepStrictEqual([...tree].map(r => r.id), ['boaz']);
+});
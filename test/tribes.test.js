@@ -0,0 +1,95 @@
+'use strict';
+
+// Tribe derivation as app.js runs it: the nearest son of Jacob up the parent
+// links, the Ephraim / Manasseh half-tribes, people with no tribe, figures
+// placed by their bio, and the tribe filter on search and descendant lists.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Event } = require('./helpers/dom.js');
+const { loadApp, readDataset } = require('./helpers/app.js');
+
+const body = '<div id="tree-root"></div><div id="breadcrumb"></div><div id="infoModal"><div id="person-info"></div></div>';
+const real = loadApp({ genealogy: readDataset('biblical_genealogy.json'), figures: readDataset('biblical_figures.json'), body });
+
+const tribeKey = (app, id) => app.run(`(tribeOf(${JSON.stringify(id)}) || { key: null }).key`);
+const shownIds = app => app.document.getElementById('person-info').querySelectorAll('.search-result-item')
+  .map(el => el.dataset.personId || el.dataset.figureId);
+
+test('a person takes the tribe of the nearest son of Jacob above them', () => {
+  assert.strictEqual(tribeKey(real, 'judah'), 'judah');
+  assert.strictEqual(tribeKey(real, 'david'), 'judah');
+  assert.strictEqual(tribeKey(real, 'aaron'), 'levi');
+  assert.strictEqual(tribeKey(real, 'benjamin'), 'benjamin');
+});
+
+test("Joseph's line splits into the half-tribes of Ephraim and Manasseh", () => {
+  assert.strictEqual(tribeKey(real, 'joseph'), 'joseph');
+  assert.strictEqual(tribeKey(real, 'ephraim'), 'ephraim');
+  assert.strictEqual(tribeKey(real, 'bered'), 'ephraim');
+  assert.strictEqual(tribeKey(real, 'manasseh_joseph'), 'manasseh');
+  assert.strictEqual(tribeKey(real, 'machir'), 'manasseh');
+  assert.strictEqual(real.run("tribeOf('machir').half"), true);
+  assert.match(real.run("tribeBadge('machir')"), /title="Tribe of Manasseh \(half-tribe\)"/);
+});
+
+test('people above or outside the sons of Jacob have no tribe', () => {
+  for (const id of ['adam', 'abraham', 'isaac', 'jacob', 'esau', 'no_such_person']) {
+    assert.strictEqual(tribeKey(real, id), null, id);
+  }
+  assert.strictEqual(real.run("tribeBadge('jacob')"), '');
+});
+
+test('fathers are followed before mothers, and a mother only when no father line reaches a tribe', () => {
+  const app = loadApp({ body, genealogy: {
+    levi: { name: 'Levi', descendants: ['amram'] }, judah: { name: 'Judah', descendants: ['elisheba_mother'] },
+    amram: { name: 'Amram', descendants: ['child'] },
+    elisheba_mother: { name: 'Mother', sex: 'female', descendants: ['child', 'half'] },
+    stranger: { name: 'Stranger', descendants: ['half'] },
+    child: { name: 'Child' }, half: { name: 'Half' }
+  } });
+  assert.strictEqual(tribeKey(app, 'child'), 'levi');   // father's line, though the mother is of Judah
+  assert.strictEqual(tribeKey(app, 'half'), 'judah');   // the father's line reaches no son of Jacob
+  assert.strictEqual(tribeKey(app, 'stranger'), null);
+});
+
+test('figures outside the genealogy take a tribe their bio names', () => {
+  assert.strictEqual(tribeKey(real, 'samson'), 'dan');        // "tribe of Dan"
+  assert.strictEqual(tribeKey(real, 'gideon'), 'manasseh');   // "tribe of Manasseh"
+  assert.strictEqual(tribeKey(real, 'mordecai'), 'benjamin'); // "a Benjamite"
+  assert.strictEqual(tribeKey(real, 'barnabas'), 'levi');     // "a Levite"
+  assert.strictEqual(tribeKey(real, 'peter'), null);
+});
+
+test('the descendants list filters by tribe, and the picker offers only tribes in the list', () => {
+  real.run("showDescendants(peopleById.joseph, 'ephraim')");
+  const ephraimites = shownIds(real);
+  assert.ok(ephraimites.includes('bered'));
+  assert.ok(ephraimites.every(id => tribeKey(real, id) === 'ephraim'));
+
+  const picker = real.document.getElementById('person-info').querySelector('.result-tribe-filter select');
+  const options = picker.querySelectorAll('option').map(o => o.getAttribute('value'));
+  assert.deepStrictEqual(options, ['', 'ephraim', 'manasseh']);
+
+  picker.value = 'manasseh';
+  picker.dispatchEvent(new Event('change'));
+  const manassites = shownIds(real);
+  assert.ok(manassites.includes('machir'));
+  assert.ok(manassites.every(id => tribeKey(real, id) === 'manasseh'));
+
+  picker.value = '';
+  real.document.getElementById('person-info').querySelector('.result-tribe-filter select').dispatchEvent(new Event('change'));
+  assert.strictEqual(shownIds(real).length, ephraimites.length + manassites.length);
+});
+
+test('search results filter by tribe', () => {
+  real.run("smartSearch('1 Chr 7')");
+  const all = shownIds(real);
+  assert.ok(all.some(id => tribeKey(real, id) === 'ephraim') && all.some(id => tribeKey(real, id) !== 'ephraim'));
+
+  real.run("smartSearch('1 Chr 7', 'ephraim')");
+  const filtered = shownIds(real);
+  assert.ok(filtered.length > 0 && filtered.length < all.length);
+  assert.ok(filtered.every(id => tribeKey(real, id) === 'ephraim'));
+  assert.match(real.document.getElementById('person-info').querySelector('h2').textContent, new RegExp(`\\(${filtered.length}\\)$`));
+});
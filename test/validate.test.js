@@ -0,0 +1,100 @@
+'use strict';
+
+// The dataset validator: one small in-memory dataset per check, then
+// lineages.json members against both data files.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Validator = require('../validate.js');
+
+const codes = (report, code) => report.issues.filter(i => i.code === code);
+const found = (report, code) => codes(report, code).map(i => [i.severity, i.dataset, i.id]);
+
+test('descendant ids that match no person are errors', () => {
+  const report = Validator.validate({ genealogy: {
+    saul: { name: 'Saul', descendants: ['jonathan', 'michal'] }, jonathan: { name: 'Jonathan' }
+  } });
+  assert.deepStrictEqual(found(report, 'dangling-descendant'), [['error', 'genealogy', 'saul']]);
+  assert.match(codes(report, 'dangling-descendant')[0].message, /unknown descendant "michal"/);
+  assert.strictEqual(report.summary.error, 1);
+});
+
+test('descent cycles are reported once each', () => {
+  const report = Validator.validate({ genealogy: {
+    a: { name: 'A', descendants: ['b'] }, b: { name: 'B', descendants: ['c'] }, c: { name: 'C', descendants: ['a'] },
+    d: { name: 'D', descendants: ['e'] }, e: { name: 'E' }
+  } });
+  assert.deepStrictEqual(found(report, 'cycle'), [['error', 'genealogy', 'a']]);
+  assert.match(codes(report, 'cycle')[0].message, /a → b → c → a$/);
+});
+
+test('people with no parents, children or spouses are orphans', () => {
+  const report = Validator.validate({ genealogy: {
+    boaz: { name: 'Boaz', spouses: ['ruth'], descendants: ['obed'] }, ruth: { name: 'Ruth' }, obed: { name: 'Obed' },
+    nogah: { name: 'Nogah', descendants: [] }
+  } });
+  assert.deepStrictEqual(found(report, 'orphan'), [['warning', 'genealogy', 'nogah']]);
+});
+
+test('display names shared within a file are duplicates, case and punctuation aside', () => {
+  const report = Validator.validate({
+    genealogy: { joseph: { name: 'Joseph' }, joseph_nt: { name: 'joseph.' }, jacob: { name: 'Jacob', descendants: ['joseph'] } },
+    figures: { figures: { mary: { name: 'Mary' }, mary_magdalene: { name: 'Mary Magdalene' } } }
+  });
+  assert.deepStrictEqual(found(report, 'duplicate-name'), [['warning', 'genealogy', 'joseph']]);
+  assert.match(codes(report, 'duplicate-name')[0].message, /shared by: joseph, joseph_nt$/);
+});
+
+test('two fathers by birth are flagged; a mother or a legal parent is not', () => {
+  const report = Validator.validate({ genealogy: {
+    lamech: { name: 'Lamech', descendants: ['noah'] }, lamech_noah: { name: 'Lamech', descendants: ['noah'] }, noah: { name: 'Noah' },
+    joseph_nt: { name: 'Joseph', descendants: ['jesus'] }, mary: { name: 'Mary', sex: 'female', descendants: ['jesus'] },
+    jesus: { name: 'Jesus', parents: [{ id: 'joseph_nt', type: 'legal' }] }
+  } });
+  assert.deepStrictEqual(found(report, 'multiple-parents'), [['warning', 'genealogy', 'noah']]);
+  assert.match(codes(report, 'multiple-parents')[0].message, /2 biological parents listed as father: lamech, lamech_noah$/);
+});
+
+test('related_figures must exist and should be listed both ways', () => {
+  const report = Validator.validate({
+    genealogy: { david: { name: 'David' } },
+    figures: { figures: {
+      elijah: { name: 'Elijah', related_figures: ['elisha', 'john_baptist', 'david', 'ahab'] },
+      elisha: { name: 'Elisha', related_figures: ['elijah'] },
+      john_baptist: { name: 'John the Baptist', related_figures: [] }
+    } }
+  });
+  assert.deepStrictEqual(found(report, 'non-reciprocal-related'), [['warning', 'figures', 'elijah']]);
+  assert.match(codes(report, 'non-reciprocal-related')[0].message, /"elijah" lists "john_baptist" but "john_baptist" does not list "elijah"/);
+  assert.deepStrictEqual(found(report, 'dangling-related'), [['error', 'figures', 'elijah']]);
+  assert.match(codes(report, 'dangling-related')[0].message, /unknown related figure "ahab"/);
+});
+
+test('metadata counts must match the entries in each file', () => {
+  const genealogy = { metadata: { entries_count: 3 }, adam: { name: 'Adam', descendants: ['seth'] }, seth: { name: 'Seth' } };
+  const figures = { metadata: { total_entries: 1 }, figures: { elijah: { name: 'Elijah' }, elisha: { name: 'Elisha' } } };
+  const report = Validator.validate({ genealogy, figures });
+  assert.deepStrictEqual(found(report, 'metadata-count'), [['warning', 'genealogy', 'metadata'], ['warning', 'figures', 'metadata']]);
+  assert.deepStrictEqual(codes(report, 'metadata-count').map(i => i.message), [
+    'metadata.entries_count is 3 but the file has 2 people',
+    'metadata.total_entries is 1 but the file has 2 figures'
+  ]);
+
+  genealogy.metadata.entries_count = 2;
+  figures.metadata.total_entries = 2;
+  assert.deepStrictEqual(codes(Validator.validate({ genealogy, figures }), 'metadata-count'), []);
+});
+
+test('lineage members must name a person or figure unless listed by name', () => {
+  const report = Validator.validate({
+    genealogy: { abraham: { name: 'Abraham', descendants: ['isaac'] }, isaac: { name: 'Isaac' } },
+    figures: { figures: { melchizedek: { name: 'Melchizedek' } } },
+    lineages: { lineages: {
+      line: { members: ['abraham', 'isaac', 'melchizedek', 'jakob', { id: 'heli', name: 'Heli' }, { id: 'isaac', name: 'Isaac' }] }
+    } }
+  });
+  assert.deepStrictEqual(codes(report, 'dangling-lineage-member').map(i => [i.severity, i.id, i.message]),
+    [['error', 'line', 'Line "line" lists unknown member "jakob"']]);
+  assert.deepStrictEqual(codes(report, 'lineage-by-name').map(i => i.severity), ['info']);
+  assert.match(codes(report, 'lineage-by-name')[0].message, /by name only \(1\): Heli$/);
+});
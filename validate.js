@@ -0,0 +1,426 @@
+// ============================================================
+// Dataset Validator
+// - Checks biblical_genealogy.json and biblical_figures.json for the
+//   mistakes hand edits tend to introduce (dangling IDs, cycles, orphans,
+//   duplicate names/keys, one-way related_figures, stale metadata,
+//   malformed lifespans / reigns / ages at fathering / reign and ministry dates,
+//   lineages.json members that match nothing)
+// - Works as a plain <script> (window.Validator) and in Node (require)
+// - CLI: node validate.js [--json] [genealogy.json] [figures.json] [index.html] [lineages.json]
+// ============================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./scripture.js'));
+  else root.Validator = factory(root.Scripture);
+})(typeof self !== 'undefined' ? self : this, function (Scripture) {
+  'use strict';
+
+  const SEVERITIES = ['error', 'warning', 'info'];
+
+  function entriesOf(data) {
+    const out = [];
+    for (const id in data || {}) {
+      if (!Object.prototype.hasOwnProperty.call(data, id) || id === 'metadata') continue;
+      out.push([id, data[id]]);
+    }
+    return out;
+  }
+
+  function linkId(entry) {
+    return typeof entry === 'string' ? entry : (entry && entry.id) || null;
+  }
+
+  // 930 or { "mt": 930, "lxx": 930 } (either text may be left out of the pair)
+  function isYears(value) {
+    const valid = n => typeof n === 'number' && Number.isFinite(n) && n >= 0;
+    if (valid(value)) return true;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every(k => (k === 'mt' || k === 'lxx') && valid(value[k]));
+  }
+
+  // An age at fathering: years as above, optionally with a `via` generation
+  // { "name": "Cainan", "lxx": 130 } that some texts put between parent and child
+  function isFatheringYears(value) {
+    if (!value || typeof value !== 'object' || value.via === undefined) return isYears(value);
+    const { via, ...years } = value;
+    const ages = via && typeof via === 'object' ? Object.assign({}, via) : null;
+    if (!ages || typeof ages.name !== 'string' || !ages.name.trim()) return false;
+    delete ages.name;
+    return isYears(years) && isYears(ages);
+  }
+
+  // [874, 853]: first and last year BC
+  function isSpanBC(value) {
+    return Array.isArray(value) && value.length === 2 &&
+      value.every(n => typeof n === 'number' && Number.isFinite(n) && n > 0) && value[0] >= value[1];
+  }
+
+  function normalizeName(str) {
+    return String(str || '').toLowerCase().replace(/[\p{P}\p{S}]+/gu, '').replace(/\s+/g, ' ').trim();
+  }
+
+  /*
+    findDuplicateKeys(text) -> [{ key, path }]
+    JSON.parse keeps only the last of two identical keys, so duplicates can
+    only be seen in the raw text. This scans it with a minimal tokenizer.
+  */
+  function findDuplicateKeys(text) {
+    const dups = [];
+    const stack = []; // { keys: Set, path, isObject, lastKey }
+    let i = 0;
+    const src = String(text || '');
+
+    const readString = () => {
+      let out = '';
+      i++; // opening quote
+      while (i < src.length && src[i] !== '"') {
+        if (src[i] === '\\') { out += src[i + 1]; i += 2; continue; }
+        out += src[i++];
+      }
+      i++; // closing quote
+      return out;
+    };
+
+    while (i < src.length) {
+      const ch = src[i];
+      if (ch === '"') {
+        const str = readString();
+        const top = stack[stack.length - 1];
+        let j = i;
+        while (/\s/.test(src[j] || '')) j++;
+        if (top && top.isObject && src[j] === ':') {
+          if (top.keys.has(str)) dups.push({ key: str, path: top.path || '(root)' });
+          top.keys.add(str);
+          top.lastKey = str;
+        }
+      } else if (ch === '{' || ch === '[') {
+        const parent = stack[stack.length - 1];
+        const path = parent ? [parent.path, parent.isObject ? parent.lastKey : '[]'].filter(Boolean).join('.') : '';
+        stack.push({ keys: new Set(), path, isObject: ch === '{', lastKey: null });
+        i++;
+      } else if (ch === '}' || ch === ']') {
+        stack.pop();
+        i++;
+      } else {
+        i++;
+      }
+    }
+    return dups;
+  }
+
+  /*
+    validate({ genealogy, figures, lineages, genealogyText, figuresText, categoryOptions })
+    - genealogy / figures / lineages: parsed JSON (any may be omitted)
+    - *Text: the raw file text, enables the duplicate-key check
+    - categoryOptions: category values offered by the UI dropdown, if known
+    Returns { issues, summary, stats }; each issue is
+    { severity, code, dataset, id, message }.
+  */
+  function validate(input) {
+    const opts = input || {};
+    const issues = [];
+    const add = (severity, code, dataset, id, message) => issues.push({ severity, code, dataset, id: id || null, message });
+
+    const rawGenealogy = opts.genealogy && opts.genealogy.genealogy ? opts.genealogy.genealogy : (opts.genealogy || {});
+    const people = Object.fromEntries(entriesOf(rawGenealogy).filter(([, v]) => v && typeof v === 'object'));
+    const figuresFile = opts.figures || {};
+    const figures = figuresFile.figures || {};
+    const exists = id => Boolean(people[id] || figures[id]);
+
+    // kingdom / reign_bc / ministry_bc, which either file may carry (the reign timeline)
+    const checkDates = (dataset, id, entity) => {
+      for (const field of ['reign_bc', 'ministry_bc']) {
+        if (entity[field] !== undefined && !isSpanBC(entity[field])) {
+          add('error', 'invalid-field', dataset, id, `"${id}".${field} is not [first year BC, last year BC]`);
+        }
+      }
+      if (entity.kingdom !== undefined && entity.kingdom !== 'judah' && entity.kingdom !== 'israel') {
+        add('warning', 'invalid-field', dataset, id, `"${id}".kingdom is "${entity.kingdom}", not "judah" or "israel"`);
+      } else if (entity.reign_bc !== undefined && entity.kingdom === undefined) {
+        add('warning', 'missing-field', dataset, id, `"${id}" has reign_bc but no kingdom, so it is left off the reign timeline`);
+      }
+    };
+
+    // ---------- Genealogy ----------
+    if (opts.genealogyText) {
+      for (const d of findDuplicateKeys(opts.genealogyText)) {
+        add('error', 'duplicate-key', 'genealogy', d.key, `Key "${d.key}" appears more than once in ${d.path}; only the last copy is used`);
+      }
+    }
+
+    const children = {};  // parentId -> Set(childId)
+    const parents = {};   // childId -> [{ id, role, type }]
+    const linked = new Set();
+    const addParent = (childId, parentId, role, type) => {
+      if (!children[parentId]) children[parentId] = new Set();
+      children[parentId].add(childId);
+      if (!parents[childId]) parents[childId] = [];
+      const existing = parents[childId].find(p => p.id === parentId);
+      if (existing) {
+        if (role === 'mother') existing.role = 'mother';
+        if (type !== 'biological') existing.type = type;
+      } else {
+        parents[childId].push({ id: parentId, role, type });
+      }
+      linked.add(childId); linked.add(parentId);
+    };
+
+    for (const [id, p] of Object.entries(people)) {
+      if (!p.name) add('warning', 'missing-field', 'genealogy', id, `"${id}" has no name`);
+      if (!p.scripture) add('info', 'missing-field', 'genealogy', id, `"${id}" has no scripture references`);
+      if (p.descendants !== undefined && !Array.isArray(p.descendants)) {
+        add('error', 'invalid-field', 'genealogy', id, `"${id}".descendants is not an array`);
+      }
+
+      for (const childId of Array.isArray(p.descendants) ? p.descendants : []) {
+        if (!people[childId]) add('error', 'dangling-descendant', 'genealogy', id, `"${id}" lists unknown descendant "${childId}"`);
+        else addParent(childId, id, 'parent', 'biological');
+      }
+      for (const entry of Array.isArray(p.parents) ? p.parents : []) {
+        const pid = linkId(entry);
+        if (!people[pid]) add('error', 'dangling-parent', 'genealogy', id, `"${id}" lists unknown parent "${pid}"`);
+        else addParent(id, pid, 'parent', (entry && entry.type) || 'biological');
+      }
+      if (p.mother !== undefined) {
+        const mid = linkId(p.mother);
+        if (!people[mid]) add('error', 'dangling-mother', 'genealogy', id, `"${id}" names unknown mother "${mid}"`);
+        else addParent(id, mid, 'mother', (p.mother && p.mother.type) || 'biological');
+      }
+      for (const entry of Array.isArray(p.spouses) ? p.spouses : []) {
+        const sid = linkId(entry);
+        if (!people[sid]) add('error', 'dangling-spouse', 'genealogy', id, `"${id}" lists unknown spouse "${sid}"`);
+        else { linked.add(id); linked.add(sid); }
+      }
+
+      if (Scripture && p.scripture) {
+        const { unparsed } = Scripture.parseDetailed(p.scripture);
+        if (unparsed.length) add('info', 'unparsed-scripture', 'genealogy', id, `"${id}" has references the parser cannot read: ${unparsed.join(' | ')}`);
+      }
+
+      for (const field of ['lifespan', 'reign_years']) {
+        if (p[field] !== undefined && !isYears(p[field])) {
+          add('error', 'invalid-field', 'genealogy', id, `"${id}".${field} is not a number of years or an { "mt", "lxx" } pair`);
+        }
+      }
+      checkDates('genealogy', id, p);
+      if (p.age_at_fathering !== undefined && (!p.age_at_fathering || typeof p.age_at_fathering !== 'object' || Array.isArray(p.age_at_fathering))) {
+        add('error', 'invalid-field', 'genealogy', id, `"${id}".age_at_fathering is not an object of child IDs`);
+      }
+    }
+
+    // Ages at fathering only date children this person is actually linked to
+    for (const [id, p] of Object.entries(people)) {
+      const ages = p.age_at_fathering && typeof p.age_at_fathering === 'object' ? p.age_at_fathering : {};
+      for (const [childId, years] of Object.entries(ages)) {
+        if (!isFatheringYears(years)) {
+          add('error', 'invalid-field', 'genealogy', id, `"${id}".age_at_fathering.${childId} is not a number of years or an { "mt", "lxx" } pair (with an optional "via")`);
+        } else if (!(children[id] && children[id].has(childId))) {
+          add('warning', 'fathering-not-child', 'genealogy', id, `"${id}" gives an age at fathering "${childId}", who is not recorded as their child`);
+        }
+      }
+    }
+
+    // More than one father-side biological parent usually means a copy/paste slip
+    for (const [id, list] of Object.entries(parents)) {
+      const fathers = list.filter(l => l.role !== 'mother' && l.type === 'biological' && people[l.id].sex !== 'female');
+      if (fathers.length > 1) {
+        add('warning', 'multiple-parents', 'genealogy', id,
+          `"${id}" has ${fathers.length} biological parents listed as father: ${fathers.map(f => f.id).join(', ')}`);
+      }
+    }
+
+    // Cycles: depth-first over parent -> child edges
+    const state = {}; // undefined = new, 1 = on stack, 2 = done
+    const reported = new Set();
+    const visit = (id, trail) => {
+      state[id] = 1;
+      trail.push(id);
+      for (const childId of children[id] || []) {
+        if (state[childId] === 1) {
+          const cycle = trail.slice(trail.indexOf(childId)).concat(childId);
+          const key = cycle.slice(0, -1).sort().join('|');
+          if (!reported.has(key)) {
+            reported.add(key);
+            add('error', 'cycle', 'genealogy', childId, `Descent cycle: ${cycle.join(' → ')}`);
+          }
+        } else if (!state[childId]) {
+          visit(childId, trail);
+        }
+      }
+      trail.pop();
+      state[id] = 2;
+    };
+    for (const id of Object.keys(people)) if (!state[id]) visit(id, []);
+
+    for (const id of Object.keys(people)) {
+      if (!linked.has(id)) add('warning', 'orphan', 'genealogy', id, `"${id}" has no parents, children or spouses`);
+    }
+
+    const byName = {};
+    for (const [id, p] of Object.entries(people)) {
+      const key = normalizeName(p.name || id);
+      (byName[key] = byName[key] || []).push(id);
+    }
+    for (const ids of Object.values(byName)) {
+      if (ids.length > 1) {
+        add('warning', 'duplicate-name', 'genealogy', ids[0], `Display name "${people[ids[0]].name}" is shared by: ${ids.join(', ')}`);
+      }
+    }
+
+    const genealogyMeta = rawGenealogy.metadata || {};
+    const peopleCount = Object.keys(people).length;
+    if (genealogyMeta.entries_count !== undefined && genealogyMeta.entries_count !== peopleCount) {
+      add('warning', 'metadata-count', 'genealogy', 'metadata',
+        `metadata.entries_count is ${genealogyMeta.entries_count} but the file has ${peopleCount} people`);
+    }
+
+    // ---------- Figures ----------
+    if (opts.figuresText) {
+      for (const d of findDuplicateKeys(opts.figuresText)) {
+        add('error', 'duplicate-key', 'figures', d.key, `Key "${d.key}" appears more than once in ${d.path}; only the last copy is used`);
+      }
+    }
+
+    const figureMeta = figuresFile.metadata || {};
+    const metaCategories = Array.isArray(figureMeta.categories) ? figureMeta.categories : [];
+    const usedCategories = new Set();
+
+    for (const [id, f] of Object.entries(figures)) {
+      for (const field of ['name', 'category', 'time_period', 'bio', 'scripture']) {
+        if (!f || !f[field]) add('warning', 'missing-field', 'figures', id, `"${id}" has no ${field}`);
+      }
+      if (!f) continue;
+      checkDates('figures', id, f);
+      if (f.category) usedCategories.add(f.category);
+      if (f.category && metaCategories.length && !metaCategories.includes(f.category)) {
+        add('warning', 'unknown-category', 'figures', id, `"${id}" uses category "${f.category}" which metadata.categories does not list`);
+      }
+
+      for (const rid of Array.isArray(f.related_figures) ? f.related_figures : []) {
+        if (!exists(rid)) {
+          add('error', 'dangling-related', 'figures', id, `"${id}" lists unknown related figure "${rid}"`);
+        } else if (figures[rid] && !(figures[rid].related_figures || []).includes(id)) {
+          add('warning', 'non-reciprocal-related', 'figures', id, `"${id}" lists "${rid}" but "${rid}" does not list "${id}"`);
+        }
+      }
+
+      if (Scripture && f.scripture) {
+        const { unparsed } = Scripture.parseDetailed(f.scripture);
+        if (unparsed.length) add('info', 'unparsed-scripture', 'figures', id, `"${id}" has references the parser cannot read: ${unparsed.join(' | ')}`);
+      }
+    }
+
+    const figureNames = {};
+    for (const [id, f] of Object.entries(figures)) {
+      const key = normalizeName(f && f.name || id);
+      (figureNames[key] = figureNames[key] || []).push(id);
+    }
+    for (const ids of Object.values(figureNames)) {
+      if (ids.length > 1) add('warning', 'duplicate-name', 'figures', ids[0], `Display name "${figures[ids[0]].name}" is shared by: ${ids.join(', ')}`);
+    }
+
+    const figureCount = Object.keys(figures).length;
+    if (figureMeta.total_entries !== undefined && figureMeta.total_entries !== figureCount) {
+      add('warning', 'metadata-count', 'figures', 'metadata',
+        `metadata.total_entries is ${figureMeta.total_entries} but the file has ${figureCount} figures`);
+    }
+    for (const cat of metaCategories) {
+      if (!usedCategories.has(cat)) add('info', 'unused-category', 'figures', 'metadata', `metadata.categories lists "${cat}" but no figure uses it`);
+    }
+    if (Array.isArray(opts.categoryOptions)) {
+      for (const cat of new Set([...metaCategories, ...usedCategories])) {
+        if (!opts.categoryOptions.includes(cat)) {
+          add('warning', 'category-not-in-dropdown', 'figures', 'metadata', `Category "${cat}" is missing from the category dropdown`);
+        }
+      }
+    }
+
+    // ---------- Lineages ----------
+    // A bare ID must name a person or figure; { id, name } lists someone in neither file by name
+    const rawLineages = opts.lineages && opts.lineages.lineages ? opts.lineages.lineages : (opts.lineages || {});
+    for (const [lineId, line] of entriesOf(rawLineages)) {
+      const byName = [];
+      for (const member of line && Array.isArray(line.members) ? line.members : []) {
+        const id = linkId(member);
+        if (!id || exists(id)) continue;
+        if (typeof member === 'object' && member.name) byName.push(member.name);
+        else add('error', 'dangling-lineage-member', 'lineages', lineId, `Line "${lineId}" lists unknown member "${id}"`);
+      }
+      if (byName.length) {
+        add('info', 'lineage-by-name', 'lineages', lineId, `Line "${lineId}" lists people in neither dataset by name only (${byName.length}): ${byName.join(', ')}`);
+      }
+    }
+
+    const summary = Object.fromEntries(SEVERITIES.map(s => [s, issues.filter(i => i.severity === s).length]));
+    issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.code.localeCompare(b.code));
+    return {
+      summary,
+      stats: { people: peopleCount, figures: figureCount },
+      issues
+    };
+  }
+
+  // Plain-text report, grouped by severity then check
+  function formatText(report) {
+    const lines = [];
+    const { summary, stats } = report;
+    lines.push(`Dataset validation — ${stats.people} people, ${stats.figures} figures`);
+    lines.push(`${summary.error} error(s), ${summary.warning} warning(s), ${summary.info} note(s)`);
+    for (const severity of SEVERITIES) {
+      const group = report.issues.filter(i => i.severity === severity);
+      if (!group.length) continue;
+      lines.push('', `== ${severity.toUpperCase()}S ==`);
+      let lastCode = null;
+      for (const issue of group) {
+        if (issue.code !== lastCode) {
+          lines.push(`-- ${issue.code} (${group.filter(i => i.code === issue.code).length})`);
+          lastCode = issue.code;
+        }
+        lines.push(`   [${issue.dataset}] ${issue.message}`);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  const api = { validate, formatText, findDuplicateKeys };
+
+  // ---------- CLI ----------
+  if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+    const fs = require('fs');
+    const path = require('path');
+    const args = process.argv.slice(2);
+    const asJson = args.includes('--json');
+    const files = args.filter(a => !a.startsWith('--'));
+    const genealogyPath = files[0] || path.join(__dirname, 'biblical_genealogy.json');
+    const figuresPath = files[1] || path.join(__dirname, 'biblical_figures.json');
+    const htmlPath = files[2] || path.join(__dirname, 'index.html');
+    const lineagesPath = files[3] || path.join(__dirname, 'lineages.json');
+
+    const read = p => (fs.existsSync(p) ? fs.readFileSync(p, 'utf8') : null);
+    const genealogyText = read(genealogyPath);
+    const figuresText = read(figuresPath);
+    const html = read(htmlPath);
+    const lineagesText = read(lineagesPath);
+
+    let categoryOptions;
+    const select = html && html.match(/<select id="filter-category">([\s\S]*?)<\/select>/);
+    if (select) {
+      categoryOptions = [...select[1].matchAll(/<option value="([^"]*)"/g)].map(m => m[1]).filter(v => v !== 'all');
+      if (!categoryOptions.length) categoryOptions = undefined;
+    }
+
+    const report = validate({
+      genealogy: genealogyText ? JSON.parse(genealogyText) : undefined,
+      figures: figuresText ? JSON.parse(figuresText) : undefined,
+      lineages: lineagesText ? JSON.parse(lineagesText) : undefined,
+      genealogyText,
+      figuresText,
+      categoryOptions
+    });
+    process.stdout.write((asJson ? JSON.stringify(report, null, 2) : formatText(report)) + '\n');
+    process.exitCode = report.summary.error > 0 ? 1 : 0;
+  }
+
+  return api;
+});